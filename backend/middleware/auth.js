@@ -1,5 +1,156 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const Role = require('../models/Role');
+const Impersonation = require('../models/Impersonation');
+const { hasPermission } = require('../utils/permissions');
+const { verifyToken } = require('../utils/jwt');
+const { setRequestActor, setRequestImpersonator, setRequestTenant } = require('./requestContext');
+
+// Routes still reachable while an account must change its temporary password
+const PASSWORD_CHANGE_ALLOWED_ROUTES = [
+  'GET /api/auth/profile',
+  'POST /api/auth/change-password',
+  'POST /api/auth/logout'
+];
+
+// Routes reachable before the account's email address is verified (profile only)
+const UNVERIFIED_ALLOWED_ROUTES = [
+  'GET /api/auth/profile',
+  'PUT /api/auth/profile',
+  'POST /api/auth/resend-verification',
+  'POST /api/auth/change-password',
+  'POST /api/auth/logout'
+];
+
+// Routes reachable when the user's role requires two-factor but it is not enabled yet
+const MFA_SETUP_ALLOWED_ROUTES = [
+  'GET /api/auth/profile',
+  'POST /api/auth/change-password',
+  'POST /api/auth/logout',
+  'GET /api/auth/mfa',
+  'POST /api/auth/mfa/setup',
+  'POST /api/auth/mfa/enable'
+];
+
+// Methods a read-only impersonation token may use
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Routes reachable with a read-only impersonation token despite their method
+const IMPERSONATION_READ_ONLY_ALLOWED_ROUTES = [
+  'POST /api/auth/impersonation/end'
+];
+
+// Account security stays with the real owner, even for writable impersonation
+const IMPERSONATION_BLOCKED_ROUTE_PREFIXES = [
+  'POST /api/auth/change-password',
+  'GET /api/auth/sessions',
+  'DELETE /api/auth/sessions',
+  'GET /api/auth/mfa',
+  'POST /api/auth/mfa',
+  'PUT /api/auth/mfa'
+];
+
+// Load the impersonation an access token was issued for and check that it,
+// the administrator behind it and their own session are all still valid.
+// Returns { impersonation, impersonator } or null.
+const resolveImpersonation = async (decoded, user) => {
+  // Looked up before the request's institution is settled
+  const impersonation = await Impersonation.findById(decoded.imp).acrossTenants();
+  if (!impersonation || !impersonation.isActive() || !impersonation.userId.equals(user._id) ||
+      String(impersonation.impersonatorId) !== String(decoded.act)) {
+    return null;
+  }
+
+  const impersonator = await User.findById(impersonation.impersonatorId).select('-password');
+  if (!impersonator || !impersonator.isActive) {
+    return null;
+  }
+
+  if (impersonation.impersonatorSessionId) {
+    const session = await Session.findById(impersonation.impersonatorSessionId);
+    if (!session || !session.isActive()) {
+      return null;
+    }
+  }
+
+  return { impersonation, impersonator };
+};
+
+// Check whether an impersonation token may be used for a route.
+// Returns an error response body, or null if the request may continue.
+const checkImpersonationAccess = (impersonation, method, route) => {
+  if (IMPERSONATION_BLOCKED_ROUTE_PREFIXES.some(prefix => route.startsWith(prefix))) {
+    return { status: 403, code: 'IMPERSONATION_FORBIDDEN', message: 'This action is not available while impersonating a user.' };
+  }
+  if (impersonation.readOnly && !READ_ONLY_METHODS.includes(method) &&
+      !IMPERSONATION_READ_ONLY_ALLOWED_ROUTES.includes(route)) {
+    return { status: 403, code: 'IMPERSONATION_READ_ONLY', message: 'This impersonation is read-only.' };
+  }
+  return null;
+};
+
+// Tag an impersonated request in the logs and on the response, and count it
+const recordImpersonatedRequest = async (req, res, impersonation, impersonator, user) => {
+  console.info(`[impersonation ${impersonation._id}] ${impersonator.email} as ${user.email}: ${req.method} ${req.originalUrl} (request ${req.id})`);
+  res.setHeader('X-Impersonated-By', impersonator._id.toString());
+  await Impersonation.recordRequest(impersonation._id);
+};
+
+// Settle which institution an authenticated request acts on. Members of an
+// institution always act on their own; users without one (platform admins,
+// recruiters) may pick one with X-Tenant if they hold tenants:switch.
+// Returns an error response body, or null if the request may continue.
+const applyUserTenant = async (req, user, decoded) => {
+  if (user.tenantId) {
+    if (decoded.tid && decoded.tid !== user.tenantId.toString()) {
+      return { status: 401, message: 'Token was issued for a different institution. Please log in again.' };
+    }
+    if (req.tenant && !req.tenant._id.equals(user.tenantId)) {
+      return { status: 403, code: 'TENANT_MISMATCH', message: 'Access denied. Your account belongs to a different institution.' };
+    }
+    setRequestTenant(user.tenantId);
+    return null;
+  }
+
+  if (req.tenant && !hasPermission(await Role.getPermissionsForRole(user.role), 'tenants:switch')) {
+    return { status: 403, code: 'TENANT_MISMATCH', message: 'Access denied. Your account cannot act on other institutions.' };
+  }
+  return null;
+};
+
+// Load the session an access token was issued for. Returns undefined for
+// tokens issued without one, and null once it is logged out or revoked.
+const resolveSession = async (decoded) => {
+  if (!decoded.sid) {
+    return undefined;
+  }
+  const session = await Session.findById(decoded.sid);
+  return session && session.isActive() ? session : null;
+};
+
+// Check the account's own obligations (verified email, changed temporary
+// password, two-factor enrollment) before it may use a route.
+// Returns an error response body, or null if the request may continue.
+const checkAccountAccess = async (user, route) => {
+  // Self-registered accounts are restricted to their profile until verified
+  if (!user.emailVerified && !UNVERIFIED_ALLOWED_ROUTES.includes(route)) {
+    return { status: 403, code: 'EMAIL_NOT_VERIFIED', message: 'Please verify your email address to access this resource.' };
+  }
+
+  // Accounts created with a temporary password must change it first
+  if (user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_ROUTES.includes(route)) {
+    return { status: 403, code: 'PASSWORD_CHANGE_REQUIRED', message: 'You must change your temporary password before continuing.' };
+  }
+
+  // Roles covered by the two-factor policy must enroll before doing anything else
+  if (!user.mfaEnabled && !MFA_SETUP_ALLOWED_ROUTES.includes(route) &&
+      await SecurityPolicy.isMfaRequiredForRole(user.role)) {
+    return { status: 403, code: 'MFA_SETUP_REQUIRED', message: 'Two-factor authentication must be enabled for your account before continuing.' };
+  }
+
+  return null;
+};
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -19,8 +170,9 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token. Only access tokens are accepted: email verification links
+    // and other purpose tokens are signed for another audience.
+    const decoded = verifyToken(token);
 
     // Get user from token
     const user = await User.findById(decoded.id).select('-password');
@@ -31,8 +183,67 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Reject access tokens whose session has been logged out or revoked
+    const session = await resolveSession(decoded);
+    if (session === null) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.'
+      });
+    }
+    if (session) {
+      req.sessionId = session._id;
+    }
+
+    // Impersonation tokens act as the user on behalf of an administrator
+    let impersonated = null;
+    if (decoded.imp) {
+      impersonated = await resolveImpersonation(decoded, user);
+      if (!impersonated) {
+        return res.status(401).json({
+          success: false,
+          code: 'IMPERSONATION_ENDED',
+          message: 'Impersonation has ended or is no longer valid.'
+        });
+      }
+    }
+
+    const tenantError = await applyUserTenant(req, user, decoded);
+    if (tenantError) {
+      const { status, ...body } = tenantError;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    const route = `${req.method} ${req.baseUrl}${req.path}`.replace(/\/$/, '');
+
+    if (impersonated) {
+      const { impersonation, impersonator } = impersonated;
+      const accessError = checkImpersonationAccess(impersonation, req.method, route);
+      if (accessError) {
+        const { status, ...body } = accessError;
+        return res.status(status).json({ success: false, ...body });
+      }
+
+      // The account's own obligations (verification, password change, two-factor)
+      // are for its owner, so they do not block the administrator
+      await recordImpersonatedRequest(req, res, impersonation, impersonator, user);
+      req.user = user;
+      req.impersonation = impersonation;
+      req.impersonator = impersonator;
+      setRequestActor(user);
+      setRequestImpersonator(impersonator);
+      return next();
+    }
+
+    const accountError = await checkAccountAccess(user, route);
+    if (accountError) {
+      const { status, ...body } = accountError;
+      return res.status(status).json({ success: false, ...body });
+    }
+
     // Add user to request object
     req.user = user;
+    setRequestActor(user);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -75,6 +286,51 @@ const authorize = (...roles) => {
   };
 };
 
+// Permission-based authorization - passes if the user's role grants any of the permissions
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. User not authenticated.'
+        });
+      }
+
+      const granted = await Role.getPermissionsForRole(req.user.role);
+
+      if (!permissions.some(permission => hasPermission(granted, permission))) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Requires permission ${permissions.join(' or ')}.`
+        });
+      }
+
+      // Handlers use this to narrow scoped permissions (e.g. reports:read:branch)
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      console.error('Permission middleware error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error in authorization.'
+      });
+    }
+  };
+};
+
+// Settings shared by every institution (institutions, roles, security
+// policy) can only be changed by platform users, who belong to no institution
+const requirePlatformUser = (req, res, next) => {
+  if (req.user.tenantId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. This can only be managed by platform administrators.'
+    });
+  }
+  next();
+};
+
 // Check if user can access company data (for recruiters)
 const companyAccess = async (req, res, next) => {
   try {
@@ -162,11 +418,42 @@ const optionalAuth = async (req, res, next) => {
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyToken(token);
       const user = await User.findById(decoded.id).select('-password');
 
-      if (user && user.isActive) {
+      // Logged out or revoked sessions fall back to an anonymous request
+      const session = user ? await resolveSession(decoded) : undefined;
+      if (session === null) {
+        return next();
+      }
+
+      const impersonated = user && decoded.imp ? await resolveImpersonation(decoded, user) : null;
+      const route = `${req.method} ${req.baseUrl}${req.path}`.replace(/\/$/, '');
+
+      // Ended impersonations and impersonated writes fall back to an anonymous request
+      if (decoded.imp && (!impersonated || checkImpersonationAccess(impersonated.impersonation, req.method, route))) {
+        return next();
+      }
+
+      // So do accounts that protect would hold back (unverified, temporary
+      // password, two-factor enrollment pending)
+      if (user && !impersonated && await checkAccountAccess(user, route)) {
+        return next();
+      }
+
+      if (user && user.isActive && !(await applyUserTenant(req, user, decoded))) {
         req.user = user;
+        if (session) {
+          req.sessionId = session._id;
+        }
+        setRequestActor(user);
+
+        if (impersonated) {
+          await recordImpersonatedRequest(req, res, impersonated.impersonation, impersonated.impersonator, user);
+          req.impersonation = impersonated.impersonation;
+          req.impersonator = impersonated.impersonator;
+          setRequestImpersonator(impersonated.impersonator);
+        }
       }
     }
 
@@ -180,6 +467,8 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   protect,
   authorize,
+  requirePermission,
+  requirePlatformUser,
   companyAccess,
   studentAccess,
   optionalAuth
@@ -0,0 +1,76 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Per-request data (request id, client, authenticated user) that model hooks
+// can read without it being passed through every call
+const storage = new AsyncLocalStorage();
+
+// Accept a caller-supplied request id only if it is short and printable
+const isValidRequestId = (value) => typeof value === 'string' && /^[\w.-]{1,100}$/.test(value);
+
+// Assign a request id and run the rest of the request inside its context
+const requestContext = (req, res, next) => {
+  const headerId = req.get('x-request-id');
+  req.id = isValidRequestId(headerId) ? headerId : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  storage.run({
+    requestId: req.id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    method: req.method,
+    path: req.originalUrl,
+    actor: null,
+    impersonator: null,
+    tenantId: null
+  }, next);
+};
+
+// Get the context of the current request, or undefined outside a request
+const getRequestContext = () => storage.getStore();
+
+// Record the authenticated user on the current request context
+const setRequestActor = (user) => {
+  const context = storage.getStore();
+  if (context) {
+    context.actor = user;
+  }
+};
+
+// Record the administrator acting as the authenticated user, if any
+const setRequestImpersonator = (user) => {
+  const context = storage.getStore();
+  if (context) {
+    context.impersonator = user;
+  }
+};
+
+// Record the institution the current request acts on (null for the primary institution)
+const setRequestTenant = (tenantId) => {
+  const context = storage.getStore();
+  if (context) {
+    context.tenantId = tenantId || null;
+  }
+};
+
+// Stream-based middleware (e.g. multer) calls next() outside the request's
+// async context; wrap it so later handlers still see the context
+const preserveContext = (middleware) => {
+  return (req, res, next) => {
+    const context = storage.getStore();
+    if (!context) {
+      return middleware(req, res, next);
+    }
+
+    middleware(req, res, (...args) => storage.run(context, () => next(...args)));
+  };
+};
+
+module.exports = {
+  requestContext,
+  getRequestContext,
+  setRequestActor,
+  setRequestImpersonator,
+  setRequestTenant,
+  preserveContext
+};
@@ -0,0 +1,42 @@
+const Season = require('../models/Season');
+
+// Resolve the placement season a read is scoped to, from the `season` query
+// parameter (ID, academic year such as 2025-26, or "current") or the
+// `academicYear` parameter. Without either, req.season is null and nothing is
+// scoped. Runs after protect() so the season is looked up in the user's
+// institution.
+const resolveSeason = async (req, res, next) => {
+  const identifier = req.query.season || req.query.academicYear;
+  req.season = null;
+  if (!identifier) {
+    return next();
+  }
+
+  try {
+    const season = await Season.findByIdentifier(String(identifier));
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Placement season not found'
+      });
+    }
+
+    req.season = season;
+    next();
+  } catch (error) {
+    console.error('Season middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while resolving placement season'
+    });
+  }
+};
+
+// Filters for the season of a request: `records` for companies, windows and
+// applications, `students` for students. Both are empty without a season.
+const getSeasonScope = (req) => (req.season ? req.season.getScope() : { records: {}, students: {} });
+
+module.exports = {
+  resolveSeason,
+  getSeasonScope
+};
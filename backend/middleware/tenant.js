@@ -0,0 +1,37 @@
+const Tenant = require('../models/Tenant');
+const { setRequestTenant } = require('./requestContext');
+
+// Resolve the institution named in the X-Tenant header (ID or code). Without
+// the header a request acts on the primary institution. For authenticated
+// requests protect() then checks the header against the user's institution.
+const resolveTenant = async (req, res, next) => {
+  const identifier = req.get('x-tenant');
+  if (!identifier) {
+    return next();
+  }
+
+  try {
+    const tenant = await Tenant.findActiveByIdentifier(identifier);
+    if (!tenant) {
+      return res.status(400).json({
+        success: false,
+        code: 'TENANT_NOT_FOUND',
+        message: 'Unknown or inactive institution.'
+      });
+    }
+
+    req.tenant = tenant;
+    setRequestTenant(tenant._id);
+    next();
+  } catch (error) {
+    console.error('Tenant middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while resolving institution.'
+    });
+  }
+};
+
+module.exports = {
+  resolveTenant
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
+const { ACADEMIC_SECTIONS } = require('./Student');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AcademicChangeRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         student:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             rollNumber:
+ *               type: string
+ *             branch:
+ *               type: string
+ *         section:
+ *           type: string
+ *           enum: [tenth, twelfth, semesters, backlogs]
+ *         previousValue:
+ *           description: Verified value of the section when the change was requested
+ *         requestedValue:
+ *           description: New value of the section (null removes a 10th/12th result)
+ *         reason:
+ *           type: string
+ *           example: Semester 4 revaluation result
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         requestedBy:
+ *           type: string
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNote:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const academicChangeRequestSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  section: {
+    type: String,
+    required: [true, 'Section is required'],
+    enum: ACADEMIC_SECTIONS
+  },
+  previousValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  requestedValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requesting user is required']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to get formatted change request data
+academicChangeRequestSchema.methods.getFormattedData = function() {
+  // The student is only described in full when populated
+  const student = this.studentId instanceof mongoose.Document
+    ? { id: this.studentId._id, rollNumber: this.studentId.rollNumber, branch: this.studentId.branch }
+    : { id: this.studentId };
+
+  return {
+    id: this._id,
+    student,
+    section: this.section,
+    previousValue: this.previousValue,
+    requestedValue: this.requestedValue,
+    reason: this.reason,
+    status: this.status,
+    requestedBy: this.requestedBy,
+    reviewedBy: this.reviewedBy,
+    reviewedAt: this.reviewedAt,
+    reviewNote: this.reviewNote,
+    createdAt: this.createdAt
+  };
+};
+
+// Each institution only reviews changes for its own students
+academicChangeRequestSchema.plugin(tenantScoped);
+
+// Indexes for faster queries
+academicChangeRequestSchema.index({ status: 1, createdAt: 1 });
+academicChangeRequestSchema.index({ studentId: 1, section: 1, status: 1 });
+
+module.exports = mongoose.model('AcademicChangeRequest', academicChangeRequestSchema);
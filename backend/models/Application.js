@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
 
 const applicationSchema = new mongoose.Schema({
   studentId: {
@@ -11,11 +12,22 @@ const applicationSchema = new mongoose.Schema({
     ref: 'Company',
     required: [true, 'Company ID is required']
   },
+  // Job profile of the company applied for; null for companies without profiles
+  jobProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   roundId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'RecruitmentRound',
     default: null
   },
+  // Placement season the application belongs to (see models/Season.js)
+  seasonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    default: null
+  },
   status: {
     type: String,
     enum: ['submitted', 'under-review', 'shortlisted', 'rejected', 'selected'],
@@ -56,13 +68,17 @@ const applicationSchema = new mongoose.Schema({
       twelfthPercentage: Number,
       graduationCGPA: Number,
       currentBacklogs: Number,
+      totalBacklogs: Number,
       gapInEducation: Number
     },
+    // Projects, experience and certifications are copied from the student's
+    // portfolio on submission, so later edits do not change the application
     projectDetails: [{
       title: String,
       description: String,
       technologies: [String],
-      duration: String
+      duration: String,
+      url: String
     }],
     experienceDetails: [{
       company: String,
@@ -70,6 +86,12 @@ const applicationSchema = new mongoose.Schema({
       duration: String,
       description: String
     }],
+    certifications: [{
+      name: String,
+      issuer: String,
+      issuedOn: Date,
+      credentialUrl: String
+    }],
     skills: [String],
     achievements: [String],
     additionalInfo: String
@@ -87,8 +109,8 @@ const applicationSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Compound index to prevent duplicate applications
-applicationSchema.index({ studentId: 1, companyId: 1 }, { unique: true });
+// Compound index to prevent duplicate applications (one per job profile)
+applicationSchema.index({ studentId: 1, companyId: 1, jobProfileId: 1 }, { unique: true });
 
 // Method to update application status
 applicationSchema.methods.updateStatus = async function(newStatus, reviewerId, notes = null) {
@@ -164,11 +186,12 @@ applicationSchema.methods.moveToNextRound = async function() {
     currentRound = await RecruitmentRound.findById(this.roundId);
   }
 
-  // Find next round
-  const nextRound = await RecruitmentRound.findOne({
-    companyId: this.companyId,
-    roundNumber: currentRound ? currentRound.roundNumber + 1 : 1
-  });
+  // Find next round of the job profile applied for
+  const nextRound = await RecruitmentRound.findNextRound(
+    this.companyId,
+    this.jobProfileId,
+    currentRound ? currentRound.roundNumber : 0
+  );
 
   if (nextRound) {
     this.roundId = nextRound._id;
@@ -243,10 +266,10 @@ applicationSchema.pre('save', async function(next) {
     const ApplicationWindow = mongoose.model('ApplicationWindow');
     const Company = mongoose.model('Company');
 
-    // Check if company exists and is active
+    // Check if company exists and is accepting applications
     const company = await Company.findById(this.companyId);
-    if (!company || company.status !== 'active') {
-      return next(new Error('Company is not active or does not exist'));
+    if (!company || !Company.OPEN_STATUSES.includes(company.status)) {
+      return next(new Error('Company is not accepting applications or does not exist'));
     }
 
     // Check if application window is open
@@ -265,6 +288,20 @@ applicationSchema.pre('save', async function(next) {
   next();
 });
 
+// New applications join the season of their company; applications of a
+// closed season are read-only
+applicationSchema.pre('save', async function() {
+  const Season = mongoose.model('Season');
+  if (this.isNew && !this.seasonId) {
+    const season = await Season.resolveForCompany(this.companyId, this.$session());
+    this.seasonId = season ? season._id : null;
+  }
+  await Season.assertWritable(this.seasonId, this.$session());
+});
+
+// Scope to the institution of the current request
+applicationSchema.plugin(tenantScoped);
+
 // Indexes for faster queries
 applicationSchema.index({ studentId: 1 });
 applicationSchema.index({ companyId: 1 });
@@ -272,5 +309,6 @@ applicationSchema.index({ status: 1 });
 applicationSchema.index({ submittedAt: -1 });
 applicationSchema.index({ score: -1 });
 applicationSchema.index({ roundId: 1 });
+applicationSchema.index({ seasonId: 1 });
 
 module.exports = mongoose.model('Application', applicationSchema);
\ No newline at end of file
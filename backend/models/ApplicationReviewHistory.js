@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
 
 const applicationReviewHistorySchema = new mongoose.Schema({
   applicationId: {
@@ -96,6 +97,9 @@ applicationReviewHistorySchema.statics.getByReviewer = function(reviewerId, filt
     .sort({ reviewedAt: -1 });
 };
 
+// Scope to the institution of the current request
+applicationReviewHistorySchema.plugin(tenantScoped);
+
 // Indexes for faster queries
 applicationReviewHistorySchema.index({ applicationId: 1 });
 applicationReviewHistorySchema.index({ reviewerId: 1 });
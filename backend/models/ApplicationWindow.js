@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
+const { checkPlacementPolicy, getPolicyBlockedStudentIds } = require('../utils/placementPolicy');
+const { validateRule, evaluateRule, buildRuleQuery } = require('../utils/eligibilityRules');
 
 const applicationWindowSchema = new mongoose.Schema({
   companyId: {
@@ -29,11 +32,34 @@ const applicationWindowSchema = new mongoose.Schema({
     min: 0,
     max: 10
   },
+  // Backlogs not yet cleared
   maxBacklogs: {
     type: Number,
     min: 0,
     default: 0
   },
+  // Backlogs ever recorded, including cleared ones (no limit if unset)
+  maxBacklogHistory: {
+    type: Number,
+    min: 0
+  },
+  minTenthPercentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Applies to the 12th or diploma result, whichever the student has
+  minTwelfthPercentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Students whose profile is less complete cannot apply (see Student PROFILE_CHECKLIST)
+  minProfileCompleteness: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
   eligibleBranches: [{
     type: String,
     enum: [
@@ -53,6 +79,22 @@ const applicationWindowSchema = new mongoose.Schema({
     min: 2000,
     max: 2030
   },
+  // AND/OR rule over student fields and skills, applied on top of the criteria
+  // above (see utils/eligibilityRules.js)
+  eligibilityRule: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    validate: {
+      validator: rule => rule === null || rule === undefined || validateRule(rule).length === 0,
+      message: props => validateRule(props.value).join('; ')
+    }
+  },
+  // Placement season the window belongs to (see models/Season.js)
+  seasonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -86,11 +128,10 @@ applicationWindowSchema.methods.isCurrentlyActive = function() {
   return this.isActive && now >= startDateTime && now <= endDateTime;
 };
 
-// Method to get eligible students count
-applicationWindowSchema.methods.getEligibleStudentsCount = async function() {
-  const Student = mongoose.model('Student');
-
-  const query = { placed: false };
+// Method to build the student query matching this window's criteria.
+// Placed and opted-out students are left to the placement policy.
+applicationWindowSchema.methods.getEligibilityQuery = function() {
+  const query = {};
 
   // Add CGPA filter
   if (this.minCGPA) {
@@ -102,6 +143,24 @@ applicationWindowSchema.methods.getEligibleStudentsCount = async function() {
     query.backlogs = { $lte: this.maxBacklogs };
   }
 
+  // Students created before backlog history was tracked have no history count
+  if (this.maxBacklogHistory !== undefined && this.maxBacklogHistory !== null) {
+    query.totalBacklogs = { $not: { $gt: this.maxBacklogHistory } };
+  }
+
+  // Add 10th/12th filters; students without the result on record do not qualify
+  if (this.minTenthPercentage) {
+    query['academicRecord.tenth.percentage'] = { $gte: this.minTenthPercentage };
+  }
+
+  if (this.minTwelfthPercentage) {
+    query['academicRecord.twelfth.percentage'] = { $gte: this.minTwelfthPercentage };
+  }
+
+  if (this.minProfileCompleteness) {
+    query.profileCompleteness = { $gte: this.minProfileCompleteness };
+  }
+
   // Add branch filter
   if (this.eligibleBranches && this.eligibleBranches.length > 0) {
     query.branch = { $in: this.eligibleBranches };
@@ -112,7 +171,82 @@ applicationWindowSchema.methods.getEligibleStudentsCount = async function() {
     query.batch = this.passingYear;
   }
 
-  return await Student.countDocuments(query);
+  // Add eligibility rule
+  if (this.eligibilityRule) {
+    query.$and = [buildRuleQuery(this.eligibilityRule)];
+  }
+
+  return query;
+};
+
+// Method to build the student query for this window, leaving out students the
+// placement policy keeps from applying
+applicationWindowSchema.methods.getEligibleStudentsQuery = async function() {
+  const Company = mongoose.model('Company');
+  const query = this.getEligibilityQuery();
+
+  const blockedIds = await getPolicyBlockedStudentIds(query, await Company.findById(this.companyId));
+  return blockedIds.length > 0 ? { ...query, _id: { $nin: blockedIds } } : query;
+};
+
+// Method to get eligible students count
+applicationWindowSchema.methods.getEligibleStudentsCount = async function() {
+  const Student = mongoose.model('Student');
+  return await Student.countDocuments(await this.getEligibleStudentsQuery());
+};
+
+// Method to check a student against the CGPA, backlog and 10th/12th criteria.
+// Returns the reason the student is not eligible, or null.
+applicationWindowSchema.methods.getAcademicIneligibilityReason = function(student) {
+  const record = student.academicRecord || {};
+
+  if (this.minCGPA && student.cgpa < this.minCGPA) {
+    return `Minimum CGPA required is ${this.minCGPA}`;
+  }
+
+  if (this.maxBacklogs !== undefined && student.backlogs > this.maxBacklogs) {
+    return `Maximum active backlogs allowed is ${this.maxBacklogs}`;
+  }
+
+  if (this.maxBacklogHistory !== undefined && this.maxBacklogHistory !== null &&
+      (student.totalBacklogs || 0) > this.maxBacklogHistory) {
+    return `Maximum backlogs allowed, including cleared ones, is ${this.maxBacklogHistory}`;
+  }
+
+  if (this.minTenthPercentage && !(record.tenth && record.tenth.percentage >= this.minTenthPercentage)) {
+    return record.tenth
+      ? `Minimum 10th percentage required is ${this.minTenthPercentage}`
+      : '10th percentage is required but not on record';
+  }
+
+  if (this.minTwelfthPercentage && !(record.twelfth && record.twelfth.percentage >= this.minTwelfthPercentage)) {
+    return record.twelfth
+      ? `Minimum 12th/diploma percentage required is ${this.minTwelfthPercentage}`
+      : '12th/diploma percentage is required but not on record';
+  }
+
+  return null;
+};
+
+// Method to check a student's profile completeness. Returns the reason the
+// student is not eligible, or null.
+applicationWindowSchema.methods.getCompletenessIneligibilityReason = function(student) {
+  if (!this.minProfileCompleteness) {
+    return null;
+  }
+
+  const { score, missing } = student.getProfileCompleteness();
+  if (score >= this.minProfileCompleteness) {
+    return null;
+  }
+  return `Profile must be at least ${this.minProfileCompleteness}% complete (yours is ${score}%). Missing: ${missing.map(entry => entry.label).join(', ')}`;
+};
+
+// Method to get the clauses of the eligibility rule a student fails (empty when
+// the rule is met or there is none). `values` replaces some of the student's
+// fields, e.g. with only the verified academic data.
+applicationWindowSchema.methods.getRuleFailures = function(student, values = {}) {
+  return this.eligibilityRule ? evaluateRule(this.eligibilityRule, student, values).failures : [];
 };
 
 // Method to check student eligibility
@@ -125,18 +259,17 @@ applicationWindowSchema.methods.checkStudentEligibility = async function(student
       return { eligible: false, reason: 'Student not found' };
     }
 
-    if (student.placed) {
-      return { eligible: false, reason: 'Student is already placed' };
-    }
-
-    // Check CGPA
-    if (this.minCGPA && student.cgpa < this.minCGPA) {
-      return { eligible: false, reason: `Minimum CGPA required is ${this.minCGPA}` };
+    // Check placement policy (opt-out, offer limit, tier upgrades)
+    const Company = mongoose.model('Company');
+    const placement = await checkPlacementPolicy(student, await Company.findById(this.companyId));
+    if (!placement.allowed) {
+      return { eligible: false, reason: placement.reason, policy: placement.policy };
     }
 
-    // Check backlogs
-    if (this.maxBacklogs !== undefined && student.backlogs > this.maxBacklogs) {
-      return { eligible: false, reason: `Maximum backlogs allowed is ${this.maxBacklogs}` };
+    // Check CGPA, backlogs and 10th/12th results
+    const academicReason = this.getAcademicIneligibilityReason(student);
+    if (academicReason) {
+      return { eligible: false, reason: academicReason };
     }
 
     // Check branch
@@ -151,6 +284,18 @@ applicationWindowSchema.methods.checkStudentEligibility = async function(student
       return { eligible: false, reason: `Only ${this.passingYear} batch students are eligible` };
     }
 
+    // Check profile completeness
+    const completenessReason = this.getCompletenessIneligibilityReason(student);
+    if (completenessReason) {
+      return { eligible: false, reason: completenessReason };
+    }
+
+    // Check eligibility rule
+    const failedClauses = this.getRuleFailures(student);
+    if (failedClauses.length > 0) {
+      return { eligible: false, reason: `Eligibility rule not met: ${failedClauses.join('; ')}`, failedClauses };
+    }
+
     return { eligible: true };
   } catch (error) {
     console.error('Error checking student eligibility:', error);
@@ -237,11 +382,26 @@ applicationWindowSchema.pre('save', function(next) {
   next();
 });
 
+// New windows join the season of their company; windows of a closed season
+// are read-only
+applicationWindowSchema.pre('save', async function() {
+  const Season = mongoose.model('Season');
+  if (this.isNew && !this.seasonId) {
+    const season = await Season.resolveForCompany(this.companyId, this.$session());
+    this.seasonId = season ? season._id : null;
+  }
+  await Season.assertWritable(this.seasonId, this.$session());
+});
+
+// Scope to the institution of the current request
+applicationWindowSchema.plugin(tenantScoped);
+
 // Indexes for faster queries
 applicationWindowSchema.index({ companyId: 1 });
 applicationWindowSchema.index({ startDate: 1 });
 applicationWindowSchema.index({ endDate: 1 });
 applicationWindowSchema.index({ isActive: 1 });
 applicationWindowSchema.index({ createdBy: 1 });
+applicationWindowSchema.index({ seasonId: 1 });
 
 module.exports = mongoose.model('ApplicationWindow', applicationWindowSchema);
\ No newline at end of file
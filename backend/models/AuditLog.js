@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         actorId:
+ *           type: string
+ *           description: User who made the change (null for unauthenticated requests)
+ *         actorEmail:
+ *           type: string
+ *         actorRole:
+ *           type: string
+ *         impersonatorId:
+ *           type: string
+ *           description: Administrator who made the change while impersonating the actor
+ *         impersonatorEmail:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete]
+ *         targetModel:
+ *           type: string
+ *           example: Company
+ *         targetId:
+ *           type: string
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               before: {}
+ *               after: {}
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *           description: Matches the X-Request-Id response header
+ *         method:
+ *           type: string
+ *         path:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  impersonatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  impersonatorEmail: {
+    type: String
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: [true, 'Action is required']
+  },
+  targetModel: {
+    type: String,
+    required: [true, 'Target model is required']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Target ID is required']
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  requestId: {
+    type: String
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Entries are append-only: refuse any update or delete
+const rejectModification = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectModification(next);
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectModification
+);
+
+// Static method to write an entry; never lets audit failures break the
+// request, except inside a transaction, which has to be retried or aborted
+// with its entries
+auditLogSchema.statics.record = async function(entry, session = null) {
+  try {
+    const [log] = await this.create([entry], { session });
+    return log;
+  } catch (error) {
+    if (session && session.inTransaction()) {
+      throw error;
+    }
+    console.error('Error recording audit log:', error);
+    return null;
+  }
+};
+
+// Each institution only sees its own entries
+auditLogSchema.plugin(tenantScoped);
+
+// Indexes for faster queries
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ impersonatorId: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,161 @@
 const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
+const { compensationSchema, parseCompensation, toPackageValue, formatCompensation } = require('../utils/compensation');
+const { getPolicyBlockedStudentIds } = require('../utils/placementPolicy');
+
+// Lifecycle of a company visit. Companies start as drafts, are submitted for
+// approval and, once approved, go through the pre-placement talk, the drive
+// and its results before being closed.
+const COMPANY_STATUSES = [
+  'draft',
+  'pending-approval',
+  'approved',
+  'ppt-scheduled',
+  'drive-ongoing',
+  'results-declared',
+  'closed'
+];
+
+// Statuses a company can move to from each status. Rejecting a company sends
+// it back to draft; a visit can be called off (closed) at any point.
+const STATUS_TRANSITIONS = {
+  draft: ['pending-approval', 'closed'],
+  'pending-approval': ['approved', 'draft', 'closed'],
+  approved: ['ppt-scheduled', 'drive-ongoing', 'closed'],
+  'ppt-scheduled': ['drive-ongoing', 'closed'],
+  'drive-ongoing': ['results-declared', 'closed'],
+  'results-declared': ['closed'],
+  closed: []
+};
+
+// Statuses in which students see the company
+const PUBLISHED_STATUSES = ['approved', 'ppt-scheduled', 'drive-ongoing', 'results-declared', 'closed'];
+
+// Statuses in which students may apply (until the application deadline)
+const OPEN_STATUSES = ['approved', 'ppt-scheduled', 'drive-ongoing'];
+
+// Who moved a company from one status to another, and why
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...COMPANY_STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: COMPANY_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+});
+
+// A role the company hires for in its drive (e.g. SDE, Analyst, QA), with its
+// own job description, package, positions, cut-offs and rounds
+const jobProfileSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Profile title is required'],
+    trim: true,
+    maxlength: [100, 'Profile title cannot exceed 100 characters']
+  },
+  jobDescription: {
+    type: String,
+    maxlength: [5000, 'Job description cannot exceed 5000 characters']
+  },
+  // Package as shown to students; parsed into compensation when that is not given
+  packageOffered: {
+    type: String,
+    required: [function() { return !this.compensation; }, 'Package offered is required'],
+    trim: true
+  },
+  compensation: compensationSchema,
+  totalPositions: {
+    type: Number,
+    required: [true, 'Total positions is required'],
+    min: [1, 'Total positions must be at least 1']
+  },
+  eligibilityCriteria: {
+    minCGPA: {
+      type: Number,
+      min: 0,
+      max: 10
+    },
+    maxBacklogs: {
+      type: Number,
+      min: 0
+    },
+    eligibleBranches: [{
+      type: String
+    }],
+    passingYear: {
+      type: Number
+    }
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the package text and compensation of a company or job profile in step:
+// the package text is parsed when there is no compensation or when it changed
+// without compensation being given with it, and compensation alone fills in the text
+function syncCompensation(next) {
+  if (this.packageOffered &&
+      (!this.compensation || (this.isModified('packageOffered') && !this.isModified('compensation')))) {
+    this.compensation = parseCompensation(this.packageOffered);
+  } else if (!this.packageOffered && this.compensation) {
+    this.packageOffered = formatCompensation(this.compensation);
+  }
+  next();
+}
+
+jobProfileSchema.pre('validate', syncCompensation);
+
+// Method to get the package of a profile as CTC in LPA; null when not known
+jobProfileSchema.methods.getPackageValue = function() {
+  return toPackageValue(this.compensation);
+};
+
+// Method to check a student against the profile's cut-offs. Returns the
+// reason the student is not eligible, or null.
+jobProfileSchema.methods.getIneligibilityReason = function(student) {
+  const criteria = this.eligibilityCriteria || {};
+
+  if (criteria.minCGPA && student.cgpa < criteria.minCGPA) {
+    return `Minimum CGPA required for ${this.title} is ${criteria.minCGPA}`;
+  }
+
+  if (criteria.maxBacklogs !== undefined && criteria.maxBacklogs !== null && student.backlogs > criteria.maxBacklogs) {
+    return `Maximum active backlogs allowed for ${this.title} is ${criteria.maxBacklogs}`;
+  }
+
+  if (criteria.eligibleBranches && criteria.eligibleBranches.length > 0 &&
+      !criteria.eligibleBranches.includes(student.branch)) {
+    return `Your branch is not eligible for ${this.title}`;
+  }
+
+  if (criteria.passingYear && student.batch !== criteria.passingYear) {
+    return `Only ${criteria.passingYear} batch students are eligible for ${this.title}`;
+  }
+
+  return null;
+};
 
 const companySchema = new mongoose.Schema({
   name: {
@@ -38,11 +195,13 @@ const companySchema = new mongoose.Schema({
     required: [true, 'Location is required'],
     trim: true
   },
+  // Package as shown to students; parsed into compensation when that is not given
   packageOffered: {
     type: String,
-    required: [true, 'Package offered is required'],
+    required: [function() { return !this.compensation; }, 'Package offered is required'],
     trim: true
   },
+  compensation: compensationSchema,
   totalPositions: {
     type: Number,
     required: [true, 'Total positions is required'],
@@ -54,8 +213,20 @@ const companySchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'inactive', 'completed'],
-    default: 'active'
+    enum: COMPANY_STATUSES,
+    default: 'draft'
+  },
+  statusHistory: [statusChangeSchema],
+  preplacementTalk: {
+    scheduledAt: {
+      type: Date,
+      required: [function() { return this.status === 'ppt-scheduled'; }, 'Pre-placement talk date is required']
+    },
+    venue: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Venue cannot exceed 200 characters']
+    }
   },
   requirements: [{
     type: String,
@@ -86,6 +257,13 @@ const companySchema = new mongoose.Schema({
       type: Number
     }
   },
+  jobProfiles: [jobProfileSchema],
+  // How many of the job profiles one student may apply to
+  maxProfilesPerStudent: {
+    type: Number,
+    min: [1, 'Students must be allowed to apply to at least 1 profile'],
+    default: 1
+  },
   recruitmentProcess: [{
     roundName: {
       type: String,
@@ -98,6 +276,12 @@ const companySchema = new mongoose.Schema({
       type: String
     }
   }],
+  // Placement season the drive belongs to (see models/Season.js)
+  seasonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -121,24 +305,48 @@ const companySchema = new mongoose.Schema({
 
 // Method to check if application is still open
 companySchema.methods.isApplicationOpen = function() {
-  return this.status === 'active' && new Date() <= this.applicationDeadline;
+  return OPEN_STATUSES.includes(this.status) && new Date() <= this.applicationDeadline;
 };
 
-// Method to get applications count by status
-companySchema.methods.getApplicationStats = async function() {
-  const Application = mongoose.model('Application');
+// Method to check if students can see the company
+companySchema.methods.isPublished = function() {
+  return PUBLISHED_STATUSES.includes(this.status);
+};
 
-  const stats = await Application.aggregate([
-    { $match: { companyId: this._id } },
-    {
-      $group: {
-        _id: '$status',
-        count: { $sum: 1 },
-        avgScore: { $avg: '$score' }
-      }
-    }
-  ]);
+// Method to check if the company can move to a status
+companySchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to check if moving to a status approves or rejects the company,
+// which takes the companies:approve permission
+companySchema.methods.isApprovalDecision = function(status) {
+  return this.status === 'pending-approval' && ['approved', 'draft'].includes(status);
+};
+
+// Method to move the company to a status, recording who did it. The caller
+// saves the company.
+companySchema.methods.transitionTo = function(status, changedBy, note) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`A company that is ${this.status} cannot be moved to ${status}`);
+    error.name = 'CompanyStatusError';
+    throw error;
+  }
+
+  this.statusHistory.push({ from: this.status, to: status, changedBy, note });
+  this.status = status;
+};
+
+companySchema.pre('validate', syncCompensation);
+
+// Method to get the package as CTC in LPA; null when not known
+companySchema.methods.getPackageValue = function() {
+  return toPackageValue(this.compensation);
+};
 
+// Tally application counts per status (and the average score) from
+// aggregation groups of { status, count, scoreSum, scored }
+const tallyApplicationStats = (groups) => {
   const result = {
     total: 0,
     submitted: 0,
@@ -149,17 +357,111 @@ companySchema.methods.getApplicationStats = async function() {
     avgScore: 0
   };
 
-  stats.forEach(stat => {
-    result[stat._id] = stat.count;
-    result.total += stat.count;
-    if (stat.avgScore) {
-      result.avgScore = stat.avgScore;
-    }
+  let scoreSum = 0;
+  let scored = 0;
+  groups.forEach(group => {
+    result[group.status] = (result[group.status] || 0) + group.count;
+    result.total += group.count;
+    scoreSum += group.scoreSum;
+    scored += group.scored;
   });
+  result.avgScore = scored > 0 ? scoreSum / scored : 0;
 
   return result;
 };
 
+// Method to get applications count by status, broken down per job profile
+// (as byProfile) when the company has profiles
+companySchema.methods.getApplicationStats = async function() {
+  const Application = mongoose.model('Application');
+
+  const groups = (await Application.aggregate([
+    { $match: { companyId: this._id } },
+    {
+      $group: {
+        _id: { status: '$status', jobProfileId: '$jobProfileId' },
+        count: { $sum: 1 },
+        scoreSum: { $sum: '$score' },
+        scored: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$score', null] }, null] }, 1, 0] } }
+      }
+    }
+  ])).map(group => ({
+    status: group._id.status,
+    jobProfileId: group._id.jobProfileId ? group._id.jobProfileId.toString() : null,
+    count: group.count,
+    scoreSum: group.scoreSum,
+    scored: group.scored
+  }));
+
+  const result = tallyApplicationStats(groups);
+
+  if (this.jobProfiles.length > 0) {
+    result.byProfile = this.jobProfiles.map(profile => ({
+      jobProfileId: profile._id,
+      title: profile.title,
+      packageOffered: profile.packageOffered,
+      compensation: profile.compensation,
+      totalPositions: profile.totalPositions,
+      ...tallyApplicationStats(groups.filter(group => group.jobProfileId === profile._id.toString()))
+    }));
+  }
+
+  return result;
+};
+
+// Method to check whether a student may apply to the company, or to one of its
+// job profiles: profile cut-offs and the number of profiles a student may
+// apply to. Without a profile, the student must still be able to apply to at
+// least one open profile. Returns the reason the student cannot apply, or null.
+companySchema.methods.getApplicationIneligibilityReason = async function(student, jobProfileId = null) {
+  const Application = mongoose.model('Application');
+
+  const applications = await Application.find({ studentId: student._id, companyId: this._id })
+    .select('jobProfileId');
+
+  if (this.jobProfiles.length === 0) {
+    if (jobProfileId) {
+      return 'Job profile not found';
+    }
+    return applications.length > 0 ? 'You have already applied to this company' : null;
+  }
+
+  const appliedTo = applications.map(application => String(application.jobProfileId));
+
+  if (jobProfileId) {
+    const profile = this.jobProfiles.id(jobProfileId);
+    if (!profile) {
+      return 'Job profile not found';
+    }
+    if (profile.status !== 'open') {
+      return `${profile.title} is no longer accepting applications`;
+    }
+    if (appliedTo.includes(profile._id.toString())) {
+      return `You have already applied for ${profile.title}`;
+    }
+  }
+
+  if (applications.length >= this.maxProfilesPerStudent) {
+    return `You can apply to at most ${this.maxProfilesPerStudent} profile(s) of this company`;
+  }
+
+  if (jobProfileId) {
+    return this.jobProfiles.id(jobProfileId).getIneligibilityReason(student);
+  }
+
+  const openProfiles = this.jobProfiles.filter(profile =>
+    profile.status === 'open' && !appliedTo.includes(profile._id.toString())
+  );
+  if (openProfiles.length === 0) {
+    return applications.length > 0
+      ? 'You have already applied to every open profile of this company'
+      : 'No job profile of this company is open';
+  }
+
+  const reasons = openProfiles.map(profile => profile.getIneligibilityReason(student));
+  return reasons.includes(null) ? null : reasons.join('; ');
+};
+
 // Method to get applications
 companySchema.methods.getApplications = async function(filters = {}) {
   const Application = mongoose.model('Application');
@@ -179,10 +481,15 @@ companySchema.methods.getRecruitmentRounds = async function() {
     .sort({ roundNumber: 1, scheduledDate: 1 });
 };
 
-// Method to create default recruitment rounds
+// Method to create default recruitment rounds for a company that has none
 companySchema.methods.createDefaultRounds = async function() {
   const RecruitmentRound = mongoose.model('RecruitmentRound');
 
+  const existingRounds = await RecruitmentRound.getByCompany(this._id);
+  if (existingRounds.length > 0) {
+    return existingRounds;
+  }
+
   const defaultRounds = [
     {
       name: 'Aptitude Test',
@@ -221,19 +528,58 @@ companySchema.methods.createDefaultRounds = async function() {
 
 // Pre-save middleware to create recruitment rounds if not exists
 companySchema.pre('save', async function(next) {
-  if (this.isNew) {
-    // We'll create rounds after the company is saved
-    this.once('postSave', async () => {
-      await this.createDefaultRounds();
-    });
+  // We'll create rounds after the company is saved
+  this.$locals.needsDefaultRounds = this.isNew;
+  next();
+});
+
+// Start the status history of new companies
+companySchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, changedBy: this.createdBy });
   }
   next();
 });
 
-// Static method to get active companies
+// New companies join the current placement season; companies of a closed
+// season are read-only
+companySchema.pre('save', async function() {
+  const Season = mongoose.model('Season');
+  if (this.isNew && !this.seasonId) {
+    const season = await Season.getCurrent().session(this.$session());
+    this.seasonId = season ? season._id : null;
+  }
+  await Season.assertWritable(this.seasonId, this.$session());
+});
+
+// Method to build the query for students who may apply to the company: its
+// eligibility criteria, leaving out students the placement policy keeps from
+// applying (including those who opted out)
+companySchema.methods.getEligibleStudentsQuery = async function() {
+  const criteria = this.eligibilityCriteria || {};
+  const query = {};
+
+  if (criteria.minCGPA) {
+    query.cgpa = { $gte: criteria.minCGPA };
+  }
+  if (criteria.maxBacklogs !== undefined && criteria.maxBacklogs !== null) {
+    query.backlogs = { $lte: criteria.maxBacklogs };
+  }
+  if (criteria.eligibleBranches && criteria.eligibleBranches.length > 0) {
+    query.branch = { $in: criteria.eligibleBranches };
+  }
+  if (criteria.passingYear) {
+    query.batch = criteria.passingYear;
+  }
+
+  const blockedIds = await getPolicyBlockedStudentIds(query, this);
+  return blockedIds.length > 0 ? { ...query, _id: { $nin: blockedIds } } : query;
+};
+
+// Static method to get companies accepting applications
 companySchema.statics.getActiveCompanies = function() {
   return this.find({
-    status: 'active',
+    status: { $in: OPEN_STATUSES },
     applicationDeadline: { $gte: new Date() }
   }).sort({ applicationDeadline: 1 });
 };
@@ -253,6 +599,35 @@ companySchema.statics.searchCompanies = function(searchTerm, filters = {}) {
   return this.find(query).sort({ createdAt: -1 });
 };
 
+// Static method to parse the package text of companies (and their job
+// profiles) saved before compensation was structured
+companySchema.statics.backfillCompensation = async function() {
+  let updated = 0;
+  for await (const company of this.find({ compensation: { $exists: false } }).cursor()) {
+    const jobProfiles = company.jobProfiles.map(profile => ({
+      ...profile.toObject(),
+      compensation: profile.compensation || parseCompensation(profile.packageOffered)
+    }));
+    await this.updateOne({ _id: company._id }, { compensation: parseCompensation(company.packageOffered), jobProfiles });
+    updated += 1;
+  }
+  return updated;
+};
+
+// Static method to move companies saved before the approval workflow to the
+// lifecycle: active companies count as approved, inactive and completed ones
+// as closed
+companySchema.statics.backfillLifecycle = async function() {
+  const [approved, closed] = await Promise.all([
+    this.updateMany({ status: 'active' }, { status: 'approved' }),
+    this.updateMany({ status: { $in: ['inactive', 'completed'] } }, { status: 'closed' })
+  ]);
+  return approved.modifiedCount + closed.modifiedCount;
+};
+
+// Companies are visible to every institution unless the owning one sets isShared to false
+companySchema.plugin(tenantScoped, { shared: true });
+
 // Indexes for faster queries
 companySchema.index({ name: 1 });
 companySchema.index({ industry: 1 });
@@ -260,10 +635,18 @@ companySchema.index({ status: 1 });
 companySchema.index({ applicationDeadline: 1 });
 companySchema.index({ createdBy: 1 });
 companySchema.index({ skills: 1 });
+companySchema.index({ seasonId: 1 });
 
 // Add post-save hook
-companySchema.post('save', function() {
-  this.emit('postSave');
+companySchema.post('save', async function() {
+  if (this.$locals.needsDefaultRounds) {
+    this.$locals.needsDefaultRounds = false;
+    await this.createDefaultRounds();
+  }
 });
 
-module.exports = mongoose.model('Company', companySchema);
\ No newline at end of file
+module.exports = mongoose.model('Company', companySchema);
+module.exports.COMPANY_STATUSES = COMPANY_STATUSES;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+module.exports.PUBLISHED_STATUSES = PUBLISHED_STATUSES;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
\ No newline at end of file
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Impersonation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         impersonator:
+ *           type: object
+ *           description: Administrator who started the impersonation
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         user:
+ *           type: object
+ *           description: User being impersonated
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *             role:
+ *               type: string
+ *         reason:
+ *           type: string
+ *           example: Student cannot see Acme Corp in eligible companies
+ *         readOnly:
+ *           type: boolean
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *         requestCount:
+ *           type: integer
+ *         lastRequestAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const impersonationSchema = new mongoose.Schema({
+  impersonatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Impersonator is required']
+  },
+  // Session of the impersonator; logging it out ends the impersonation too
+  impersonatorSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Impersonated user is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  readOnly: {
+    type: Boolean,
+    default: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  lastRequestAt: {
+    type: Date
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check if the impersonation token can still be used
+impersonationSchema.methods.isActive = function() {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+// Method to end the impersonation before it expires
+impersonationSchema.methods.end = function() {
+  this.endedAt = new Date();
+  return this.save();
+};
+
+// Instance method to get formatted impersonation data
+impersonationSchema.methods.getFormattedData = function() {
+  // Users are only described in full when populated
+  const formatUser = (user) => (user instanceof mongoose.Document
+    ? { id: user._id, name: user.name, email: user.email, role: user.role }
+    : { id: user });
+
+  return {
+    id: this._id,
+    impersonator: formatUser(this.impersonatorId),
+    user: formatUser(this.userId),
+    reason: this.reason,
+    readOnly: this.readOnly,
+    expiresAt: this.expiresAt,
+    endedAt: this.endedAt,
+    requestCount: this.requestCount,
+    lastRequestAt: this.lastRequestAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to count a request made with the impersonation token
+impersonationSchema.statics.recordRequest = function(impersonationId) {
+  return this.updateOne(
+    { _id: impersonationId },
+    { $inc: { requestCount: 1 }, lastRequestAt: new Date() }
+  ).acrossTenants();
+};
+
+// Each institution only sees impersonations of its own users
+impersonationSchema.plugin(tenantScoped);
+
+// Indexes for faster queries
+impersonationSchema.index({ impersonatorId: 1, createdAt: -1 });
+impersonationSchema.index({ userId: 1, createdAt: -1 });
+impersonationSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
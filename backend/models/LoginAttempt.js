@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoginAttempt:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *           description: Email the login was attempted with
+ *         userId:
+ *           type: string
+ *           description: Matching user ID, if the email belongs to an account
+ *         tenantId:
+ *           type: string
+ *           description: Institution of the matching user, or the one the login was made on for unknown emails
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         success:
+ *           type: boolean
+ *         failureReason:
+ *           type: string
+ *           enum: [unknown_email, invalid_password, invalid_mfa_code, account_locked, account_throttled, account_deactivated, tenant_deactivated]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: ['unknown_email', 'invalid_password', 'invalid_mfa_code', 'account_locked', 'account_throttled', 'account_deactivated', 'tenant_deactivated', null],
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Static method to record an attempt; never lets audit failures break login
+loginAttemptSchema.statics.record = async function({ email, user = null, req, success, failureReason = null }) {
+  try {
+    return await this.create({
+      email,
+      userId: user ? user._id : null,
+      tenantId: user ? user.tenantId || null : undefined,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      success,
+      failureReason
+    });
+  } catch (error) {
+    console.error('Error recording login attempt:', error);
+    return null;
+  }
+};
+
+// Attempts belong to the institution of the user; the history is read with
+// byTenant() so institutions only see their own
+loginAttemptSchema.plugin(tenantScoped, { scopeQueries: false });
+
+// Indexes for faster queries
+loginAttemptSchema.index({ userId: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+// Keep the audit trail for a limited retention period
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: (parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 90) * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
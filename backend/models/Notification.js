@@ -22,7 +22,7 @@ const mongoose = require('mongoose');
  *           description: Type of recipient
  *         type:
  *           type: string
- *           enum: [application_status, new_company, deadline_reminder, system_update]
+ *           enum: [application_status, new_company, company_status, deadline_reminder, system_update]
  *           description: Type of notification
  *         message:
  *           type: string
@@ -55,7 +55,7 @@ const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['application_status', 'new_company', 'deadline_reminder', 'system_update'],
+    enum: ['application_status', 'new_company', 'company_status', 'deadline_reminder', 'system_update'],
     index: true
   },
   message: {
@@ -195,6 +195,99 @@ notificationSchema.statics.createNewCompanyNotification = async function(company
   }
 };
 
+// Messages for a company moving to each status; students are only told
+// about the statuses they have a message for
+const companyStatusMessages = (company, note) => {
+  const talk = company.preplacementTalk || {};
+  const talkAt = talk.scheduledAt
+    ? `${talk.scheduledAt.toDateString()}${talk.venue ? ` at ${talk.venue}` : ''}`
+    : 'a date to be announced';
+
+  return {
+    'pending-approval': {
+      recruiter: `${company.name} has been submitted for approval.`
+    },
+    draft: {
+      recruiter: `${company.name} was sent back to draft${note ? `: ${note}` : '.'}`
+    },
+    approved: {
+      recruiter: `${company.name} has been approved and is now visible to students.`,
+      student: `🏢 New company ${company.name} is now hiring! Check if you're eligible.`
+    },
+    'ppt-scheduled': {
+      recruiter: `The pre-placement talk of ${company.name} is scheduled for ${talkAt}.`,
+      student: `📢 ${company.name} will hold a pre-placement talk on ${talkAt}.`
+    },
+    'drive-ongoing': {
+      recruiter: `The ${company.name} placement drive has started.`,
+      student: `The ${company.name} placement drive has started. Keep an eye on your application.`
+    },
+    'results-declared': {
+      recruiter: `Results of the ${company.name} placement drive have been declared.`,
+      student: `Results of the ${company.name} placement drive have been declared. Check your application status.`
+    },
+    closed: {
+      recruiter: `${company.name} has been closed${note ? `: ${note}` : '.'}`,
+      student: `The ${company.name} placement drive is closed.`
+    }
+  };
+};
+
+// Static method to create notifications for a company moving to a status:
+// the company's recruiters hear about every change; eligible students hear
+// when it is approved or schedules its pre-placement talk, and applicants
+// about the drive, its results and its closing
+notificationSchema.statics.createCompanyStatusNotifications = async function(company, change) {
+  const User = mongoose.model('User');
+  const Student = mongoose.model('Student');
+  const Application = mongoose.model('Application');
+
+  try {
+    const messages = companyStatusMessages(company, change.note)[change.to] || {};
+    const metadata = {
+      companyId: company._id,
+      companyName: company.name,
+      oldStatus: change.from,
+      newStatus: change.to
+    };
+
+    const recruiterIds = messages.recruiter
+      ? (await User.find({ role: 'recruiter', companyId: company._id }).select('_id')).map(user => user._id)
+      : [];
+
+    let studentIds = [];
+    if (['approved', 'ppt-scheduled'].includes(change.to)) {
+      studentIds = (await Student.find(await company.getEligibleStudentsQuery()).select('_id')).map(student => student._id);
+    } else if (messages.student) {
+      studentIds = await Application.distinct('studentId', { companyId: company._id });
+    }
+
+    const notification = (recipientId, recipientType, message) => ({
+      recipientId,
+      recipientType,
+      type: 'company_status',
+      message,
+      metadata,
+      read: false,
+      timestamp: new Date()
+    });
+
+    const notifications = [
+      ...recruiterIds.map(id => notification(id, 'user', messages.recruiter)),
+      ...studentIds.map(id => notification(id, 'student', messages.student))
+    ];
+
+    if (notifications.length > 0) {
+      return await this.insertMany(notifications);
+    }
+
+    return [];
+  } catch (error) {
+    console.error('Error creating company status notifications:', error);
+    throw error;
+  }
+};
+
 // Static method to create deadline reminder notifications
 notificationSchema.statics.createDeadlineReminderNotifications = async function(applicationWindowId) {
   const ApplicationWindow = mongoose.model('ApplicationWindow');
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
+const { compensationSchema, parseCompensation } = require('../utils/compensation');
 
 const offCampusOpportunitySchema = new mongoose.Schema({
   title: {
@@ -36,6 +38,7 @@ const offCampusOpportunitySchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Duration cannot exceed 100 characters']
   },
+  // Stipend and salary as shown to students; parsed into compensation when that is not given
   stipend: {
     type: String,
     trim: true,
@@ -46,6 +49,7 @@ const offCampusOpportunitySchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Salary cannot exceed 100 characters']
   },
+  compensation: compensationSchema,
   description: {
     type: String,
     required: [true, 'Description is required'],
@@ -218,6 +222,32 @@ offCampusOpportunitySchema.statics.getByExperience = function(experienceLevel) {
   }).sort({ postedDate: -1 });
 };
 
+// Compensation read from the stipend and salary text; null when neither has an amount
+const parseOpportunityCompensation = ({ stipend, salary }) => {
+  const parsedSalary = parseCompensation(salary);
+  const parsedStipend = parseCompensation(stipend, 'stipend');
+  return parsedSalary || parsedStipend ? { ...parsedStipend, ...parsedSalary } : null;
+};
+
+// Parse the stipend and salary text unless compensation is given with them
+offCampusOpportunitySchema.pre('validate', function(next) {
+  if ((this.isModified('stipend') || this.isModified('salary')) && !this.isModified('compensation')) {
+    this.compensation = parseOpportunityCompensation(this);
+  }
+  next();
+});
+
+// Static method to parse the stipend and salary text of opportunities saved
+// before compensation was structured
+offCampusOpportunitySchema.statics.backfillCompensation = async function() {
+  let updated = 0;
+  for await (const opportunity of this.find({ compensation: { $exists: false } }).cursor()) {
+    await this.updateOne({ _id: opportunity._id }, { compensation: parseOpportunityCompensation(opportunity) });
+    updated += 1;
+  }
+  return updated;
+};
+
 // Pre-save validation
 offCampusOpportunitySchema.pre('save', function(next) {
   if (this.minExperience && this.maxExperience && this.minExperience > this.maxExperience) {
@@ -231,6 +261,9 @@ offCampusOpportunitySchema.pre('save', function(next) {
   next();
 });
 
+// Scope to the institution of the current request
+offCampusOpportunitySchema.plugin(tenantScoped);
+
 // Indexes for faster queries
 offCampusOpportunitySchema.index({ title: 'text', company: 'text', description: 'text' });
 offCampusOpportunitySchema.index({ type: 1 });
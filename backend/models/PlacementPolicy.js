@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PlacementPolicy:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         batch:
+ *           type: integer
+ *           example: 2025
+ *         tiers:
+ *           type: array
+ *           description: Company tiers by package, lowest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: dream
+ *               minPackage:
+ *                 type: number
+ *                 description: Minimum package in LPA
+ *                 example: 10
+ *         maxOffers:
+ *           type: integer
+ *           nullable: true
+ *           description: Offers a student may hold (no limit if null)
+ *         allowUpgrades:
+ *           type: boolean
+ *           description: Placed students may apply to companies in a higher tier than their best offer
+ *         description:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const tierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tier name is required'],
+    trim: true,
+    maxlength: [50, 'Tier name cannot exceed 50 characters']
+  },
+  minPackage: {
+    type: Number,
+    required: [true, 'Minimum package is required'],
+    min: [0, 'Minimum package cannot be negative']
+  }
+}, { _id: false });
+
+const placementPolicySchema = new mongoose.Schema({
+  batch: {
+    type: Number,
+    required: [true, 'Batch is required'],
+    min: [2000, 'Invalid batch year'],
+    max: [2030, 'Invalid batch year']
+  },
+  tiers: [tierSchema],
+  maxOffers: {
+    type: Number,
+    min: [1, 'Maximum offers must be at least 1'],
+    default: null
+  },
+  allowUpgrades: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Method to get the tier of a package (index into tiers, -1 when there are no tiers)
+placementPolicySchema.methods.getTierIndex = function(packageValue) {
+  let index = this.tiers.length > 0 ? 0 : -1;
+  this.tiers.forEach((tier, i) => {
+    if (packageValue !== null && packageValue >= tier.minPackage) {
+      index = i;
+    }
+  });
+  return index;
+};
+
+// Instance method to get formatted policy data
+placementPolicySchema.methods.getFormattedData = function() {
+  return {
+    id: this._id,
+    batch: this.batch,
+    tiers: this.tiers.map(tier => ({ name: tier.name, minPackage: tier.minPackage })),
+    maxOffers: this.maxOffers,
+    allowUpgrades: this.allowUpgrades,
+    description: this.description,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to get the policy of each batch. Batches without one get the
+// default policy: a placed student cannot apply again.
+placementPolicySchema.statics.getForBatches = async function(batches) {
+  const policies = await this.find({ batch: { $in: batches } });
+  return new Map(batches.map(batch => [
+    batch,
+    policies.find(policy => policy.batch === batch) || new this({ batch, allowUpgrades: false })
+  ]));
+};
+
+// Keep tiers ordered from the lowest package up
+placementPolicySchema.pre('validate', function(next) {
+  const names = this.tiers.map(tier => tier.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    return next(new Error('Tier names must be unique'));
+  }
+
+  this.tiers.sort((a, b) => a.minPackage - b.minPackage);
+  next();
+});
+
+// One policy per batch in each institution
+placementPolicySchema.plugin(tenantScoped);
+
+// Indexes for faster queries
+placementPolicySchema.index({ tenantId: 1, batch: 1 }, { unique: true });
+
+module.exports = mongoose.model('PlacementPolicy', placementPolicySchema);
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const tenantScoped = require('../utils/tenancy');
+
+// Invitation tokens are never stored in plain text
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const getInvitationExpiryDays = () => parseInt(process.env.RECRUITER_INVITE_EXPIRE_DAYS) || 7;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecruiterInvitation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         name:
+ *           type: string
+ *         companyId:
+ *           type: string
+ *         isPrimaryContact:
+ *           type: boolean
+ *           description: Whether the recruiter becomes the company's primary contact on acceptance
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         invitedBy:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const recruiterInvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company ID is required']
+  },
+  isPrimaryContact: {
+    type: Boolean,
+    default: false
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviting user is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check if the invitation can still be accepted
+recruiterInvitationSchema.methods.isUsable = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+// Method to generate a new token and restart the expiry window; returns the plain token
+recruiterInvitationSchema.methods.renewToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(Date.now() + getInvitationExpiryDays() * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Method to revoke a pending invitation
+recruiterInvitationSchema.methods.revoke = function(adminId) {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = adminId;
+  return this.save();
+};
+
+// Instance method to get formatted invitation data (expired is derived, not stored)
+recruiterInvitationSchema.methods.getFormattedData = function() {
+  return {
+    id: this._id,
+    email: this.email,
+    name: this.name,
+    companyId: this.companyId,
+    isPrimaryContact: this.isPrimaryContact,
+    status: this.status === 'pending' && this.expiresAt <= new Date() ? 'expired' : this.status,
+    invitedBy: this.invitedBy,
+    expiresAt: this.expiresAt,
+    acceptedAt: this.acceptedAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to invite a recruiter. Any earlier pending invitation for the
+// same email is revoked so only the newest link works.
+// Returns the invitation and the plain token to email.
+recruiterInvitationSchema.statics.issue = async function({ email, name, companyId, isPrimaryContact = false, invitedBy }) {
+  await this.updateMany(
+    { email: email.toLowerCase(), status: 'pending' },
+    { status: 'revoked', revokedAt: new Date(), revokedBy: invitedBy }
+  );
+
+  const invitation = new this({ email, name, companyId, isPrimaryContact, invitedBy });
+  const token = invitation.renewToken();
+  await invitation.save();
+
+  return { invitation, token };
+};
+
+// Static method to find an invitation that can still be accepted. The
+// recruiter is not signed in, so the token is looked up in every institution.
+recruiterInvitationSchema.statics.findUsableByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  }).acrossTenants();
+};
+
+// Static method to claim an invitation exactly once; returns null if it was
+// accepted, revoked or expired in the meantime
+recruiterInvitationSchema.statics.claim = function(invitationId) {
+  return this.findOneAndUpdate(
+    { _id: invitationId, status: 'pending', expiresAt: { $gt: new Date() } },
+    { status: 'accepted', acceptedAt: new Date() },
+    { new: true }
+  ).acrossTenants();
+};
+
+// Invitations are managed by the institution that sent them
+recruiterInvitationSchema.plugin(tenantScoped);
+
+// Indexes for faster queries
+recruiterInvitationSchema.index({ tokenHash: 1 });
+recruiterInvitationSchema.index({ companyId: 1, status: 1 });
+recruiterInvitationSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.model('RecruiterInvitation', recruiterInvitationSchema);
@@ -1,24 +1,50 @@
 const mongoose = require('mongoose');
-
+const { runInTransaction } = require('../utils/transaction');
+const { runAcrossTenants } = require('../utils/tenancy');
+
+const ROUND_TYPES = [
+  'online_test',
+  'technical_interview',
+  'hr_interview',
+  'group_discussion',
+  'aptitude_test',
+  'case_study',
+  'coding_challenge',
+  'behavioral_interview',
+  'final_interview'
+];
+
+// Recruitment round of a company's drive, numbered by roundNumber. Rounds
+// created through /api/companies/:id/rounds and /api/rounds are the same
+// records, and candidates move through them in roundNumber order.
 const recruitmentRoundSchema = new mongoose.Schema({
   companyId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Company',
     required: [true, 'Company ID is required']
   },
+  // Round of a single job profile; null when every profile goes through it
+  jobProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   name: {
     type: String,
     required: [true, 'Round name is required'],
     trim: true,
     maxlength: [100, 'Round name cannot exceed 100 characters']
   },
+  type: {
+    type: String,
+    enum: ROUND_TYPES
+  },
   description: {
     type: String,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Rounds can be added to the process before they are scheduled
   scheduledDate: {
-    type: Date,
-    required: [true, 'Scheduled date is required']
+    type: Date
   },
   status: {
     type: String,
@@ -60,6 +86,35 @@ const recruitmentRoundSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  maxScore: {
+    type: Number,
+    min: 0
+  },
+  passingScore: {
+    type: Number,
+    min: 0
+  },
+  requiredDocuments: [{
+    type: String,
+    trim: true
+  }],
+  evaluationCriteria: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    weight: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    },
+    description: {
+      type: String,
+      trim: true
+    }
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -69,17 +124,21 @@ const recruitmentRoundSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Method to get candidates for this round
+// Method to get candidates for this round: applications in the round that
+// are still in the running
 recruitmentRoundSchema.methods.getCandidates = async function() {
   const Application = mongoose.model('Application');
 
   return await Application.find({
     companyId: this.companyId,
     roundId: this._id,
-    status: { $in: ['shortlisted', 'under-review'] }
+    status: { $in: ['submitted', 'under-review', 'shortlisted'] }
   })
-    .populate('studentId', 'rollNumber branch cgpa phone')
-    .populate('userId', 'name email')
+    .populate({
+      path: 'studentId',
+      select: 'rollNumber branch cgpa phone userId',
+      populate: { path: 'userId', select: 'name email' }
+    })
     .sort({ score: -1, submittedAt: -1 });
 };
 
@@ -96,48 +155,82 @@ recruitmentRoundSchema.methods.updateStatus = async function(newStatus) {
   return await this.save();
 };
 
-// Method to process round completion
+// Method to process round completion. Candidates move on (or are selected)
+// together or not at all. Rounds belong to the company, so the candidates of
+// every institution recruiting through a shared company move on with it.
 recruitmentRoundSchema.methods.processRoundCompletion = async function() {
   const Application = mongoose.model('Application');
   const RecruitmentRound = mongoose.model('RecruitmentRound');
-
-  // Get all applications in this round
-  const applications = await Application.find({
-    companyId: this.companyId,
-    roundId: this._id,
-    status: 'shortlisted'
-  });
-
-  // Find next round
-  const nextRound = await RecruitmentRound.findOne({
-    companyId: this.companyId,
-    roundNumber: this.roundNumber + 1,
-    status: { $ne: 'cancelled' }
-  });
-
-  if (nextRound) {
-    // Move candidates to next round
-    for (const application of applications) {
-      application.roundId = nextRound._id;
-      application.status = 'submitted';
-      await application.save();
+  const Student = mongoose.model('Student');
+  const Company = mongoose.model('Company');
+
+  await runAcrossTenants(() => runInTransaction(async ({ session, onRollback }) => {
+    const company = await Company.findById(this.companyId).session(session);
+
+    // Get all applications in this round
+    const applications = await Application.find({
+      companyId: this.companyId,
+      roundId: this._id,
+      status: 'shortlisted'
+    }).session(session);
+
+    // A round common to every job profile can lead to a different next round per profile
+    const profileIds = [...new Set(applications.map(application => String(application.jobProfileId)))];
+    for (const profileId of profileIds) {
+      const profileApplications = applications.filter(application => String(application.jobProfileId) === profileId);
+      const nextRound = await RecruitmentRound.findNextRound(
+        this.companyId,
+        profileApplications[0].jobProfileId,
+        this.roundNumber,
+        session
+      );
+
+      if (nextRound) {
+        // Move candidates to next round
+        for (const application of profileApplications) {
+          const { roundId, status } = application;
+          application.roundId = nextRound._id;
+          application.status = 'submitted';
+          await application.save({ session });
+          onRollback(() => Application.updateOne({ _id: application._id }, { roundId, status }));
+        }
+
+        const { currentCandidates } = nextRound;
+        nextRound.currentCandidates = profileApplications.length;
+        await nextRound.save({ session });
+        onRollback(() => RecruitmentRound.updateOne({ _id: nextRound._id }, { currentCandidates }));
+      } else {
+        // This is the final round, mark candidates as selected at the
+        // package of their job profile (or of the company)
+        const profile = company && profileApplications[0].jobProfileId &&
+          company.jobProfiles.id(profileApplications[0].jobProfileId);
+        const offer = profile || company;
+
+        for (const application of profileApplications) {
+          const { status } = application;
+          application.status = 'selected';
+          await application.save({ session });
+          onRollback(() => Application.updateOne({ _id: application._id }, { status }));
+
+          // Update student placement status
+          const student = await Student.findByIdAndUpdate(application.studentId, {
+            placed: true,
+            placedCompany: this.companyId,
+            ...(offer && { package: offer.packageOffered, compensation: offer.compensation })
+          }, { session });
+          if (student) {
+            const { placed, placedCompany } = student;
+            onRollback(() => Student.updateOne({ _id: student._id }, {
+              placed,
+              placedCompany: placedCompany || null,
+              package: student.package,
+              compensation: student.compensation || null
+            }));
+          }
+        }
+      }
     }
-    nextRound.currentCandidates = applications.length;
-    await nextRound.save();
-  } else {
-    // This is the final round, mark candidates as selected
-    for (const application of applications) {
-      application.status = 'selected';
-      await application.save();
-
-      // Update student placement status
-      const Student = mongoose.model('Student');
-      await Student.findByIdAndUpdate(application.studentId, {
-        placed: true,
-        placedCompany: this.companyId
-      });
-    }
-  }
+  }));
 };
 
 // Method to add candidate to round
@@ -182,18 +275,114 @@ recruitmentRoundSchema.methods.removeCandidate = async function(applicationId) {
   return application;
 };
 
+// Method to move the round to another position in its company's (or job
+// profile's) process, shifting the rounds in between
+recruitmentRoundSchema.methods.moveTo = async function(roundNumber) {
+  const oldRoundNumber = this.roundNumber;
+  if (oldRoundNumber === roundNumber) {
+    return this;
+  }
+
+  const group = { companyId: this.companyId, jobProfileId: this.jobProfileId, _id: { $ne: this._id } };
+  if (roundNumber < oldRoundNumber) {
+    // Move up: push back the rounds from the new position to the old one
+    await this.constructor.updateMany(
+      { ...group, roundNumber: { $gte: roundNumber, $lt: oldRoundNumber } },
+      { $inc: { roundNumber: 1 } }
+    );
+  } else {
+    // Move down: bring forward the rounds from the old position to the new one
+    await this.constructor.updateMany(
+      { ...group, roundNumber: { $gt: oldRoundNumber, $lte: roundNumber } },
+      { $inc: { roundNumber: -1 } }
+    );
+  }
+
+  this.roundNumber = roundNumber;
+  return await this.save();
+};
+
+// Instance method to get formatted round data
+recruitmentRoundSchema.methods.getFormattedInfo = function() {
+  return {
+    id: this._id,
+    companyId: this.companyId,
+    jobProfileId: this.jobProfileId,
+    name: this.name,
+    type: this.type,
+    description: this.description,
+    roundNumber: this.roundNumber,
+    status: this.status,
+    scheduledDate: this.scheduledDate,
+    duration: this.duration,
+    location: this.location,
+    isOnline: this.isOnline,
+    meetingLink: this.meetingLink,
+    instructions: this.instructions,
+    maxCandidates: this.maxCandidates,
+    currentCandidates: this.currentCandidates,
+    maxScore: this.maxScore,
+    passingScore: this.passingScore,
+    requiredDocuments: this.requiredDocuments,
+    evaluationCriteria: this.evaluationCriteria,
+    evaluationCriteriaTotal: this.evaluationCriteria.reduce((sum, criteria) => sum + criteria.weight, 0),
+    createdBy: this.createdBy,
+    createdAt: this.createdAt
+  };
+};
+
 // Static method to get rounds by company
 recruitmentRoundSchema.statics.getByCompany = function(companyId) {
   return this.find({ companyId })
     .sort({ roundNumber: 1, scheduledDate: 1 });
 };
 
-// Static method to get upcoming rounds
-recruitmentRoundSchema.statics.getUpcomingRounds = function(days = 7) {
+// Static method to get the rounds of a company in order, leaving out
+// cancelled rounds unless asked for
+recruitmentRoundSchema.statics.getCompanyRounds = function(companyId, includeCancelled = false) {
+  const query = { companyId };
+  if (!includeCancelled) {
+    query.status = { $ne: 'cancelled' };
+  }
+
+  return this.find(query)
+    .sort({ roundNumber: 1, scheduledDate: 1 })
+    .populate('createdBy', 'name email');
+};
+
+// Static method to get the number of a round added after every round of a company
+recruitmentRoundSchema.statics.getNextRoundNumber = async function(companyId) {
+  const lastRound = await this.findOne({ companyId })
+    .sort({ roundNumber: -1 })
+    .select('roundNumber');
+
+  return lastRound ? lastRound.roundNumber + 1 : 1;
+};
+
+// Static method to find the round after roundNumber for applicants of a job
+// profile: the profile's own round or one common to every profile
+recruitmentRoundSchema.statics.findNextRound = function(companyId, jobProfileId, roundNumber, session = null) {
+  return this.findOne({
+    companyId,
+    jobProfileId: { $in: [jobProfileId || null, null] },
+    roundNumber: { $gt: roundNumber },
+    status: { $ne: 'cancelled' }
+  })
+    .sort({ roundNumber: 1 })
+    .session(session);
+};
+
+// Static method to get upcoming rounds of the companies visible to the
+// current institution
+recruitmentRoundSchema.statics.getUpcomingRounds = async function(days = 7) {
+  const Company = mongoose.model('Company');
   const futureDate = new Date();
   futureDate.setDate(futureDate.getDate() + days);
 
+  const companies = await Company.find().select('_id');
+
   return this.find({
+    companyId: { $in: companies.map(company => company._id) },
     status: 'upcoming',
     scheduledDate: { $gte: new Date(), $lte: futureDate }
   })
@@ -217,9 +406,97 @@ recruitmentRoundSchema.statics.getCandidateRounds = async function(studentId) {
     .sort({ scheduledDate: 1 });
 };
 
+// Static method to move rounds saved with the former Round model (the
+// `rounds` collection, ordered by `sequence`) into recruitment rounds. They
+// keep their IDs and are merged with the company's common rounds: both were
+// numbered from 1, so rounds are ordered by that number, then by date, and
+// renumbered. Inactive rounds are cancelled; the others stay upcoming, as
+// their candidates were never moved on. Returns the number of rounds moved.
+recruitmentRoundSchema.statics.migrateLegacyRounds = async function() {
+  const legacy = mongoose.connection.db.collection('rounds');
+  const rounds = await legacy.find({}).toArray();
+  if (rounds.length === 0) {
+    return 0;
+  }
+
+  // Rounds already moved by an interrupted migration are not moved again
+  const movedIds = (await this.find({ _id: { $in: rounds.map(round => round._id) } }).distinct('_id'))
+    .map(id => id.toString());
+
+  const roundsByCompany = new Map();
+  rounds.filter(round => !movedIds.includes(round._id.toString())).forEach(round => {
+    const companyKey = round.companyId.toString();
+    if (!roundsByCompany.has(companyKey)) {
+      roundsByCompany.set(companyKey, []);
+    }
+    roundsByCompany.get(companyKey).push(round);
+  });
+
+  let moved = 0;
+  for (const legacyRounds of roundsByCompany.values()) {
+    const newRounds = legacyRounds.map(round => {
+      const newRound = new this({
+        _id: round._id,
+        companyId: round.companyId,
+        jobProfileId: null,
+        name: round.name,
+        type: round.type,
+        description: round.description,
+        scheduledDate: round.scheduledDate,
+        status: round.isActive === false ? 'cancelled' : 'upcoming',
+        roundNumber: round.sequence,
+        duration: typeof round.duration === 'number' ? `${round.duration} minutes` : round.duration,
+        location: round.location,
+        instructions: round.instructions,
+        maxScore: round.maxScore,
+        passingScore: round.passingScore,
+        requiredDocuments: round.requiredDocuments || [],
+        evaluationCriteria: round.evaluationCriteria || [],
+        createdBy: round.createdBy,
+        createdAt: round.createdAt
+      });
+      // Past rounds keep their date
+      newRound.$locals.migrated = true;
+      return newRound;
+    });
+
+    // Nothing of the company is changed unless all of its rounds are valid
+    await Promise.all(newRounds.map(newRound => newRound.validate()));
+
+    const existingRounds = await this.find({ companyId: legacyRounds[0].companyId, jobProfileId: null });
+    const compareDates = (a, b) => {
+      if (!a.scheduledDate || !b.scheduledDate) {
+        return (a.scheduledDate ? 0 : 1) - (b.scheduledDate ? 0 : 1);
+      }
+      return a.scheduledDate - b.scheduledDate;
+    };
+    const ordered = [...existingRounds, ...newRounds].sort((a, b) =>
+      (a.roundNumber - b.roundNumber) || compareDates(a, b) || (a.isNew - b.isNew));
+
+    // Existing rounds are renumbered first, so that the new ones fill the gaps.
+    // Updates skip the number check, which renumbering would trip over.
+    for (const [index, round] of ordered.entries()) {
+      if (!round.isNew && round.roundNumber !== index + 1) {
+        await this.updateOne({ _id: round._id }, { $set: { roundNumber: index + 1 } });
+      }
+      round.roundNumber = index + 1;
+    }
+
+    for (const newRound of newRounds) {
+      await newRound.save();
+      moved += 1;
+    }
+  }
+
+  await legacy.deleteMany({ _id: { $in: rounds.map(round => round._id) } });
+
+  return moved;
+};
+
 // Pre-save validation
 recruitmentRoundSchema.pre('save', function(next) {
-  if (this.scheduledDate && this.scheduledDate < new Date()) {
+  if (this.isModified('scheduledDate') && this.scheduledDate && this.scheduledDate < new Date() &&
+    !this.$locals.migrated) {
     return next(new Error('Scheduled date cannot be in the past'));
   }
 
@@ -230,10 +507,32 @@ recruitmentRoundSchema.pre('save', function(next) {
   next();
 });
 
+// Round numbers are unique within a company's common rounds and within the
+// rounds of each job profile
+recruitmentRoundSchema.pre('save', async function() {
+  if (!this.isModified('roundNumber') && !this.isModified('companyId') && !this.isModified('jobProfileId')) {
+    return;
+  }
+
+  const existingRound = await this.constructor.findOne({
+    companyId: this.companyId,
+    jobProfileId: this.jobProfileId,
+    roundNumber: this.roundNumber,
+    _id: { $ne: this._id }
+  });
+
+  if (existingRound) {
+    const error = new Error(`Round ${this.roundNumber} already exists for this ${this.jobProfileId ? 'profile' : 'company'}`);
+    error.name = 'RoundConflictError';
+    throw error;
+  }
+});
+
 // Indexes for faster queries
-recruitmentRoundSchema.index({ companyId: 1, roundNumber: 1 });
+recruitmentRoundSchema.index({ companyId: 1, jobProfileId: 1, roundNumber: 1 });
 recruitmentRoundSchema.index({ status: 1 });
 recruitmentRoundSchema.index({ scheduledDate: 1 });
 recruitmentRoundSchema.index({ createdBy: 1 });
 
-module.exports = mongoose.model('RecruitmentRound', recruitmentRoundSchema);
\ No newline at end of file
+module.exports = mongoose.model('RecruitmentRound', recruitmentRoundSchema);
+module.exports.ROUND_TYPES = ROUND_TYPES;
\ No newline at end of file
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { SYSTEM_ROLES, isValidPermission } = require('../utils/permissions');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Role ID
+ *         name:
+ *           type: string
+ *           description: Unique role key stored on users (lowercase, cannot be changed)
+ *           example: coordinator
+ *         displayName:
+ *           type: string
+ *           example: Placement Coordinator
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [windows:read, windows:write, rounds:write]
+ *         isSystem:
+ *           type: boolean
+ *           description: Built-in roles cannot be deleted
+ *         userCount:
+ *           type: integer
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    immutable: true,
+    match: [/^[a-z][a-z0-9_-]{1,49}$/, 'Role name may only contain lowercase letters, numbers, hyphens and underscores']
+  },
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true,
+    maxlength: [100, 'Display name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function(permissions) {
+        return permissions.every(isValidPermission);
+      },
+      message: 'Unknown permission in role definition'
+    }
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to get formatted role data
+roleSchema.methods.getFormattedData = function(userCount) {
+  return {
+    id: this._id,
+    name: this.name,
+    displayName: this.displayName,
+    description: this.description,
+    permissions: this.permissions,
+    isSystem: this.isSystem,
+    userCount,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to create any missing built-in roles (existing ones keep their edits)
+roleSchema.statics.ensureSystemRoles = async function() {
+  await Promise.all(Object.entries(SYSTEM_ROLES).map(([name, definition]) => this.updateOne(
+    { name },
+    { $setOnInsert: { name, ...definition, isSystem: true } },
+    { upsert: true }
+  )));
+
+  // Recruiters used to be stored with rounds:write, which covers the rounds of
+  // every company; they only manage their own company's rounds
+  await this.updateOne(
+    { name: 'recruiter', isSystem: true, permissions: 'rounds:write' },
+    { $set: { 'permissions.$': 'rounds:write:company' } }
+  );
+
+  // Recruiters used to reach their company's drive by role alone; stored
+  // recruiter roles predate companies:write:company, which now grants it
+  await this.updateOne(
+    { name: 'recruiter', isSystem: true },
+    { $addToSet: { permissions: 'companies:write:company' } }
+  );
+};
+
+// Static method to get the permissions granted by a role.
+// Built-in roles fall back to their defaults until they are stored.
+roleSchema.statics.getPermissionsForRole = async function(name) {
+  if (name === 'admin') {
+    return SYSTEM_ROLES.admin.permissions;
+  }
+
+  const role = await this.findOne({ name }).select('permissions');
+  if (role) {
+    return role.permissions;
+  }
+
+  return SYSTEM_ROLES[name] ? SYSTEM_ROLES[name].permissions : [];
+};
+
+// Static method to check if a role name can be assigned to users
+roleSchema.statics.roleExists = async function(name) {
+  if (SYSTEM_ROLES[name]) {
+    return true;
+  }
+
+  return !!(await this.exists({ name }));
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
+const { summarizePackages } = require('../utils/compensation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Season:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: 2025-26, batch 2026
+ *         academicYear:
+ *           type: string
+ *           example: 2025-26
+ *         batch:
+ *           type: integer
+ *           description: Graduating batch placed in the season
+ *           example: 2026
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *           description: Defaults to 1 July of the academic year
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *           description: Defaults to 30 June of the following year
+ *         status:
+ *           type: string
+ *           enum: [open, closed, archived]
+ *           description: Closed and archived seasons are read-only; archived ones are hidden from the season list
+ *         isCurrent:
+ *           type: boolean
+ *           description: Open and running today. New companies join the current season that started last.
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const seasonSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Season name cannot exceed 100 characters']
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    trim: true,
+    match: [/^\d{4}-\d{2}$/, 'Academic year must look like 2025-26']
+  },
+  batch: {
+    type: Number,
+    required: [true, 'Batch is required'],
+    min: [2000, 'Invalid batch year'],
+    max: [2030, 'Invalid batch year']
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'archived'],
+    default: 'open'
+  },
+  closedAt: {
+    type: Date
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Fill in the name and dates from the academic year
+seasonSchema.pre('validate', function(next) {
+  if (!this.academicYear || !/^\d{4}-\d{2}$/.test(this.academicYear)) {
+    return next();
+  }
+
+  const startYear = parseInt(this.academicYear.slice(0, 4));
+  if ((startYear + 1) % 100 !== parseInt(this.academicYear.slice(5))) {
+    return next(new Error('Academic year must span two consecutive years, e.g. 2025-26'));
+  }
+
+  if (!this.name) {
+    this.name = `${this.academicYear}, batch ${this.batch}`;
+  }
+  if (!this.startDate) {
+    this.startDate = new Date(startYear, 6, 1);
+  }
+  if (!this.endDate) {
+    this.endDate = new Date(startYear + 1, 5, 30, 23, 59, 59, 999);
+  }
+  if (this.endDate <= this.startDate) {
+    return next(new Error('End date must be after start date'));
+  }
+
+  next();
+});
+
+// Method to check if the season's records can still change
+seasonSchema.methods.isReadOnly = function() {
+  return this.status !== 'open';
+};
+
+// Method to check if the season is open and running today
+seasonSchema.methods.isCurrent = function() {
+  const now = new Date();
+  return this.status === 'open' && this.startDate <= now && now <= this.endDate;
+};
+
+// Method to get the filters scoping reads to this season: companies, windows
+// and applications by season, students by graduating batch
+seasonSchema.methods.getScope = function() {
+  return {
+    records: { seasonId: this._id },
+    students: { batch: this.batch }
+  };
+};
+
+// Method to get the placement figures of the season
+seasonSchema.methods.getStatistics = async function() {
+  const Student = mongoose.model('Student');
+  const Company = mongoose.model('Company');
+  const Application = mongoose.model('Application');
+  const { records, students } = this.getScope();
+
+  const [totalStudents, placedStudents, companies, applications, offers, packages] = await Promise.all([
+    Student.countDocuments(students),
+    Student.countDocuments({ ...students, placed: true }),
+    Company.countDocuments(records),
+    Application.countDocuments(records),
+    Application.countDocuments({ ...records, status: 'selected' }),
+    Student.getPlacedPackages(students)
+  ]);
+
+  return {
+    students: {
+      total: totalStudents,
+      placed: placedStudents,
+      placementRate: totalStudents > 0 ? Number(((placedStudents / totalStudents) * 100).toFixed(2)) : 0
+    },
+    companies,
+    applications,
+    offers,
+    packages: summarizePackages(packages.map(entry => entry.package))
+  };
+};
+
+// Instance method to get formatted season data
+seasonSchema.methods.getFormattedData = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    academicYear: this.academicYear,
+    batch: this.batch,
+    startDate: this.startDate,
+    endDate: this.endDate,
+    status: this.status,
+    isCurrent: this.isCurrent(),
+    closedAt: this.closedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to get the current season: of the open seasons running today,
+// the one that started last. Null when no season is running.
+seasonSchema.statics.getCurrent = function() {
+  const now = new Date();
+  return this.findOne({ status: 'open', startDate: { $lte: now }, endDate: { $gte: now } })
+    .sort({ startDate: -1 });
+};
+
+// Static method to find a season by ID, by academic year (e.g. 2025-26) or
+// "current"
+seasonSchema.statics.findByIdentifier = function(identifier) {
+  if (identifier === 'current') {
+    return this.getCurrent();
+  }
+
+  return mongoose.Types.ObjectId.isValid(identifier) && String(identifier).length === 24
+    ? this.findById(identifier)
+    : this.findOne({ academicYear: String(identifier) });
+};
+
+// Static method to get the season new records of a company join: the
+// company's own season, or the current season when the company has none or
+// it belongs to another institution
+seasonSchema.statics.resolveForCompany = async function(companyId, session = null) {
+  const company = companyId
+    ? await mongoose.model('Company').findById(companyId).select('seasonId').session(session)
+    : null;
+  const season = company && company.seasonId
+    ? await this.findById(company.seasonId).session(session)
+    : null;
+  return season || this.getCurrent().session(session);
+};
+
+// Static method to refuse writes to records of a closed or archived season
+seasonSchema.statics.assertWritable = async function(seasonId, session = null) {
+  if (!seasonId) {
+    return;
+  }
+
+  const season = await this.findById(seasonId).session(session);
+  if (season && season.isReadOnly()) {
+    const error = new Error(`The ${season.name} placement season is ${season.status} and read-only`);
+    error.name = 'SeasonClosedError';
+    throw error;
+  }
+};
+
+// Static method to attach records created during a season that have no
+// season yet (e.g. from before seasons existed). Returns the number attached
+// per model.
+seasonSchema.statics.adoptRecords = async function(season) {
+  const adopted = {};
+  const filter = {
+    seasonId: null,
+    createdAt: { $gte: season.startDate, $lte: season.endDate }
+  };
+
+  for (const modelName of ['Company', 'ApplicationWindow', 'Application']) {
+    const Model = mongoose.model(modelName);
+    // Shared companies of other institutions stay where they are
+    const result = await Model.updateMany(
+      modelName === 'Company' ? { ...filter, tenantId: season.tenantId || null } : filter,
+      { seasonId: season._id }
+    );
+    adopted[modelName] = result.modifiedCount;
+  }
+
+  return adopted;
+};
+
+// One season per academic year in each institution
+seasonSchema.plugin(tenantScoped);
+
+// Indexes for faster queries
+seasonSchema.index({ tenantId: 1, academicYear: 1 }, { unique: true });
+seasonSchema.index({ status: 1, startDate: -1 });
+
+module.exports = mongoose.model('Season', seasonSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Single document holding system-wide security settings managed by admins
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+    immutable: true
+  },
+  // Role names (see Role model)
+  mfaRequiredRoles: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the policy, creating it with defaults on first use
+securityPolicySchema.statics.getPolicy = async function() {
+  const policy = await this.findOne({ key: 'default' });
+  if (policy) {
+    return policy;
+  }
+
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default', mfaRequiredRoles: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to check if a role must use two-factor authentication
+securityPolicySchema.statics.isMfaRequiredForRole = async function(role) {
+  const policy = await this.getPolicy();
+  return policy.mfaRequiredRoles.includes(role);
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { generateTokenPair, decodeToken } = require('../utils/jwt');
+
+// Refresh tokens are never stored in plain text
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Session ID
+ *         deviceName:
+ *           type: string
+ *           description: Optional device label supplied at login
+ *         userAgent:
+ *           type: string
+ *           description: User agent the session was last used from
+ *         ipAddress:
+ *           type: string
+ *           description: IP address the session was last used from
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Institution the user belongs to, carried in the tokens as `tid`
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'reuse_detected', 'admin_revoked', 'password_changed', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check if session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to revoke session (the whole refresh token family)
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Instance method to get formatted session data
+sessionSchema.methods.getFormattedData = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  };
+};
+
+// Token payload for a session; `tid` is only present for institution members
+const getTokenPayload = (session) => ({
+  id: session.userId,
+  sid: session._id,
+  ...(session.tenantId && { tid: session.tenantId })
+});
+
+// Static method to start a new session and issue its first token pair
+sessionSchema.statics.start = async function(userId, meta = {}) {
+  const session = new this({
+    userId,
+    tenantId: meta.tenantId || null,
+    deviceName: meta.deviceName,
+    userAgent: meta.userAgent,
+    ipAddress: meta.ipAddress
+  });
+
+  const tokens = generateTokenPair(getTokenPayload(session));
+  session.refreshTokenHash = hashToken(tokens.refreshToken);
+  session.expiresAt = new Date(decodeToken(tokens.refreshToken).exp * 1000);
+
+  await session.save();
+  return { session, tokens };
+};
+
+// Static method to rotate a refresh token.
+// Returns the new token pair, or throws if the token was revoked or reused.
+sessionSchema.statics.rotate = async function(decoded, refreshToken, meta = {}) {
+  const session = await this.findById(decoded.sid).select('+refreshTokenHash');
+
+  if (!session || session.userId.toString() !== decoded.id.toString()) {
+    const error = new Error('Session not found');
+    error.name = 'SessionError';
+    throw error;
+  }
+
+  if (!session.isActive()) {
+    const error = new Error('Session has been revoked');
+    error.name = 'SessionError';
+    throw error;
+  }
+
+  const tokens = generateTokenPair(getTokenPayload(session));
+
+  // Only swap the hash if the presented token is still the current one, so two
+  // concurrent refreshes with the same token cannot both succeed
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    {
+      refreshTokenHash: hashToken(tokens.refreshToken),
+      expiresAt: new Date(decodeToken(tokens.refreshToken).exp * 1000),
+      lastUsedAt: new Date(),
+      ipAddress: meta.ipAddress || session.ipAddress,
+      userAgent: meta.userAgent || session.userAgent,
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // A validly signed but already rotated token: assume it was stolen and kill the family
+    await session.revoke('reuse_detected');
+    console.warn(`Refresh token reuse detected for session ${session._id} (user ${session.userId})`);
+    const error = new Error('Refresh token reuse detected');
+    error.name = 'SessionError';
+    throw error;
+  }
+
+  return { session: rotated, tokens };
+};
+
+// Static method to get active sessions for a user
+sessionSchema.statics.getActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all sessions of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'user_revoked', exceptSessionId = null) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Indexes for faster queries
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB purge sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,239 @@
 const mongoose = require('mongoose');
+const tenantScoped = require('../utils/tenancy');
+const { checkPlacementPolicy } = require('../utils/placementPolicy');
+const { runInTransaction } = require('../utils/transaction');
+const { ROLE_TYPES } = require('../utils/placementPreferences');
+const { compensationSchema, parseCompensation, toPackageValue } = require('../utils/compensation');
+
+// School results used for 10th and 12th/diploma cut-offs
+const schoolResultSchema = new mongoose.Schema({
+  board: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Board cannot exceed 100 characters']
+  },
+  percentage: {
+    type: Number,
+    required: [true, 'Percentage is required'],
+    min: [0, 'Percentage cannot be less than 0'],
+    max: [100, 'Percentage cannot be more than 100']
+  },
+  passingYear: {
+    type: Number,
+    min: [1990, 'Invalid passing year'],
+    max: [2030, 'Invalid passing year']
+  }
+}, { _id: false });
+
+const semesterResultSchema = new mongoose.Schema({
+  semester: {
+    type: Number,
+    required: [true, 'Semester is required'],
+    min: [1, 'Semester must be at least 1'],
+    max: [12, 'Semester cannot be more than 12']
+  },
+  sgpa: {
+    type: Number,
+    required: [true, 'SGPA is required'],
+    min: [0, 'SGPA cannot be less than 0'],
+    max: [10, 'SGPA cannot be more than 10']
+  },
+  credits: {
+    type: Number,
+    required: [true, 'Credits are required'],
+    min: [1, 'Credits must be at least 1']
+  },
+  resultDate: {
+    type: Date
+  }
+}, { _id: false });
+
+const backlogSchema = new mongoose.Schema({
+  subjectCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  subjectName: {
+    type: String,
+    required: [true, 'Subject name is required'],
+    trim: true
+  },
+  semester: {
+    type: Number,
+    required: [true, 'Semester is required'],
+    min: [1, 'Semester must be at least 1'],
+    max: [12, 'Semester cannot be more than 12']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cleared'],
+    default: 'active'
+  },
+  failedOn: {
+    type: Date
+  },
+  clearedOn: {
+    type: Date,
+    default: null
+  }
+});
+
+// A project the student worked on, shown to recruiters
+const projectSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Project title is required'],
+    trim: true,
+    maxlength: [100, 'Project title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Project description cannot exceed 1000 characters']
+  },
+  technologies: [{
+    type: String,
+    trim: true
+  }],
+  duration: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Project duration cannot exceed 50 characters']
+  },
+  url: {
+    type: String,
+    trim: true
+  }
+});
+
+// An internship or other work experience
+const internshipSchema = new mongoose.Schema({
+  company: {
+    type: String,
+    required: [true, 'Company is required'],
+    trim: true,
+    maxlength: [100, 'Company cannot exceed 100 characters']
+  },
+  position: {
+    type: String,
+    required: [true, 'Position is required'],
+    trim: true,
+    maxlength: [100, 'Position cannot exceed 100 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // Unset while the internship is ongoing
+  endDate: {
+    type: Date,
+    validate: {
+      validator: function(endDate) {
+        return !endDate || !this.startDate || endDate >= this.startDate;
+      },
+      message: 'End date cannot be before the start date'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Internship description cannot exceed 1000 characters']
+  }
+});
+
+const certificationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Certification name is required'],
+    trim: true,
+    maxlength: [100, 'Certification name cannot exceed 100 characters']
+  },
+  issuer: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Issuer cannot exceed 100 characters']
+  },
+  issuedOn: {
+    type: Date
+  },
+  credentialUrl: {
+    type: String,
+    trim: true
+  }
+});
+
+// Portfolio sections, each a list of items students manage one at a time
+const PORTFOLIO_SECTIONS = ['projects', 'internships', 'certifications'];
+
+// Skills a profile needs to count as complete
+const MIN_PROFILE_SKILLS = 3;
+
+// What a complete profile has. Weights add up to 100.
+const PROFILE_CHECKLIST = [
+  {
+    item: 'resume',
+    label: 'Upload your resume',
+    weight: 30,
+    isComplete: student => !!student.resumeUrl
+  },
+  {
+    item: 'skills',
+    label: `Add at least ${MIN_PROFILE_SKILLS} skills`,
+    weight: 20,
+    isComplete: student => (student.skills || []).length >= MIN_PROFILE_SKILLS
+  },
+  {
+    item: 'phone',
+    label: 'Add your phone number',
+    weight: 10,
+    isComplete: student => !!student.phone
+  },
+  {
+    item: 'academicHistory',
+    label: 'Add your 10th, 12th/diploma and semester results',
+    weight: 25,
+    isComplete: student => {
+      const record = student.academicRecord || {};
+      return !!(record.tenth && record.twelfth && (record.semesters || []).length > 0);
+    }
+  },
+  {
+    item: 'projects',
+    label: 'Add at least one project',
+    weight: 15,
+    isComplete: student => (student.projects || []).length > 0
+  }
+];
+
+// Sections of the academic record that are verified separately
+const ACADEMIC_SECTIONS = ['tenth', 'twelfth', 'semesters', 'backlogs'];
+
+// Review state of one section of the academic record
+const verificationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected'],
+    default: 'pending'
+  },
+  submittedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, { _id: false });
 
 const studentSchema = new mongoose.Schema({
   userId: {
@@ -10,7 +245,6 @@ const studentSchema = new mongoose.Schema({
   rollNumber: {
     type: String,
     required: [true, 'Roll number is required'],
-    unique: true,
     trim: true,
     uppercase: true,
     match: [/^[A-Z0-9]+$/, 'Roll number should contain only alphanumeric characters']
@@ -57,11 +291,59 @@ const studentSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  projects: [projectSchema],
+  internships: [internshipSchema],
+  certifications: [certificationSchema],
+  // Percentage of PROFILE_CHECKLIST completed; recalculated on every save
+  profileCompleteness: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Active backlogs; calculated from the academic record once it exists
   backlogs: {
     type: Number,
     default: 0,
     min: [0, 'Backlogs cannot be negative']
   },
+  // Every backlog ever recorded, cleared or not
+  totalBacklogs: {
+    type: Number,
+    default: 0,
+    min: [0, 'Backlogs cannot be negative']
+  },
+  // Years of break in education before or during the degree
+  gapYears: {
+    type: Number,
+    default: 0,
+    min: [0, 'Gap years cannot be negative']
+  },
+  academicRecord: {
+    tenth: {
+      type: schoolResultSchema,
+      default: undefined
+    },
+    twelfth: {
+      type: new mongoose.Schema({
+        qualification: {
+          type: String,
+          enum: ['12th', 'diploma'],
+          default: '12th'
+        }
+      }, { _id: false }).add(schoolResultSchema),
+      default: undefined
+    },
+    semesters: [semesterResultSchema],
+    backlogs: [backlogSchema]
+  },
+  // Sections without a review state have not been reviewed and are not verified
+  academicVerification: {
+    tenth: { type: verificationSchema, default: undefined },
+    twelfth: { type: verificationSchema, default: undefined },
+    semesters: { type: verificationSchema, default: undefined },
+    backlogs: { type: verificationSchema, default: undefined }
+  },
   batch: {
     type: Number,
     required: [true, 'Batch/Year is required'],
@@ -77,16 +359,209 @@ const studentSchema = new mongoose.Schema({
     ref: 'Company',
     default: null
   },
+  // Package of the placement as text; parsed into compensation when that is not given
   package: {
     type: String,
     default: null
+  },
+  compensation: compensationSchema,
+  // Students who opted out of campus placement (e.g. for higher studies) cannot apply
+  placementOptOut: {
+    optedOut: {
+      type: Boolean,
+      default: false
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    optedOutAt: {
+      type: Date
+    }
+  },
+  // What the student is looking for; ranks or filters the companies list and
+  // off-campus feed (see utils/placementPreferences.js)
+  placementPreferences: {
+    // 'Remote' matches remote work
+    locations: [{
+      type: String,
+      trim: true
+    }],
+    industries: [{
+      type: String,
+      trim: true
+    }],
+    excludedIndustries: [{
+      type: String,
+      trim: true
+    }],
+    // Lakhs per annum
+    minPackage: {
+      type: Number,
+      min: [0, 'Minimum package cannot be negative']
+    },
+    roleTypes: [{
+      type: String,
+      enum: ROLE_TYPES
+    }]
   }
 }, {
   timestamps: true
 });
 
-// Method to check eligibility for a company
-studentSchema.methods.checkEligibility = async function(companyId) {
+// Method to check if CGPA and backlogs are calculated from the academic record
+studentSchema.methods.hasAcademicRecord = function() {
+  const record = this.academicRecord || {};
+  return (record.semesters || []).length > 0 || (record.backlogs || []).length > 0;
+};
+
+// Method to recalculate CGPA (credit-weighted SGPA) and backlog counts from the
+// academic record. Sections count once they are verified; until then the
+// previous values are kept.
+studentSchema.methods.applyAcademicRecord = function() {
+  if (!this.hasAcademicRecord()) {
+    // Entered by hand: the history can never be shorter than what is still active
+    this.totalBacklogs = Math.max(this.totalBacklogs || 0, this.backlogs || 0);
+    return;
+  }
+
+  const { semesters, backlogs } = this.academicRecord;
+  const totalCredits = semesters.reduce((sum, result) => sum + result.credits, 0);
+  if (totalCredits > 0 && this.getVerificationStatus('semesters') === 'verified') {
+    const weighted = semesters.reduce((sum, result) => sum + result.sgpa * result.credits, 0);
+    this.cgpa = Math.round((weighted / totalCredits) * 100) / 100;
+  }
+
+  if (this.getVerificationStatus('backlogs') === 'verified') {
+    this.backlogs = backlogs.filter(backlog => backlog.status === 'active').length;
+    this.totalBacklogs = backlogs.length;
+  }
+};
+
+// Method to check if a section of the academic record holds any data
+studentSchema.methods.hasAcademicSection = function(section) {
+  const value = this.academicRecord && this.academicRecord[section];
+  return Array.isArray(value) ? value.length > 0 : !!value;
+};
+
+// Method to get the review state of a section of the academic record: null
+// when nothing has been recorded for it and 'unverified' when no one has
+// reviewed it. CGPA and backlog counts are always set, so the semesters and
+// backlogs sections are never empty.
+studentSchema.methods.getVerificationStatus = function(section) {
+  const verification = this.academicVerification && this.academicVerification[section];
+  if (verification && verification.status) {
+    return verification.status;
+  }
+  return this.hasAcademicSection(section) || ['semesters', 'backlogs'].includes(section) ? 'unverified' : null;
+};
+
+// Method to mark sections entered by staff as verified as they are entered
+studentSchema.methods.verifyEnteredSections = function(sections, reviewerId) {
+  sections
+    .filter(section => this.getVerificationStatus(section) !== null)
+    .forEach(section => this.reviewAcademicSection(section, 'verified', reviewerId));
+};
+
+// Method to mark a section as submitted by the student and awaiting review
+studentSchema.methods.submitAcademicSection = function(section) {
+  this.set(`academicVerification.${section}`, {
+    status: 'pending',
+    submittedAt: new Date()
+  });
+};
+
+// Method to record the review of a section of the academic record
+studentSchema.methods.reviewAcademicSection = function(section, status, reviewerId, note) {
+  const current = this.academicVerification && this.academicVerification[section];
+  this.set(`academicVerification.${section}`, {
+    status,
+    submittedAt: current ? current.submittedAt : undefined,
+    reviewedBy: reviewerId,
+    reviewedAt: new Date(),
+    note
+  });
+};
+
+// Method to get the values used for eligibility, with null for anything not verified.
+// CGPA and backlog counts belong to the semesters and backlogs sections.
+studentSchema.methods.getVerifiedAcademicData = function() {
+  const record = this.academicRecord || {};
+  const isVerified = section => this.getVerificationStatus(section) === 'verified';
+
+  return {
+    cgpa: isVerified('semesters') ? this.cgpa : null,
+    backlogs: isVerified('backlogs') ? this.backlogs : null,
+    totalBacklogs: isVerified('backlogs') ? this.totalBacklogs : null,
+    tenthPercentage: isVerified('tenth') && record.tenth ? record.tenth.percentage : null,
+    twelfthPercentage: isVerified('twelfth') && record.twelfth ? record.twelfth.percentage : null
+  };
+};
+
+// Method to get the academic details copied into each application
+studentSchema.methods.getAcademicSummary = function() {
+  const record = this.academicRecord || {};
+  const summary = {
+    tenthPercentage: record.tenth ? record.tenth.percentage : undefined,
+    twelfthPercentage: record.twelfth ? record.twelfth.percentage : undefined,
+    graduationCGPA: this.cgpa,
+    currentBacklogs: this.backlogs,
+    totalBacklogs: this.totalBacklogs
+  };
+
+  // Leave out what is not on record so application form values are kept
+  return Object.fromEntries(Object.entries(summary).filter(([, value]) => value !== undefined));
+};
+
+// Method to get the portfolio copied into each application. Sections without
+// items are left out so application form values are kept.
+studentSchema.methods.getPortfolioSnapshot = function() {
+  const formatMonth = date => date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+  const snapshot = {
+    projectDetails: (this.projects || []).map(project => ({
+      title: project.title,
+      description: project.description,
+      technologies: [...(project.technologies || [])],
+      duration: project.duration,
+      url: project.url
+    })),
+    experienceDetails: (this.internships || []).map(internship => ({
+      company: internship.company,
+      position: internship.position,
+      duration: `${formatMonth(internship.startDate)} - ${internship.endDate ? formatMonth(internship.endDate) : 'Present'}`,
+      description: internship.description
+    })),
+    certifications: (this.certifications || []).map(certification => ({
+      name: certification.name,
+      issuer: certification.issuer,
+      issuedOn: certification.issuedOn,
+      credentialUrl: certification.credentialUrl
+    }))
+  };
+
+  return Object.fromEntries(Object.entries(snapshot).filter(([, items]) => items.length > 0));
+};
+
+// Method to get the profile completeness score with the checklist items done and missing
+studentSchema.methods.getProfileCompleteness = function() {
+  const checklist = PROFILE_CHECKLIST.map(({ item, label, weight, isComplete }) => ({
+    item,
+    label,
+    weight,
+    complete: isComplete(this)
+  }));
+
+  return {
+    score: checklist.reduce((score, entry) => score + (entry.complete ? entry.weight : 0), 0),
+    checklist,
+    missing: checklist.filter(entry => !entry.complete).map(({ item, label }) => ({ item, label }))
+  };
+};
+
+// Method to check eligibility for a company, or for one of its job profiles
+studentSchema.methods.checkEligibility = async function(companyId, jobProfileId = null) {
   const ApplicationWindow = mongoose.model('ApplicationWindow');
   const Company = mongoose.model('Company');
 
@@ -103,14 +578,18 @@ studentSchema.methods.checkEligibility = async function(companyId) {
       return { eligible: false, reason: 'Application window is not open' };
     }
 
-    // Check CGPA requirement
-    if (appWindow.minCGPA && this.cgpa < appWindow.minCGPA) {
-      return { eligible: false, reason: `Minimum CGPA required is ${appWindow.minCGPA}` };
+    // Check placement policy (opt-out, offer limit, tier upgrades)
+    const company = await Company.findById(companyId);
+    const jobProfile = company && jobProfileId ? company.jobProfiles.id(jobProfileId) : null;
+    const placement = await checkPlacementPolicy(this, company, jobProfile);
+    if (!placement.allowed) {
+      return { eligible: false, reason: placement.reason, policy: placement.policy };
     }
 
-    // Check backlogs requirement
-    if (appWindow.maxBacklogs !== undefined && this.backlogs > appWindow.maxBacklogs) {
-      return { eligible: false, reason: `Maximum backlogs allowed is ${appWindow.maxBacklogs}` };
+    // Check CGPA, backlog and 10th/12th requirements
+    const academicReason = appWindow.getAcademicIneligibilityReason(this);
+    if (academicReason) {
+      return { eligible: false, reason: academicReason };
     }
 
     // Check branch eligibility
@@ -120,15 +599,22 @@ studentSchema.methods.checkEligibility = async function(companyId) {
       }
     }
 
-    // Check if already applied
-    const Application = mongoose.model('Application');
-    const existingApplication = await Application.findOne({
-      studentId: this._id,
-      companyId
-    });
+    // Check profile completeness
+    const completenessReason = appWindow.getCompletenessIneligibilityReason(this);
+    if (completenessReason) {
+      return { eligible: false, reason: completenessReason };
+    }
 
-    if (existingApplication) {
-      return { eligible: false, reason: 'You have already applied to this company' };
+    // Check the window's eligibility rule
+    const failedClauses = appWindow.getRuleFailures(this);
+    if (failedClauses.length > 0) {
+      return { eligible: false, reason: `Eligibility rule not met: ${failedClauses.join('; ')}`, failedClauses };
+    }
+
+    // Check job profile cut-offs and if already applied
+    const applicationReason = company && await company.getApplicationIneligibilityReason(this, jobProfileId);
+    if (applicationReason) {
+      return { eligible: false, reason: applicationReason };
     }
 
     return { eligible: true };
@@ -138,6 +624,58 @@ studentSchema.methods.checkEligibility = async function(companyId) {
   }
 };
 
+// Keep CGPA and backlog counts in line with the academic record
+studentSchema.pre('validate', function(next) {
+  const semesters = (this.academicRecord && this.academicRecord.semesters) || [];
+  const numbers = semesters.map(result => result.semester);
+  if (new Set(numbers).size !== numbers.length) {
+    return next(new Error('Each semester can only be recorded once'));
+  }
+
+  const backlogs = (this.academicRecord && this.academicRecord.backlogs) || [];
+  if (backlogs.some(backlog => backlog.status === 'cleared' && !backlog.clearedOn)) {
+    return next(new Error('Cleared backlogs must have a cleared date'));
+  }
+
+  this.applyAcademicRecord();
+  this.profileCompleteness = this.getProfileCompleteness().score;
+  next();
+});
+
+// Parse a package entered as text unless compensation is given with it
+studentSchema.pre('validate', function(next) {
+  if (this.package && this.isModified('package') && !this.isModified('compensation')) {
+    this.compensation = parseCompensation(this.package);
+  }
+  next();
+});
+
+// Static method to get the package (CTC in LPA) of each placed student
+// matching a query: their own compensation, or else that of the company they
+// were placed at. Students whose package is not known are left out.
+studentSchema.statics.getPlacedPackages = async function(query = {}) {
+  const students = await this.find({ ...query, placed: true })
+    .select('branch batch compensation placedCompany')
+    .populate('placedCompany', 'compensation');
+
+  return students
+    .map(student => ({
+      branch: student.branch,
+      batch: student.batch,
+      package: toPackageValue(student.compensation) ??
+        toPackageValue(student.placedCompany && student.placedCompany.compensation)
+    }))
+    .filter(entry => entry.package !== null);
+};
+
+// Static method to build a filter matching students whose sections are all verified
+studentSchema.statics.getVerifiedFilter = function(sections = ACADEMIC_SECTIONS) {
+  return Object.fromEntries(sections.map(section => [
+    `academicVerification.${section}.status`,
+    'verified'
+  ]));
+};
+
 // Method to get applications
 studentSchema.methods.getApplications = async function() {
   const Application = mongoose.model('Application');
@@ -146,85 +684,236 @@ studentSchema.methods.getApplications = async function() {
     .sort({ submittedAt: -1 });
 };
 
-// Static method to upload multiple students
-studentSchema.statics.bulkUpload = async function(studentsData) {
-  const results = {
-    success: [],
-    errors: [],
-    duplicates: []
-  };
+// Student fields a bulk upload can update on an existing student
+const BULK_UPDATE_FIELDS = ['phone', 'branch', 'batch', 'cgpa', 'backlogs', 'gapYears', 'skills'];
 
-  for (let i = 0; i < studentsData.length; i++) {
-    try {
-      const studentData = studentsData[i];
-
-      // Check for duplicate roll number or email
-      const existingStudent = await this.findOne({
-        $or: [
-          { rollNumber: studentData.rollNumber },
-          { 'userId.email': studentData.email }
-        ]
-      }).populate('userId');
-
-      if (existingStudent) {
-        if (existingStudent.rollNumber === studentData.rollNumber) {
-          results.duplicates.push({
-            row: i + 1,
-            data: studentData,
-            reason: 'Roll number already exists'
-          });
-        } else {
-          results.duplicates.push({
-            row: i + 1,
-            data: studentData,
-            reason: 'Email already exists'
-          });
-        }
-        continue;
+// Messages of the validation errors of some paths of a document
+const getValidationMessages = (doc, paths) => {
+  if (paths.length === 0) {
+    return [];
+  }
+  const error = doc.validateSync(paths);
+  return error ? Object.values(error.errors).map(fieldError => fieldError.message) : [];
+};
+
+// Static method to upload multiple students from parsed rows ({ row, data, errors }).
+// In insert mode existing roll numbers are skipped; in upsert mode they are
+// updated. With dryRun nothing is saved and each row reports what would happen.
+// CGPA and backlogs uploaded by staff (uploadedBy) are verified.
+studentSchema.statics.bulkUpload = async function(rows, { mode = 'insert', dryRun = false, uploadedBy = null } = {}) {
+  const User = mongoose.model('User');
+
+  const rollNumbers = rows.map(({ data }) => data.rollNumber).filter(Boolean);
+  const emails = rows.map(({ data }) => data.email).filter(Boolean);
+  const [existingStudents, existingUsers] = await Promise.all([
+    this.find({ rollNumber: { $in: rollNumbers } }).populate('userId', 'name email'),
+    User.find({ email: { $in: emails } }).select('email')
+  ]);
+  const studentsByRollNumber = new Map(existingStudents.map(student => [student.rollNumber, student]));
+  const takenEmails = new Set(existingUsers.map(user => user.email));
+
+  const seenRollNumbers = new Set();
+  const seenEmails = new Set();
+  const results = rows.map(({ row, data, errors }) => {
+    const result = { row, rollNumber: data.rollNumber, action: null, changes: [], errors: [...errors] };
+
+    if (data.rollNumber) {
+      if (seenRollNumbers.has(data.rollNumber)) {
+        result.errors.push('Roll number appears more than once in the file');
+      }
+      seenRollNumbers.add(data.rollNumber);
+    }
+    if (data.email) {
+      if (seenEmails.has(data.email)) {
+        result.errors.push('Email appears more than once in the file');
       }
+      seenEmails.add(data.email);
+    }
 
-      // Create user first
-      const User = mongoose.model('User');
-      const user = new User({
-        name: studentData.name,
-        email: studentData.email,
-        password: studentData.password || 'tempPassword123',
-        role: 'student'
+    const existingStudent = studentsByRollNumber.get(data.rollNumber);
+
+    if (existingStudent && mode !== 'upsert') {
+      result.action = 'skip';
+      result.reason = 'Roll number already exists';
+      return result;
+    }
+
+    if (existingStudent) {
+      // Update the fields in the row that differ from the existing record
+      if (data.email && existingStudent.userId && data.email !== existingStudent.userId.email) {
+        result.errors.push('Email does not match the existing student with this roll number');
+      }
+      if (data.name && existingStudent.userId && data.name !== existingStudent.userId.name) {
+        result.changes.push({ field: 'name', from: existingStudent.userId.name, to: data.name });
+      }
+      BULK_UPDATE_FIELDS.forEach(field => {
+        const from = existingStudent[field];
+        const to = data[field];
+        const isSame = Array.isArray(to) ? to.join(',') === Array.from(from || []).join(',') : to === from;
+        if (to !== undefined && !isSame) {
+          result.changes.push({ field, from: Array.isArray(from) ? Array.from(from) : from, to });
+        }
       });
 
-      await user.save();
+      const changedFields = result.changes.map(change => change.field).filter(field => field !== 'name');
+      if (existingStudent.hasAcademicRecord() && changedFields.some(field => ['cgpa', 'backlogs'].includes(field))) {
+        result.errors.push('CGPA and backlogs are calculated from the academic record. Update the record instead.');
+      }
+      changedFields.forEach(field => existingStudent.set(field, data[field]));
+      result.errors.push(...getValidationMessages(existingStudent, changedFields));
+      existingStudent.verifyEnteredSections([
+        ...(changedFields.includes('cgpa') ? ['semesters'] : []),
+        ...(changedFields.includes('backlogs') ? ['backlogs'] : [])
+      ], uploadedBy);
+
+      result.student = existingStudent;
+      result.action = result.changes.length > 0 ? 'update' : 'unchanged';
+    } else {
+      // Create the user first. Without a password in the upload, the student is
+      // emailed a link to set one; either way it must be changed.
+      if (data.email && takenEmails.has(data.email)) {
+        result.errors.push('Email already exists');
+      }
 
-      // Create student
+      const user = new User({
+        name: data.name,
+        email: data.email,
+        password: data.password || User.generateTemporaryPassword(),
+        role: 'student',
+        mustChangePassword: true
+      });
       const student = new this({
         userId: user._id,
-        rollNumber: studentData.rollNumber,
-        branch: studentData.branch,
-        cgpa: studentData.cgpa,
-        phone: studentData.phone,
-        skills: studentData.skills || [],
-        batch: studentData.batch
+        rollNumber: data.rollNumber,
+        branch: data.branch,
+        cgpa: data.cgpa,
+        phone: data.phone,
+        skills: data.skills || [],
+        batch: data.batch,
+        backlogs: data.backlogs || 0,
+        totalBacklogs: data.backlogs || 0,
+        gapYears: data.gapYears || 0
       });
+      result.errors.push(
+        ...getValidationMessages(user, ['name', 'email', 'password']),
+        ...getValidationMessages(student, ['rollNumber', 'branch', 'cgpa', 'phone', 'batch', 'backlogs', 'gapYears'])
+      );
+      student.verifyEnteredSections(['semesters', 'backlogs'], uploadedBy);
 
-      await student.save();
-      results.success.push(student);
-    } catch (error) {
-      results.errors.push({
-        row: i + 1,
-        data: studentsData[i],
-        error: error.message
-      });
+      result.user = user;
+      result.student = student;
+      result.action = 'create';
+      result.passwordSetup = !data.password;
+    }
+
+    if (result.errors.length > 0) {
+      result.action = 'error';
+    }
+    return result;
+  });
+
+  if (!dryRun) {
+    for (const result of results) {
+      try {
+        if (result.action === 'create') {
+          // The user and the student are created together or not at all
+          await runInTransaction(async ({ session, onRollback }) => {
+            await result.user.save({ session });
+            onRollback(() => User.deleteOne({ _id: result.user._id }));
+            await result.student.save({ session });
+          });
+        } else if (result.action === 'update') {
+          const nameChange = result.changes.find(change => change.field === 'name');
+          if (result.changes.some(change => change.field === 'backlogs')) {
+            result.student.totalBacklogs = Math.max(result.student.totalBacklogs || 0, result.student.backlogs);
+          }
+          await runInTransaction(async ({ session, onRollback }) => {
+            if (nameChange) {
+              const userId = result.student.userId._id;
+              await User.updateOne({ _id: userId }, { name: nameChange.to }, { session });
+              onRollback(() => User.updateOne({ _id: userId }, { name: nameChange.from }));
+            }
+            await result.student.save({ session });
+          });
+        }
+      } catch (error) {
+        result.action = 'error';
+        result.errors.push(error.message);
+      }
     }
   }
 
-  return results;
+  const summary = { total: results.length, create: 0, update: 0, unchanged: 0, skip: 0, error: 0 };
+  results.forEach(result => {
+    summary[result.action]++;
+  });
+
+  return {
+    dryRun,
+    mode,
+    summary,
+    rows: results.map(({ user, student, ...result }) => ({
+      ...result,
+      studentId: student && !student.isNew ? student._id : undefined
+    }))
+  };
 };
 
+// Static method to delete a student with their applications, change requests
+// and user account. Dependent records go first, so a failure on a server
+// without transactions leaves at most an account without a profile, which the
+// consistency check repairs.
+studentSchema.statics.deleteWithAccount = async function(student) {
+  const Application = mongoose.model('Application');
+  const AcademicChangeRequest = mongoose.model('AcademicChangeRequest');
+  const User = mongoose.model('User');
+  const userId = student.userId && student.userId._id ? student.userId._id : student.userId;
+
+  await runInTransaction(async ({ session }) => {
+    await Application.deleteMany({ studentId: student._id }, { session });
+    await AcademicChangeRequest.deleteMany({ studentId: student._id }, { session });
+    await this.deleteOne({ _id: student._id }, { session });
+    if (userId) {
+      await User.deleteOne({ _id: userId }, { session });
+    }
+  });
+};
+
+// Static method to calculate the completeness of profiles saved before it was
+// stored. Returns the number of profiles updated.
+studentSchema.statics.backfillProfileCompleteness = async function() {
+  let updated = 0;
+  for await (const student of this.find({ profileCompleteness: { $exists: false } }).cursor()) {
+    await this.updateOne({ _id: student._id }, { profileCompleteness: student.getProfileCompleteness().score });
+    updated += 1;
+  }
+  return updated;
+};
+
+// Static method to parse the package text of students saved before
+// compensation was structured
+studentSchema.statics.backfillCompensation = async function() {
+  let updated = 0;
+  for await (const student of this.find({ package: { $nin: [null, ''] }, compensation: { $exists: false } }).cursor()) {
+    await this.updateOne({ _id: student._id }, { compensation: parseCompensation(student.package) });
+    updated += 1;
+  }
+  return updated;
+};
+
+// Scope to the institution of the current request
+studentSchema.plugin(tenantScoped);
+
 // Indexes for faster queries
 studentSchema.index({ userId: 1 });
-studentSchema.index({ rollNumber: 1 }, { unique: true });
+// Roll numbers are unique within an institution
+studentSchema.index({ tenantId: 1, rollNumber: 1 }, { unique: true });
 studentSchema.index({ branch: 1 });
 studentSchema.index({ cgpa: 1 });
 studentSchema.index({ batch: 1 });
 studentSchema.index({ placed: 1 });
+studentSchema.index({ profileCompleteness: 1 });
 
-module.exports = mongoose.model('Student', studentSchema);
\ No newline at end of file
+module.exports = mongoose.model('Student', studentSchema);
+module.exports.ACADEMIC_SECTIONS = ACADEMIC_SECTIONS;
+module.exports.PORTFOLIO_SECTIONS = PORTFOLIO_SECTIONS;
\ No newline at end of file
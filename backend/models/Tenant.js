@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Tenant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: North Campus
+ *         code:
+ *           type: string
+ *           description: Short identifier sent in the X-Tenant header
+ *           example: north
+ *         contactEmail:
+ *           type: string
+ *           format: email
+ *         isActive:
+ *           type: boolean
+ *         userCount:
+ *           type: integer
+ *         studentCount:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const tenantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Institution name is required'],
+    trim: true,
+    maxlength: [200, 'Institution name cannot exceed 200 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Institution code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    immutable: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Code must start with a letter and contain only lowercase letters, numbers and hyphens']
+  },
+  contactEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to get formatted tenant data
+tenantSchema.methods.getFormattedData = function(counts = {}) {
+  return {
+    id: this._id,
+    name: this.name,
+    code: this.code,
+    contactEmail: this.contactEmail,
+    isActive: this.isActive,
+    userCount: counts.userCount || 0,
+    studentCount: counts.studentCount || 0,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to find an active tenant by ID or code (as sent in the X-Tenant header)
+tenantSchema.statics.findActiveByIdentifier = function(identifier) {
+  const query = mongoose.Types.ObjectId.isValid(identifier) && String(identifier).length === 24
+    ? { _id: identifier }
+    : { code: String(identifier).toLowerCase() };
+
+  return this.findOne({ ...query, isActive: true });
+};
+
+module.exports = mongoose.model('Tenant', tenantSchema);
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const tenantScoped = require('../utils/tenancy');
+
+// Failed logins before each further attempt is delayed, and before the account locks
+const LOGIN_THROTTLE_AFTER = 3;
+const getMaxLoginAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const getLockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -22,10 +30,13 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false
   },
+  // Name of a Role document; admin, recruiter and student keep their built-in behaviour
   role: {
     type: String,
-    enum: ['admin', 'recruiter', 'student'],
     required: [true, 'Role is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,49}$/, 'Invalid role name'],
     default: 'student'
   },
   companyId: {
@@ -35,12 +46,82 @@ const userSchema = new mongoose.Schema({
       return this.role === 'recruiter';
     }
   },
+  // Main point of contact among a company's recruiters
+  isPrimaryContact: {
+    type: Boolean,
+    default: false
+  },
+  // Branch for staff whose permissions are branch-scoped (e.g. faculty)
+  branch: {
+    type: String,
+    trim: true
+  },
   isActive: {
     type: Boolean,
     default: true
   },
   lastLogin: {
     type: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Accounts created by admins are trusted; self-registration starts unverified
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationOverriddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  mfaEnabled: {
+    type: Boolean,
+    default: false
+  },
+  mfaEnabledAt: {
+    type: Date
+  },
+  // TOTP secrets are stored encrypted, recovery codes hashed
+  mfaSecret: {
+    type: String,
+    select: false
+  },
+  mfaPendingSecret: {
+    type: String,
+    select: false
+  },
+  mfaRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  mfaLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -54,6 +135,9 @@ userSchema.pre('save', async function(next) {
   try {
     // Hash password with cost of 12
     this.password = await bcrypt.hash(this.password, 12);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -65,6 +149,186 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate a single-use password reset token, also used to let new accounts
+// set their first password. Only its hash is stored; the plain token is
+// returned to be emailed.
+userSchema.methods.createPasswordResetToken = function(
+  expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30
+) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Set a new password and invalidate any outstanding reset token
+userSchema.methods.setPassword = function(newPassword) {
+  this.password = newPassword;
+  this.mustChangePassword = false;
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  return this.save();
+};
+
+// Start the failed login count again once a full lockout has run its course,
+// so the next wrong password is not another full lockout. Expired throttling
+// delays keep the count, so they keep doubling.
+userSchema.methods.clearExpiredLockout = function() {
+  if (this.lockUntil && this.lockUntil <= new Date() && this.failedLoginAttempts >= getMaxLoginAttempts()) {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = null;
+  }
+};
+
+// Get current login lock state, or null if a login may be attempted now
+userSchema.methods.getLoginLockStatus = function() {
+  this.clearExpiredLockout();
+  if (!this.lockUntil || this.lockUntil <= new Date()) {
+    return null;
+  }
+
+  return {
+    locked: this.failedLoginAttempts >= getMaxLoginAttempts(),
+    lockUntil: this.lockUntil,
+    retryAfter: Math.ceil((this.lockUntil - Date.now()) / 1000)
+  };
+};
+
+// Record a failed login: short, doubling delays first, then a temporary lockout.
+// The count is incremented atomically, so parallel wrong passwords all count.
+userSchema.methods.registerFailedLogin = async function() {
+  const User = this.constructor;
+  const maxAttempts = getMaxLoginAttempts();
+
+  // Start the count again once a full lockout has run its course
+  await User.updateOne(
+    { _id: this._id, failedLoginAttempts: { $gte: maxAttempts }, lockUntil: { $lte: new Date() } },
+    { failedLoginAttempts: 0, lockUntil: null }
+  );
+
+  const updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: 'failedLoginAttempts lockUntil' }
+  );
+  if (!updated) {
+    return this;
+  }
+
+  const attempts = updated.failedLoginAttempts;
+  let lockUntil = updated.lockUntil;
+  if (attempts >= maxAttempts) {
+    lockUntil = new Date(Date.now() + getLockoutMinutes() * 60 * 1000);
+  } else if (attempts >= LOGIN_THROTTLE_AFTER) {
+    const delaySeconds = Math.pow(2, attempts - LOGIN_THROTTLE_AFTER);
+    lockUntil = new Date(Date.now() + delaySeconds * 1000);
+  }
+
+  if (lockUntil !== updated.lockUntil) {
+    // Only while the count is still ours: a later failure sets its own, longer lock
+    await User.updateOne({ _id: this._id, failedLoginAttempts: attempts }, { lockUntil });
+  }
+
+  this.failedLoginAttempts = attempts;
+  this.lockUntil = lockUntil;
+  return this;
+};
+
+// Clear failed login counters (admin unlock)
+userSchema.methods.unlockLogin = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  return this.save();
+};
+
+// Mark email as verified, optionally by an admin override
+userSchema.methods.markEmailVerified = function(adminId = null) {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationOverriddenBy = adminId;
+  return this.save();
+};
+
+// Start TOTP enrollment; the secret only becomes active once a code is confirmed
+userSchema.methods.beginMfaSetup = function() {
+  const secret = totp.generateSecret();
+  this.mfaPendingSecret = totp.encryptSecret(secret);
+
+  return {
+    secret,
+    otpauthUrl: totp.getProvisioningUri(secret, this.email)
+  };
+};
+
+// Confirm enrollment with a code from the pending secret. Returns recovery codes or null.
+userSchema.methods.enableMfa = function(code) {
+  if (!this.mfaPendingSecret) {
+    return null;
+  }
+
+  const step = totp.verifyTotp(totp.decryptSecret(this.mfaPendingSecret), code);
+  if (step === null) {
+    return null;
+  }
+
+  this.mfaSecret = this.mfaPendingSecret;
+  this.mfaPendingSecret = undefined;
+  this.mfaEnabled = true;
+  this.mfaEnabledAt = new Date();
+  this.mfaLastUsedStep = step;
+
+  return this.regenerateRecoveryCodes();
+};
+
+// Turn off two-factor authentication and forget its secrets
+userSchema.methods.disableMfa = function() {
+  this.mfaEnabled = false;
+  this.mfaEnabledAt = undefined;
+  this.mfaSecret = undefined;
+  this.mfaPendingSecret = undefined;
+  this.mfaRecoveryCodes = [];
+  this.mfaLastUsedStep = undefined;
+  return this.save();
+};
+
+// Replace recovery codes; returns the plain codes, which are shown only once
+userSchema.methods.regenerateRecoveryCodes = function() {
+  const codes = totp.generateRecoveryCodes();
+  this.mfaRecoveryCodes = codes.map(totp.hashRecoveryCode);
+  return codes;
+};
+
+// Check a TOTP code, refusing codes from an already used time step
+userSchema.methods.verifyMfaCode = function(code) {
+  if (!this.mfaEnabled || !this.mfaSecret) {
+    return false;
+  }
+
+  const step = totp.verifyTotp(totp.decryptSecret(this.mfaSecret), code);
+  if (step === null || (this.mfaLastUsedStep !== undefined && step <= this.mfaLastUsedStep)) {
+    return false;
+  }
+
+  this.mfaLastUsedStep = step;
+  return true;
+};
+
+// Consume a single-use recovery code
+userSchema.methods.useRecoveryCode = function(code) {
+  const hashedCode = totp.hashRecoveryCode(code);
+  const index = (this.mfaRecoveryCodes || []).indexOf(hashedCode);
+  if (index === -1) {
+    return false;
+  }
+
+  this.mfaRecoveryCodes.splice(index, 1);
+  return true;
+};
+
 // Get user's full profile based on role
 userSchema.methods.getFullProfile = async function() {
   const User = this.constructor;
@@ -79,9 +343,11 @@ userSchema.methods.getFullProfile = async function() {
   return await User.findById(this._id).select('-password');
 };
 
-// Update last login
+// Update last login and clear failed login counters
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
   return this.save();
 };
 
@@ -90,6 +356,45 @@ userSchema.statics.findByEmailWithPassword = function(email) {
   return this.findOne({ email }).select('+password');
 };
 
+// Static method to find user by an unexpired password reset token
+userSchema.statics.findByResetToken = function(resetToken) {
+  const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +passwordResetToken +passwordResetExpires');
+};
+
+// Static method to find user with two-factor authentication secrets
+userSchema.statics.findByIdWithMfa = function(id) {
+  return this.findById(id).select('+mfaSecret +mfaPendingSecret +mfaRecoveryCodes +mfaLastUsedStep');
+};
+
+// Static method to generate a random temporary password for admin-created accounts
+userSchema.statics.generateTemporaryPassword = function() {
+  return crypto.randomBytes(12).toString('base64url');
+};
+
+// Static method to make a recruiter the only primary contact of their company
+userSchema.statics.setPrimaryContact = async function(companyId, userId) {
+  await this.updateMany(
+    { companyId, role: 'recruiter', isPrimaryContact: true, _id: { $ne: userId } },
+    { isPrimaryContact: false }
+  );
+  return this.findOneAndUpdate(
+    { _id: userId, companyId, role: 'recruiter' },
+    { isPrimaryContact: true },
+    { new: true }
+  );
+};
+
+// Users are global identities (email is unique across institutions), so queries are
+// not scoped automatically; recruiters work for shared companies and belong to no institution
+userSchema.plugin(tenantScoped, {
+  scopeQueries: false,
+  isTenantless: user => user.role === 'recruiter'
+});
+
 // Index for faster queries
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
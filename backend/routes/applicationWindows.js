@@ -2,14 +2,28 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const ApplicationWindow = require('../models/ApplicationWindow');
 const Company = require('../models/Company');
-const { protect, authorize } = require('../middleware/auth');
+const Season = require('../models/Season');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
+const { resolveSeason, getSeasonScope } = require('../middleware/season');
+const { RULE_FIELDS, RULE_OPERATORS, validateRule, describeRule } = require('../utils/eligibilityRules');
 
 const router = express.Router();
 
+// An eligibility rule is optional; null removes it
+const eligibilityRuleValidation = body('eligibilityRule')
+  .optional({ nullable: true })
+  .custom(rule => {
+    const ruleErrors = validateRule(rule);
+    if (ruleErrors.length > 0) {
+      throw new Error(`Invalid eligibility rule: ${ruleErrors.join('; ')}`);
+    }
+    return true;
+  });
+
 // @route   GET /api/application-windows
-// @desc    Get all application windows (admin only)
-// @access  Private (Admin only)
-router.get('/', protect, authorize('admin'), [
+// @desc    Get all application windows, optionally of one placement season
+// @access  Private (windows:read)
+router.get('/', protect, requirePermission('windows:read'), resolveSeason, [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -47,7 +61,7 @@ router.get('/', protect, authorize('admin'), [
     } = req.query;
 
     // Build query
-    const query = {};
+    const query = { ...getSeasonScope(req).records };
     if (companyId) query.companyId = companyId;
     if (isActive !== undefined) query.isActive = isActive === 'true';
     if (search) {
@@ -147,6 +161,24 @@ router.get('/upcoming', async (req, res) => {
   }
 });
 
+// @route   GET /api/application-windows/eligibility-rule/fields
+// @desc    Get the student fields and operators eligibility rules can use
+// @access  Private (windows:read)
+router.get('/eligibility-rule/fields', protect, requirePermission('windows:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      combinators: ['and', 'or'],
+      fields: Object.entries(RULE_FIELDS).map(([name, field]) => ({
+        name,
+        label: field.label,
+        type: field.type,
+        operators: RULE_OPERATORS[field.type]
+      }))
+    }
+  });
+});
+
 // @route   GET /api/application-windows/:id
 // @desc    Get application window by ID
 // @access  Private
@@ -176,6 +208,7 @@ router.get('/:id', protect, async (req, res) => {
           ...window.toObject(),
           applicationStats: stats,
           eligibleCount,
+          eligibilityRuleDescription: window.eligibilityRule ? describeRule(window.eligibilityRule) : null,
           isCurrentlyActive: window.isCurrentlyActive()
         }
       }
@@ -190,9 +223,9 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // @route   POST /api/application-windows
-// @desc    Create new application window (admin only)
-// @access  Private (Admin only)
-router.post('/', protect, authorize('admin'), [
+// @desc    Create new application window
+// @access  Private (windows:write)
+router.post('/', protect, requirePermission('windows:write'), [
   body('companyId')
     .isMongoId()
     .withMessage('Invalid company ID'),
@@ -222,6 +255,22 @@ router.post('/', protect, authorize('admin'), [
     .optional()
     .isInt({ min: 0 })
     .withMessage('Maximum backlogs must be a non-negative integer'),
+  body('maxBacklogHistory')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Maximum backlog history must be a non-negative integer'),
+  body('minTenthPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum 10th percentage must be between 0 and 100'),
+  body('minTwelfthPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum 12th/diploma percentage must be between 0 and 100'),
+  body('minProfileCompleteness')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Minimum profile completeness must be between 0 and 100'),
   body('eligibleBranches')
     .optional()
     .isArray()
@@ -229,7 +278,8 @@ router.post('/', protect, authorize('admin'), [
   body('passingYear')
     .optional()
     .isInt({ min: 2000, max: 2030 })
-    .withMessage('Passing year must be between 2000 and 2030')
+    .withMessage('Passing year must be between 2000 and 2030'),
+  eligibilityRuleValidation
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -250,8 +300,13 @@ router.post('/', protect, authorize('admin'), [
       endTime,
       minCGPA,
       maxBacklogs = 0,
+      maxBacklogHistory,
+      minTenthPercentage,
+      minTwelfthPercentage,
+      minProfileCompleteness,
       eligibleBranches = [],
       passingYear,
+      eligibilityRule,
       description
     } = req.body;
 
@@ -300,8 +355,13 @@ router.post('/', protect, authorize('admin'), [
       endTime,
       minCGPA,
       maxBacklogs,
+      maxBacklogHistory,
+      minTenthPercentage,
+      minTwelfthPercentage,
+      minProfileCompleteness,
       eligibleBranches,
       passingYear,
+      eligibilityRule,
       description,
       createdBy: req.user._id
     });
@@ -318,6 +378,12 @@ router.post('/', protect, authorize('admin'), [
     });
   } catch (error) {
     console.error('Create application window error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while creating application window'
@@ -326,9 +392,9 @@ router.post('/', protect, authorize('admin'), [
 });
 
 // @route   PUT /api/application-windows/:id
-// @desc    Update application window (admin only)
-// @access  Private (Admin only)
-router.put('/:id', protect, authorize('admin'), [
+// @desc    Update application window
+// @access  Private (windows:write)
+router.put('/:id', protect, requirePermission('windows:write'), [
   body('startDate')
     .optional()
     .isISO8601()
@@ -352,7 +418,24 @@ router.put('/:id', protect, authorize('admin'), [
   body('maxBacklogs')
     .optional()
     .isInt({ min: 0 })
-    .withMessage('Maximum backlogs must be a non-negative integer')
+    .withMessage('Maximum backlogs must be a non-negative integer'),
+  body('maxBacklogHistory')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Maximum backlog history must be a non-negative integer'),
+  body('minTenthPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum 10th percentage must be between 0 and 100'),
+  body('minTwelfthPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum 12th/diploma percentage must be between 0 and 100'),
+  body('minProfileCompleteness')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Minimum profile completeness must be between 0 and 100'),
+  eligibilityRuleValidation
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -366,7 +449,8 @@ router.put('/:id', protect, authorize('admin'), [
     }
 
     const { id } = req.params;
-    const updates = req.body;
+    // Windows stay in the season of their company
+    const { seasonId, ...updates } = req.body;
 
     const window = await ApplicationWindow.findById(id);
     if (!window) {
@@ -376,6 +460,8 @@ router.put('/:id', protect, authorize('admin'), [
       });
     }
 
+    await Season.assertWritable(window.seasonId);
+
     // Update window
     const updatedWindow = await ApplicationWindow.findByIdAndUpdate(
       id,
@@ -390,6 +476,12 @@ router.put('/:id', protect, authorize('admin'), [
     });
   } catch (error) {
     console.error('Update application window error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while updating application window'
@@ -398,9 +490,9 @@ router.put('/:id', protect, authorize('admin'), [
 });
 
 // @route   DELETE /api/application-windows/:id
-// @desc    Delete application window (admin only)
-// @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @desc    Delete application window
+// @access  Private (windows:delete)
+router.delete('/:id', protect, requirePermission('windows:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -420,6 +512,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    await Season.assertWritable(window.seasonId);
+
     await ApplicationWindow.findByIdAndDelete(id);
 
     res.json({
@@ -428,6 +522,12 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
     });
   } catch (error) {
     console.error('Delete application window error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while deleting application window'
@@ -436,9 +536,9 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   POST /api/application-windows/:id/deactivate
-// @desc    Deactivate application window (admin only)
-// @access  Private (Admin only)
-router.post('/:id/deactivate', protect, authorize('admin'), async (req, res) => {
+// @desc    Deactivate application window
+// @access  Private (windows:write)
+router.post('/:id/deactivate', protect, requirePermission('windows:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -466,6 +566,12 @@ router.post('/:id/deactivate', protect, authorize('admin'), async (req, res) =>
     });
   } catch (error) {
     console.error('Deactivate application window error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while deactivating application window'
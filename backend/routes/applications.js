@@ -8,6 +8,8 @@ const Student = require('../models/Student');
 const Company = require('../models/Company');
 const ApplicationReviewHistory = require('../models/ApplicationReviewHistory');
 const { protect, authorize, studentAccess, companyAccess } = require('../middleware/auth');
+const { preserveContext } = require('../middleware/requestContext');
+const { resolveSeason, getSeasonScope } = require('../middleware/season');
 
 const router = express.Router();
 
@@ -50,9 +52,9 @@ const upload = multer({
 });
 
 // @route   GET /api/applications
-// @desc    Get applications with filters (admin/recruiter only)
+// @desc    Get applications with filters, optionally of one placement season (admin/recruiter only)
 // @access  Private (Admin, Recruiter)
-router.get('/', protect, authorize('admin', 'recruiter'), [
+router.get('/', protect, authorize('admin', 'recruiter'), resolveSeason, [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -93,7 +95,7 @@ router.get('/', protect, authorize('admin', 'recruiter'), [
     } = req.query;
 
     // Build query
-    let query = {};
+    let query = { ...getSeasonScope(req).records };
 
     // If recruiter, only show their company's applications
     if (req.user.role === 'recruiter') {
@@ -243,10 +245,14 @@ router.get('/:id', protect, async (req, res) => {
 // @route   POST /api/applications
 // @desc    Submit new application (student only)
 // @access  Private (Student only)
-router.post('/', protect, authorize('student'), upload.single('resume'), [
+router.post('/', protect, authorize('student'), preserveContext(upload.single('resume')), [
   body('companyId')
     .isMongoId()
     .withMessage('Invalid company ID'),
+  body('jobProfileId')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid job profile ID'),
   body('formData')
     .isObject()
     .withMessage('Form data is required')
@@ -263,6 +269,7 @@ router.post('/', protect, authorize('student'), upload.single('resume'), [
     }
 
     const { companyId, formData } = req.body;
+    const jobProfileId = req.body.jobProfileId || null;
 
     // Get student profile
     const student = await Student.findOne({ userId: req.user._id });
@@ -273,14 +280,6 @@ router.post('/', protect, authorize('student'), upload.single('resume'), [
       });
     }
 
-    // Check if student is already placed
-    if (student.placed) {
-      return res.status(400).json({
-        success: false,
-        message: 'You are already placed and cannot apply to more companies'
-      });
-    }
-
     // Check if company exists and is active
     const company = await Company.findById(companyId);
     if (!company) {
@@ -290,7 +289,7 @@ router.post('/', protect, authorize('student'), upload.single('resume'), [
       });
     }
 
-    if (company.status !== 'active') {
+    if (!Company.OPEN_STATUSES.includes(company.status)) {
       return res.status(400).json({
         success: false,
         message: 'Company is not currently accepting applications'
@@ -305,33 +304,60 @@ router.post('/', protect, authorize('student'), upload.single('resume'), [
       });
     }
 
-    // Check eligibility
-    const eligibility = await student.checkEligibility(companyId);
+    // Companies hiring for several roles are applied to one job profile at a time
+    if (company.jobProfiles.length > 0 && !jobProfileId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose the job profile you are applying for'
+      });
+    }
+
+    if (jobProfileId && !company.jobProfiles.id(jobProfileId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job profile not found'
+      });
+    }
+
+    // Check eligibility, including the placement policy of the student's batch,
+    // the profile's cut-offs and the number of profiles a student may apply to
+    const eligibility = await student.checkEligibility(companyId, jobProfileId);
     if (!eligibility.eligible) {
       return res.status(400).json({
         success: false,
-        message: eligibility.reason
+        message: eligibility.reason,
+        ...(eligibility.policy && { code: 'PLACEMENT_POLICY', policy: eligibility.policy })
       });
     }
 
     // Check if already applied
     const existingApplication = await Application.findOne({
       studentId: student._id,
-      companyId
+      companyId,
+      jobProfileId
     });
 
     if (existingApplication) {
       return res.status(400).json({
         success: false,
-        message: 'You have already applied to this company'
+        message: jobProfileId ? 'You have already applied for this profile' : 'You have already applied to this company'
       });
     }
 
+    // Academic details and the portfolio are copied from the student's profile, not taken from the form
+    const applicationFormData = typeof formData === 'string' ? JSON.parse(formData) : formData;
+    applicationFormData.academicInfo = {
+      ...applicationFormData.academicInfo,
+      ...student.getAcademicSummary()
+    };
+    Object.assign(applicationFormData, student.getPortfolioSnapshot());
+
     // Create application
     const application = new Application({
       studentId: student._id,
       companyId,
-      formData: JSON.parse(formData),
+      jobProfileId,
+      formData: applicationFormData,
       resumeUrl: req.file ? `/uploads/${req.file.filename}` : student.resumeUrl
     });
 
@@ -349,6 +375,12 @@ router.post('/', protect, authorize('student'), upload.single('resume'), [
     });
   } catch (error) {
     console.error('Create application error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while submitting application'
@@ -429,6 +461,12 @@ router.put('/:id/status', protect, [
     });
   } catch (error) {
     console.error('Update application status error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while updating application status'
@@ -500,6 +538,12 @@ router.put('/:id/score', protect, [
     });
   } catch (error) {
     console.error('Update application score error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while updating application score'
@@ -575,6 +619,12 @@ router.post('/bulk-update', protect, authorize('admin', 'recruiter'), [
     });
   } catch (error) {
     console.error('Bulk update applications error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while bulk updating applications'
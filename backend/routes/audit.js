@@ -0,0 +1,376 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const XLSX = require('xlsx');
+const AuditLog = require('../models/AuditLog');
+const Impersonation = require('../models/Impersonation');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Upper bound on rows in a single CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Append-only record of every create, update and delete made through the API
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit log
+ *     description: Filterable, newest first. Use `format=csv` to download the matching entries.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: impersonatorId
+ *         schema:
+ *           type: string
+ *         description: Only changes made by this administrator while impersonating a user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: targetModel
+ *         schema:
+ *           type: string
+ *         example: Student
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: Only entries that changed this field (e.g. cgpa)
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLog'
+ *                     pagination:
+ *                       type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Requires the audit:read permission
+ */
+router.get('/', protect, requirePermission('audit:read'), [
+  query('actorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+  query('impersonatorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid impersonator ID'),
+  query('action')
+    .optional()
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Action must be create, update, or delete'),
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target ID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      actorId,
+      impersonatorId,
+      action,
+      targetModel,
+      targetId,
+      field,
+      requestId,
+      from,
+      to,
+      format = 'json',
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    // Build query
+    const query = {};
+    if (actorId) query.actorId = actorId;
+    if (impersonatorId) query.impersonatorId = impersonatorId;
+    if (action) query.action = action;
+    if (targetModel) query.targetModel = targetModel;
+    if (targetId) query.targetId = targetId;
+    if (field) query['changes.field'] = field;
+    if (requestId) query.requestId = requestId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    if (format === 'csv') {
+      const entries = await AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXPORT_ROWS)
+        .lean();
+
+      const rows = entries.map(entry => ({
+        'Timestamp': entry.createdAt.toISOString(),
+        'Actor ID': entry.actorId ? entry.actorId.toString() : '',
+        'Actor Email': entry.actorEmail || '',
+        'Actor Role': entry.actorRole || '',
+        'Impersonated By': entry.impersonatorEmail || '',
+        'Action': entry.action,
+        'Target Model': entry.targetModel,
+        'Target ID': entry.targetId.toString(),
+        'Changed Fields': entry.changes.map(change => change.field).join(';'),
+        'Changes': JSON.stringify(entry.changes),
+        'IP Address': entry.ipAddress || '',
+        'Request ID': entry.requestId || '',
+        'Method': entry.method || '',
+        'Path': entry.path || ''
+      }));
+
+      const wb = XLSX.utils.book_new();
+      const ws = XLSX.utils.json_to_sheet(rows);
+      XLSX.utils.book_append_sheet(wb, ws, 'Audit Log');
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="audit_log_${timestamp}.csv"`);
+      return res.send(XLSX.write(wb, { type: 'buffer', bookType: 'csv' }));
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const entries = await AuditLog.find(query)
+      .populate('actorId', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/impersonations:
+ *   get:
+ *     summary: List impersonations
+ *     description: Every time an administrator viewed the portal as another user, newest first
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: impersonatorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Impersonations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     impersonations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Impersonation'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: Requires the audit:read permission
+ */
+router.get('/impersonations', protect, requirePermission('audit:read'), [
+  query('impersonatorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid impersonator ID'),
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { impersonatorId, userId, page = 1, limit = 50 } = req.query;
+
+    // Build query
+    const query = {};
+    if (impersonatorId) query.impersonatorId = impersonatorId;
+    if (userId) query.userId = userId;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const impersonations = await Impersonation.find(query)
+      .populate('impersonatorId', 'name email role')
+      .populate('userId', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Impersonation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        impersonations: impersonations.map(impersonation => impersonation.getFormattedData()),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get impersonations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching impersonations'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,114 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Student = require('../models/Student');
-const { generateTokenPair, verifyRefreshToken } = require('../utils/jwt');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const RecruiterInvitation = require('../models/RecruiterInvitation');
+const Tenant = require('../models/Tenant');
+const {
+  verifyRefreshToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateMfaPendingToken,
+  verifyMfaPendingToken
+} = require('../utils/jwt');
 const { protect } = require('../middleware/auth');
+const { setRequestTenant } = require('../middleware/requestContext');
+const emailService = require('../utils/emailService');
+const { runInTransaction } = require('../utils/transaction');
 
 const router = express.Router();
 
+// Email a verification link; failures are logged so registration still succeeds
+const sendVerificationEmail = async (user) => {
+  try {
+    await emailService.sendVerificationEmail(user, generateEmailVerificationToken(user));
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
+
+// Device details (and the user's institution) recorded against each session
+const getSessionMeta = (req, user = null) => ({
+  tenantId: user ? user.tenantId : null,
+  deviceName: req.body.deviceName,
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// Refuse a login step while the account is locked or throttled. Returns true if a response was sent.
+const rejectLockedLogin = async (req, res, user) => {
+  const lockStatus = user.getLoginLockStatus();
+  if (!lockStatus) {
+    return false;
+  }
+
+  await LoginAttempt.record({
+    email: user.email,
+    user,
+    req,
+    success: false,
+    failureReason: lockStatus.locked ? 'account_locked' : 'account_throttled'
+  });
+  res.set('Retry-After', String(lockStatus.retryAfter));
+  res.status(lockStatus.locked ? 423 : 429).json({
+    success: false,
+    message: lockStatus.locked
+      ? 'Account is temporarily locked due to too many failed login attempts. Please try again later or contact administrator.'
+      : 'Too many failed login attempts. Please wait before trying again.',
+    retryAfter: lockStatus.retryAfter
+  });
+  return true;
+};
+
+// Final step of every successful login: record it, start a session and return tokens
+const completeLogin = async (req, res, user) => {
+  await LoginAttempt.record({ email: user.email, user, req, success: true });
+
+  // The rest of the request acts on the user's own institution
+  if (user.tenantId) {
+    setRequestTenant(user.tenantId);
+  }
+
+  // Start a new session and generate tokens
+  const { tokens } = await Session.start(user._id, getSessionMeta(req, user));
+
+  // Update last login
+  await user.updateLastLogin();
+
+  // Get full profile based on role
+  const fullProfile = await user.getFullProfile();
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        companyId: user.companyId,
+        tenantId: user.tenantId,
+        isActive: user.isActive,
+        lastLogin: user.lastLogin,
+        emailVerified: user.emailVerified,
+        mustChangePassword: user.mustChangePassword,
+        mfaEnabled: user.mfaEnabled,
+        profile: fullProfile
+      },
+      ...tokens
+    }
+  });
+};
+
 /**
  * @swagger
  * /api/auth:
  *   post:
- *     summary: Register a new user
- *     description: Create a new user account with role-based validation
+ *     summary: Register a new student
+ *     description: Create a student account and profile. Recruiters join through a company invitation (/api/auth/accept-invitation); admins are created by other admins.
  *     tags:
  *       - Authentication
  *     requestBody:
@@ -35,11 +131,11 @@ const router = express.Router();
  *                 description: User's password
  *               role:
  *                 type: string
- *                 enum: [admin, recruiter, student]
- *                 description: User's role
+ *                 enum: [student]
+ *                 description: User's role; only students can register
  *               studentData:
  *                 type: object
- *                 description: Student-specific data (required for student role)
+ *                 description: Student profile data
  *     responses:
  *       '201':
  *         description: User registered successfully
@@ -70,7 +166,7 @@ const router = express.Router();
  */
 
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new student
 // @access  Public
 router.post('/register', [
   body('name')
@@ -86,17 +182,15 @@ router.post('/register', [
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long'),
+  // Recruiters join through a company invitation and admins are created by
+  // other admins
   body('role')
-    .isIn(['admin', 'recruiter', 'student'])
-    .withMessage('Role must be admin, recruiter, or student'),
-  body('companyId')
     .optional()
-    .isMongoId()
-    .withMessage('Invalid company ID'),
+    .equals('student')
+    .withMessage('Only students can register; recruiters join through a company invitation'),
   body('studentData')
-    .if(body('role').equals('student'))
     .notEmpty()
-    .withMessage('Student data is required for student role')
+    .withMessage('Student data is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -109,7 +203,7 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, role, companyId, studentData } = req.body;
+    const { name, email, password, studentData } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -121,34 +215,28 @@ router.post('/register', [
       });
     }
 
-    // Validate role-specific requirements
-    if (role === 'recruiter' && !companyId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Company ID is required for recruiter role'
-      });
-    }
-
-    if (role === 'student' && !studentData) {
+    // Validate required student fields
+    if (!(studentData.rollNumber && studentData.branch && studentData.cgpa && studentData.phone && studentData.batch)) {
       return res.status(400).json({
         success: false,
-        message: 'Student data is required for student role'
+        message: 'All student fields (rollNumber, branch, cgpa, phone, batch) are required'
       });
     }
 
-    // Create user
+    // Create user; self-registered emails must be verified
     const user = new User({
       name,
       email,
       password,
-      role,
-      companyId: role === 'recruiter' ? companyId : undefined
+      role: 'student',
+      emailVerified: false
     });
 
-    await user.save();
+    // Create the user and their profile together or not at all
+    await runInTransaction(async ({ session, onRollback }) => {
+      await user.save({ session });
+      onRollback(() => User.deleteOne({ _id: user._id }));
 
-    // Create student profile if role is student
-    if (role === 'student') {
       const {
         rollNumber,
         branch,
@@ -158,15 +246,6 @@ router.post('/register', [
         skills = []
       } = studentData;
 
-      // Validate required student fields
-      if (!rollNumber || !branch || !cgpa || !phone || !batch) {
-        await User.findByIdAndDelete(user._id); // Cleanup user if student data is invalid
-        return res.status(400).json({
-          success: false,
-          message: 'All student fields (rollNumber, branch, cgpa, phone, batch) are required'
-        });
-      }
-
       const student = new Student({
         userId: user._id,
         rollNumber: rollNumber.toUpperCase(),
@@ -177,18 +256,20 @@ router.post('/register', [
         skills
       });
 
-      await student.save();
-    }
+      await student.save({ session });
+    });
 
-    // Generate tokens
-    const tokens = generateTokenPair({ id: user._id });
+    await sendVerificationEmail(user);
+
+    // Start a new session and generate tokens
+    const { tokens } = await Session.start(user._id, getSessionMeta(req, user));
 
     // Update last login
     await user.updateLastLogin();
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       data: {
         user: {
           id: user._id,
@@ -197,7 +278,8 @@ router.post('/register', [
           role: user.role,
           companyId: user.companyId,
           isActive: user.isActive,
-          lastLogin: user.lastLogin
+          lastLogin: user.lastLogin,
+          emailVerified: user.emailVerified
         },
         ...tokens
       }
@@ -242,7 +324,9 @@ router.post('/register', [
  *                 description: User's password
  *     responses:
  *       '200':
- *         description: Login successful
+ *         description: |
+ *           Login successful, or `data.mfaRequired: true` with an `mfaToken` when the
+ *           account uses two-factor authentication (complete with POST /api/auth/login/mfa)
  *         content:
  *           application/json:
  *             schema:
@@ -293,59 +377,162 @@ router.post('/login', [
     // Find user with password
     const user = await User.findByEmailWithPassword(email);
     if (!user) {
-      console.log(`Login attempt with non-existent email: ${email}`);
+      await LoginAttempt.record({ email, req, success: false, failureReason: 'unknown_email' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    // Refuse attempts while the account is locked or throttled, before checking the password
+    if (await rejectLockedLogin(req, res, user)) {
+      return;
+    }
+
     // Check if user is active
     if (!user.isActive) {
+      await LoginAttempt.record({ email, user, req, success: false, failureReason: 'account_deactivated' });
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated. Please contact administrator.'
       });
     }
 
+    // Members of a deactivated institution cannot sign in
+    if (user.tenantId && !(await Tenant.exists({ _id: user.tenantId, isActive: true }))) {
+      await LoginAttempt.record({ email, user, req, success: false, failureReason: 'tenant_deactivated' });
+      return res.status(401).json({
+        success: false,
+        message: 'Your institution has been deactivated. Please contact administrator.'
+      });
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      console.log(`Invalid password attempt for email: ${email}`);
+      await user.registerFailedLogin();
+      await LoginAttempt.record({ email, user, req, success: false, failureReason: 'invalid_password' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate tokens
-    const tokens = generateTokenPair({ id: user._id });
+    // Second factor required: hand out a short-lived token for POST /api/auth/login/mfa
+    if (user.mfaEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken: generateMfaPendingToken(user)
+        }
+      });
+    }
 
-    // Update last login
-    await user.updateLastLogin();
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
 
-    // Get full profile based on role
-    const fullProfile = await user.getFullProfile();
+/**
+ * @swagger
+ * /api/auth/login/mfa:
+ *   post:
+ *     summary: Complete two-factor login
+ *     description: Exchange the `mfaToken` from POST /api/auth/login and a TOTP or recovery code for tokens
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, used instead of code
+ *     responses:
+ *       '200':
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       '401':
+ *         description: Invalid code or expired MFA token
+ */
+router.post('/login/mfa', [
+  body('mfaToken')
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .notEmpty()
+    .withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          companyId: user.companyId,
-          isActive: user.isActive,
-          lastLogin: user.lastLogin,
-          profile: fullProfile
-        },
-        ...tokens
-      }
-    });
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyMfaPendingToken(mfaToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor session expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findByIdWithMfa(decoded.id);
+    if (!user || !user.isActive || !user.mfaEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor session expired. Please log in again.'
+      });
+    }
+
+    if (await rejectLockedLogin(req, res, user)) {
+      return;
+    }
+
+    const isCodeValid = recoveryCode ? user.useRecoveryCode(recoveryCode) : user.verifyMfaCode(code);
+    if (!isCodeValid) {
+      await user.registerFailedLogin();
+      await LoginAttempt.record({ email: user.email, user, req, success: false, failureReason: 'invalid_mfa_code' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Persists the consumed code/step along with the login timestamp
+    await completeLogin(req, res, user);
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('MFA login error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error during login'
@@ -358,7 +545,9 @@ router.post('/login', [
  * /api/auth/refresh:
  *   post:
  *     summary: Refresh access token
- *     description: Get a new access token using refresh token
+ *     description: |
+ *       Exchange a refresh token for a new access/refresh token pair. The presented refresh
+ *       token is invalidated; presenting an already rotated token revokes the whole session.
  *     tags:
  *       - Authentication
  *     requestBody:
@@ -376,8 +565,24 @@ router.post('/login', [
  *     responses:
  *       '200':
  *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessToken:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
  *       '401':
- *         description: Invalid refresh token
+ *         description: Invalid, revoked or reused refresh token
  */
 router.post('/refresh', [
   body('refreshToken')
@@ -400,6 +605,14 @@ router.post('/refresh', [
     // Verify refresh token
     const decoded = verifyRefreshToken(refreshToken);
 
+    // Tokens issued before sessions were tracked cannot be rotated
+    if (!decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
     // Find user
     const user = await User.findById(decoded.id);
     if (!user || !user.isActive) {
@@ -409,14 +622,14 @@ router.post('/refresh', [
       });
     }
 
-    // Generate new access token
-    const accessToken = require('../utils/jwt').generateToken({ id: user._id });
+    // Rotate the refresh token (invalidates the presented one)
+    const { tokens } = await Session.rotate(decoded, refreshToken, getSessionMeta(req));
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        accessToken
+        ...tokens
       }
     });
   } catch (error) {
@@ -427,6 +640,12 @@ router.post('/refresh', [
         message: 'Invalid or expired refresh token'
       });
     }
+    if (error.name === 'SessionError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid. Please log in again.'
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error during token refresh'
@@ -459,6 +678,10 @@ router.post('/refresh', [
  *                   properties:
  *                     user:
  *                       $ref: '#/components/schemas/User'
+ *                     impersonation:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Set when the token is an impersonation token
  *       '401':
  *         description: Unauthorized
  */
@@ -476,10 +699,23 @@ router.get('/profile', protect, async (req, res) => {
           email: req.user.email,
           role: req.user.role,
           companyId: req.user.companyId,
+          tenantId: req.user.tenantId,
           isActive: req.user.isActive,
           lastLogin: req.user.lastLogin,
+          emailVerified: req.user.emailVerified,
+          mustChangePassword: req.user.mustChangePassword,
+          mfaEnabled: req.user.mfaEnabled,
           profile: fullProfile
-        }
+        },
+        // Present when an administrator is viewing the portal as this user
+        impersonation: req.impersonation
+          ? {
+            id: req.impersonation._id,
+            impersonator: { id: req.impersonator._id, name: req.impersonator.name, email: req.impersonator.email },
+            readOnly: req.impersonation.readOnly,
+            expiresAt: req.impersonation.expiresAt
+          }
+          : null
       }
     });
   } catch (error) {
@@ -600,25 +836,789 @@ router.put('/profile', protect, [
 
 /**
  * @swagger
- * /api/auth/logout:
+ * /api/auth/verify-email:
  *   post:
- *     summary: Logout user
- *     description: Logout the authenticated user
+ *     summary: Verify email address
+ *     description: Confirm the account's email address using the signed link sent at registration
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Verification token from the email link
+ *     responses:
+ *       '200':
+ *         description: Email verified successfully
+ *       '400':
+ *         description: Invalid or expired verification token
+ */
+router.post('/verify-email', [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.body.token);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    if (!user.emailVerified) {
+      await user.markEmailVerified();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend verification email
+ *     description: Send a new verification link to the authenticated user's email address
  *     tags:
  *       - Authentication
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       '200':
- *         description: Logout successful
+ *         description: Verification email sent
+ *       '400':
+ *         description: Email is already verified
  */
-router.post('/logout', protect, (req, res) => {
-  // In a stateless JWT setup, logout is handled client-side
-  // The client should remove the tokens from storage
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request password reset
+ *     description: |
+ *       Email a single-use password reset link. The response is the same whether or not
+ *       the email belongs to an account, so it cannot be used to discover registered users.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       '200':
+ *         description: Reset link sent if the account exists
+ */
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await emailService.sendPasswordResetEmail(user, resetToken);
+      } catch (error) {
+        console.error('Password reset email error:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: Set a new password using an emailed reset token. Signs out all existing sessions.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Reset token from the email link
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       '200':
+ *         description: Password reset successfully
+ *       '400':
+ *         description: Invalid or expired reset token
+ */
+router.post('/reset-password', [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findByResetToken(token);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    await user.setPassword(password);
+
+    // Anyone holding a session for this account must log in again
+    await Session.revokeAllForUser(user._id, 'password_changed');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/invitations/{token}:
+ *   get:
+ *     summary: Look up a recruiter invitation
+ *     description: Show the invited email and company before the recruiter sets a password
+ *     tags:
+ *       - Authentication
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation token from the email link
+ *     responses:
+ *       '200':
+ *         description: Invitation details
+ *       '404':
+ *         description: Invalid, expired or revoked invitation
+ */
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await RecruiterInvitation.findUsableByToken(req.params.token)
+      .populate('companyId', 'name logoUrl');
+    if (!invitation || !invitation.companyId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invitation: {
+          email: invitation.email,
+          name: invitation.name,
+          company: invitation.companyId,
+          expiresAt: invitation.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/accept-invitation:
+ *   post:
+ *     summary: Accept a recruiter invitation
+ *     description: |
+ *       Create the invited recruiter account with a password of their choice and sign it in.
+ *       The email address counts as verified because the link was delivered to it.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - name
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Invitation token from the email link
+ *               name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       '201':
+ *         description: Account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       '400':
+ *         description: Invalid, expired or revoked invitation, or the email already has an account
+ */
+router.post('/accept-invitation', [
+  body('token')
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { token, name, password } = req.body;
+
+    const invitation = await RecruiterInvitation.findUsableByToken(token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    // Claim the invitation first so the same link cannot create two accounts
+    const claimed = await RecruiterInvitation.claim(invitation._id);
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        name,
+        email: invitation.email,
+        password,
+        role: 'recruiter',
+        companyId: invitation.companyId,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+    } catch (error) {
+      // Let the recruiter retry with the same link
+      await RecruiterInvitation.updateOne(
+        { _id: invitation._id },
+        { status: 'pending', $unset: { acceptedAt: 1 } }
+      ).acrossTenants();
+      throw error;
+    }
+
+    await RecruiterInvitation.updateOne({ _id: invitation._id }, { acceptedUserId: user._id }).acrossTenants();
+
+    // The first recruiter of a company becomes its primary contact
+    const hasPrimaryContact = await User.exists({
+      companyId: invitation.companyId,
+      role: 'recruiter',
+      isActive: true,
+      isPrimaryContact: true
+    });
+    if (invitation.isPrimaryContact || !hasPrimaryContact) {
+      user = await User.setPrimaryContact(invitation.companyId, user._id);
+    }
+
+    // Start a new session and generate tokens
+    const { tokens } = await Session.start(user._id, getSessionMeta(req, user));
+
+    // Update last login
+    await user.updateLastLogin();
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted. Your recruiter account is ready.',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          companyId: user.companyId,
+          isPrimaryContact: user.isPrimaryContact,
+          isActive: user.isActive,
+          lastLogin: user.lastLogin,
+          emailVerified: user.emailVerified
+        },
+        ...tokens
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change password
+ *     description: Change the authenticated user's password. Other sessions are signed out.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       '200':
+ *         description: Password changed successfully
+ *       '400':
+ *         description: Validation error or new password same as current
+ *       '401':
+ *         description: Current password is incorrect
+ */
+router.post('/change-password', protect, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    await user.setPassword(newPassword);
+
+    // Keep this device signed in, sign out everywhere else
+    await Session.revokeAllForUser(user._id, 'password_changed', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout user
+ *     description: Revoke the session the access token belongs to, invalidating its refresh token
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Logout successful
+ */
+router.post('/logout', protect, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      const session = await Session.findById(req.sessionId);
+      if (session && session.isActive()) {
+        await session.revoke('logout');
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/impersonation/end:
+ *   post:
+ *     summary: End impersonation
+ *     description: Called with an impersonation token; the token stops working immediately
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Impersonation ended
+ *       '400':
+ *         description: The access token is not an impersonation token
+ */
+router.post('/impersonation/end', protect, async (req, res) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not impersonating a user'
+      });
+    }
+
+    await req.impersonation.end();
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ending impersonation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Get active sessions
+ *     description: List the authenticated user's active sessions (one per device)
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Session'
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.getFormattedData(req.sessionId))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Revoke other sessions
+ *     description: Revoke every active session of the authenticated user except the current one
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Other sessions revoked successfully
+ *       '401':
+ *         description: Unauthorized
+ */
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'user_revoked', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: {
+        revokedCount: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Revoke one of the authenticated user's sessions, e.g. a lost device
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       '200':
+ *         description: Session revoked successfully
+ *       '404':
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', protect, [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionId } = req.params;
+
+    const session = await Session.findOne({ _id: sessionId, userId: req.user._id });
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
 });
 
 module.exports = router;
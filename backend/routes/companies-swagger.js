@@ -30,8 +30,8 @@
  *         name: status
  *         schema:
  *           type: string
- *           enum: [active, inactive, completed]
- *         description: Filter by status
+ *           enum: [draft, pending-approval, approved, ppt-scheduled, drive-ongoing, results-declared, closed]
+ *         description: Filter by status. Students and visitors only see approved companies onwards.
  *       - in: query
  *         name: industry
  *         schema:
@@ -42,6 +42,11 @@
  *         schema:
  *           type: string
  *         description: Search in name, description, location, and skills
+ *       - in: query
+ *         name: season
+ *         schema:
+ *           type: string
+ *         description: Placement season ID, academic year (e.g., 2025-26) or "current"
  *     responses:
  *       200:
  *         description: List of companies retrieved successfully
@@ -96,9 +101,22 @@
  *                 type: array
  *                 items:
  *                   type: string
+ *               isShared:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Visible to every institution; false keeps it private to the creator's institution
+ *               seasonId:
+ *                 type: string
+ *                 description: Placement season of the drive; defaults to the current season
+ *               submitForApproval:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Submit the company for approval instead of saving it as a draft
  *     responses:
  *       201:
- *         description: Company created successfully
+ *         description: Company saved as a draft (or submitted for approval)
+ *       403:
+ *         description: The placement season is closed or archived
  *       400:
  *         description: Validation error
  *       401:
@@ -107,7 +125,7 @@
  * /api/companies/active:
  *   get:
  *     summary: Get active companies
- *     description: Retrieve all currently active companies
+ *     description: Retrieve approved companies still accepting applications
  *     tags: [Companies]
  *     responses:
  *       200:
@@ -129,7 +147,7 @@
  *       200:
  *         description: Company details retrieved successfully
  *       404:
- *         description: Company not found
+ *         description: Company not found, or not yet approved and the user is neither staff nor its recruiter
  *   put:
  *     summary: Update company
  *     description: Update company information (Admin or company recruiter)
@@ -189,6 +207,78 @@
  *       401:
  *         description: Unauthorized
  *
+ * /api/companies/{id}/status:
+ *   post:
+ *     summary: Move a company through its lifecycle
+ *     description: |
+ *       Allowed transitions are draft → pending-approval → approved → ppt-scheduled → drive-ongoing → results-declared → closed.
+ *       The pre-placement talk can be skipped, a company awaiting approval can be sent back to draft, and any company can be closed.
+ *       Approving or sending back a company awaiting approval requires companies:approve. The company's recruiters are notified of
+ *       every change; eligible students when it is approved or schedules its pre-placement talk, and applicants about the drive,
+ *       its results and its closing.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, pending-approval, approved, ppt-scheduled, drive-ongoing, results-declared, closed]
+ *               note:
+ *                 type: string
+ *                 description: Why the status changed; required when sending a company back to draft
+ *               preplacementTalk:
+ *                 type: object
+ *                 description: Required when scheduling the pre-placement talk
+ *                 properties:
+ *                   scheduledAt:
+ *                     type: string
+ *                     format: date-time
+ *                   venue:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *       400:
+ *         description: Validation error or the transition is not allowed
+ *       403:
+ *         description: Requires companies:approve, or the placement season is closed
+ *       404:
+ *         description: Company not found
+ *
+ * /api/companies/{id}/status-history:
+ *   get:
+ *     summary: Get the status history of a company
+ *     description: Who moved the company from one status to another and when, with the statuses it can move to next
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     responses:
+ *       200:
+ *         description: Current status, allowed transitions and history
+ *       404:
+ *         description: Company not found
+ *
  * /api/companies/{id}/rounds:
  *   post:
  *     summary: Create recruitment round
@@ -230,11 +320,14 @@
  *                 type: boolean
  *               meetingLink:
  *                 type: string
+ *               jobProfileId:
+ *                 type: string
+ *                 description: Job profile the round is for; leave out for a round common to every profile
  *     responses:
  *       201:
  *         description: Recruitment round created successfully
  *       404:
- *         description: Company not found
+ *         description: Company or job profile not found
  *   get:
  *     summary: Get recruitment rounds
  *     description: Get all recruitment rounds for a company
@@ -254,6 +347,264 @@
  *       404:
  *         description: Company not found
  *
+ * /api/companies/{id}/profiles:
+ *   post:
+ *     summary: Add a job profile
+ *     description: Add a role the company hires for in its drive, with its own JD, package, positions and cut-offs. Companies with profiles are applied to one profile at a time.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JobProfile'
+ *     responses:
+ *       201:
+ *         description: Job profile added successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Company not found
+ *
+ * /api/companies/{id}/profiles/{profileId}:
+ *   put:
+ *     summary: Update a job profile
+ *     description: Update a job profile; set status to closed to stop new applications
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *       - in: path
+ *         name: profileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job profile ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JobProfile'
+ *     responses:
+ *       200:
+ *         description: Job profile updated successfully
+ *       404:
+ *         description: Company or job profile not found
+ *   delete:
+ *     summary: Delete a job profile
+ *     description: Delete a job profile and its rounds. Profiles with applications cannot be deleted; close them instead.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *       - in: path
+ *         name: profileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job profile ID
+ *     responses:
+ *       200:
+ *         description: Job profile deleted successfully
+ *       400:
+ *         description: The profile has applications
+ *       404:
+ *         description: Company or job profile not found
+ *
+ * /api/companies/{id}/recruiters:
+ *   get:
+ *     summary: Get company recruiters
+ *     description: List the company's recruiters (primary contact first) and all invitations
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     responses:
+ *       200:
+ *         description: Recruiters and invitations retrieved successfully
+ *       403:
+ *         description: Requires the recruiters:manage permission
+ *       404:
+ *         description: Company not found
+ *
+ * /api/companies/{id}/recruiters/invitations:
+ *   post:
+ *     summary: Invite a recruiter
+ *     description: Email a single-use link that lets the recipient create a recruiter account for this company
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               name:
+ *                 type: string
+ *               isPrimaryContact:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitation:
+ *                       $ref: '#/components/schemas/RecruiterInvitation'
+ *       400:
+ *         description: Validation error or a user with this email already exists
+ *       404:
+ *         description: Company not found
+ *
+ * /api/companies/{id}/recruiters/invitations/{invitationId}/resend:
+ *   post:
+ *     summary: Resend an invitation
+ *     description: Email a new link for a pending (or expired) invitation; the previous link stops working
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       400:
+ *         description: Invitation was already accepted or revoked
+ *       404:
+ *         description: Invitation not found
+ *
+ * /api/companies/{id}/recruiters/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation was already accepted or revoked
+ *       404:
+ *         description: Invitation not found
+ *
+ * /api/companies/{id}/recruiters/{userId}/primary-contact:
+ *   put:
+ *     summary: Set primary contact
+ *     description: Make a recruiter the company's only primary contact
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Primary contact updated
+ *       404:
+ *         description: Recruiter not found for this company
+ *
+ * /api/companies/{id}/recruiters/{userId}:
+ *   delete:
+ *     summary: Revoke recruiter access
+ *     description: Deactivate the recruiter's account and revoke all of its sessions
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recruiter access revoked
+ *       404:
+ *         description: Recruiter not found for this company
+ *
  * /api/companies/stats:
  *   get:
  *     summary: Get company statistics
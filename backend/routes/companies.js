@@ -1,15 +1,128 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const Company = require('../models/Company');
 const RecruitmentRound = require('../models/RecruitmentRound');
 const Application = require('../models/Application');
-const { protect, authorize, companyAccess } = require('../middleware/auth');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RecruiterInvitation = require('../models/RecruiterInvitation');
+const Season = require('../models/Season');
+const Notification = require('../models/Notification');
+const emailService = require('../utils/emailService');
+const { protect, requirePermission, companyAccess, optionalAuth } = require('../middleware/auth');
+const { preserveContext } = require('../middleware/requestContext');
+const { resolveSeason, getSeasonScope } = require('../middleware/season');
+const { PREFERENCE_MODES, describeCompany, getRequestPreferences, applyPreferences } = require('../utils/placementPreferences');
+const { compensationValidation } = require('../utils/compensation');
+const { hasPermission } = require('../utils/permissions');
+const { runAcrossTenants } = require('../utils/tenancy');
 
 const router = express.Router();
 
+// Fields of a job profile that can be set through the API
+const JOB_PROFILE_FIELDS = ['title', 'jobDescription', 'packageOffered', 'compensation', 'totalPositions', 'eligibilityCriteria', 'status'];
+
+const pickJobProfileFields = (body) => Object.fromEntries(
+  JOB_PROFILE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Companies can be shared with other institutions, but only the institution
+// that added one (or a platform user) may change or delete it
+const canChangeCompany = (req, company) =>
+  !req.user.tenantId || String(company.tenantId || null) === String(req.user.tenantId);
+
+const companyOwnerError = res => res.status(403).json({
+  success: false,
+  message: 'Access denied. Only the institution that added this company can change it.'
+});
+
+// Whether the user may write to a company's drive: companies:write covers
+// every company, companies:write:company (recruiters) their own only
+const canWriteCompany = (req, companyId) => hasPermission(req.permissions, 'companies:write') ||
+  (!!req.user.companyId && req.user.companyId.toString() === companyId.toString());
+
+const requireCompanyWrite = requirePermission('companies:write', 'companies:write:company');
+
+const companyWriteError = res => res.status(403).json({
+  success: false,
+  message: 'Access denied. You can only access your own company data.'
+});
+
+// Company fields that can be changed through PUT /api/companies/:id. Job
+// profiles, the status and the season have routes (or rules) of their own.
+const COMPANY_FIELDS = [
+  'name', 'description', 'industry', 'location', 'packageOffered', 'compensation', 'totalPositions',
+  'applicationDeadline', 'requirements', 'skills', 'jobDescription', 'eligibilityCriteria',
+  'recruitmentProcess', 'website', 'contactEmail', 'contactPhone', 'isShared', 'maxProfilesPerStudent'
+];
+
+// What students are offered, who may apply and who sees the company: once a
+// company is approved, changing these takes companies:approve
+const MATERIAL_COMPANY_FIELDS = ['packageOffered', 'compensation', 'eligibilityCriteria', 'isShared'];
+
+const pickCompanyFields = (body) => Object.fromEntries(
+  COMPANY_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Validation for job profiles; `optional` for updates
+const jobProfileValidation = (optional = false) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Profile title is required')
+      .isLength({ max: 100 })
+      .withMessage('Profile title cannot exceed 100 characters'),
+    field('packageOffered')
+      .if(body('compensation').not().exists())
+      .trim()
+      .notEmpty()
+      .withMessage('Package offered or compensation is required'),
+    ...compensationValidation('compensation'),
+    field('totalPositions')
+      .isInt({ min: 1 })
+      .withMessage('Total positions must be at least 1'),
+    body('jobDescription')
+      .optional()
+      .isLength({ max: 5000 })
+      .withMessage('Job description cannot exceed 5000 characters'),
+    body('eligibilityCriteria')
+      .optional()
+      .isObject()
+      .withMessage('Eligibility criteria must be an object'),
+    body('status')
+      .optional()
+      .isIn(['open', 'closed'])
+      .withMessage('Status must be open or closed')
+  ];
+};
+
+// Students and visitors only see companies once they are approved. Recruiters
+// also see their own company and staff see every company.
+const canSeeUnpublished = (user, companyId = null) => {
+  if (!user || user.role === 'student') {
+    return false;
+  }
+  if (user.role !== 'recruiter') {
+    return true;
+  }
+  return Boolean(companyId && user.companyId && user.companyId.toString() === companyId.toString());
+};
+
+const visibilityFilter = (user) => {
+  if (canSeeUnpublished(user)) {
+    return {};
+  }
+  const published = { status: { $in: Company.PUBLISHED_STATUSES } };
+  return user && user.role === 'recruiter' && user.companyId
+    ? { $or: [published, { _id: user.companyId }] }
+    : published;
+};
+
 // Configure multer for company logo uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -51,9 +164,9 @@ const upload = multer({
 });
 
 // @route   GET /api/companies
-// @desc    Get all companies with filters
+// @desc    Get all companies with filters (optionally of one placement season), ranked or filtered by the placement preferences of a signed-in student. Drafts and companies awaiting approval are only listed for staff and the company's recruiters.
 // @access  Public (with optional auth for more data)
-router.get('/', [
+router.get('/', optionalAuth, resolveSeason, [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -64,12 +177,16 @@ router.get('/', [
     .withMessage('Limit must be between 1 and 100'),
   query('status')
     .optional()
-    .isIn(['active', 'inactive', 'completed'])
-    .withMessage('Status must be active, inactive, or completed'),
+    .isIn(Company.COMPANY_STATUSES)
+    .withMessage(`Status must be one of: ${Company.COMPANY_STATUSES.join(', ')}`),
   query('industry')
     .optional()
     .isString()
-    .withMessage('Industry must be a string')
+    .withMessage('Industry must be a string'),
+  query('preferences')
+    .optional()
+    .isIn(PREFERENCE_MODES)
+    .withMessage(`Preferences must be one of: ${PREFERENCE_MODES.join(', ')}`)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -91,11 +208,14 @@ router.get('/', [
       minPackage,
       maxPackage,
       sortBy = 'createdAt',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      preferences: preferenceMode = 'rank'
     } = req.query;
 
     // Build query
-    const query = {};
+    const query = { ...getSeasonScope(req).records };
+    const visibility = visibilityFilter(req.user);
+    if (Object.keys(visibility).length > 0) query.$and = [visibility];
     if (status) query.status = status;
     if (industry) query.industry = { $regex: industry, $options: 'i' };
     if (search) {
@@ -122,27 +242,43 @@ router.get('/', [
     // Calculate pagination
     const skip = (page - 1) * limit;
 
-    // Get companies
-    const companies = await Company.find(query)
-      .populate('createdBy', 'name')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+    // Students with placement preferences see companies ranked (or filtered) by them
+    const preferences = preferenceMode === 'off' ? null : await getRequestPreferences(req.user);
+
+    // Get companies, each with how well it matches the preferences
+    let companies;
+    let total;
+    if (preferences) {
+      const ranked = applyPreferences(
+        await Company.find(query).populate('createdBy', 'name').sort(sort),
+        preferences,
+        describeCompany,
+        preferenceMode
+      );
+      total = ranked.length;
+      companies = ranked.slice(skip, skip + parseInt(limit));
+    } else {
+      const found = await Company.find(query)
+        .populate('createdBy', 'name')
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit));
+      total = await Company.countDocuments(query);
+      companies = found.map(item => ({ item }));
+    }
 
     // Get application counts for each company
     const companiesWithStats = await Promise.all(
-      companies.map(async (company) => {
+      companies.map(async ({ item: company, match }) => {
         const stats = await company.getApplicationStats();
         return {
           ...company.toObject(),
+          ...(match && { preferenceMatch: match }),
           applicationStats: stats
         };
       })
     );
 
-    // Get total count
-    const total = await Company.countDocuments(query);
-
     res.json({
       success: true,
       data: {
@@ -199,7 +335,7 @@ router.get('/active', async (req, res) => {
 // @route   GET /api/companies/:id
 // @desc    Get company by ID
 // @access  Public (with optional auth)
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -210,7 +346,7 @@ router.get('/:id', async (req, res) => {
         select: 'roundName description duration'
       });
 
-    if (!company) {
+    if (!company || (!company.isPublished() && !canSeeUnpublished(req.user, company._id))) {
       return res.status(404).json({
         success: false,
         message: 'Company not found'
@@ -268,9 +404,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/companies
-// @desc    Create new company (admin only)
-// @access  Private (Admin only)
-router.post('/', protect, authorize('admin'), upload.single('logo'), [
+// @desc    Create new company as a draft, optionally submitting it for approval straight away
+// @access  Private (companies:write)
+router.post('/', protect, requirePermission('companies:write'), preserveContext(upload.single('logo')), [
   body('name')
     .trim()
     .notEmpty()
@@ -291,9 +427,11 @@ router.post('/', protect, authorize('admin'), upload.single('logo'), [
     .notEmpty()
     .withMessage('Location is required'),
   body('packageOffered')
+    .if(body('compensation').not().exists())
     .trim()
     .notEmpty()
-    .withMessage('Package offered is required'),
+    .withMessage('Package offered or compensation is required'),
+  ...compensationValidation('compensation'),
   body('totalPositions')
     .isInt({ min: 1 })
     .withMessage('Total positions must be at least 1'),
@@ -313,7 +451,27 @@ router.post('/', protect, authorize('admin'), upload.single('logo'), [
   body('skills')
     .optional()
     .isArray()
-    .withMessage('Skills must be an array')
+    .withMessage('Skills must be an array'),
+  body('isShared')
+    .optional()
+    .isBoolean()
+    .withMessage('isShared must be a boolean'),
+  body('jobProfiles')
+    .optional()
+    .isArray()
+    .withMessage('Job profiles must be an array'),
+  body('maxProfilesPerStudent')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Students must be allowed to apply to at least 1 profile'),
+  body('seasonId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid season ID'),
+  body('submitForApproval')
+    .optional()
+    .isBoolean()
+    .withMessage('submitForApproval must be a boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -332,6 +490,7 @@ router.post('/', protect, authorize('admin'), upload.single('logo'), [
       industry,
       location,
       packageOffered,
+      compensation,
       totalPositions,
       applicationDeadline,
       requirements = [],
@@ -341,9 +500,22 @@ router.post('/', protect, authorize('admin'), upload.single('logo'), [
       recruitmentProcess = [],
       website,
       contactEmail,
-      contactPhone
+      contactPhone,
+      isShared,
+      jobProfiles = [],
+      maxProfilesPerStudent,
+      seasonId,
+      submitForApproval
     } = req.body;
 
+    // Without a season the company joins the current one
+    if (seasonId && !(await Season.findById(seasonId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Placement season not found'
+      });
+    }
+
     // Check if company name already exists
     const existingCompany = await Company.findOne({ name });
     if (existingCompany) {
@@ -360,6 +532,7 @@ router.post('/', protect, authorize('admin'), upload.single('logo'), [
       industry,
       location,
       packageOffered,
+      compensation,
       totalPositions,
       applicationDeadline: new Date(applicationDeadline),
       requirements,
@@ -370,6 +543,11 @@ router.post('/', protect, authorize('admin'), upload.single('logo'), [
       website,
       contactEmail,
       contactPhone,
+      jobProfiles: jobProfiles.map(pickJobProfileFields),
+      maxProfilesPerStudent,
+      seasonId,
+      // Other institutions see the company unless it is explicitly kept private
+      isShared: isShared === undefined ? true : isShared === true || isShared === 'true',
       createdBy: req.user._id
     });
 
@@ -378,10 +556,14 @@ router.post('/', protect, authorize('admin'), upload.single('logo'), [
       company.logoUrl = `/uploads/${req.file.filename}`;
     }
 
-    await company.save();
+    // Companies start as drafts; admins approve them once submitted
+    if (submitForApproval === true || submitForApproval === 'true') {
+      company.statusHistory.push({ to: 'draft', changedBy: req.user._id });
+      company.transitionTo('pending-approval', req.user._id);
+    }
 
-    // Create default recruitment rounds
-    await company.createDefaultRounds();
+    // Saving a new company also creates its default recruitment rounds
+    await company.save();
 
     // Get populated company data
     const populatedCompany = await Company.findById(company._id)
@@ -389,11 +571,19 @@ router.post('/', protect, authorize('admin'), upload.single('logo'), [
 
     res.status(201).json({
       success: true,
-      message: 'Company created successfully',
+      message: company.status === 'draft'
+        ? 'Company saved as a draft'
+        : 'Company submitted for approval',
       data: { company: populatedCompany }
     });
   } catch (error) {
     console.error('Create company error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while creating company'
@@ -403,8 +593,8 @@ router.post('/', protect, authorize('admin'), upload.single('logo'), [
 
 // @route   PUT /api/companies/:id
 // @desc    Update company (admin only or company recruiter)
-// @access  Private
-router.put('/:id', protect, companyAccess, upload.single('logo'), [
+// @access  Private (companies:write, or companies:write:company for own company; companies:approve for material changes once approved)
+router.put('/:id', protect, requireCompanyWrite, companyAccess, preserveContext(upload.single('logo')), [
   body('name')
     .optional()
     .trim()
@@ -419,7 +609,12 @@ router.put('/:id', protect, companyAccess, upload.single('logo'), [
   body('applicationDeadline')
     .optional()
     .isISO8601()
-    .withMessage('Application deadline must be a valid date')
+    .withMessage('Application deadline must be a valid date'),
+  body('maxProfilesPerStudent')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Students must be allowed to apply to at least 1 profile'),
+  ...compensationValidation('compensation')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -433,7 +628,10 @@ router.put('/:id', protect, companyAccess, upload.single('logo'), [
     }
 
     const { id } = req.params;
-    const updates = req.body;
+    const updates = pickCompanyFields(req.body);
+    if (updates.isShared !== undefined) {
+      updates.isShared = updates.isShared === true || updates.isShared === 'true';
+    }
 
     // Find company
     const company = await Company.findById(id);
@@ -444,6 +642,23 @@ router.put('/:id', protect, companyAccess, upload.single('logo'), [
       });
     }
 
+    if (!canWriteCompany(req, company._id)) {
+      return companyWriteError(res);
+    }
+    if (!canChangeCompany(req, company)) {
+      return companyOwnerError(res);
+    }
+
+    // Students already see an approved company as it was approved
+    const materialChanges = MATERIAL_COMPANY_FIELDS.filter(field => updates[field] !== undefined);
+    if (materialChanges.length > 0 && company.isPublished() &&
+        !hasPermission(req.permissions, 'companies:approve')) {
+      return res.status(403).json({
+        success: false,
+        message: `Changing ${materialChanges.join(', ')} of an approved company requires permission companies:approve.`
+      });
+    }
+
     // Check if company name is being changed and if it already exists
     if (updates.name && updates.name !== company.name) {
       const existingCompany = await Company.findOne({
@@ -463,12 +678,10 @@ router.put('/:id', protect, companyAccess, upload.single('logo'), [
       updates.logoUrl = `/uploads/${req.file.filename}`;
     }
 
-    // Update company
-    const updatedCompany = await Company.findByIdAndUpdate(
-      id,
-      updates,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name');
+    // Update company; saving parses a changed package into compensation
+    company.set(updates);
+    await company.save();
+    const updatedCompany = await Company.findById(id).populate('createdBy', 'name');
 
     res.json({
       success: true,
@@ -477,6 +690,12 @@ router.put('/:id', protect, companyAccess, upload.single('logo'), [
     });
   } catch (error) {
     console.error('Update company error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while updating company'
@@ -485,9 +704,9 @@ router.put('/:id', protect, companyAccess, upload.single('logo'), [
 });
 
 // @route   DELETE /api/companies/:id
-// @desc    Delete company (admin only)
-// @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @desc    Delete company
+// @access  Private (companies:delete)
+router.delete('/:id', protect, requirePermission('companies:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -499,14 +718,27 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    // Delete associated applications
-    await Application.deleteMany({ companyId: id });
+    if (!canChangeCompany(req, company)) {
+      return companyOwnerError(res);
+    }
+
+    // Companies of a closed season are kept with their applications
+    await Season.assertWritable(company.seasonId);
 
-    // Delete recruitment rounds
-    await RecruitmentRound.deleteMany({ companyId: id });
+    // A shared company has applications, rounds and invitations in every
+    // institution that recruits through it
+    await runAcrossTenants(async () => {
+      await Application.deleteMany({ companyId: id });
+      await RecruitmentRound.deleteMany({ companyId: id });
 
-    // Delete company
-    await Company.findByIdAndDelete(id);
+      // Outstanding recruiter invitations can no longer be accepted
+      await RecruiterInvitation.updateMany(
+        { companyId: id, status: 'pending' },
+        { status: 'revoked', revokedAt: new Date(), revokedBy: req.user._id }
+      );
+
+      await Company.findByIdAndDelete(id);
+    });
 
     res.json({
       success: true,
@@ -514,6 +746,12 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
     });
   } catch (error) {
     console.error('Delete company error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while deleting company'
@@ -521,6 +759,161 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @route   POST /api/companies/:id/status
+// @desc    Move a company through its lifecycle (submit, approve, reject, schedule the pre-placement talk, start the drive, declare results, close). Approving or rejecting a company awaiting approval takes companies:approve.
+// @access  Private (companies:write, companies:write:company or companies:approve)
+router.post('/:id/status', protect, requirePermission('companies:write', 'companies:write:company', 'companies:approve'), companyAccess, [
+  body('status')
+    .isIn(Company.COMPANY_STATUSES)
+    .withMessage(`Status must be one of: ${Company.COMPANY_STATUSES.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  body('preplacementTalk.scheduledAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Pre-placement talk date must be a valid date'),
+  body('preplacementTalk.venue')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Venue cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { status, note, preplacementTalk } = req.body;
+
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (!canChangeCompany(req, company)) {
+      return companyOwnerError(res);
+    }
+
+    // Approval decisions take companies:approve, every other move write access
+    if (company.isApprovalDecision(status)) {
+      if (!hasPermission(req.permissions, 'companies:approve')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Requires permission companies:approve.'
+        });
+      }
+    } else if (!canWriteCompany(req, company._id)) {
+      return companyWriteError(res);
+    }
+
+    if (company.status === 'pending-approval' && status === 'draft' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining why the company is sent back is required'
+      });
+    }
+
+    if (status === 'ppt-scheduled' && preplacementTalk) {
+      company.preplacementTalk = preplacementTalk;
+    }
+
+    const from = company.status;
+    company.transitionTo(status, req.user._id, note);
+
+    try {
+      await company.validate();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    await company.save();
+
+    // A failed notification does not undo the change
+    try {
+      await Notification.createCompanyStatusNotifications(company, { from, to: status, note });
+    } catch (notificationError) {
+      console.error('Company status notification error:', notificationError);
+    }
+
+    res.json({
+      success: true,
+      message: `Company moved from ${from} to ${status}`,
+      data: { company }
+    });
+  } catch (error) {
+    console.error('Change company status error:', error);
+    if (error.name === 'CompanyStatusError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing company status'
+    });
+  }
+});
+
+// @route   GET /api/companies/:id/status-history
+// @desc    Get who moved a company through its lifecycle, and when
+// @access  Private (companies:write, companies:write:company or companies:approve)
+router.get('/:id/status-history', protect, requirePermission('companies:write', 'companies:write:company', 'companies:approve'), companyAccess, async (req, res) => {
+  try {
+    if (!hasPermission(req.permissions, 'companies:approve') && !canWriteCompany(req, req.params.id)) {
+      return companyWriteError(res);
+    }
+
+    const company = await Company.findById(req.params.id)
+      .select('name status statusHistory preplacementTalk')
+      .populate('statusHistory.changedBy', 'name email role');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: company.status,
+        allowedTransitions: Company.STATUS_TRANSITIONS[company.status],
+        preplacementTalk: company.preplacementTalk,
+        history: company.statusHistory
+      }
+    });
+  } catch (error) {
+    console.error('Get company status history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching company status history'
+    });
+  }
+});
+
 // @route   POST /api/companies/:id/rounds
 // @desc    Create recruitment round for company
 // @access  Private (Admin or company recruiter)
@@ -546,7 +939,11 @@ router.post('/:id/rounds', protect, companyAccess, [
     }),
   body('roundNumber')
     .isInt({ min: 1 })
-    .withMessage('Round number must be at least 1')
+    .withMessage('Round number must be at least 1'),
+  body('jobProfileId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid job profile ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -570,7 +967,8 @@ router.post('/:id/rounds', protect, companyAccess, [
       isOnline = false,
       meetingLink,
       instructions,
-      maxCandidates
+      maxCandidates,
+      jobProfileId = null
     } = req.body;
 
     // Check if company exists
@@ -582,22 +980,34 @@ router.post('/:id/rounds', protect, companyAccess, [
       });
     }
 
-    // Check if round number already exists for this company
+    await Season.assertWritable(company.seasonId);
+
+    // Rounds without a job profile are common to every profile
+    if (jobProfileId && !company.jobProfiles.id(jobProfileId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job profile not found'
+      });
+    }
+
+    // Check if round number already exists for this company (or job profile)
     const existingRound = await RecruitmentRound.findOne({
       companyId: id,
+      jobProfileId,
       roundNumber
     });
 
     if (existingRound) {
       return res.status(400).json({
         success: false,
-        message: `Round ${roundNumber} already exists for this company`
+        message: `Round ${roundNumber} already exists for this ${jobProfileId ? 'profile' : 'company'}`
       });
     }
 
     // Create recruitment round
     const round = new RecruitmentRound({
       companyId: id,
+      jobProfileId,
       name,
       description,
       scheduledDate: new Date(scheduledDate),
@@ -620,6 +1030,18 @@ router.post('/:id/rounds', protect, companyAccess, [
     });
   } catch (error) {
     console.error('Create recruitment round error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'RoundConflictError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while creating recruitment round'
@@ -657,58 +1079,622 @@ router.get('/:id/rounds', protect, companyAccess, async (req, res) => {
   }
 });
 
-// @route   GET /api/companies/search
-// @desc    Search companies
-// @access  Public
-router.get('/search', async (req, res) => {
+// @route   POST /api/companies/:id/profiles
+// @desc    Add a job profile to a company's drive
+// @access  Private (companies:write, or companies:write:company for own company)
+router.post('/:id/profiles', protect, requireCompanyWrite, companyAccess, jobProfileValidation(), async (req, res) => {
   try {
-    const { q: query, industry, location, type } = req.query;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
 
-    if (!query) {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (!canWriteCompany(req, company._id)) {
+      return companyWriteError(res);
+    }
+    if (!canChangeCompany(req, company)) {
+      return companyOwnerError(res);
+    }
+
+    const profile = company.jobProfiles.create(pickJobProfileFields(req.body));
+    company.jobProfiles.push(profile);
+
+    const validationError = company.validateSync(['jobProfiles']);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Search query is required'
+        message: Object.values(validationError.errors).map(error => error.message).join(', ')
       });
     }
 
-    // Build filters
-    const filters = {};
-    if (industry) filters.industry = industry;
-    if (location) filters.location = { $regex: location, $options: 'i' };
+    await company.save();
 
-    const companies = await Company.searchCompanies(query, filters);
+    res.status(201).json({
+      success: true,
+      message: 'Job profile added successfully',
+      data: { profile }
+    });
+  } catch (error) {
+    console.error('Add job profile error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding job profile'
+    });
+  }
+});
+
+// @route   PUT /api/companies/:id/profiles/:profileId
+// @desc    Update a job profile (close it to stop applications)
+// @access  Private (companies:write, or companies:write:company for own company)
+router.put('/:id/profiles/:profileId', protect, requireCompanyWrite, companyAccess, [
+  param('profileId')
+    .isMongoId()
+    .withMessage('Invalid job profile ID'),
+  ...jobProfileValidation(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const company = await Company.findById(req.params.id);
+    const profile = company && company.jobProfiles.id(req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: company ? 'Job profile not found' : 'Company not found'
+      });
+    }
+
+    if (!canWriteCompany(req, company._id)) {
+      return companyWriteError(res);
+    }
+    if (!canChangeCompany(req, company)) {
+      return companyOwnerError(res);
+    }
+
+    profile.set(pickJobProfileFields(req.body));
+
+    const validationError = company.validateSync(['jobProfiles']);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(validationError.errors).map(error => error.message).join(', ')
+      });
+    }
+
+    await company.save();
 
     res.json({
       success: true,
-      data: { companies }
+      message: 'Job profile updated successfully',
+      data: { profile }
     });
   } catch (error) {
-    console.error('Search companies error:', error);
+    console.error('Update job profile error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
-      message: 'Server error while searching companies'
+      message: 'Server error while updating job profile'
     });
   }
 });
 
-// @route   GET /api/companies/stats
-// @desc    Get company statistics (admin only)
-// @access  Private (Admin only)
-router.get('/stats', protect, authorize('admin'), async (req, res) => {
+// @route   DELETE /api/companies/:id/profiles/:profileId
+// @desc    Delete a job profile that has no applications, with its rounds
+// @access  Private (companies:write, or companies:write:company for own company)
+router.delete('/:id/profiles/:profileId', protect, requireCompanyWrite, companyAccess, [
+  param('profileId')
+    .isMongoId()
+    .withMessage('Invalid job profile ID')
+], async (req, res) => {
   try {
-    const stats = await Company.aggregate([
-      {
-        $group: {
-          _id: '$industry',
-          count: { $sum: 1 },
-          active: { $sum: { $cond: ['$status', 'active', 1, 0] } },
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { id, profileId } = req.params;
+
+    const company = await Company.findById(id);
+    const profile = company && company.jobProfiles.id(profileId);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: company ? 'Job profile not found' : 'Company not found'
+      });
+    }
+
+    if (!canWriteCompany(req, company._id)) {
+      return companyWriteError(res);
+    }
+    if (!canChangeCompany(req, company)) {
+      return companyOwnerError(res);
+    }
+
+    // Applications keep their profile; close the profile instead
+    const applicationCount = await Application.countDocuments({ companyId: id, jobProfileId: profileId });
+    if (applicationCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${profile.title} has ${applicationCount} application(s). Close the profile instead of deleting it.`
+      });
+    }
+
+    profile.deleteOne();
+    await company.save();
+
+    await RecruitmentRound.deleteMany({ companyId: id, jobProfileId: profileId });
+
+    res.json({
+      success: true,
+      message: 'Job profile deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete job profile error:', error);
+    if (error.name === 'SeasonClosedError') {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting job profile'
+    });
+  }
+});
+
+// Email an invitation link; failures are logged so the invitation is still created
+const sendInvitationEmail = async (invitation, company, token) => {
+  try {
+    await emailService.sendRecruiterInvitationEmail(invitation, company, token);
+  } catch (error) {
+    console.error('Recruiter invitation email error:', error);
+  }
+};
+
+// @route   GET /api/companies/:id/recruiters
+// @desc    Get recruiters and invitations for company
+// @access  Private (recruiters:manage)
+router.get('/:id/recruiters', protect, requirePermission('recruiters:manage'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid company ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const company = await Company.findById(id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const recruiters = await User.find({ companyId: id, role: 'recruiter' })
+      .select('name email isActive isPrimaryContact lastLogin createdAt')
+      .sort({ isPrimaryContact: -1, name: 1 });
+
+    const invitations = await RecruiterInvitation.find({ companyId: id })
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        recruiters,
+        invitations: invitations.map(invitation => invitation.getFormattedData())
+      }
+    });
+  } catch (error) {
+    console.error('Get company recruiters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recruiters'
+    });
+  }
+});
+
+// @route   POST /api/companies/:id/recruiters/invitations
+// @desc    Invite a recruiter for company by email
+// @access  Private (recruiters:manage)
+router.post('/:id/recruiters/invitations', protect, requirePermission('recruiters:manage'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail(),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('isPrimaryContact')
+    .optional()
+    .isBoolean()
+    .withMessage('isPrimaryContact must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { email, name, isPrimaryContact = false } = req.body;
+
+    const company = await Company.findById(id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    // Invitations create new accounts; existing users are updated by an admin instead
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    const { invitation, token } = await RecruiterInvitation.issue({
+      email,
+      name,
+      companyId: company._id,
+      isPrimaryContact: isPrimaryContact === true || isPrimaryContact === 'true',
+      invitedBy: req.user._id
+    });
+
+    await sendInvitationEmail(invitation, company, token);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: { invitation: invitation.getFormattedData() }
+    });
+  } catch (error) {
+    console.error('Invite recruiter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while inviting recruiter'
+    });
+  }
+});
+
+// @route   POST /api/companies/:id/recruiters/invitations/:invitationId/resend
+// @desc    Resend a pending invitation with a new link and expiry
+// @access  Private (recruiters:manage)
+router.post('/:id/recruiters/invitations/:invitationId/resend', protect, requirePermission('recruiters:manage'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invalid invitation ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { id, invitationId } = req.params;
+
+    const invitation = await RecruiterInvitation.findOne({ _id: invitationId, companyId: id })
+      .populate('companyId', 'name');
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    // Expired invitations can be resent; accepted or revoked ones cannot
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${invitation.status}`
+      });
+    }
+
+    const token = invitation.renewToken();
+    await invitation.save();
+
+    await sendInvitationEmail(invitation, invitation.companyId, token);
+
+    res.json({
+      success: true,
+      message: 'Invitation resent successfully',
+      data: { invitation: invitation.depopulate('companyId').getFormattedData() }
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resending invitation'
+    });
+  }
+});
+
+// @route   DELETE /api/companies/:id/recruiters/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (recruiters:manage)
+router.delete('/:id/recruiters/invitations/:invitationId', protect, requirePermission('recruiters:manage'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invalid invitation ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { id, invitationId } = req.params;
+
+    const invitation = await RecruiterInvitation.findOne({ _id: invitationId, companyId: id });
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${invitation.status}`
+      });
+    }
+
+    await invitation.revoke(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: { invitation: invitation.getFormattedData() }
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking invitation'
+    });
+  }
+});
+
+// @route   PUT /api/companies/:id/recruiters/:userId/primary-contact
+// @desc    Make a recruiter the company's primary contact
+// @access  Private (recruiters:manage)
+router.put('/:id/recruiters/:userId/primary-contact', protect, requirePermission('recruiters:manage'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { id, userId } = req.params;
+
+    const recruiter = await User.findOne({ _id: userId, companyId: id, role: 'recruiter' });
+    if (!recruiter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recruiter not found for this company'
+      });
+    }
+
+    if (!recruiter.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'A deactivated recruiter cannot be the primary contact'
+      });
+    }
+
+    const updatedRecruiter = await User.setPrimaryContact(id, userId);
+
+    res.json({
+      success: true,
+      message: 'Primary contact updated successfully',
+      data: { recruiter: updatedRecruiter }
+    });
+  } catch (error) {
+    console.error('Set primary contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating primary contact'
+    });
+  }
+});
+
+// @route   DELETE /api/companies/:id/recruiters/:userId
+// @desc    Revoke a recruiter's access (deactivates the account and signs it out)
+// @access  Private (recruiters:manage)
+router.delete('/:id/recruiters/:userId', protect, requirePermission('recruiters:manage'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { id, userId } = req.params;
+
+    const recruiter = await User.findOne({ _id: userId, companyId: id, role: 'recruiter' });
+    if (!recruiter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recruiter not found for this company'
+      });
+    }
+
+    recruiter.isActive = false;
+    recruiter.isPrimaryContact = false;
+    await recruiter.save();
+
+    // Existing access and refresh tokens stop working immediately
+    await Session.revokeAllForUser(recruiter._id, 'admin_revoked');
+
+    res.json({
+      success: true,
+      message: 'Recruiter access revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke recruiter access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking recruiter access'
+    });
+  }
+});
+
+// @route   GET /api/companies/search
+// @desc    Search companies
+// @access  Public
+router.get('/search', async (req, res) => {
+  try {
+    const { q: query, industry, location, type } = req.query;
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required'
+      });
+    }
+
+    // Build filters
+    const filters = {};
+    if (industry) filters.industry = industry;
+    if (location) filters.location = { $regex: location, $options: 'i' };
+
+    const companies = await Company.searchCompanies(query, filters);
+
+    res.json({
+      success: true,
+      data: { companies }
+    });
+  } catch (error) {
+    console.error('Search companies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching companies'
+    });
+  }
+});
+
+// @route   GET /api/companies/stats
+// @desc    Get company statistics
+// @access  Private (dashboard:read)
+router.get('/stats', protect, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const stats = await Company.aggregate([
+      {
+        $group: {
+          _id: '$industry',
+          count: { $sum: 1 },
+          active: { $sum: { $cond: [{ $in: ['$status', Company.OPEN_STATUSES] }, 1, 0] } },
           totalPositions: { $sum: '$totalPositions' }
         }
       }
     ]);
 
     const totalCompanies = await Company.countDocuments();
-    const activeCompanies = await Company.countDocuments({ status: 'active' });
+    const activeCompanies = await Company.countDocuments({ status: { $in: Company.OPEN_STATUSES } });
+    const statusCounts = await Company.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
 
     // Get top industries
     const topIndustries = stats
@@ -721,6 +1707,10 @@ router.get('/stats', protect, authorize('admin'), async (req, res) => {
         totalCompanies,
         activeCompanies,
         inactiveCompanies: totalCompanies - activeCompanies,
+        byStatus: Object.fromEntries(Company.COMPANY_STATUSES.map(status => [
+          status,
+          (statusCounts.find(entry => entry._id === status) || { count: 0 }).count
+        ])),
         byIndustry: stats.reduce((acc, stat) => {
           acc[stat._id] = {
             total: stat.count,
@@ -0,0 +1,84 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const { findOrphans, formatOrphans, repairOrphans } = require('../utils/consistency');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Consistency
+ *   description: Find and repair records left behind by interrupted multi-document writes
+ */
+
+/**
+ * @swagger
+ * /api/consistency:
+ *   get:
+ *     summary: Report orphaned records
+ *     description: Student accounts without a profile, profiles without an account and applications of students or companies that no longer exist, in the current institution. At most 100 of each are listed.
+ *     tags: [Consistency]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Orphans per check, with a count and the records
+ *       403:
+ *         description: Requires settings:manage
+ */
+router.get('/', protect, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const orphans = await findOrphans();
+    const total = Object.values(orphans).reduce((sum, documents) => sum + documents.length, 0);
+
+    res.json({
+      success: true,
+      data: {
+        consistent: total === 0,
+        total,
+        checks: formatOrphans(orphans)
+      }
+    });
+  } catch (error) {
+    console.error('Consistency check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking consistency'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/consistency/repair:
+ *   post:
+ *     summary: Delete orphaned records
+ *     description: Runs the consistency check and deletes what it finds. Profiles without an account are deleted with their applications.
+ *     tags: [Consistency]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of records removed per check
+ *       403:
+ *         description: Requires settings:manage
+ */
+router.post('/repair', protect, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const repaired = await repairOrphans(await findOrphans());
+
+    res.json({
+      success: true,
+      message: 'Orphaned records repaired',
+      data: { repaired }
+    });
+  } catch (error) {
+    console.error('Consistency repair error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while repairing records'
+    });
+  }
+});
+
+module.exports = router;
@@ -7,15 +7,20 @@ const Application = require('../models/Application');
 const OffCampusOpportunity = require('../models/OffCampusOpportunity');
 const ApplicationWindow = require('../models/ApplicationWindow');
 const RecruitmentRound = require('../models/RecruitmentRound');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { resolveSeason, getSeasonScope } = require('../middleware/season');
+const { getTenantFilter } = require('../utils/tenancy');
+const { summarizePackages, summarizePackagesBy } = require('../utils/compensation');
 
 const router = express.Router();
 
 // @route   GET /api/dashboard/admin
-// @desc    Get admin dashboard statistics
-// @access  Private (Admin only)
-router.get('/admin', protect, authorize('admin'), async (req, res) => {
+// @desc    Get admin dashboard statistics, optionally of one placement season
+// @access  Private (dashboard:read)
+router.get('/admin', protect, requirePermission('dashboard:read'), resolveSeason, async (req, res) => {
   try {
+    const { records, students } = getSeasonScope(req);
+
     // Get basic counts
     const [
       totalUsers,
@@ -23,20 +28,23 @@ router.get('/admin', protect, authorize('admin'), async (req, res) => {
       totalCompanies,
       totalApplications,
       activeCompanies,
+      companiesPendingApproval,
       placedStudents,
       totalOffCampusOpportunities
     ] = await Promise.all([
-      User.countDocuments({ isActive: true }),
-      Student.countDocuments(),
-      Company.countDocuments(),
-      Application.countDocuments(),
-      Company.countDocuments({ status: 'active' }),
-      Student.countDocuments({ placed: true }),
+      User.countDocuments({ isActive: true }).byTenant(),
+      Student.countDocuments(students),
+      Company.countDocuments(records),
+      Application.countDocuments(records),
+      Company.countDocuments({ ...records, status: { $in: Company.OPEN_STATUSES } }),
+      Company.countDocuments({ ...records, status: 'pending-approval' }),
+      Student.countDocuments({ ...students, placed: true }),
       OffCampusOpportunity.countDocuments({ isActive: true })
     ]);
 
     // Get application statistics
     const applicationStats = await Application.aggregate([
+      { $match: records },
       {
         $group: {
           _id: '$status',
@@ -47,7 +55,7 @@ router.get('/admin', protect, authorize('admin'), async (req, res) => {
 
     // Get user statistics by role
     const userStats = await User.aggregate([
-      { $match: { isActive: true } },
+      { $match: { isActive: true, ...getTenantFilter() } },
       {
         $group: {
           _id: '$role',
@@ -57,7 +65,7 @@ router.get('/admin', protect, authorize('admin'), async (req, res) => {
     ]);
 
     // Get recent applications
-    const recentApplications = await Application.find()
+    const recentApplications = await Application.find(records)
       .populate('studentId', 'rollNumber')
       .populate('userId', 'name')
       .populate('companyId', 'name')
@@ -72,6 +80,7 @@ router.get('/admin', protect, authorize('admin'), async (req, res) => {
 
     // Get top companies by applications
     const topCompanies = await Application.aggregate([
+      { $match: records },
       {
         $group: {
           _id: '$companyId',
@@ -93,12 +102,14 @@ router.get('/admin', protect, authorize('admin'), async (req, res) => {
 
     // Format statistics
     const stats = {
+      season: req.season ? req.season.getFormattedData() : null,
       overview: {
         totalUsers,
         totalStudents,
         totalCompanies,
         totalApplications,
         activeCompanies,
+        companiesPendingApproval,
         placedStudents,
         placementRate: totalStudents > 0 ? ((placedStudents / totalStudents) * 100).toFixed(2) : 0,
         totalOffCampusOpportunities
@@ -328,15 +339,6 @@ router.get('/student/:studentId', protect, async (req, res) => {
     // Get upcoming application windows
     const upcomingWindows = await ApplicationWindow.getUpcomingWindows(5);
 
-    // Get student's profile completion
-    const profileCompletion = {
-      basicInfo: !!(student.rollNumber && student.branch && student.cgpa && student.phone && student.batch),
-      resume: !!student.resumeUrl,
-      skills: !!(student.skills && student.skills.length > 0)
-    };
-
-    const completionPercentage = Object.values(profileCompletion).filter(Boolean).length * 33.33;
-
     // Format statistics
     const stats = {
       student: {
@@ -349,15 +351,12 @@ router.get('/student/:studentId', protect, async (req, res) => {
         batch: student.batch,
         placed: student.placed,
         placedCompany: student.placedCompany,
-        profileCompletion: {
-          ...profileCompletion,
-          percentage: Math.round(completionPercentage)
-        }
+        profileCompleteness: student.getProfileCompleteness()
       },
       applications: applicationStats,
       recentApplications: applications.slice(0, 5),
       opportunities: {
-        eligibleCompanies: eligibleCompanies.filter(Eligible => eligible.eligible),
+        eligibleCompanies: eligibleCompanies.filter(company => company.eligible),
         totalActiveCompanies: activeCompanies.length,
         offCampusOpportunities,
         upcomingWindows
@@ -378,9 +377,9 @@ router.get('/student/:studentId', protect, async (req, res) => {
 });
 
 // @route   GET /api/dashboard/analytics/overall
-// @desc    Get overall analytics (admin only)
-// @access  Private (Admin only)
-router.get('/analytics/overall', protect, authorize('admin'), [
+// @desc    Get overall analytics, optionally of one placement season
+// @access  Private (dashboard:read)
+router.get('/analytics/overall', protect, requirePermission('dashboard:read'), resolveSeason, [
   query('period')
     .optional()
     .isIn(['week', 'month', 'quarter', 'year'])
@@ -388,6 +387,7 @@ router.get('/analytics/overall', protect, authorize('admin'), [
 ], async (req, res) => {
   try {
     const { period = 'month' } = req.query;
+    const { records, students } = getSeasonScope(req);
 
     // Calculate date range based on period
     const now = new Date();
@@ -413,6 +413,7 @@ router.get('/analytics/overall', protect, authorize('admin'), [
     const applicationTrends = await Application.aggregate([
       {
         $match: {
+          ...records,
           submittedAt: { $gte: startDate }
         }
       },
@@ -434,6 +435,7 @@ router.get('/analytics/overall', protect, authorize('admin'), [
 
     // Get placement statistics
     const placementStats = await Student.aggregate([
+      { $match: students },
       {
         $group: {
           _id: '$branch',
@@ -450,8 +452,12 @@ router.get('/analytics/overall', protect, authorize('admin'), [
       { $sort: { placementRate: -1 } }
     ]);
 
+    // Packages (CTC in LPA) of placed students
+    const packages = await Student.getPlacedPackages(students);
+
     // Get company performance
     const companyPerformance = await Application.aggregate([
+      { $match: records },
       {
         $group: {
           _id: '$companyId',
@@ -480,6 +486,7 @@ router.get('/analytics/overall', protect, authorize('admin'), [
 
     // Get skill demand analysis
     const skillDemand = await Company.aggregate([
+      { $match: records },
       { $unwind: '$skills' },
       {
         $group: {
@@ -494,6 +501,7 @@ router.get('/analytics/overall', protect, authorize('admin'), [
 
     // Format analytics
     const analytics = {
+      season: req.season ? req.season.getFormattedData() : null,
       period,
       dateRange: {
         start: startDate,
@@ -503,7 +511,12 @@ router.get('/analytics/overall', protect, authorize('admin'), [
         applications: applicationTrends
       },
       placements: {
-        byBranch: placementStats
+        byBranch: placementStats,
+        packages: {
+          overall: summarizePackages(packages.map(entry => entry.package)),
+          byBranch: summarizePackagesBy(packages, 'branch'),
+          byBatch: summarizePackagesBy(packages, 'batch')
+        }
       },
       companies: {
         performance: companyPerformance
@@ -29,6 +29,10 @@
  *               companyId:
  *                 type: string
  *                 description: Company ID
+ *               verifiedOnly:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only count CGPA and backlogs verified by the placement office
  *     responses:
  *       200:
  *         description: Eligibility check result
@@ -89,6 +93,10 @@
  *                 items:
  *                   type: string
  *                 description: Array of company IDs
+ *               verifiedOnly:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only count CGPA and backlogs verified by the placement office
  *     responses:
  *       200:
  *         description: Bulk eligibility check results
@@ -171,6 +179,12 @@
  *           type: integer
  *           default: 50
  *         description: Number of students per page
+ *       - in: query
+ *         name: verifiedOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only count CGPA and backlogs verified by the placement office
  *     responses:
  *       200:
  *         description: List of eligible students
@@ -209,7 +223,7 @@
  *                             type: number
  *                           backlogs:
  *                             type: integer
- *                           isPlaced:
+ *                           placed:
  *                             type: boolean
  *                           resumeLink:
  *                             type: string
@@ -4,6 +4,13 @@ const auth = require('../middleware/auth');
 const Student = require('../models/Student');
 const Company = require('../models/Company');
 const Application = require('../models/Application');
+const {
+  loadPlacementContexts,
+  evaluatePlacementPolicy,
+  checkPlacementPolicy,
+  getPolicyBlockedStudentIds
+} = require('../utils/placementPolicy');
+const { describeRule, buildRuleQuery } = require('../utils/eligibilityRules');
 
 /**
  * @swagger
@@ -61,13 +68,32 @@ const Application = require('../models/Application');
  *                   type: string
  *                 met:
  *                   type: boolean
- *             isPlaced:
+ *             placementPolicy:
  *               type: object
  *               properties:
- *                 allowPlaced:
- *                   type: boolean
- *                 student:
+ *                 tier:
+ *                   type: string
+ *                   description: Tier of the company under the student's batch policy
+ *                 offers:
+ *                   type: integer
+ *                   description: Offers the student already holds
+ *                 blockedBy:
+ *                   type: string
+ *                   enum: [opt-out, max-offers, one-offer, tier-upgrade]
+ *                 met:
  *                   type: boolean
+ *             rule:
+ *               type: object
+ *               description: Eligibility rule of the application window (if it has one)
+ *               properties:
+ *                 description:
+ *                   type: string
+ *                   example: (Branch is one of Computer Science, Information Technology and CGPA ≥ 7.5) or CGPA ≥ 8.5
+ *                 failures:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Clauses the student does not meet
  *                 met:
  *                   type: boolean
  *             activeApplicationWindow:
@@ -79,6 +105,9 @@ const Application = require('../models/Application');
  *                   type: string
  *                 met:
  *                   type: boolean
+ *         blockedBy:
+ *           type: string
+ *           description: Placement policy that blocked the student (if applicable)
  *         recommendations:
  *           type: array
  *           items:
@@ -115,6 +144,10 @@ const Application = require('../models/Application');
  *               companyId:
  *                 type: string
  *                 description: Company ID
+ *               verifiedOnly:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only count CGPA and backlogs verified by the placement office
  *     responses:
  *       200:
  *         description: Eligibility check result
@@ -135,6 +168,7 @@ const Application = require('../models/Application');
 router.post('/check', auth.protect, async (req, res) => {
   try {
     const { studentId, companyId } = req.body;
+    const verifiedOnly = isVerifiedOnly(req.body.verifiedOnly);
 
     if (!studentId || !companyId) {
       return res.status(400).json({
@@ -193,19 +227,24 @@ router.post('/check', auth.protect, async (req, res) => {
       recommendations: [],
       nextSteps: []
     };
+    const academicValues = getAcademicValues(student, verifiedOnly);
 
     // Check 1: Minimum CGPA
     if (company.eligibilityCriteria && company.eligibilityCriteria.minCGPA) {
       const minCGPA = company.eligibilityCriteria.minCGPA;
-      const studentCGPA = student.cgpa || 0;
+      const studentCGPA = academicValues.cgpa;
 
       eligibilityResult.criteria.minCGPA = {
         required: minCGPA,
         student: studentCGPA,
-        met: studentCGPA >= minCGPA
+        met: studentCGPA !== null && studentCGPA >= minCGPA
       };
 
-      if (studentCGPA < minCGPA) {
+      if (studentCGPA === null) {
+        eligibilityResult.eligible = false;
+        eligibilityResult.reason = 'CGPA has not been verified yet';
+        eligibilityResult.recommendations.push('Ask the placement office to verify your semester results');
+      } else if (studentCGPA < minCGPA) {
         eligibilityResult.eligible = false;
         eligibilityResult.reason = `CGPA requirement not met. Required: ${minCGPA}, Your CGPA: ${studentCGPA}`;
         eligibilityResult.recommendations.push(`Focus on improving your CGPA to meet the minimum requirement of ${minCGPA}`);
@@ -215,15 +254,21 @@ router.post('/check', auth.protect, async (req, res) => {
     // Check 2: Maximum Backlogs
     if (company.eligibilityCriteria && company.eligibilityCriteria.maxBacklogs !== undefined) {
       const maxBacklogs = company.eligibilityCriteria.maxBacklogs;
-      const studentBacklogs = student.backlogs || 0;
+      const studentBacklogs = academicValues.backlogs;
 
       eligibilityResult.criteria.maxBacklogs = {
         allowed: maxBacklogs,
         student: studentBacklogs,
-        met: studentBacklogs <= maxBacklogs
+        met: studentBacklogs !== null && studentBacklogs <= maxBacklogs
       };
 
-      if (studentBacklogs > maxBacklogs) {
+      if (studentBacklogs === null) {
+        eligibilityResult.eligible = false;
+        if (!eligibilityResult.reason) {
+          eligibilityResult.reason = 'Backlogs have not been verified yet';
+        }
+        eligibilityResult.recommendations.push('Ask the placement office to verify your backlog record');
+      } else if (studentBacklogs > maxBacklogs) {
         eligibilityResult.eligible = false;
         if (!eligibilityResult.reason) {
           eligibilityResult.reason = `Backlog limit exceeded. Maximum allowed: ${maxBacklogs}, Your backlogs: ${studentBacklogs}`;
@@ -274,23 +319,24 @@ router.post('/check', auth.protect, async (req, res) => {
       }
     }
 
-    // Check 5: Placement Status
-    if (company.eligibilityCriteria && company.eligibilityCriteria.allowPlaced !== undefined) {
-      const allowPlaced = company.eligibilityCriteria.allowPlaced;
-      const studentIsPlaced = student.isPlaced || false;
+    // Check 5: Placement Policy (opt-out, offer limit, tier upgrades)
+    const placement = await checkPlacementPolicy(student, company);
 
-      eligibilityResult.criteria.isPlaced = {
-        allowPlaced,
-        student: studentIsPlaced,
-        met: allowPlaced || !studentIsPlaced
-      };
+    eligibilityResult.criteria.placementPolicy = {
+      tier: placement.tier,
+      offers: placement.offers,
+      blockedBy: placement.policy,
+      met: placement.allowed
+    };
 
-      if (!allowPlaced && studentIsPlaced) {
-        eligibilityResult.eligible = false;
-        if (!eligibilityResult.reason) {
-          eligibilityResult.reason = 'Already placed. This company does not allow placed students to apply.';
-        }
-        eligibilityResult.recommendations.push('Focus on companies that allow already placed students to apply');
+    if (!placement.allowed) {
+      eligibilityResult.eligible = false;
+      eligibilityResult.blockedBy = placement.policy;
+      if (!eligibilityResult.reason) {
+        eligibilityResult.reason = placement.reason;
+      }
+      if (placement.policy === 'tier-upgrade') {
+        eligibilityResult.recommendations.push('Focus on companies in a higher tier than your current offer');
       }
     }
 
@@ -298,7 +344,7 @@ router.post('/check', auth.protect, async (req, res) => {
     const ApplicationWindow = require('../models/ApplicationWindow');
     const activeWindow = await ApplicationWindow.findOne({
       companyId,
-      status: 'active',
+      isActive: true,
       startDate: { $lte: new Date() },
       endDate: { $gte: new Date() }
     });
@@ -319,6 +365,45 @@ router.post('/check', auth.protect, async (req, res) => {
       eligibilityResult.nextSteps.push(`Application deadline: ${activeWindow.endDate.toLocaleDateString()}`);
     }
 
+    // Check 7: Eligibility rule of the application window
+    if (activeWindow && activeWindow.eligibilityRule) {
+      const failures = activeWindow.getRuleFailures(student, getRuleValues(student, verifiedOnly));
+
+      eligibilityResult.criteria.rule = {
+        description: describeRule(activeWindow.eligibilityRule),
+        failures,
+        met: failures.length === 0
+      };
+
+      if (failures.length > 0) {
+        eligibilityResult.eligible = false;
+        if (!eligibilityResult.reason) {
+          eligibilityResult.reason = `Eligibility rule not met: ${failures.join('; ')}`;
+        }
+      }
+    }
+
+    // Check 8: Profile completeness required by the application window
+    if (activeWindow && activeWindow.minProfileCompleteness) {
+      const { score, missing } = student.getProfileCompleteness();
+      const met = score >= activeWindow.minProfileCompleteness;
+
+      eligibilityResult.criteria.profileCompleteness = {
+        required: activeWindow.minProfileCompleteness,
+        actual: score,
+        missing,
+        met
+      };
+
+      if (!met) {
+        eligibilityResult.eligible = false;
+        if (!eligibilityResult.reason) {
+          eligibilityResult.reason = activeWindow.getCompletenessIneligibilityReason(student);
+        }
+        missing.forEach(entry => eligibilityResult.nextSteps.push(entry.label));
+      }
+    }
+
     // Add general recommendations
     if (eligibilityResult.eligible) {
       eligibilityResult.nextSteps.push('Update your resume and prepare for the application');
@@ -379,6 +464,10 @@ router.post('/check', auth.protect, async (req, res) => {
  *                 items:
  *                   type: string
  *                 description: Array of company IDs
+ *               verifiedOnly:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only count CGPA and backlogs verified by the placement office
  *     responses:
  *       200:
  *         description: Bulk eligibility check results
@@ -388,6 +477,7 @@ router.post('/check', auth.protect, async (req, res) => {
 router.post('/bulk-check', auth.protect, async (req, res) => {
   try {
     const { studentIds, companyIds } = req.body;
+    const verifiedOnly = isVerifiedOnly(req.body.verifiedOnly);
 
     if (!studentIds || !Array.isArray(studentIds) || studentIds.length === 0) {
       return res.status(400).json({
@@ -453,7 +543,7 @@ router.post('/bulk-check', auth.protect, async (req, res) => {
     const ApplicationWindow = require('../models/ApplicationWindow');
     const activeWindows = await ApplicationWindow.find({
       companyId: { $in: companyIds },
-      status: 'active',
+      isActive: true,
       startDate: { $lte: new Date() },
       endDate: { $gte: new Date() }
     });
@@ -462,6 +552,8 @@ router.post('/bulk-check', auth.protect, async (req, res) => {
       activeWindows.map(window => [window.companyId.toString(), window])
     );
 
+    const placementContexts = await loadPlacementContexts(students);
+
     // Prepare results
     const results = [];
 
@@ -486,7 +578,9 @@ router.post('/bulk-check', auth.protect, async (req, res) => {
         const eligibility = checkSingleStudentEligibility(
           student,
           company,
-          activeWindowMap.get(company._id.toString())
+          activeWindowMap.get(company._id.toString()),
+          placementContexts.get(student._id.toString()),
+          verifiedOnly
         );
 
         const companyInfo = {
@@ -514,6 +608,7 @@ router.post('/bulk-check', auth.protect, async (req, res) => {
         summary: {
           totalStudents: students.length,
           totalCompanies: companies.length,
+          verifiedOnly,
           totalChecks: results.reduce((sum, result) =>
             sum + result.eligibleCompanies.length + result.ineligibleCompanies.length, 0
           )
@@ -530,6 +625,225 @@ router.post('/bulk-check', auth.protect, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/eligibility/simulate:
+ *   post:
+ *     summary: Simulate draft application window criteria before publishing them
+ *     description: Counts the students the criteria would admit (after the placement policy), broken down by branch, batch and CGPA band, shows how many more each relaxed criterion would admit and returns a sample of eligible students. Nothing is saved.
+ *     tags: [Eligibility]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               companyId:
+ *                 type: string
+ *                 description: Company the window is for; its package decides the placement policy tier
+ *               minCGPA:
+ *                 type: number
+ *               maxBacklogs:
+ *                 type: integer
+ *                 default: 0
+ *               maxBacklogHistory:
+ *                 type: integer
+ *               minTenthPercentage:
+ *                 type: number
+ *               minTwelfthPercentage:
+ *                 type: number
+ *               eligibleBranches:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               passingYear:
+ *                 type: integer
+ *               eligibilityRule:
+ *                 $ref: '#/components/schemas/EligibilityRule'
+ *               minProfileCompleteness:
+ *                 type: integer
+ *               sampleSize:
+ *                 type: integer
+ *                 default: 10
+ *                 maximum: 50
+ *     responses:
+ *       200:
+ *         description: Simulation results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     totalStudents:
+ *                       type: integer
+ *                     eligibleCount:
+ *                       type: integer
+ *                     breakdown:
+ *                       type: object
+ *                       properties:
+ *                         byBranch:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               branch:
+ *                                 type: string
+ *                               count:
+ *                                 type: integer
+ *                         byBatch:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               batch:
+ *                                 type: integer
+ *                               count:
+ *                                 type: integer
+ *                         byCgpaBand:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               band:
+ *                                 type: string
+ *                                 example: 7-8
+ *                               count:
+ *                                 type: integer
+ *                     relaxations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           criterion:
+ *                             type: string
+ *                           current: {}
+ *                           relaxedTo: {}
+ *                           eligibleCount:
+ *                             type: integer
+ *                           additionalStudents:
+ *                             type: integer
+ *                     sample:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid criteria
+ *       404:
+ *         description: Company not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/simulate', auth.protect, auth.requirePermission('windows:write'), async (req, res) => {
+  try {
+    const ApplicationWindow = require('../models/ApplicationWindow');
+    const { companyId } = req.body;
+    const sampleSize = Math.min(parseInt(req.body.sampleSize) || 10, 50);
+
+    let company = null;
+    if (companyId) {
+      company = await Company.findById(companyId);
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          message: 'Company not found'
+        });
+      }
+    }
+
+    // Validate the draft criteria the same way a saved window is validated
+    const criteria = pickCriteria(req.body);
+    const draftWindow = new ApplicationWindow({ ...criteria, companyId: company ? company._id : undefined });
+    const validationError = draftWindow.validateSync(SIMULATION_CRITERIA);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: Object.values(validationError.errors).map(error => ({ path: error.path, msg: error.message }))
+      });
+    }
+
+    const query = await draftWindow.getEligibleStudentsQuery();
+
+    const [totalStudents, eligibleCount, breakdown, sampleStudents] = await Promise.all([
+      Student.countDocuments(),
+      Student.countDocuments(query),
+      getEligibilityBreakdown(query),
+      Student.find(query)
+        .populate('userId', 'name email')
+        .select('userId rollNumber branch batch cgpa backlogs')
+        .sort({ cgpa: -1 })
+        .limit(sampleSize)
+    ]);
+
+    // Marginal effect of relaxing each criterion on its own
+    const relaxations = [];
+    for (const relaxation of CRITERION_RELAXATIONS) {
+      const current = draftWindow[relaxation.criterion];
+      if (!relaxation.isSet(current)) {
+        continue;
+      }
+
+      const relaxedTo = relaxation.relax(current);
+      const relaxedWindow = new ApplicationWindow({
+        ...criteria,
+        companyId: draftWindow.companyId,
+        [relaxation.criterion]: relaxedTo
+      });
+      const relaxedCount = await Student.countDocuments(await relaxedWindow.getEligibleStudentsQuery());
+
+      relaxations.push({
+        criterion: relaxation.criterion,
+        current,
+        relaxedTo: relaxedTo === undefined ? null : relaxedTo,
+        eligibleCount: relaxedCount,
+        additionalStudents: relaxedCount - eligibleCount
+      });
+    }
+    relaxations.sort((a, b) => b.additionalStudents - a.additionalStudents);
+
+    res.json({
+      success: true,
+      data: {
+        criteria: {
+          ...criteria,
+          maxBacklogs: draftWindow.maxBacklogs,
+          eligibilityRuleDescription: draftWindow.eligibilityRule ? describeRule(draftWindow.eligibilityRule) : null
+        },
+        company: company ? { id: company._id, name: company.name } : null,
+        totalStudents,
+        eligibleCount,
+        breakdown,
+        relaxations,
+        sample: sampleStudents.map(student => ({
+          id: student._id,
+          name: student.userId ? student.userId.name : null,
+          email: student.userId ? student.userId.email : null,
+          rollNumber: student.rollNumber,
+          branch: student.branch,
+          batch: student.batch,
+          cgpa: student.cgpa,
+          backlogs: student.backlogs
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error simulating eligibility:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/eligibility/company/{companyId}/eligible-students:
@@ -557,6 +871,12 @@ router.post('/bulk-check', auth.protect, async (req, res) => {
  *           type: integer
  *           default: 50
  *         description: Number of students per page
+ *       - in: query
+ *         name: verifiedOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only count CGPA and backlogs verified by the placement office
  *     responses:
  *       200:
  *         description: List of eligible students
@@ -570,6 +890,7 @@ router.get('/company/:companyId/eligible-students', auth.protect, async (req, re
     const { companyId } = req.params;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
+    const verifiedOnly = isVerifiedOnly(req.query.verifiedOnly);
 
     // Verify company exists
     const company = await Company.findById(companyId);
@@ -584,7 +905,7 @@ router.get('/company/:companyId/eligible-students', auth.protect, async (req, re
     const ApplicationWindow = require('../models/ApplicationWindow');
     const activeWindow = await ApplicationWindow.findOne({
       companyId,
-      status: 'active',
+      isActive: true,
       startDate: { $lte: new Date() },
       endDate: { $gte: new Date() }
     });
@@ -605,8 +926,17 @@ router.get('/company/:companyId/eligible-students', auth.protect, async (req, re
       });
     }
 
-    // Build eligibility query
-    const query = buildEligibilityQuery(company);
+    // Build eligibility query, including the window's eligibility rule
+    const query = buildEligibilityQuery(company, verifiedOnly);
+    if (activeWindow.eligibilityRule) {
+      query.$and = [
+        ...(query.$and || []),
+        buildRuleQuery(activeWindow.eligibilityRule, verifiedOnly ? getVerifiedSectionFilter : null)
+      ];
+    }
+    if (activeWindow.minProfileCompleteness) {
+      query.profileCompleteness = { $gte: activeWindow.minProfileCompleteness };
+    }
 
     // Get students who haven't applied yet
     const existingApplicants = await Application.find({
@@ -616,20 +946,25 @@ router.get('/company/:companyId/eligible-students', auth.protect, async (req, re
 
     const existingStudentIds = existingApplicants.map(app => app.studentId);
 
-    if (existingStudentIds.length > 0) {
-      query._id = { $nin: existingStudentIds };
+    // Leave out students blocked by the placement policy
+    const blockedStudentIds = await getPolicyBlockedStudentIds(query, company);
+    const excludedStudentIds = [...existingStudentIds, ...blockedStudentIds];
+
+    if (excludedStudentIds.length > 0) {
+      query._id = { $nin: excludedStudentIds };
     }
 
     // Get eligible students with pagination
     const skip = (page - 1) * limit;
     const students = await Student.find(query)
-      .select('name rollNumber email branch batch cgpa backlogs isPlaced resumeLink personalEmail phoneNumber')
+      .select('name rollNumber email branch batch cgpa backlogs totalBacklogs gapYears skills projects placed placedCompany placementOptOut resumeLink resumeUrl personalEmail phone phoneNumber academicRecord academicVerification profileCompleteness')
       .sort({ cgpa: -1, name: 1 })
       .skip(skip)
       .limit(limit);
 
     // Get total count
     const total = await Student.countDocuments(query);
+    const placementContexts = await loadPlacementContexts(students);
 
     // Format student data
     const formattedStudents = students.map(student => ({
@@ -643,9 +978,15 @@ router.get('/company/:companyId/eligible-students', auth.protect, async (req, re
       batch: student.batch,
       cgpa: student.cgpa,
       backlogs: student.backlogs,
-      isPlaced: student.isPlaced,
+      placed: student.placed,
       resumeLink: student.resumeLink,
-      eligibility: checkSingleStudentEligibility(student, company, activeWindow)
+      eligibility: checkSingleStudentEligibility(
+        student,
+        company,
+        activeWindow,
+        placementContexts.get(student._id.toString()),
+        verifiedOnly
+      )
     }));
 
     res.json({
@@ -662,6 +1003,7 @@ router.get('/company/:companyId/eligible-students', auth.protect, async (req, re
           startDate: activeWindow.startDate,
           endDate: activeWindow.endDate
         },
+        verifiedOnly,
         pagination: {
           page,
           limit,
@@ -680,9 +1022,121 @@ router.get('/company/:companyId/eligible-students', auth.protect, async (req, re
   }
 });
 
+// Application window criteria the simulator accepts
+const SIMULATION_CRITERIA = [
+  'minCGPA',
+  'maxBacklogs',
+  'maxBacklogHistory',
+  'minTenthPercentage',
+  'minTwelfthPercentage',
+  'eligibleBranches',
+  'passingYear',
+  'eligibilityRule',
+  'minProfileCompleteness'
+];
+
+// How the simulator relaxes each criterion by one step
+const CRITERION_RELAXATIONS = [
+  { criterion: 'minCGPA', isSet: value => !!value, relax: value => Math.max(Math.round((value - 0.5) * 100) / 100, 0) },
+  { criterion: 'maxBacklogs', isSet: value => value !== undefined && value !== null, relax: value => value + 1 },
+  { criterion: 'maxBacklogHistory', isSet: value => value !== undefined && value !== null, relax: value => value + 1 },
+  { criterion: 'minTenthPercentage', isSet: value => !!value, relax: value => Math.max(value - 5, 0) },
+  { criterion: 'minTwelfthPercentage', isSet: value => !!value, relax: value => Math.max(value - 5, 0) },
+  { criterion: 'eligibleBranches', isSet: value => !!value && value.length > 0, relax: () => [] },
+  { criterion: 'passingYear', isSet: value => !!value, relax: () => undefined },
+  { criterion: 'eligibilityRule', isSet: value => !!value, relax: () => null },
+  { criterion: 'minProfileCompleteness', isSet: value => !!value, relax: value => Math.max(value - 10, 0) }
+];
+
+// CGPA bands used in simulation breakdowns
+const CGPA_BANDS = [
+  { band: 'below 6', min: 0 },
+  { band: '6-7', min: 6 },
+  { band: '7-8', min: 7 },
+  { band: '8-9', min: 8 },
+  { band: '9-10', min: 9 }
+];
+
+// Helper function to pick the simulated criteria from a request body
+function pickCriteria(body) {
+  return Object.fromEntries(
+    SIMULATION_CRITERIA
+      .filter(criterion => body[criterion] !== undefined)
+      .map(criterion => [criterion, body[criterion]])
+  );
+}
+
+// Helper function to count the students matching a query by branch, batch and CGPA band
+async function getEligibilityBreakdown(query) {
+  const [result] = await Student.aggregate([
+    { $match: query },
+    {
+      $facet: {
+        byBranch: [
+          { $group: { _id: '$branch', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        byBatch: [
+          { $group: { _id: '$batch', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        byCgpaBand: [
+          {
+            $bucket: {
+              groupBy: '$cgpa',
+              boundaries: [...CGPA_BANDS.map(band => band.min), 10.01],
+              default: 'unknown',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const bandCounts = new Map(result.byCgpaBand.map(band => [band._id, band.count]));
+
+  return {
+    byBranch: result.byBranch.map(group => ({ branch: group._id, count: group.count })),
+    byBatch: result.byBatch.map(group => ({ batch: group._id, count: group.count })),
+    byCgpaBand: CGPA_BANDS.map(band => ({ band: band.band, count: bandCounts.get(band.min) || 0 }))
+  };
+}
+
+// Helper function to tell if only verified academic data should be counted
+function isVerifiedOnly(value) {
+  return value === true || value === 'true';
+}
+
+// Helper function to get the CGPA and backlogs used for eligibility
+// (null when only verified data counts and it is not verified)
+function getAcademicValues(student, verifiedOnly) {
+  if (!verifiedOnly) {
+    return { cgpa: student.cgpa || 0, backlogs: student.backlogs || 0 };
+  }
+
+  const verified = student.getVerifiedAcademicData();
+  return {
+    cgpa: verified.cgpa === null ? null : verified.cgpa || 0,
+    backlogs: verified.backlogs === null ? null : verified.backlogs || 0
+  };
+}
+
+// Helper function to get the values eligibility rules use instead of the
+// student's own: with verifiedOnly, unverified academic data counts as missing
+function getRuleValues(student, verifiedOnly) {
+  return verifiedOnly ? student.getVerifiedAcademicData() : {};
+}
+
+// Helper function to match students whose academic section is verified
+function getVerifiedSectionFilter(section) {
+  return Student.getVerifiedFilter([section]);
+}
+
 // Helper function to check single student eligibility
-function checkSingleStudentEligibility(student, company, activeWindow) {
+function checkSingleStudentEligibility(student, company, activeWindow, placementContext, verifiedOnly = false) {
   const criteria = company.eligibilityCriteria || {};
+  const academicValues = getAcademicValues(student, verifiedOnly);
   const result = {
     eligible: true,
     reasons: [],
@@ -691,29 +1145,33 @@ function checkSingleStudentEligibility(student, company, activeWindow) {
 
   // Check CGPA
   if (criteria.minCGPA) {
-    const met = (student.cgpa || 0) >= criteria.minCGPA;
+    const met = academicValues.cgpa !== null && academicValues.cgpa >= criteria.minCGPA;
     result.criteriaChecks.cgpa = {
       required: criteria.minCGPA,
-      actual: student.cgpa || 0,
+      actual: academicValues.cgpa,
       met
     };
     if (!met) {
       result.eligible = false;
-      result.reasons.push(`CGPA below minimum (${criteria.minCGPA})`);
+      result.reasons.push(academicValues.cgpa === null
+        ? 'CGPA not verified'
+        : `CGPA below minimum (${criteria.minCGPA})`);
     }
   }
 
   // Check backlogs
   if (criteria.maxBacklogs !== undefined) {
-    const met = (student.backlogs || 0) <= criteria.maxBacklogs;
+    const met = academicValues.backlogs !== null && academicValues.backlogs <= criteria.maxBacklogs;
     result.criteriaChecks.backlogs = {
       allowed: criteria.maxBacklogs,
-      actual: student.backlogs || 0,
+      actual: academicValues.backlogs,
       met
     };
     if (!met) {
       result.eligible = false;
-      result.reasons.push(`Backlogs exceed limit (${criteria.maxBacklogs})`);
+      result.reasons.push(academicValues.backlogs === null
+        ? 'Backlogs not verified'
+        : `Backlogs exceed limit (${criteria.maxBacklogs})`);
     }
   }
 
@@ -745,17 +1203,46 @@ function checkSingleStudentEligibility(student, company, activeWindow) {
     }
   }
 
-  // Check placement status
-  if (criteria.allowPlaced !== undefined) {
-    const met = criteria.allowPlaced || !(student.isPlaced || false);
-    result.criteriaChecks.placementStatus = {
-      allowPlaced: criteria.allowPlaced,
-      isPlaced: student.isPlaced || false,
+  // Check placement policy
+  const placement = evaluatePlacementPolicy(placementContext, student, company);
+  result.criteriaChecks.placementPolicy = {
+    tier: placement.tier,
+    offers: placement.offers,
+    blockedBy: placement.policy,
+    met: placement.allowed
+  };
+  if (!placement.allowed) {
+    result.eligible = false;
+    result.blockedBy = placement.policy;
+    result.reasons.push(placement.reason);
+  }
+
+  // Check the window's eligibility rule
+  if (activeWindow && activeWindow.eligibilityRule) {
+    const failures = activeWindow.getRuleFailures(student, getRuleValues(student, verifiedOnly));
+    result.criteriaChecks.rule = {
+      description: describeRule(activeWindow.eligibilityRule),
+      failures,
+      met: failures.length === 0
+    };
+    if (failures.length > 0) {
+      result.eligible = false;
+      result.reasons.push(`Eligibility rule not met: ${failures.join('; ')}`);
+    }
+  }
+
+  // Check the window's profile completeness requirement
+  if (activeWindow && activeWindow.minProfileCompleteness) {
+    const { score } = student.getProfileCompleteness();
+    const met = score >= activeWindow.minProfileCompleteness;
+    result.criteriaChecks.profileCompleteness = {
+      required: activeWindow.minProfileCompleteness,
+      actual: score,
       met
     };
     if (!met) {
       result.eligible = false;
-      result.reasons.push(`Already placed (company doesn't allow placed students)`);
+      result.reasons.push(`Profile completeness below minimum (${activeWindow.minProfileCompleteness}%)`);
     }
   }
 
@@ -769,16 +1256,22 @@ function checkSingleStudentEligibility(student, company, activeWindow) {
 }
 
 // Helper function to build eligibility query
-function buildEligibilityQuery(company) {
+function buildEligibilityQuery(company, verifiedOnly = false) {
   const criteria = company.eligibilityCriteria || {};
   const query = {};
 
   if (criteria.minCGPA) {
     query.cgpa = { $gte: criteria.minCGPA };
+    if (verifiedOnly) {
+      Object.assign(query, Student.getVerifiedFilter(['semesters']));
+    }
   }
 
   if (criteria.maxBacklogs !== undefined) {
     query.backlogs = { $lte: criteria.maxBacklogs };
+    if (verifiedOnly) {
+      Object.assign(query, Student.getVerifiedFilter(['backlogs']));
+    }
   }
 
   if (criteria.allowedBranches && criteria.allowedBranches.length > 0) {
@@ -789,10 +1282,6 @@ function buildEligibilityQuery(company) {
     query.batch = { $in: criteria.allowedBatches };
   }
 
-  if (criteria.allowPlaced !== undefined && !criteria.allowPlaced) {
-    query.isPlaced = { $ne: true };
-  }
-
   return query;
 }
 
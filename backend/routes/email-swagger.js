@@ -19,6 +19,7 @@
  *
  *       **Features:**
  *       - Automatic eligibility checking based on company criteria
+ *       - Students who opted out of campus placement are never emailed
  *       - Professional HTML email templates with company branding
  *       - Batch processing to handle large student lists
  *       - Detailed success/failure tracking
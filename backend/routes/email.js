@@ -162,7 +162,9 @@ router.post('/send-to-eligible', auth.protect, auth.authorize('admin', 'recruite
     // Build eligibility query
     const eligibilityQuery = {
       isPlaced: filters.isPlaced !== undefined ? filters.isPlaced : false,
-      isActive: true
+      isActive: true,
+      // Students who opted out of campus placement are not contacted
+      'placementOptOut.optedOut': { $ne: true }
     };
 
     // Add eligibility criteria from company
@@ -417,7 +419,9 @@ router.post('/preview-eligible', auth.protect, auth.authorize('admin', 'recruite
     // Build the same eligibility query as the send endpoint
     const eligibilityQuery = {
       isPlaced: filters.isPlaced !== undefined ? filters.isPlaced : false,
-      isActive: true
+      isActive: true,
+      // Students who opted out of campus placement are not contacted
+      'placementOptOut.optedOut': { $ne: true }
     };
 
     if (company.eligibilityCriteria) {
@@ -538,7 +542,7 @@ router.post('/preview-eligible', auth.protect, auth.authorize('admin', 'recruite
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/test-configuration', auth.protect, auth.authorize('admin'), async (req, res) => {
+router.get('/test-configuration', auth.protect, auth.requirePermission('settings:manage'), async (req, res) => {
   try {
     const isConfigured = await emailService.testEmailConfiguration();
 
@@ -22,6 +22,11 @@
  *           default: xlsx
  *         description: Export format
  *       - in: query
+ *         name: season
+ *         schema:
+ *           type: string
+ *         description: Placement season ID, academic year (e.g., 2025-26) or "current"
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -96,6 +101,11 @@
  *           default: xlsx
  *         description: Export format
  *       - in: query
+ *         name: season
+ *         schema:
+ *           type: string
+ *         description: Placement season ID, academic year (e.g., 2025-26) or "current"
+ *       - in: query
  *         name: branch
  *         schema:
  *           type: string
@@ -156,6 +166,11 @@
  *           default: xlsx
  *         description: Export format
  *       - in: query
+ *         name: season
+ *         schema:
+ *           type: string
+ *         description: Placement season ID, academic year (e.g., 2025-26) or "current"
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -196,6 +211,7 @@
  * /api/export/dashboard-report:
  *   get:
  *     summary: Export comprehensive dashboard report
+ *     description: Summary, branch statistics, company performance and package statistics (highest, median, average and percentile CTC in LPA per branch and batch), of every season or of one placement season (its companies and applications, and students of its batch)
  *     tags: [Export]
  *     security:
  *       - bearerAuth: []
@@ -208,10 +224,15 @@
  *           default: xlsx
  *         description: Export format
  *       - in: query
+ *         name: season
+ *         schema:
+ *           type: string
+ *         description: Placement season ID, academic year (e.g., 2025-26) or "current"
+ *       - in: query
  *         name: academicYear
  *         schema:
  *           type: string
- *         description: Filter by academic year (e.g., 2023-24)
+ *         description: Same as season, the placement season of an academic year (e.g., 2025-26)
  *     responses:
  *       200:
  *         description: Export file
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { resolveSeason, getSeasonScope } = require('../middleware/season');
 const Student = require('../models/Student');
 const Company = require('../models/Company');
 const Application = require('../models/Application');
+const { summarizePackages, summarizePackagesBy } = require('../utils/compensation');
 const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
@@ -25,6 +27,11 @@ const fs = require('fs');
  *           default: xlsx
  *         description: Export format
  *       - in: query
+ *         name: season
+ *         schema:
+ *           type: string
+ *         description: Placement season ID, academic year (e.g., 2025-26) or "current"
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -73,7 +80,7 @@ const fs = require('fs');
  *       500:
  *         description: Server error
  */
-router.get('/applications', auth.protect, async (req, res) => {
+router.get('/applications', auth.protect, resolveSeason, async (req, res) => {
   try {
     const {
       format = 'xlsx',
@@ -93,7 +100,7 @@ router.get('/applications', auth.protect, async (req, res) => {
     }
 
     // Build query
-    const query = {};
+    const query = { ...getSeasonScope(req).records };
     if (status) query.status = status;
     if (companyId) query.companyId = companyId;
     if (startDate || endDate) {
@@ -209,6 +216,11 @@ router.get('/applications', auth.protect, async (req, res) => {
  *           default: xlsx
  *         description: Export format
  *       - in: query
+ *         name: season
+ *         schema:
+ *           type: string
+ *         description: Placement season ID, academic year (e.g., 2025-26) or "current"
+ *       - in: query
  *         name: branch
  *         schema:
  *           type: string
@@ -239,7 +251,7 @@ router.get('/applications', auth.protect, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/students', auth.protect, async (req, res) => {
+router.get('/students', auth.protect, resolveSeason, async (req, res) => {
   try {
     const {
       format = 'xlsx',
@@ -257,8 +269,8 @@ router.get('/students', auth.protect, async (req, res) => {
       });
     }
 
-    // Build query
-    const query = {};
+    // Build query; a season covers the students of its batch
+    const query = { ...getSeasonScope(req).students };
     if (branch) query.branch = branch;
     if (batch) query.batch = batch;
     if (minCGPA || maxCGPA) {
@@ -321,6 +333,9 @@ router.get('/students', auth.protect, async (req, res) => {
       'Batch': student.batch || 'N/A',
       'CGPA': student.cgpa || 'N/A',
       'Backlogs': student.backlogs || 0,
+      'Total Backlogs': student.totalBacklogs || 0,
+      '10th %': student.academicRecord?.tenth?.percentage ?? 'N/A',
+      '12th/Diploma %': student.academicRecord?.twelfth?.percentage ?? 'N/A',
       'Is Placed': student.isPlaced ? 'Yes' : 'No',
       'Placed Company': student.placedCompany || 'N/A',
       'Resume Link': student.resumeLink || 'N/A',
@@ -401,6 +416,11 @@ router.get('/students', auth.protect, async (req, res) => {
  *           default: xlsx
  *         description: Export format
  *       - in: query
+ *         name: season
+ *         schema:
+ *           type: string
+ *         description: Placement season ID, academic year (e.g., 2025-26) or "current"
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -423,7 +443,7 @@ router.get('/students', auth.protect, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/companies', auth.protect, async (req, res) => {
+router.get('/companies', auth.protect, resolveSeason, async (req, res) => {
   try {
     const {
       format = 'xlsx',
@@ -440,7 +460,7 @@ router.get('/companies', auth.protect, async (req, res) => {
     }
 
     // Build query
-    const query = {};
+    const query = { ...getSeasonScope(req).records };
     if (status) query.status = status;
     if (industry) query.industry = industry;
     if (type) query.type = type;
@@ -583,19 +603,27 @@ router.get('/companies', auth.protect, async (req, res) => {
  *           default: xlsx
  *         description: Export format
  *       - in: query
+ *         name: season
+ *         schema:
+ *           type: string
+ *         description: Placement season ID, academic year (e.g., 2025-26) or "current"
+ *       - in: query
  *         name: academicYear
  *         schema:
  *           type: string
- *           description: Filter by academic year (e.g., 2023-24)
+ *           description: Same as season, the placement season of an academic year (e.g., 2025-26)
  *     responses:
  *       200:
  *         description: Export file
  *       500:
  *         description: Server error
  */
-router.get('/dashboard-report', auth.protect, async (req, res) => {
+router.get('/dashboard-report', auth.protect, resolveSeason, async (req, res) => {
   try {
-    const { format = 'xlsx', academicYear } = req.query;
+    const { format = 'xlsx' } = req.query;
+    // A season (or the season of academicYear) limits the report to its
+    // companies and applications and to the students of its batch
+    const { records, students } = getSeasonScope(req);
 
     if (!['csv', 'xlsx'].includes(format)) {
       return res.status(400).json({
@@ -605,18 +633,19 @@ router.get('/dashboard-report', auth.protect, async (req, res) => {
     }
 
     // Get overall statistics
-    const totalStudents = await Student.countDocuments();
-    const totalCompanies = await Company.countDocuments({ status: 'active' });
-    const totalApplications = await Application.countDocuments();
+    const totalStudents = await Student.countDocuments(students);
+    const totalCompanies = await Company.countDocuments({ ...records, status: { $in: Company.OPEN_STATUSES } });
+    const totalApplications = await Application.countDocuments(records);
 
-    const selectedApplications = await Application.countDocuments({ status: 'selected' });
-    const placedStudents = await Student.countDocuments({ isPlaced: true });
+    const selectedApplications = await Application.countDocuments({ ...records, status: 'selected' });
+    const placedStudents = await Student.countDocuments({ ...students, isPlaced: true });
 
     const placementRate = totalStudents > 0 ? ((placedStudents / totalStudents) * 100).toFixed(2) : '0.00';
     const selectionRate = totalApplications > 0 ? ((selectedApplications / totalApplications) * 100).toFixed(2) : '0.00';
 
     // Get branch-wise statistics
     const branchStats = await Student.aggregate([
+      { $match: students },
       {
         $group: {
           _id: '$branch',
@@ -632,6 +661,7 @@ router.get('/dashboard-report', auth.protect, async (req, res) => {
 
     // Get company-wise statistics
     const companyStats = await Application.aggregate([
+      { $match: records },
       {
         $group: {
           _id: '$companyId',
@@ -663,11 +693,16 @@ router.get('/dashboard-report', auth.protect, async (req, res) => {
       { $sort: { selectedStudents: -1 } }
     ]);
 
+    // Packages (CTC in LPA) of placed students
+    const packages = await Student.getPlacedPackages(students);
+    const overallPackages = summarizePackages(packages.map(entry => entry.package));
+
     // Create workbook with multiple sheets
     const wb = XLSX.utils.book_new();
 
     // Sheet 1: Summary
     const summaryData = [
+      { 'Metric': 'Placement Season', 'Value': req.season ? req.season.name : 'All seasons' },
       { 'Metric': 'Total Students', 'Value': totalStudents },
       { 'Metric': 'Total Companies', 'Value': totalCompanies },
       { 'Metric': 'Total Applications', 'Value': totalApplications },
@@ -675,6 +710,9 @@ router.get('/dashboard-report', auth.protect, async (req, res) => {
       { 'Metric': 'Placed Students', 'Value': placedStudents },
       { 'Metric': 'Placement Rate (%)', 'Value': placementRate },
       { 'Metric': 'Selection Rate (%)', 'Value': selectionRate },
+      { 'Metric': 'Highest Package (LPA)', 'Value': overallPackages.highest ?? 'N/A' },
+      { 'Metric': 'Median Package (LPA)', 'Value': overallPackages.median ?? 'N/A' },
+      { 'Metric': 'Average Package (LPA)', 'Value': overallPackages.average ?? 'N/A' },
       { 'Metric': 'Report Generated', 'Value': new Date().toLocaleString() }
     ];
     const summaryWs = XLSX.utils.json_to_sheet(summaryData);
@@ -703,9 +741,28 @@ router.get('/dashboard-report', auth.protect, async (req, res) => {
     const companyWs = XLSX.utils.json_to_sheet(companyData);
     XLSX.utils.book_append_sheet(wb, companyWs, 'Company Performance');
 
+    // Sheet 4: Package Statistics per branch and batch
+    const packageRow = (group, name, summary) => ({
+      'Group': group,
+      'Name': name,
+      'Placed Students': summary.count,
+      'Highest (LPA)': summary.highest,
+      'Median (LPA)': summary.median,
+      'Average (LPA)': summary.average,
+      '25th Percentile (LPA)': summary.percentiles.p25,
+      '75th Percentile (LPA)': summary.percentiles.p75,
+      '90th Percentile (LPA)': summary.percentiles.p90
+    });
+    const packageData = [
+      ...summarizePackagesBy(packages, 'branch').map(summary => packageRow('Branch', summary.branch, summary)),
+      ...summarizePackagesBy(packages, 'batch').map(summary => packageRow('Batch', summary.batch, summary))
+    ];
+    const packageWs = XLSX.utils.json_to_sheet(packageData);
+    XLSX.utils.book_append_sheet(wb, packageWs, 'Package Statistics');
+
     // Generate filename with timestamp
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-    const filename = `dashboard_report_${timestamp}.${format}`;
+    const filename = `dashboard_report_${req.season ? `${req.season.academicYear}_` : ''}${timestamp}.${format}`;
 
     // Set response headers
     if (format === 'xlsx') {
@@ -0,0 +1,483 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const Role = require('../models/Role');
+const { protect, requirePermission, requirePlatformUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Two-Factor Authentication
+ *   description: TOTP enrollment, recovery codes and the admin MFA policy
+ */
+
+/**
+ * @swagger
+ * /api/auth/mfa:
+ *   get:
+ *     summary: Get two-factor status
+ *     description: Whether the authenticated user has TOTP enabled and whether their role requires it
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enabledAt:
+ *                       type: string
+ *                       format: date-time
+ *                     required:
+ *                       type: boolean
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const user = await User.findByIdWithMfa(req.user._id);
+    const required = await SecurityPolicy.isMfaRequiredForRole(user.role);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.mfaEnabled,
+        enabledAt: user.mfaEnabledAt,
+        required,
+        recoveryCodesRemaining: user.mfaEnabled ? user.mfaRecoveryCodes.length : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor status'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: |
+ *       Generate a new TOTP secret. Render `otpauthUrl` as a QR code (or enter `secret` manually)
+ *       in an authenticator app, then confirm with POST /api/auth/mfa/enable.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Provisioning details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUrl:
+ *                       type: string
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findByIdWithMfa(req.user._id);
+
+    if (user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const provisioning = user.beginMfaSetup();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      data: provisioning
+    });
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting two-factor setup'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Verify a code from the new secret and enable two-factor authentication. Returns recovery codes once.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post('/enable', protect, [
+  body('code')
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithMfa(req.user._id);
+
+    if (user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = user.enableMfa(req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code or two-factor setup not started'
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires the current password and a valid code. Not allowed when the user's role requires two-factor.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is required for this role
+ */
+router.post('/disable', protect, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithMfa(req.user._id).select('+password');
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await SecurityPolicy.isMfaRequiredForRole(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for ${user.role} accounts`
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !user.verifyMfaCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    await user.disableMfa();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Invalidate all existing recovery codes and return a new set
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       401:
+ *         description: Invalid authentication code
+ */
+router.post('/recovery-codes', protect, [
+  body('code')
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithMfa(req.user._id);
+
+    if (!user.verifyMfaCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while regenerating recovery codes'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/policy:
+ *   get:
+ *     summary: Get two-factor policy
+ *     description: Roles for which two-factor authentication is mandatory (settings:manage)
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current policy
+ *   put:
+ *     summary: Update two-factor policy
+ *     description: |
+ *       Make two-factor authentication mandatory for roles. Users of those roles without it
+ *       can only reach enrollment endpoints until they enable it. The policy applies to every
+ *       institution, so only platform administrators can change it.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaRequiredRoles
+ *             properties:
+ *               mfaRequiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: admin
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       403:
+ *         description: Not a platform administrator
+ */
+router.get('/policy', protect, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+
+    res.json({
+      success: true,
+      data: {
+        mfaRequiredRoles: policy.mfaRequiredRoles,
+        updatedAt: policy.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get MFA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor policy'
+    });
+  }
+});
+
+router.put('/policy', protect, requirePermission('settings:manage'), requirePlatformUser, [
+  body('mfaRequiredRoles')
+    .isArray()
+    .withMessage('mfaRequiredRoles must be an array'),
+  body('mfaRequiredRoles.*')
+    .custom(async (value) => {
+      if (!(await Role.roleExists(value))) {
+        throw new Error(`Role ${value} does not exist`);
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+    policy.mfaRequiredRoles = [...new Set(req.body.mfaRequiredRoles)];
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      data: {
+        mfaRequiredRoles: policy.mfaRequiredRoles,
+        updatedAt: policy.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Update MFA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating two-factor policy'
+    });
+  }
+});
+
+module.exports = router;
@@ -215,7 +215,7 @@
  *                 description: Type of recipient
  *               type:
  *                 type: string
- *                 enum: [application_status, new_company, deadline_reminder, system_update]
+ *                 enum: [application_status, new_company, company_status, deadline_reminder, system_update]
  *                 description: Type of notification
  *               message:
  *                 type: string
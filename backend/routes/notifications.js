@@ -23,7 +23,7 @@ const Notification = require('../models/Notification');
  *           description: Unique notification ID
  *         type:
  *           type: string
- *           enum: [application_status, new_company, deadline_reminder, system_update]
+ *           enum: [application_status, new_company, company_status, deadline_reminder, system_update]
  *           description: Type of notification
  *         message:
  *           type: string
@@ -170,6 +170,77 @@ router.get('/student/:studentId', auth.protect, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/notifications/me:
+ *   get:
+ *     summary: Get the notifications of the signed-in user
+ *     description: Notifications sent to a user account rather than a student profile, e.g. recruiters hearing about status changes of their company.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: unreadOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: List of notifications with pagination
+ *       500:
+ *         description: Server error
+ */
+router.get('/me', auth.protect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Build query
+    const query = { recipientId: req.user._id, recipientType: 'user' };
+    if (req.query.unreadOnly === 'true') {
+      query.read = false;
+    }
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(query)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications: notifications.map(notification => notification.getFormattedData()),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/notifications/student/{studentId}/mark-read:
@@ -371,7 +442,7 @@ router.get('/student/:studentId/count', auth.protect, async (req, res) => {
  *                 description: Type of recipient
  *               type:
  *                 type: string
- *                 enum: [application_status, new_company, deadline_reminder, system_update]
+ *                 enum: [application_status, new_company, company_status, deadline_reminder, system_update]
  *                 description: Type of notification
  *               message:
  *                 type: string
@@ -408,7 +479,7 @@ router.post('/', auth.protect, async (req, res) => {
     }
 
     // Validate notification type
-    const validTypes = ['application_status', 'new_company', 'deadline_reminder', 'system_update'];
+    const validTypes = ['application_status', 'new_company', 'company_status', 'deadline_reminder', 'system_update'];
     if (!validTypes.includes(type)) {
       return res.status(400).json({
         success: false,
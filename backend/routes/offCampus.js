@@ -2,13 +2,15 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const OffCampusOpportunity = require('../models/OffCampusOpportunity');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { PREFERENCE_MODES, describeOpportunity, getRequestPreferences, applyPreferences } = require('../utils/placementPreferences');
+const { compensationValidation } = require('../utils/compensation');
 
 const router = express.Router();
 
 // @route   GET /api/off-campus-opportunities
-// @desc    Get all off-campus opportunities with filters
+// @desc    Get all off-campus opportunities with filters, ranked or filtered by the placement preferences of a signed-in student
 // @access  Public
-router.get('/', [
+router.get('/', optionalAuth, [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -28,7 +30,11 @@ router.get('/', [
   query('experience')
     .optional()
     .isIn(['fresher', 'experienced', 'any'])
-    .withMessage('Invalid experience level')
+    .withMessage('Invalid experience level'),
+  query('preferences')
+    .optional()
+    .isIn(PREFERENCE_MODES)
+    .withMessage(`Preferences must be one of: ${PREFERENCE_MODES.join(', ')}`)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -51,7 +57,8 @@ router.get('/', [
       skills,
       search,
       sortBy = 'postedDate',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      preferences: preferenceMode = 'rank'
     } = req.query;
 
     // Build query
@@ -86,22 +93,38 @@ router.get('/', [
     // Calculate pagination
     const skip = (page - 1) * limit;
 
-    // Get opportunities
-    const opportunities = await OffCampusOpportunity.find(query)
-      .populate('createdBy', 'name')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+    // Students with placement preferences see the feed ranked (or filtered) by them
+    const preferences = preferenceMode === 'off' ? null : await getRequestPreferences(req.user);
+
+    // Get opportunities, each with how well it matches the preferences
+    let opportunities;
+    let total;
+    if (preferences) {
+      const ranked = applyPreferences(
+        await OffCampusOpportunity.find(query).populate('createdBy', 'name').sort(sort),
+        preferences,
+        describeOpportunity,
+        preferenceMode
+      );
+      total = ranked.length;
+      opportunities = ranked.slice(skip, skip + parseInt(limit));
+    } else {
+      const found = await OffCampusOpportunity.find(query)
+        .populate('createdBy', 'name')
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit));
+      total = await OffCampusOpportunity.countDocuments(query);
+      opportunities = found.map(item => ({ item }));
+    }
 
     // Increment view count for each opportunity
-    const opportunitiesWithViews = opportunities.map(opp => ({
+    const opportunitiesWithViews = opportunities.map(({ item: opp, match }) => ({
       ...opp.toObject(),
-      isStillActive: opp.isStillActive
+      isStillActive: opp.isStillActive,
+      ...(match && { preferenceMatch: match })
     }));
 
-    // Get total count
-    const total = await OffCampusOpportunity.countDocuments(query);
-
     res.json({
       success: true,
       data: {
@@ -226,6 +249,7 @@ router.post('/', protect, authorize('admin', 'recruiter'), [
   body('industry')
     .isIn(['Information Technology', 'Software Development', 'Consulting', 'Banking and Finance', 'Manufacturing', 'Healthcare', 'Education', 'E-commerce', 'Telecommunications', 'Automotive', 'Marketing', 'Design', 'Other'])
     .withMessage('Invalid industry'),
+  ...compensationValidation('compensation'),
   body('applicationDeadline')
     .isISO8601()
     .withMessage('Application deadline must be a valid date')
@@ -256,6 +280,7 @@ router.post('/', protect, authorize('admin', 'recruiter'), [
       duration,
       stipend,
       salary,
+      compensation,
       description,
       requirements = [],
       skills = [],
@@ -277,6 +302,7 @@ router.post('/', protect, authorize('admin', 'recruiter'), [
       duration,
       stipend,
       salary,
+      compensation,
       description,
       requirements,
       skills,
@@ -322,7 +348,8 @@ router.put('/:id', protect, authorize('admin', 'recruiter'), [
   body('applicationDeadline')
     .optional()
     .isISO8601()
-    .withMessage('Application deadline must be a valid date')
+    .withMessage('Application deadline must be a valid date'),
+  ...compensationValidation('compensation')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -354,12 +381,10 @@ router.put('/:id', protect, authorize('admin', 'recruiter'), [
       });
     }
 
-    // Update opportunity
-    const updatedOpportunity = await OffCampusOpportunity.findByIdAndUpdate(
-      id,
-      updates,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name');
+    // Update opportunity; saving parses a changed stipend or salary into compensation
+    opportunity.set(updates);
+    await opportunity.save();
+    const updatedOpportunity = await OffCampusOpportunity.findById(id).populate('createdBy', 'name');
 
     res.json({
       success: true,
@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const PlacementPolicy = require('../models/PlacementPolicy');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const policyValidation = (optional) => [
+  (optional ? body('tiers').optional() : body('tiers').default([]))
+    .isArray()
+    .withMessage('Tiers must be an array')
+    .custom(tiers => {
+      const names = tiers.map(tier => String(tier.name).trim().toLowerCase());
+      if (new Set(names).size !== names.length) {
+        throw new Error('Tier names must be unique');
+      }
+      return true;
+    }),
+  body('tiers.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Tier name is required')
+    .isLength({ max: 50 })
+    .withMessage('Tier name cannot exceed 50 characters'),
+  body('tiers.*.minPackage')
+    .isFloat({ min: 0 })
+    .withMessage('Tier minimum package must be a positive number (LPA)'),
+  body('maxOffers')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Maximum offers must be at least 1'),
+  body('allowUpgrades')
+    .optional()
+    .isBoolean()
+    .withMessage('allowUpgrades must be a boolean'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+// @route   GET /api/placement-policies
+// @desc    Get the placement policy of every batch
+// @access  Private (policies:manage)
+router.get('/', protect, requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const policies = await PlacementPolicy.find().sort({ batch: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        policies: policies.map(policy => policy.getFormattedData())
+      }
+    });
+  } catch (error) {
+    console.error('Get placement policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching placement policies'
+    });
+  }
+});
+
+// @route   POST /api/placement-policies
+// @desc    Create the placement policy of a batch
+// @access  Private (policies:manage)
+router.post('/', protect, requirePermission('policies:manage'), [
+  body('batch')
+    .isInt({ min: 2000, max: 2030 })
+    .withMessage('Batch must be a valid year'),
+  ...policyValidation(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { batch, tiers, maxOffers, allowUpgrades, description } = req.body;
+
+    const existingPolicy = await PlacementPolicy.findOne({ batch });
+    if (existingPolicy) {
+      return res.status(400).json({
+        success: false,
+        message: 'A placement policy already exists for this batch'
+      });
+    }
+
+    const policy = new PlacementPolicy({
+      batch,
+      tiers,
+      maxOffers,
+      allowUpgrades,
+      description,
+      createdBy: req.user._id
+    });
+
+    await policy.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Placement policy created successfully',
+      data: { policy: policy.getFormattedData() }
+    });
+  } catch (error) {
+    console.error('Create placement policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating placement policy'
+    });
+  }
+});
+
+// @route   PUT /api/placement-policies/:id
+// @desc    Update the tiers, offer limit or upgrade rule of a placement policy
+// @access  Private (policies:manage)
+router.put('/:id', protect, requirePermission('policies:manage'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid placement policy ID'),
+  ...policyValidation(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await PlacementPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Placement policy not found'
+      });
+    }
+
+    const { tiers, maxOffers, allowUpgrades, description } = req.body;
+
+    if (tiers !== undefined) policy.tiers = tiers;
+    if (maxOffers !== undefined) policy.maxOffers = maxOffers;
+    if (allowUpgrades !== undefined) policy.allowUpgrades = allowUpgrades === true || allowUpgrades === 'true';
+    if (description !== undefined) policy.description = description;
+    policy.updatedBy = req.user._id;
+
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Placement policy updated successfully',
+      data: { policy: policy.getFormattedData() }
+    });
+  } catch (error) {
+    console.error('Update placement policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating placement policy'
+    });
+  }
+});
+
+// @route   DELETE /api/placement-policies/:id
+// @desc    Delete a placement policy; the batch falls back to one offer per student
+// @access  Private (policies:manage)
+router.delete('/:id', protect, requirePermission('policies:manage'), [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid placement policy ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await PlacementPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Placement policy not found'
+      });
+    }
+
+    await policy.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Placement policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete placement policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting placement policy'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,7 @@ const auth = require('../middleware/auth');
 const Company = require('../models/Company');
 const Application = require('../models/Application');
 const Student = require('../models/Student');
-const Round = require('../models/Round');
+const RecruitmentRound = require('../models/RecruitmentRound');
 
 /**
  * @swagger
@@ -280,8 +280,10 @@ router.get('/analytics/dashboard', auth.protect, async (req, res) => {
     }));
 
     // Get rounds information
-    const rounds = await Round.find({ companyId: { $in: companyIds }, isActive: true })
-      .sort({ sequence: 1 });
+    const rounds = await RecruitmentRound.find({
+      companyId: { $in: companyIds },
+      status: { $in: ['upcoming', 'ongoing'] }
+    }).sort({ roundNumber: 1 });
 
     res.json({
       success: true,
@@ -309,7 +311,8 @@ router.get('/analytics/dashboard', auth.protect, async (req, res) => {
           id: r._id,
           name: r.name,
           type: r.type,
-          sequence: r.sequence,
+          roundNumber: r.roundNumber,
+          status: r.status,
           scheduledDate: r.scheduledDate
         }))
       }
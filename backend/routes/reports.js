@@ -4,14 +4,35 @@ const Application = require('../models/Application');
 const Student = require('../models/Student');
 const Company = require('../models/Company');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const Season = require('../models/Season');
+const { protect, requirePermission } = require('../middleware/auth');
+const { resolveSeason, getSeasonScope } = require('../middleware/season');
+const { hasPermission } = require('../utils/permissions');
+const { summarizePackages, summarizePackagesBy } = require('../utils/compensation');
 
 const router = express.Router();
 
+// Users holding only reports:read:branch always get their own branch's data
+const scopeToBranch = (req, res, next) => {
+  if (hasPermission(req.permissions, 'reports:read')) {
+    return next();
+  }
+
+  if (!req.user.branch) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. No branch is assigned to your account.'
+    });
+  }
+
+  req.query.branch = req.user.branch;
+  next();
+};
+
 // @route   GET /api/reports/applications
-// @desc    Generate application report (admin only)
-// @access  Private (Admin only)
-router.get('/applications', protect, authorize('admin'), [
+// @desc    Generate application report
+// @access  Private (reports:read, or reports:read:branch for own branch)
+router.get('/applications', protect, requirePermission('reports:read', 'reports:read:branch'), scopeToBranch, resolveSeason, [
   query('format')
     .optional()
     .isIn(['json', 'csv'])
@@ -24,6 +45,10 @@ router.get('/applications', protect, authorize('admin'), [
     .optional()
     .isMongoId()
     .withMessage('Invalid company ID'),
+  query('branch')
+    .optional()
+    .isIn(['Computer Science', 'Information Technology', 'Electronics and Communication', 'Electrical Engineering', 'Mechanical Engineering', 'Civil Engineering', 'Chemical Engineering', 'Biotechnology', 'Other'])
+    .withMessage('Invalid branch'),
   query('dateFrom')
     .optional()
     .isISO8601()
@@ -48,6 +73,7 @@ router.get('/applications', protect, authorize('admin'), [
       format = 'json',
       status,
       companyId,
+      branch,
       dateFrom,
       dateTo,
       page = 1,
@@ -55,9 +81,13 @@ router.get('/applications', protect, authorize('admin'), [
     } = req.query;
 
     // Build query
-    const query = {};
+    const query = { ...getSeasonScope(req).records };
     if (status) query.status = status;
     if (companyId) query.companyId = companyId;
+    if (branch) {
+      const branchStudentIds = await Student.find({ branch }).distinct('_id');
+      query.studentId = { $in: branchStudentIds };
+    }
     if (dateFrom || dateTo) {
       query.submittedAt = {};
       if (dateFrom) query.submittedAt.$gte = new Date(dateFrom);
@@ -94,7 +124,7 @@ router.get('/applications', protect, authorize('admin'), [
       data: {
         applications,
         total: applications.length,
-        filters: { status, companyId, dateFrom, dateTo }
+        filters: { status, companyId, branch, dateFrom, dateTo, season: req.season ? req.season.academicYear : undefined }
       }
     });
   } catch (error) {
@@ -107,9 +137,9 @@ router.get('/applications', protect, authorize('admin'), [
 });
 
 // @route   GET /api/reports/students
-// @desc    Generate student report (admin only)
-// @access  Private (Admin only)
-router.get('/students', protect, authorize('admin'), [
+// @desc    Generate student report
+// @access  Private (reports:read, or reports:read:branch for own branch)
+router.get('/students', protect, requirePermission('reports:read', 'reports:read:branch'), scopeToBranch, resolveSeason, [
   query('format')
     .optional()
     .isIn(['json', 'csv'])
@@ -147,8 +177,8 @@ router.get('/students', protect, authorize('admin'), [
       limit = 100
     } = req.query;
 
-    // Build query
-    const query = {};
+    // Build query; a season covers the students of its batch
+    const query = { ...getSeasonScope(req).students };
     if (branch) query.branch = branch;
     if (placed !== undefined) query.placed = placed === 'true';
     if (batch) query.batch = parseInt(batch);
@@ -179,7 +209,7 @@ router.get('/students', protect, authorize('admin'), [
       data: {
         students,
         total: students.length,
-        filters: { branch, placed, batch }
+        filters: { branch, placed, batch, season: req.season ? req.season.academicYear : undefined }
       }
     });
   } catch (error) {
@@ -192,9 +222,9 @@ router.get('/students', protect, authorize('admin'), [
 });
 
 // @route   GET /api/reports/placements
-// @desc    Generate placement statistics report (admin only)
-// @access  Private (Admin only)
-router.get('/placements', protect, authorize('admin'), [
+// @desc    Generate placement statistics report
+// @access  Private (reports:read, or reports:read:branch for own branch)
+router.get('/placements', protect, requirePermission('reports:read', 'reports:read:branch'), scopeToBranch, resolveSeason, [
   query('batch')
     .optional()
     .isInt({ min: 2000, max: 2030 })
@@ -207,8 +237,8 @@ router.get('/placements', protect, authorize('admin'), [
   try {
     const { batch, branch } = req.query;
 
-    // Build query
-    const query = {};
+    // Build query; a season covers the students of its batch
+    const query = { ...getSeasonScope(req).students };
     if (batch) query.batch = parseInt(batch);
     if (branch) query.branch = branch;
 
@@ -223,8 +253,7 @@ router.get('/placements', protect, authorize('admin'), [
           },
           totalStudents: { $sum: 1 },
           placedStudents: { $sum: { $cond: ['$placed', 1, 0] } },
-          avgCGPA: { $avg: '$cgpa' },
-          avgPackage: { $avg: { $cond: ['$package', { $toDouble: { $arrayElemAt: [{ $split: ['$package', ' '] }, 0] } }, 0] } }
+          avgCGPA: { $avg: '$cgpa' }
         }
       },
       {
@@ -235,9 +264,18 @@ router.get('/placements', protect, authorize('admin'), [
       { $sort: { '_id.batch': -1, placementRate: -1 } }
     ]);
 
+    // Packages (CTC in LPA) of placed students, per branch and batch
+    const packages = await Student.getPlacedPackages(query);
+    placementStats.forEach(stat => {
+      stat.packages = summarizePackages(packages
+        .filter(entry => entry.branch === stat._id.branch && entry.batch === stat._id.batch)
+        .map(entry => entry.package));
+      stat.avgPackage = stat.packages.average;
+    });
+
     // Get company-wise placement data
     const companyStats = await Student.aggregate([
-      { $match: { placed: true, ...(batch && { batch: parseInt(batch) }), ...(branch && { branch }) } },
+      { $match: { ...query, placed: true } },
       {
         $group: {
           _id: '$placedCompany',
@@ -284,7 +322,12 @@ router.get('/placements', protect, authorize('admin'), [
         placementStats,
         companyStats,
         overallStats: overallStats[0] || {},
-        filters: { batch, branch }
+        packageStats: {
+          overall: summarizePackages(packages.map(entry => entry.package)),
+          byBranch: summarizePackagesBy(packages, 'branch'),
+          byBatch: summarizePackagesBy(packages, 'batch')
+        },
+        filters: { batch, branch, season: req.season ? req.season.academicYear : undefined }
       }
     });
   } catch (error) {
@@ -297,9 +340,9 @@ router.get('/placements', protect, authorize('admin'), [
 });
 
 // @route   GET /api/reports/company-performance
-// @desc    Generate company performance report (admin only)
-// @access  Private (Admin only)
-router.get('/company-performance', protect, authorize('admin'), [
+// @desc    Generate company performance report
+// @access  Private (reports:read)
+router.get('/company-performance', protect, requirePermission('reports:read'), resolveSeason, [
   query('companyId')
     .optional()
     .isMongoId()
@@ -317,7 +360,7 @@ router.get('/company-performance', protect, authorize('admin'), [
     const { companyId, dateFrom, dateTo } = req.query;
 
     // Build query
-    const query = {};
+    const query = { ...getSeasonScope(req).records };
     if (companyId) query._id = companyId;
     if (dateFrom || dateTo) {
       query.createdAt = {};
@@ -368,6 +411,14 @@ router.get('/company-performance', protect, authorize('admin'), [
           }
         });
 
+        // Break the statistics down per job profile
+        const { byProfile = [] } = await company.getApplicationStats();
+        const profiles = byProfile.map(({ total, ...profileStats }) => ({
+          ...profileStats,
+          totalApplications: total,
+          conversionRate: total > 0 ? ((profileStats.selected / total) * 100).toFixed(2) : 0
+        }));
+
         return {
           company: {
             id: company._id,
@@ -380,6 +431,7 @@ router.get('/company-performance', protect, authorize('admin'), [
             createdAt: company.createdAt
           },
           statistics: stats,
+          profiles,
           placedStudents: placedStudents.length,
           placedStudentDetails: placedStudents,
           conversionRate: stats.totalApplications > 0 ?
@@ -393,7 +445,7 @@ router.get('/company-performance', protect, authorize('admin'), [
       data: {
         companyPerformance: performanceData,
         totalCompanies: companies.length,
-        filters: { companyId, dateFrom, dateTo }
+        filters: { companyId, dateFrom, dateTo, season: req.season ? req.season.academicYear : undefined }
       }
     });
   } catch (error) {
@@ -405,4 +457,80 @@ router.get('/company-performance', protect, authorize('admin'), [
   }
 });
 
+// Difference between a figure of two seasons; null when either is unknown
+const difference = (current, previous) => (
+  current === null || previous === null ? null : Math.round((current - previous) * 100) / 100
+);
+
+// @route   GET /api/reports/seasons
+// @desc    Compare placement seasons year over year
+// @access  Private (reports:read)
+router.get('/seasons', protect, requirePermission('reports:read'), [
+  query('seasons')
+    .optional()
+    .custom(value => String(value).split(',').every(id => /^[a-f\d]{24}$/i.test(id.trim())))
+    .withMessage('Seasons must be a comma-separated list of season IDs'),
+  query('includeArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('includeArchived must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    // The chosen seasons, or every season (archived ones on request)
+    const filter = {};
+    if (req.query.seasons) {
+      filter._id = { $in: req.query.seasons.split(',').map(id => id.trim()) };
+    } else if (req.query.includeArchived !== 'true') {
+      filter.status = { $ne: 'archived' };
+    }
+
+    const seasons = await Season.find(filter).sort({ startDate: 1 });
+    const statistics = await Promise.all(seasons.map(season => season.getStatistics()));
+
+    // Each season with its change from the season before it
+    const comparison = seasons.map((season, index) => {
+      const current = statistics[index];
+      const previous = index > 0 ? statistics[index - 1] : null;
+
+      return {
+        season: season.getFormattedData(),
+        statistics: current,
+        change: previous && {
+          placementRate: difference(current.students.placementRate, previous.students.placementRate),
+          placedStudents: current.students.placed - previous.students.placed,
+          companies: current.companies - previous.companies,
+          offers: current.offers - previous.offers,
+          averagePackage: difference(current.packages.average, previous.packages.average),
+          medianPackage: difference(current.packages.median, previous.packages.median),
+          highestPackage: difference(current.packages.highest, previous.packages.highest)
+        }
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        seasons: comparison,
+        totalSeasons: seasons.length
+      }
+    });
+  } catch (error) {
+    console.error('Generate season comparison report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating season comparison report'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,269 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { protect, requirePermission, requirePlatformUser } = require('../middleware/auth');
+const { PERMISSIONS, isValidPermission } = require('../utils/permissions');
+
+const router = express.Router();
+
+const permissionsValidation = (optional) => [
+  (optional ? body('permissions').optional() : body('permissions'))
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isString()
+    .custom(isValidPermission)
+    .withMessage('Unknown permission')
+];
+
+// Count users assigned to each role name
+const getUserCounts = async () => {
+  const counts = await User.aggregate([
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((acc, item) => {
+    acc[item._id] = item.count;
+    return acc;
+  }, {});
+};
+
+// @route   GET /api/roles/permissions
+// @desc    List every permission that can be granted to a role
+// @access  Private (roles:manage)
+router.get('/permissions', protect, requirePermission('roles:manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    }
+  });
+});
+
+// @route   GET /api/roles
+// @desc    Get all roles with the number of users assigned
+// @access  Private (roles:manage)
+router.get('/', protect, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    await Role.ensureSystemRoles();
+
+    const [roles, userCounts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }),
+      getUserCounts()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => role.getFormattedData(userCounts[role.name] || 0))
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching roles'
+    });
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (roles:manage, platform administrators)
+router.post('/', protect, requirePermission('roles:manage'), requirePlatformUser, [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{1,49}$/)
+    .withMessage('Role name may only contain lowercase letters, numbers, hyphens and underscores'),
+  body('displayName')
+    .trim()
+    .notEmpty()
+    .withMessage('Display name is required')
+    .isLength({ max: 100 })
+    .withMessage('Display name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  ...permissionsValidation(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { name, displayName, description, permissions } = req.body;
+
+    await Role.ensureSystemRoles();
+
+    const existingRole = await Role.findOne({ name });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      displayName,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role: role.getFormattedData(0) }
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating role'
+    });
+  }
+});
+
+// @route   PUT /api/roles/:id
+// @desc    Update a role's display name, description or permissions
+// @access  Private (roles:manage, platform administrators)
+router.put('/:id', protect, requirePermission('roles:manage'), requirePlatformUser, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid role ID'),
+  body('displayName')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Display name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Display name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  ...permissionsValidation(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const { displayName, description, permissions } = req.body;
+
+    if (permissions !== undefined) {
+      // Admins must never be able to lock themselves out
+      if (role.name === 'admin') {
+        return res.status(400).json({
+          success: false,
+          message: 'Permissions of the admin role cannot be changed'
+        });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+    if (displayName !== undefined) role.displayName = displayName;
+    if (description !== undefined) role.description = description;
+    role.updatedBy = req.user._id;
+
+    await role.save();
+
+    const userCount = await User.countDocuments({ role: role.name });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role: role.getFormattedData(userCount) }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating role'
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete a custom role that no user is assigned to
+// @access  Private (roles:manage, platform administrators)
+router.delete('/:id', protect, requirePermission('roles:manage'), requirePlatformUser, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid role ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete role assigned to ${userCount} user(s). Reassign them first.`
+      });
+    }
+
+    await Role.findByIdAndDelete(role._id);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting role'
+    });
+  }
+});
+
+module.exports = router;
@@ -25,7 +25,7 @@
  *         schema:
  *           type: boolean
  *           default: false
- *         description: Include inactive rounds
+ *         description: Include cancelled rounds
  *     responses:
  *       200:
  *         description: List of rounds for the company
@@ -86,6 +86,9 @@
  *               companyId:
  *                 type: string
  *                 description: Company ID
+ *               jobProfileId:
+ *                 type: string
+ *                 description: Job profile the round belongs to (common to every profile if left out)
  *               name:
  *                 type: string
  *                 description: Name of the round
@@ -96,12 +99,17 @@
  *               description:
  *                 type: string
  *                 description: Description of the round
+ *               roundNumber:
+ *                 type: integer
+ *                 description: Position in the company's rounds (after the last round if not provided)
  *               sequence:
  *                 type: integer
- *                 description: Sequence order (auto-assigned if not provided)
+ *                 description: Former name of roundNumber, still accepted
  *               duration:
- *                 type: integer
- *                 description: Duration in minutes
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                 description: Duration as text, or in minutes
  *               maxScore:
  *                 type: number
  *                 description: Maximum score
@@ -114,7 +122,11 @@
  *                 description: Scheduled date and time
  *               location:
  *                 type: string
- *                 description: Location or online link
+ *                 description: Location of the round
+ *               isOnline:
+ *                 type: boolean
+ *               meetingLink:
+ *                 type: string
  *               instructions:
  *                 type: string
  *                 description: Special instructions
@@ -148,13 +160,19 @@
  *                 data:
  *                   $ref: '#/components/schemas/Round'
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or the round number is taken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The company's placement season is read-only
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Company not found
+ *         description: Company or job profile not found
  *         content:
  *           application/json:
  *             schema:
@@ -213,6 +231,7 @@
  * /api/rounds/{roundId}:
  *   put:
  *     summary: Update a round
+ *     description: The round's position and status are changed through the reorder and status endpoints.
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
@@ -234,8 +253,12 @@
  *                 type: string
  *               description:
  *                 type: string
+ *               type:
+ *                 type: string
  *               duration:
- *                 type: integer
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
  *               maxScore:
  *                 type: number
  *               passingScore:
@@ -255,8 +278,6 @@
  *                 type: array
  *                 items:
  *                   type: object
- *               isActive:
- *                 type: boolean
  *     responses:
  *       200:
  *         description: Round updated successfully
@@ -283,11 +304,68 @@
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /api/rounds/{roundId}/status:
+ *   put:
+ *     summary: Change the status of a round
+ *     description: Completing a round moves its shortlisted candidates into the next round, or selects them after the last round.
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Round ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [upcoming, ongoing, completed, cancelled]
+ *     responses:
+ *       200:
+ *         description: Round status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Round'
+ *       400:
+ *         description: Invalid status, or the round is already completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Round not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
 /**
  * @swagger
  * /api/rounds/{roundId}:
  *   delete:
  *     summary: Delete a round
+ *     description: Rounds that candidates are in or have been in cannot be deleted; cancel them instead.
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
@@ -329,6 +407,7 @@
  * /api/rounds/{roundId}/candidates:
  *   get:
  *     summary: Get candidates for a specific round
+ *     description: Applications currently in the round that are submitted, under review or shortlisted.
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
@@ -383,7 +462,8 @@
  * @swagger
  * /api/rounds/{roundId}/reorder:
  *   put:
- *     summary: Reorder round sequence
+ *     summary: Move a round to another position
+ *     description: The rounds in between (of the company, or of the round's job profile) shift by one. Candidates move through rounds in the new order.
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
@@ -400,12 +480,13 @@
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - newSequence
  *             properties:
+ *               newRoundNumber:
+ *                 type: integer
+ *                 description: New round number
  *               newSequence:
  *                 type: integer
- *                 description: New sequence position
+ *                 description: Former name of newRoundNumber, still accepted
  *     responses:
  *       200:
  *         description: Round reordered successfully
@@ -419,9 +500,9 @@
  *                 data:
  *                   type: object
  *                   properties:
- *                     oldSequence:
+ *                     oldRoundNumber:
  *                       type: integer
- *                     newSequence:
+ *                     newRoundNumber:
  *                       type: integer
  *       404:
  *         description: Round not found
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const Round = require('../models/Round');
+const RecruitmentRound = require('../models/RecruitmentRound');
 const Company = require('../models/Company');
 const Application = require('../models/Application');
+const Season = require('../models/Season');
+const { hasPermission } = require('../utils/permissions');
 
 /**
  * @swagger
@@ -11,11 +13,11 @@ const Application = require('../models/Application');
  *   schemas:
  *     Round:
  *       type: object
+ *       description: Recruitment round. The same records are listed by /api/companies/{id}/rounds and hold the candidates of /api/applications.
  *       required:
  *         - companyId
  *         - name
- *         - type
- *         - sequence
+ *         - roundNumber
  *       properties:
  *         id:
  *           type: string
@@ -23,6 +25,10 @@ const Application = require('../models/Application');
  *         companyId:
  *           type: string
  *           description: Company ID this round belongs to
+ *         jobProfileId:
+ *           type: string
+ *           nullable: true
+ *           description: Job profile the round belongs to; null for rounds common to every profile
  *         name:
  *           type: string
  *           description: Name of the recruitment round
@@ -33,12 +39,15 @@ const Application = require('../models/Application');
  *         description:
  *           type: string
  *           description: Description of what this round involves
- *         sequence:
+ *         roundNumber:
  *           type: integer
- *           description: Order in which this round occurs
+ *           description: Order in which this round occurs; candidates move through rounds in this order
+ *         status:
+ *           type: string
+ *           enum: [upcoming, ongoing, completed, cancelled]
  *         duration:
- *           type: integer
- *           description: Duration in minutes
+ *           type: string
+ *           description: Duration, e.g. "90 minutes"
  *         maxScore:
  *           type: number
  *           description: Maximum score for this round
@@ -51,14 +60,18 @@ const Application = require('../models/Application');
  *           description: Scheduled date and time for this round
  *         location:
  *           type: string
- *           description: Location of the round (physical or online link)
+ *           description: Location of the round
+ *         isOnline:
+ *           type: boolean
+ *         meetingLink:
+ *           type: string
  *         instructions:
  *           type: string
  *           description: Special instructions for candidates
- *         isActive:
- *           type: boolean
- *           default: true
- *           description: Whether this round is currently active
+ *         maxCandidates:
+ *           type: integer
+ *         currentCandidates:
+ *           type: integer
  *         requiredDocuments:
  *           type: array
  *           items:
@@ -69,8 +82,98 @@ const Application = require('../models/Application');
  *           items:
  *             type: object
  *           description: Evaluation criteria for this round
+ *         evaluationCriteriaTotal:
+ *           type: number
+ *           description: Sum of the evaluation criteria weights
  */
 
+// Fields of a round that can be set through the API
+const ROUND_FIELDS = [
+  'name',
+  'type',
+  'description',
+  'duration',
+  'maxScore',
+  'passingScore',
+  'scheduledDate',
+  'location',
+  'isOnline',
+  'meetingLink',
+  'instructions',
+  'maxCandidates',
+  'requiredDocuments',
+  'evaluationCriteria'
+];
+
+// Pick the round fields from a request body. Durations given in minutes (as
+// by the former rounds API) are stored as text like the other rounds.
+const pickRoundFields = (body) => {
+  const fields = {};
+  ROUND_FIELDS.forEach(key => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  });
+
+  if (typeof fields.duration === 'number') {
+    fields.duration = `${fields.duration} minutes`;
+  }
+  if (fields.scheduledDate) {
+    fields.scheduledDate = new Date(fields.scheduledDate);
+  }
+
+  return fields;
+};
+
+// Managing rounds takes rounds:write, or rounds:write:company for the rounds
+// of the user's own company (recruiters)
+const requireRoundsWrite = auth.requirePermission('rounds:write', 'rounds:write:company');
+
+// Check if the user may manage the rounds of a company
+const canManageCompanyRounds = (req, companyId) => hasPermission(req.permissions, 'rounds:write') ||
+  (!!req.user.companyId && req.user.companyId.toString() === companyId.toString());
+
+// Error for a round of a company the user may not manage
+const roundAccessError = () => {
+  const error = new Error('Access denied. You can only access your own company data.');
+  error.name = 'RoundAccessError';
+  return error;
+};
+
+// Find a round the user may manage and whose company's placement season can
+// still change
+const findWritableRound = async (req, roundId) => {
+  const round = await RecruitmentRound.findById(roundId);
+  if (round) {
+    if (!canManageCompanyRounds(req, round.companyId)) {
+      throw roundAccessError();
+    }
+    const company = await Company.findById(round.companyId).select('seasonId');
+    await Season.assertWritable(company && company.seasonId);
+  }
+  return round;
+};
+
+// Send the response for a failed change to a round
+const sendRoundError = (res, error) => {
+  if (error.name === 'SeasonClosedError' || error.name === 'RoundAccessError') {
+    return res.status(403).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'RoundConflictError' || error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: error.message || 'Server error'
+  });
+};
+
 /**
  * @swagger
  * /api/rounds/company/{companyId}:
@@ -91,7 +194,7 @@ const Application = require('../models/Application');
  *         schema:
  *           type: boolean
  *           default: false
- *         description: Include inactive rounds
+ *         description: Include cancelled rounds
  *     responses:
  *       200:
  *         description: List of rounds for the company
@@ -136,7 +239,7 @@ router.get('/company/:companyId', auth.protect, async (req, res) => {
     }
 
     // Get rounds for the company
-    const rounds = await Round.getCompanyRounds(companyId, includeInactive);
+    const rounds = await RecruitmentRound.getCompanyRounds(companyId, includeInactive);
 
     // Format rounds
     const formattedRounds = rounds.map(round => round.getFormattedInfo());
@@ -182,6 +285,9 @@ router.get('/company/:companyId', auth.protect, async (req, res) => {
  *               companyId:
  *                 type: string
  *                 description: Company ID
+ *               jobProfileId:
+ *                 type: string
+ *                 description: Job profile the round belongs to (common to every profile if left out)
  *               name:
  *                 type: string
  *                 description: Name of the round
@@ -191,12 +297,17 @@ router.get('/company/:companyId', auth.protect, async (req, res) => {
  *               description:
  *                 type: string
  *                 description: Description of the round
+ *               roundNumber:
+ *                 type: integer
+ *                 description: Position in the company's rounds (after the last round if not provided)
  *               sequence:
  *                 type: integer
- *                 description: Sequence order (auto-assigned if not provided)
+ *                 description: Former name of roundNumber, still accepted
  *               duration:
- *                 type: integer
- *                 description: Duration in minutes
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                 description: Duration as text, or in minutes
  *               maxScore:
  *                 type: number
  *                 description: Maximum score
@@ -209,10 +320,16 @@ router.get('/company/:companyId', auth.protect, async (req, res) => {
  *                 description: Scheduled date and time
  *               location:
  *                 type: string
- *                 description: Location or online link
+ *                 description: Location of the round
+ *               isOnline:
+ *                 type: boolean
+ *               meetingLink:
+ *                 type: string
  *               instructions:
  *                 type: string
  *                 description: Special instructions
+ *               maxCandidates:
+ *                 type: integer
  *               requiredDocuments:
  *                 type: array
  *                 items:
@@ -234,29 +351,17 @@ router.get('/company/:companyId', auth.protect, async (req, res) => {
  *       201:
  *         description: Round created successfully
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or the round number is taken
+ *       403:
+ *         description: The company's placement season is read-only, or the round belongs to another company
  *       404:
- *         description: Company not found
+ *         description: Company or job profile not found
  *       500:
  *         description: Server error
  */
-router.post('/', auth.protect, async (req, res) => {
+router.post('/', auth.protect, requireRoundsWrite, async (req, res) => {
   try {
-    const {
-      companyId,
-      name,
-      type,
-      description,
-      sequence,
-      duration,
-      maxScore,
-      passingScore,
-      scheduledDate,
-      location,
-      instructions,
-      requiredDocuments,
-      evaluationCriteria
-    } = req.body;
+    const { companyId, name, type, roundNumber, sequence, jobProfileId = null } = req.body;
 
     // Validate required fields
     if (!companyId || !name || !type) {
@@ -275,28 +380,30 @@ router.post('/', auth.protect, async (req, res) => {
       });
     }
 
-    // Get next sequence if not provided
-    let roundSequence = sequence;
-    if (!roundSequence) {
-      roundSequence = await Round.getNextSequence(companyId);
+    if (!canManageCompanyRounds(req, company._id)) {
+      throw roundAccessError();
     }
 
+    await Season.assertWritable(company.seasonId);
+
+    // Rounds without a job profile are common to every profile
+    if (jobProfileId && !company.jobProfiles.id(jobProfileId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job profile not found'
+      });
+    }
+
+    // Add the round after the company's last round if no position is given
+    const position = roundNumber || sequence || await RecruitmentRound.getNextRoundNumber(companyId);
+
     // Create round
-    const round = new Round({
+    const round = new RecruitmentRound({
+      ...pickRoundFields(req.body),
       companyId,
-      name,
-      type,
-      description,
-      sequence: roundSequence,
-      duration,
-      maxScore,
-      passingScore,
-      scheduledDate: scheduledDate ? new Date(scheduledDate) : undefined,
-      location,
-      instructions,
-      requiredDocuments: requiredDocuments || [],
-      evaluationCriteria: evaluationCriteria || [],
-      createdBy: req.user.id
+      jobProfileId,
+      roundNumber: position,
+      createdBy: req.user._id
     });
 
     await round.save();
@@ -308,10 +415,7 @@ router.post('/', auth.protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating round:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Server error'
-    });
+    sendRoundError(res, error);
   }
 });
 
@@ -351,7 +455,7 @@ router.get('/:roundId', auth.protect, async (req, res) => {
   try {
     const { roundId } = req.params;
 
-    const round = await Round.findById(roundId)
+    const round = await RecruitmentRound.findById(roundId)
       .populate('companyId', 'name')
       .populate('createdBy', 'name email');
 
@@ -380,6 +484,7 @@ router.get('/:roundId', auth.protect, async (req, res) => {
  * /api/rounds/{roundId}:
  *   put:
  *     summary: Update a round
+ *     description: The round's position and status are changed through the reorder and status endpoints.
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
@@ -399,10 +504,14 @@ router.get('/:roundId', auth.protect, async (req, res) => {
  *             properties:
  *               name:
  *                 type: string
+ *               type:
+ *                 type: string
  *               description:
  *                 type: string
  *               duration:
- *                 type: integer
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
  *               maxScore:
  *                 type: number
  *               passingScore:
@@ -412,8 +521,14 @@ router.get('/:roundId', auth.protect, async (req, res) => {
  *                 format: date-time
  *               location:
  *                 type: string
+ *               isOnline:
+ *                 type: boolean
+ *               meetingLink:
+ *                 type: string
  *               instructions:
  *                 type: string
+ *               maxCandidates:
+ *                 type: integer
  *               requiredDocuments:
  *                 type: array
  *                 items:
@@ -422,23 +537,24 @@ router.get('/:roundId', auth.protect, async (req, res) => {
  *                 type: array
  *                 items:
  *                   type: object
- *               isActive:
- *                 type: boolean
  *     responses:
  *       200:
  *         description: Round updated successfully
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: The company's placement season is read-only, or the round belongs to another company
  *       404:
  *         description: Round not found
  *       500:
  *         description: Server error
  */
-router.put('/:roundId', auth.protect, async (req, res) => {
+router.put('/:roundId', auth.protect, requireRoundsWrite, async (req, res) => {
   try {
     const { roundId } = req.params;
-    const updateData = req.body;
 
     // Find and update round
-    const round = await Round.findById(roundId);
+    const round = await findWritableRound(req, roundId);
     if (!round) {
       return res.status(404).json({
         success: false,
@@ -446,17 +562,7 @@ router.put('/:roundId', auth.protect, async (req, res) => {
       });
     }
 
-    // Handle scheduledDate conversion
-    if (updateData.scheduledDate) {
-      updateData.scheduledDate = new Date(updateData.scheduledDate);
-    }
-
-    // Update fields
-    Object.keys(updateData).forEach(key => {
-      if (key !== 'sequence' && key !== 'companyId' && key !== 'createdBy') {
-        round[key] = updateData[key];
-      }
-    });
+    round.set(pickRoundFields(req.body));
 
     await round.save();
     await round.populate('createdBy', 'name email');
@@ -467,10 +573,88 @@ router.put('/:roundId', auth.protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating round:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Server error'
+    sendRoundError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/rounds/{roundId}/status:
+ *   put:
+ *     summary: Change the status of a round
+ *     description: Completing a round moves its shortlisted candidates into the next round, or selects them after the last round.
+ *     tags: [Rounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Round ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [upcoming, ongoing, completed, cancelled]
+ *     responses:
+ *       200:
+ *         description: Round status changed
+ *       400:
+ *         description: Invalid status, or the round is already completed
+ *       403:
+ *         description: The company's placement season is read-only, or the round belongs to another company
+ *       404:
+ *         description: Round not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:roundId/status', auth.protect, requireRoundsWrite, async (req, res) => {
+  try {
+    const { roundId } = req.params;
+    const { status } = req.body;
+
+    if (!['upcoming', 'ongoing', 'completed', 'cancelled'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status value'
+      });
+    }
+
+    const round = await findWritableRound(req, roundId);
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Round not found'
+      });
+    }
+
+    // Candidates of a completed round have already moved on
+    if (round.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'A completed round cannot change status'
+      });
+    }
+
+    await round.updateStatus(status);
+
+    res.json({
+      success: true,
+      message: 'Round status updated successfully',
+      data: round.getFormattedInfo()
     });
+  } catch (error) {
+    console.error('Error updating round status:', error);
+    sendRoundError(res, error);
   }
 });
 
@@ -479,6 +663,7 @@ router.put('/:roundId', auth.protect, async (req, res) => {
  * /api/rounds/{roundId}:
  *   delete:
  *     summary: Delete a round
+ *     description: Rounds that candidates are in or have been in cannot be deleted; cancel them instead.
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
@@ -492,16 +677,20 @@ router.put('/:roundId', auth.protect, async (req, res) => {
  *     responses:
  *       200:
  *         description: Round deleted successfully
+ *       400:
+ *         description: The round has candidates
+ *       403:
+ *         description: The company's placement season is read-only, or the round belongs to another company
  *       404:
  *         description: Round not found
  *       500:
  *         description: Server error
  */
-router.delete('/:roundId', auth.protect, async (req, res) => {
+router.delete('/:roundId', auth.protect, requireRoundsWrite, async (req, res) => {
   try {
     const { roundId } = req.params;
 
-    const round = await Round.findById(roundId);
+    const round = await findWritableRound(req, roundId);
     if (!round) {
       return res.status(404).json({
         success: false,
@@ -509,7 +698,15 @@ router.delete('/:roundId', auth.protect, async (req, res) => {
       });
     }
 
-    await Round.findByIdAndDelete(roundId);
+    const applicationCount = await Application.countDocuments({ roundId });
+    if (applicationCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a round with candidates; cancel it instead'
+      });
+    }
+
+    await RecruitmentRound.findByIdAndDelete(roundId);
 
     res.json({
       success: true,
@@ -517,10 +714,7 @@ router.delete('/:roundId', auth.protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Error deleting round:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    sendRoundError(res, error);
   }
 });
 
@@ -529,6 +723,7 @@ router.delete('/:roundId', auth.protect, async (req, res) => {
  * /api/rounds/{roundId}/candidates:
  *   get:
  *     summary: Get candidates for a specific round
+ *     description: Applications currently in the round that are submitted, under review or shortlisted.
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
@@ -565,18 +760,20 @@ router.delete('/:roundId', auth.protect, async (req, res) => {
  *                             type: object
  *                           currentStatus:
  *                             type: string
+ *                           score:
+ *                             type: number
+ *       403:
+ *         description: Not allowed to manage the rounds of this company
  *       404:
  *         description: Round not found
  *       500:
  *         description: Server error
  */
-router.get('/:roundId/candidates', auth.protect, async (req, res) => {
+router.get('/:roundId/candidates', auth.protect, requireRoundsWrite, async (req, res) => {
   try {
     const { roundId } = req.params;
 
-    const round = await Round.findById(roundId)
-      .populate('companyId', 'name');
-
+    const round = await RecruitmentRound.findById(roundId);
     if (!round) {
       return res.status(404).json({
         success: false,
@@ -584,7 +781,18 @@ router.get('/:roundId/candidates', auth.protect, async (req, res) => {
       });
     }
 
-    const candidates = await round.getUpcomingCandidates();
+    // Candidates and their scores are only shown to those managing the round
+    if (!canManageCompanyRounds(req, round.companyId)) {
+      return sendRoundError(res, roundAccessError());
+    }
+
+    const applications = await round.getCandidates();
+    const candidates = applications.map(application => ({
+      applicationId: application._id,
+      student: application.studentId,
+      currentStatus: application.status,
+      score: application.score
+    }));
 
     res.json({
       success: true,
@@ -606,7 +814,8 @@ router.get('/:roundId/candidates', auth.protect, async (req, res) => {
  * @swagger
  * /api/rounds/{roundId}/reorder:
  *   put:
- *     summary: Reorder round sequence
+ *     summary: Move a round to another position
+ *     description: The rounds in between (of the company, or of the round's job profile) shift by one. Candidates move through rounds in the new order.
  *     tags: [Rounds]
  *     security:
  *       - bearerAuth: []
@@ -623,33 +832,52 @@ router.get('/:roundId/candidates', auth.protect, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - newSequence
  *             properties:
+ *               newRoundNumber:
+ *                 type: integer
+ *                 description: New round number
  *               newSequence:
  *                 type: integer
- *                 description: New sequence position
+ *                 description: Former name of newRoundNumber, still accepted
  *     responses:
  *       200:
  *         description: Round reordered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     oldRoundNumber:
+ *                       type: integer
+ *                     newRoundNumber:
+ *                       type: integer
+ *       400:
+ *         description: Invalid round number
+ *       403:
+ *         description: The company's placement season is read-only, or the round belongs to another company
  *       404:
  *         description: Round not found
  *       500:
  *         description: Server error
  */
-router.put('/:roundId/reorder', auth.protect, async (req, res) => {
+router.put('/:roundId/reorder', auth.protect, requireRoundsWrite, async (req, res) => {
   try {
     const { roundId } = req.params;
-    const { newSequence } = req.body;
+    const newRoundNumber = parseInt(req.body.newRoundNumber || req.body.newSequence);
 
-    if (!newSequence || newSequence < 1) {
+    if (!newRoundNumber || newRoundNumber < 1) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid newSequence value'
+        message: 'Invalid newRoundNumber value'
       });
     }
 
-    const round = await Round.findById(roundId);
+    const round = await findWritableRound(req, roundId);
     if (!round) {
       return res.status(404).json({
         success: false,
@@ -657,57 +885,29 @@ router.put('/:roundId/reorder', auth.protect, async (req, res) => {
       });
     }
 
-    const oldSequence = round.sequence;
+    const oldRoundNumber = round.roundNumber;
 
-    if (oldSequence === newSequence) {
+    if (oldRoundNumber === newRoundNumber) {
       return res.json({
         success: true,
-        message: 'No sequence change needed'
+        message: 'No round number change needed'
       });
     }
 
-    // Update other rounds' sequences
-    if (newSequence < oldSequence) {
-      // Move up: increment rounds between newSequence and oldSequence
-      await Round.updateMany(
-        {
-          companyId: round.companyId,
-          sequence: { $gte: newSequence, $lt: oldSequence },
-          _id: { $ne: roundId }
-        },
-        { $inc: { sequence: 1 } }
-      );
-    } else {
-      // Move down: decrement rounds between oldSequence and newSequence
-      await Round.updateMany(
-        {
-          companyId: round.companyId,
-          sequence: { $gt: oldSequence, $lte: newSequence },
-          _id: { $ne: roundId }
-        },
-        { $inc: { sequence: -1 } }
-      );
-    }
-
-    // Update this round's sequence
-    round.sequence = newSequence;
-    await round.save();
+    await round.moveTo(newRoundNumber);
 
     res.json({
       success: true,
       message: 'Round reordered successfully',
       data: {
-        oldSequence,
-        newSequence
+        oldRoundNumber,
+        newRoundNumber
       }
     });
   } catch (error) {
     console.error('Error reordering round:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    sendRoundError(res, error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
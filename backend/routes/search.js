@@ -103,6 +103,10 @@ router.get('/global', optionalAuth, [
       };
 
       if (industry) companyQuery.industry = industry;
+      // Students and visitors only find companies once they are approved
+      if (!req.user || ['student', 'recruiter'].includes(req.user.role)) {
+        companyQuery.status = { $in: Company.PUBLISHED_STATUSES };
+      }
 
       const companies = await Company.find(companyQuery)
         .populate('createdBy', 'name')
@@ -242,7 +246,7 @@ router.get('/suggestions', [
       case 'companies':
         const companies = await Company.find({
           name: { $regex: searchTerm, $options: 'i' },
-          status: 'active'
+          status: { $in: Company.PUBLISHED_STATUSES }
         })
           .select('name logoUrl')
           .limit(limit)
@@ -431,6 +435,9 @@ router.get('/advanced', protect, [
             { location: { $regex: searchTerm, $options: 'i' } }
           ];
         }
+        if (['student', 'recruiter'].includes(req.user.role)) {
+          companyQuery.status = { $in: Company.PUBLISHED_STATUSES };
+        }
 
         const companies = await Company.find(companyQuery)
           .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
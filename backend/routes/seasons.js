@@ -0,0 +1,460 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Season = require('../models/Season');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Seasons
+ *   description: Placement seasons grouping companies, windows and applications by academic year
+ */
+
+const seasonIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid season ID')
+];
+
+const seasonValidation = (optional) => [
+  (optional ? body('batch').optional() : body('batch'))
+    .isInt({ min: 2000, max: 2030 })
+    .withMessage('Batch must be a valid year'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Season name must be between 1 and 100 characters'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+];
+
+// Send the response for a season that cannot be found
+const seasonNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Placement season not found'
+});
+
+// Move a season to another status, e.g. closing it
+const changeStatus = (from, to, message) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const season = await Season.findById(req.params.id);
+    if (!season) {
+      return seasonNotFound(res);
+    }
+
+    if (!from.includes(season.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A season that is ${season.status} cannot be changed to ${to}`
+      });
+    }
+
+    season.status = to;
+    if (to === 'closed') {
+      season.closedAt = new Date();
+      season.closedBy = req.user._id;
+    } else if (to === 'open') {
+      season.closedAt = undefined;
+      season.closedBy = undefined;
+    }
+    await season.save();
+
+    res.json({
+      success: true,
+      message,
+      data: { season: season.getFormattedData() }
+    });
+  } catch (error) {
+    console.error(`Change season status to ${to} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing season status'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/seasons:
+ *   get:
+ *     summary: List placement seasons
+ *     description: Newest first. Archived seasons are left out unless includeArchived is true.
+ *     tags: [Seasons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Seasons, with the current one marked by isCurrent
+ */
+router.get('/', protect, [
+  query('includeArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('includeArchived must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const filter = req.query.includeArchived === 'true' ? {} : { status: { $ne: 'archived' } };
+    const [seasons, current] = await Promise.all([
+      Season.find(filter).sort({ startDate: -1 }),
+      Season.getCurrent()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        seasons: seasons.map(season => season.getFormattedData()),
+        currentSeasonId: current ? current._id : null
+      }
+    });
+  } catch (error) {
+    console.error('Get seasons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching placement seasons'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasons/{id}:
+ *   get:
+ *     summary: Get a placement season with its statistics
+ *     tags: [Seasons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Season and its students, companies, applications, offers and package statistics
+ *       404:
+ *         description: Season not found
+ */
+router.get('/:id', protect, seasonIdValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const season = await Season.findById(req.params.id);
+    if (!season) {
+      return seasonNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        season: season.getFormattedData(),
+        statistics: await season.getStatistics()
+      }
+    });
+  } catch (error) {
+    console.error('Get season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching placement season'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasons:
+ *   post:
+ *     summary: Create a placement season
+ *     description: Companies, windows and applications without a season that were created between the season's start and end dates are attached to it.
+ *     tags: [Seasons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [academicYear, batch]
+ *             properties:
+ *               academicYear:
+ *                 type: string
+ *                 example: 2025-26
+ *               batch:
+ *                 type: integer
+ *                 example: 2026
+ *               name:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Season created, with the number of records attached per model
+ *       400:
+ *         description: Validation error or a season already exists for the academic year
+ *       403:
+ *         description: Requires seasons:manage
+ */
+router.post('/', protect, requirePermission('seasons:manage'), [
+  body('academicYear')
+    .trim()
+    .matches(/^\d{4}-\d{2}$/)
+    .withMessage('Academic year must look like 2025-26'),
+  ...seasonValidation(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { academicYear, batch, name, startDate, endDate } = req.body;
+
+    const existingSeason = await Season.findOne({ academicYear });
+    if (existingSeason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A placement season already exists for this academic year'
+      });
+    }
+
+    const season = new Season({
+      academicYear,
+      batch,
+      name,
+      startDate,
+      endDate,
+      createdBy: req.user._id
+    });
+
+    try {
+      await season.validate();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    await season.save();
+    const adopted = await Season.adoptRecords(season);
+
+    res.status(201).json({
+      success: true,
+      message: 'Placement season created successfully',
+      data: {
+        season: season.getFormattedData(),
+        adopted
+      }
+    });
+  } catch (error) {
+    console.error('Create season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating placement season'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasons/{id}:
+ *   put:
+ *     summary: Update the name, batch or dates of an open placement season
+ *     tags: [Seasons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Season updated
+ *       403:
+ *         description: The season is closed or archived
+ */
+router.put('/:id', protect, requirePermission('seasons:manage'), [
+  ...seasonIdValidation,
+  ...seasonValidation(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const season = await Season.findById(req.params.id);
+    if (!season) {
+      return seasonNotFound(res);
+    }
+
+    if (season.isReadOnly()) {
+      return res.status(403).json({
+        success: false,
+        message: `The season is ${season.status} and read-only`
+      });
+    }
+
+    const { batch, name, startDate, endDate } = req.body;
+
+    if (batch !== undefined) season.batch = batch;
+    if (name !== undefined) season.name = name;
+    if (startDate !== undefined) season.startDate = startDate;
+    if (endDate !== undefined) season.endDate = endDate;
+
+    try {
+      await season.validate();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    await season.save();
+
+    res.json({
+      success: true,
+      message: 'Placement season updated successfully',
+      data: { season: season.getFormattedData() }
+    });
+  } catch (error) {
+    console.error('Update season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating placement season'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/seasons/{id}/close:
+ *   post:
+ *     summary: Close a placement season
+ *     description: Its companies, windows and applications become read-only. The season's data stays in reports and exports.
+ *     tags: [Seasons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Season closed
+ *       400:
+ *         description: The season is not open
+ */
+router.post('/:id/close', protect, requirePermission('seasons:manage'), seasonIdValidation,
+  changeStatus(['open'], 'closed', 'Placement season closed'));
+
+/**
+ * @swagger
+ * /api/seasons/{id}/reopen:
+ *   post:
+ *     summary: Reopen a closed placement season
+ *     tags: [Seasons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Season reopened
+ *       400:
+ *         description: The season is not closed (archived seasons cannot be reopened)
+ */
+router.post('/:id/reopen', protect, requirePermission('seasons:manage'), seasonIdValidation,
+  changeStatus(['closed'], 'open', 'Placement season reopened'));
+
+/**
+ * @swagger
+ * /api/seasons/{id}/archive:
+ *   post:
+ *     summary: Archive a closed placement season
+ *     description: Archived seasons stay read-only for good and are hidden from the season list by default.
+ *     tags: [Seasons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Season archived
+ *       400:
+ *         description: The season is not closed
+ */
+router.post('/:id/archive', protect, requirePermission('seasons:manage'), seasonIdValidation,
+  changeStatus(['closed'], 'archived', 'Placement season archived'));
+
+module.exports = router;
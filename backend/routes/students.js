@@ -1,17 +1,228 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const csv = require('csv-parser');
-const { Readable } = require('stream');
 const Student = require('../models/Student');
+const AcademicChangeRequest = require('../models/AcademicChangeRequest');
 const User = require('../models/User');
-const Application = require('../models/Application');
-const { protect, authorize, studentAccess } = require('../middleware/auth');
+const Role = require('../models/Role');
+const { protect, requirePermission, studentAccess } = require('../middleware/auth');
+const { preserveContext } = require('../middleware/requestContext');
+const { hasPermission } = require('../utils/permissions');
+const { isImportFile, parseImportFile, buildErrorReport } = require('../utils/studentImport');
+const { runInTransaction } = require('../utils/transaction');
+const { ROLE_TYPES } = require('../utils/placementPreferences');
+const { compensationValidation } = require('../utils/compensation');
+const emailService = require('../utils/emailService');
 
 const router = express.Router();
 
+const { ACADEMIC_SECTIONS, PORTFOLIO_SECTIONS } = Student;
+
+// Validation rules for an academic record sent under `prefix` (e.g. 'academicRecord.')
+const academicRecordValidation = (prefix = '') => [
+  body(`${prefix}tenth.percentage`)
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('10th percentage must be between 0 and 100'),
+  body(`${prefix}twelfth.percentage`)
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('12th/diploma percentage must be between 0 and 100'),
+  body(`${prefix}twelfth.qualification`)
+    .optional()
+    .isIn(['12th', 'diploma'])
+    .withMessage('Qualification must be 12th or diploma'),
+  body(`${prefix}semesters`)
+    .optional()
+    .isArray()
+    .withMessage('Semesters must be an array')
+    .custom(semesters => {
+      const numbers = semesters.map(result => Number(result.semester));
+      if (new Set(numbers).size !== numbers.length) {
+        throw new Error('Each semester can only be recorded once');
+      }
+      return true;
+    }),
+  body(`${prefix}semesters.*.semester`)
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Semester must be between 1 and 12'),
+  body(`${prefix}semesters.*.sgpa`)
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('SGPA must be between 0 and 10'),
+  body(`${prefix}semesters.*.credits`)
+    .isFloat({ min: 1 })
+    .withMessage('Credits must be at least 1'),
+  body(`${prefix}backlogs`)
+    .optional()
+    .isArray()
+    .withMessage('Backlogs must be an array')
+    .custom(backlogs => {
+      if (backlogs.some(backlog => backlog.status === 'cleared' && !backlog.clearedOn)) {
+        throw new Error('Cleared backlogs must have a cleared date');
+      }
+      return true;
+    }),
+  body(`${prefix}backlogs.*.subjectName`)
+    .trim()
+    .notEmpty()
+    .withMessage('Backlog subject name is required'),
+  body(`${prefix}backlogs.*.semester`)
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Backlog semester must be between 1 and 12'),
+  body(`${prefix}backlogs.*.status`)
+    .optional()
+    .isIn(['active', 'cleared'])
+    .withMessage('Backlog status must be active or cleared'),
+  body(`${prefix}backlogs.*.clearedOn`)
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Cleared date must be a valid date')
+];
+
+// Validation rules for reviewing academic data (a note is required when rejecting)
+const reviewValidation = (statuses) => [
+  body('status')
+    .isIn(statuses)
+    .withMessage(`Status must be one of: ${statuses.join(', ')}`),
+  body('note')
+    .if(body('status').equals('rejected'))
+    .trim()
+    .notEmpty()
+    .withMessage('A note is required when rejecting'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+// Academic record as returned to clients, with the review state of each section
+const formatAcademicRecord = (student) => ({
+  academicRecord: student.academicRecord,
+  verification: Object.fromEntries(ACADEMIC_SECTIONS.map(section => [section, {
+    ...(student.academicVerification && student.academicVerification[section]
+      ? student.academicVerification[section].toObject()
+      : {}),
+    status: student.getVerificationStatus(section)
+  }])),
+  cgpa: student.cgpa,
+  activeBacklogs: student.backlogs,
+  totalBacklogs: student.totalBacklogs,
+  isCalculated: student.hasAcademicRecord()
+});
+
+// Queue a change to a verified section; a newer request replaces a pending one
+const queueAcademicChange = async (student, section, value, req) => {
+  let changeRequest = await AcademicChangeRequest.findOne({
+    studentId: student._id,
+    section,
+    status: 'pending'
+  });
+  if (!changeRequest) {
+    changeRequest = new AcademicChangeRequest({ studentId: student._id, section });
+  }
+
+  changeRequest.set({
+    previousValue: student.toObject().academicRecord[section] || null,
+    requestedValue: value,
+    reason: req.body.reason,
+    requestedBy: req.user._id
+  });
+  return changeRequest.save();
+};
+
+// Fields of each portfolio section that can be set
+const PORTFOLIO_FIELDS = {
+  projects: ['title', 'description', 'technologies', 'duration', 'url'],
+  internships: ['company', 'position', 'startDate', 'endDate', 'description'],
+  certifications: ['name', 'issuer', 'issuedOn', 'credentialUrl']
+};
+
+// Validation rules for a portfolio item; required fields are checked by the model
+const portfolioItemValidation = [
+  param('section')
+    .isIn(PORTFOLIO_SECTIONS)
+    .withMessage(`Section must be one of: ${PORTFOLIO_SECTIONS.join(', ')}`),
+  body('technologies')
+    .optional()
+    .isArray()
+    .withMessage('Technologies must be an array'),
+  body(['startDate', 'endDate', 'issuedOn'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Dates must be valid dates'),
+  body(['url', 'credentialUrl'])
+    .optional({ checkFalsy: true })
+    .isURL()
+    .withMessage('Please enter a valid URL')
+];
+
+// Pick the fields of a portfolio section from a request body
+const pickPortfolioFields = (section, body) => Object.fromEntries(
+  PORTFOLIO_FIELDS[section]
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]])
+);
+
+// Find a student the current user may edit (students:write, or own profile).
+// Sends the error response and returns null otherwise.
+const findEditableStudent = async (req, res) => {
+  const student = await Student.findById(req.params.id);
+  if (!student) {
+    res.status(404).json({
+      success: false,
+      message: 'Student not found'
+    });
+    return null;
+  }
+
+  const isOwnProfile = req.user.role === 'student' && student.userId.toString() === req.user._id.toString();
+  const canManageStudents = hasPermission(await Role.getPermissionsForRole(req.user.role), 'students:write');
+
+  if (!isOwnProfile && !canManageStudents) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return student;
+};
+
+// Save a student after changing a portfolio section. Returns the validation
+// messages of the section, or an empty list once saved.
+const savePortfolio = async (student, section) => {
+  const validationError = student.validateSync([section]);
+  if (validationError) {
+    return Object.values(validationError.errors).map(error => error.message);
+  }
+
+  await student.save();
+  return [];
+};
+
+// Email the students created by an upload without a password a link to set
+// one, marking each row with whether the link was sent
+const sendAccountSetupLinks = async (rows) => {
+  const expiresInDays = parseInt(process.env.ACCOUNT_SETUP_EXPIRE_DAYS) || 7;
+
+  for (const row of rows.filter(row => row.action === 'create' && row.passwordSetup)) {
+    try {
+      const student = await Student.findById(row.studentId).populate('userId');
+      const user = student.userId;
+      const setupToken = user.createPasswordResetToken(expiresInDays * 24 * 60);
+      await user.save();
+      await emailService.sendAccountSetupEmail(user, setupToken, expiresInDays);
+      row.setupLinkSent = true;
+    } catch (error) {
+      console.error('Account setup email error:', error);
+      row.setupLinkSent = false;
+    }
+  }
+};
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -52,10 +263,25 @@ const upload = multer({
   }
 });
 
+// Bulk upload files are parsed in memory and not kept
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (isImportFile(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV and XLSX files are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB
+  }
+});
+
 // @route   GET /api/students
-// @desc    Get all students (admin only)
-// @access  Private (Admin only)
-router.get('/', protect, authorize('admin'), [
+// @desc    Get all students
+// @access  Private (students:read)
+router.get('/', protect, requirePermission('students:read'), [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -71,7 +297,19 @@ router.get('/', protect, authorize('admin'), [
   query('placed')
     .optional()
     .isBoolean()
-    .withMessage('placed must be a boolean')
+    .withMessage('placed must be a boolean'),
+  query(['minCompleteness', 'maxCompleteness'])
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Completeness must be between 0 and 100'),
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'profileCompleteness', 'cgpa', 'rollNumber'])
+    .withMessage('sortBy must be one of: createdAt, profileCompleteness, cgpa, rollNumber'),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('sortOrder must be asc or desc')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -92,7 +330,11 @@ router.get('/', protect, authorize('admin'), [
       minCGPA,
       maxCGPA,
       batch,
-      search
+      search,
+      minCompleteness,
+      maxCompleteness,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
     } = req.query;
 
     // Build query
@@ -108,6 +350,11 @@ router.get('/', protect, authorize('admin'), [
         query.cgpa = { $lte: parseFloat(maxCGPA) };
       }
     }
+    if (minCompleteness || maxCompleteness) {
+      query.profileCompleteness = {};
+      if (minCompleteness) query.profileCompleteness.$gte = parseInt(minCompleteness);
+      if (maxCompleteness) query.profileCompleteness.$lte = parseInt(maxCompleteness);
+    }
     if (search) {
       query.$or = [
         { rollNumber: { $regex: search, $options: 'i' } },
@@ -131,7 +378,7 @@ router.get('/', protect, authorize('admin'), [
         } : {}
       })
       .populate('placedCompany', 'name logoUrl')
-      .sort({ createdAt: -1 })
+      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1, _id: 1 })
       .skip(skip)
       .limit(parseInt(limit));
 
@@ -162,6 +409,226 @@ router.get('/', protect, authorize('admin'), [
   }
 });
 
+// @route   GET /api/students/academic-verifications
+// @desc    Get students with academic data awaiting review (status=pending) or rejected
+// @access  Private (students:verify)
+router.get('/academic-verifications', protect, requirePermission('students:verify'), [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'rejected'])
+    .withMessage('Status must be pending or rejected'),
+  query('section')
+    .optional()
+    .isIn(ACADEMIC_SECTIONS)
+    .withMessage(`Section must be one of: ${ACADEMIC_SECTIONS.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status = 'pending', section } = req.query;
+
+    const sections = section ? [section] : ACADEMIC_SECTIONS;
+    const query = {
+      $or: sections.map(name => ({ [`academicVerification.${name}.status`]: status }))
+    };
+
+    const skip = (page - 1) * limit;
+    const [students, total] = await Promise.all([
+      Student.find(query)
+        .populate('userId', 'name email')
+        .sort({ updatedAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Student.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        students: students.map(student => ({
+          id: student._id,
+          name: student.userId ? student.userId.name : undefined,
+          email: student.userId ? student.userId.email : undefined,
+          rollNumber: student.rollNumber,
+          branch: student.branch,
+          batch: student.batch,
+          sections: sections.filter(name => student.getVerificationStatus(name) === status),
+          ...formatAcademicRecord(student)
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get academic verifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching academic verifications'
+    });
+  }
+});
+
+// @route   GET /api/students/academic-change-requests
+// @desc    Get change requests for verified academic data (default status=pending)
+// @access  Private (students:verify)
+router.get('/academic-change-requests', protect, requirePermission('students:verify'), [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved or rejected'),
+  query('section')
+    .optional()
+    .isIn(ACADEMIC_SECTIONS)
+    .withMessage(`Section must be one of: ${ACADEMIC_SECTIONS.join(', ')}`),
+  query('studentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid student ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status = 'pending', section, studentId } = req.query;
+
+    const query = { status };
+    if (section) query.section = section;
+    if (studentId) query.studentId = studentId;
+
+    // Oldest requests are reviewed first
+    const skip = (page - 1) * limit;
+    const [changeRequests, total] = await Promise.all([
+      AcademicChangeRequest.find(query)
+        .populate('studentId', 'rollNumber branch')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AcademicChangeRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        changeRequests: changeRequests.map(changeRequest => changeRequest.getFormattedData()),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get academic change requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching change requests'
+    });
+  }
+});
+
+// @route   PUT /api/students/academic-change-requests/:requestId
+// @desc    Approve (apply and verify) or reject a change to verified academic data
+// @access  Private (students:verify)
+router.put('/academic-change-requests/:requestId', protect, requirePermission('students:verify'), reviewValidation(['approved', 'rejected']), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { status, note } = req.body;
+
+    const changeRequest = await AcademicChangeRequest.findById(req.params.requestId);
+    if (!changeRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Change request not found'
+      });
+    }
+
+    if (changeRequest.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Change request has already been ${changeRequest.status}`
+      });
+    }
+
+    if (status === 'approved') {
+      const student = await Student.findById(changeRequest.studentId);
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student not found'
+        });
+      }
+
+      const { section, requestedValue } = changeRequest;
+      student.academicRecord[section] = requestedValue === null ? undefined : requestedValue;
+      student.reviewAcademicSection(section, 'verified', req.user._id, note);
+      await student.save();
+    }
+
+    changeRequest.status = status;
+    changeRequest.reviewedBy = req.user._id;
+    changeRequest.reviewedAt = new Date();
+    changeRequest.reviewNote = note;
+    await changeRequest.save();
+
+    res.json({
+      success: true,
+      message: `Change request ${status}`,
+      data: { changeRequest: changeRequest.getFormattedData() }
+    });
+  } catch (error) {
+    console.error('Review academic change request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing change request'
+    });
+  }
+});
+
 // @route   GET /api/students/:id
 // @desc    Get student by ID
 // @access  Private
@@ -198,7 +665,8 @@ router.get('/:id', protect, studentAccess, async (req, res) => {
       success: true,
       data: {
         student,
-        applications
+        applications,
+        profileCompleteness: student.getProfileCompleteness()
       }
     });
   } catch (error) {
@@ -211,9 +679,9 @@ router.get('/:id', protect, studentAccess, async (req, res) => {
 });
 
 // @route   POST /api/students
-// @desc    Create new student (admin only)
-// @access  Private (Admin only)
-router.post('/', protect, authorize('admin'), [
+// @desc    Create new student
+// @access  Private (students:write)
+router.post('/', protect, requirePermission('students:write'), [
   body('name')
     .trim()
     .notEmpty()
@@ -236,7 +704,9 @@ router.post('/', protect, authorize('admin'), [
   body('branch')
     .isIn(['Computer Science', 'Information Technology', 'Electronics and Communication', 'Electrical Engineering', 'Mechanical Engineering', 'Civil Engineering', 'Chemical Engineering', 'Biotechnology', 'Other'])
     .withMessage('Invalid branch'),
+  // Calculated from the semester results when an academic record is sent
   body('cgpa')
+    .if((value, { req }) => !(req.body.academicRecord && req.body.academicRecord.semesters))
     .isFloat({ min: 0, max: 10 })
     .withMessage('CGPA must be between 0 and 10'),
   body('phone')
@@ -248,7 +718,12 @@ router.post('/', protect, authorize('admin'), [
   body('skills')
     .optional()
     .isArray()
-    .withMessage('Skills must be an array')
+    .withMessage('Skills must be an array'),
+  body('gapYears')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Gap years must be a non-negative integer'),
+  ...academicRecordValidation('academicRecord.')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -271,7 +746,9 @@ router.post('/', protect, authorize('admin'), [
       phone,
       batch,
       skills = [],
-      backlogs = 0
+      backlogs = 0,
+      gapYears = 0,
+      academicRecord
     } = req.body;
 
     // Check if roll number already exists
@@ -292,17 +769,16 @@ router.post('/', protect, authorize('admin'), [
       });
     }
 
-    // Create user
+    // Create user; the admin-chosen password is temporary
     const user = new User({
       name,
       email,
       password,
-      role: 'student'
+      role: 'student',
+      mustChangePassword: true
     });
 
-    await user.save();
-
-    // Create student
+    // Create student; the user and the student are created together or not at all
     const student = new Student({
       userId: user._id,
       rollNumber: rollNumber.toUpperCase(),
@@ -311,10 +787,17 @@ router.post('/', protect, authorize('admin'), [
       phone,
       batch,
       skills,
-      backlogs
+      backlogs,
+      gapYears,
+      academicRecord
     });
+    student.verifyEnteredSections(ACADEMIC_SECTIONS, req.user._id);
 
-    await student.save();
+    await runInTransaction(async ({ session, onRollback }) => {
+      await user.save({ session });
+      onRollback(() => User.deleteOne({ _id: user._id }));
+      await student.save({ session });
+    });
 
     // Populate user data for response
     await student.populate('userId', 'name email role isActive');
@@ -334,7 +817,7 @@ router.post('/', protect, authorize('admin'), [
 });
 
 // @route   PUT /api/students/:id
-// @desc    Update student (admin only or own profile for limited fields)
+// @desc    Update student (students:write, or own profile for limited fields)
 // @access  Private
 router.put('/:id', protect, [
   body('name')
@@ -355,7 +838,26 @@ router.put('/:id', protect, [
   body('skills')
     .optional()
     .isArray()
-    .withMessage('Skills must be an array')
+    .withMessage('Skills must be an array'),
+  body('gapYears')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Gap years must be a non-negative integer'),
+  body('projects')
+    .optional()
+    .isArray()
+    .withMessage('Projects must be an array'),
+  body('projects.*.title')
+    .trim()
+    .notEmpty()
+    .withMessage('Project title is required')
+    .isLength({ max: 100 })
+    .withMessage('Project title cannot exceed 100 characters'),
+  body('projects.*.technologies')
+    .optional()
+    .isArray()
+    .withMessage('Project technologies must be an array'),
+  ...compensationValidation('compensation')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -377,10 +879,13 @@ router.put('/:id', protect, [
       phone,
       batch,
       skills,
+      projects,
       backlogs,
+      gapYears,
       placed,
       placedCompany,
-      package: salaryPackage
+      package: salaryPackage,
+      compensation
     } = req.body;
 
     const student = await Student.findById(id).populate('userId');
@@ -393,9 +898,9 @@ router.put('/:id', protect, [
 
     // Check permissions
     const isOwnProfile = req.user.role === 'student' && student.userId._id.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
+    const canManageStudents = hasPermission(await Role.getPermissionsForRole(req.user.role), 'students:write');
 
-    if (!isOwnProfile && !isAdmin) {
+    if (!isOwnProfile && !canManageStudents) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -410,9 +915,10 @@ router.put('/:id', protect, [
     if (name) userUpdates.name = name;
     if (phone) studentUpdates.phone = phone;
     if (skills) studentUpdates.skills = skills;
+    if (projects) studentUpdates.projects = projects;
 
-    // Fields only admins can update
-    if (isAdmin) {
+    // Fields only student managers can update
+    if (canManageStudents) {
       if (rollNumber) {
         // Check if roll number is already taken by another student
         const existingStudent = await Student.findOne({
@@ -427,21 +933,36 @@ router.put('/:id', protect, [
         }
         studentUpdates.rollNumber = rollNumber.toUpperCase();
       }
+      // Once there is an academic record, CGPA and backlogs are calculated from it
+      if ((cgpa || backlogs !== undefined) && student.hasAcademicRecord()) {
+        return res.status(400).json({
+          success: false,
+          message: 'CGPA and backlogs are calculated from the academic record. Update the record instead.'
+        });
+      }
       if (branch) studentUpdates.branch = branch;
       if (cgpa) studentUpdates.cgpa = cgpa;
       if (batch) studentUpdates.batch = batch;
-      if (backlogs !== undefined) studentUpdates.backlogs = backlogs;
+      if (backlogs !== undefined) {
+        studentUpdates.backlogs = backlogs;
+        studentUpdates.totalBacklogs = Math.max(student.totalBacklogs || 0, backlogs);
+      }
+      if (gapYears !== undefined) studentUpdates.gapYears = gapYears;
       if (placed !== undefined) studentUpdates.placed = placed;
       if (placedCompany) studentUpdates.placedCompany = placedCompany;
       if (salaryPackage) studentUpdates.package = salaryPackage;
+      if (compensation) studentUpdates.compensation = compensation;
     }
 
-    // Update student
-    const updatedStudent = await Student.findByIdAndUpdate(
-      id,
-      studentUpdates,
-      { new: true, runValidators: true }
-    ).populate('userId', 'name email role isActive lastLogin')
+    // Update student; saving recalculates the profile completeness
+    student.set(studentUpdates);
+    student.verifyEnteredSections([
+      ...(studentUpdates.cgpa ? ['semesters'] : []),
+      ...(studentUpdates.backlogs !== undefined ? ['backlogs'] : [])
+    ], req.user._id);
+    await student.save();
+    const updatedStudent = await Student.findById(id)
+      .populate('userId', 'name email role isActive lastLogin')
       .populate('placedCompany', 'name logoUrl');
 
     // Update user if needed
@@ -463,10 +984,10 @@ router.put('/:id', protect, [
   }
 });
 
-// @route   DELETE /api/students/:id
-// @desc    Delete student (admin only)
-// @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @route   GET /api/students/:id/academic-record
+// @desc    Get student's academic record with calculated CGPA, backlog counts, review state and pending change requests
+// @access  Private
+router.get('/:id/academic-record', protect, studentAccess, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -478,112 +999,49 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    // Delete student's applications
-    await Application.deleteMany({ studentId: id });
-
-    // Delete student
-    await Student.findByIdAndDelete(id);
-
-    // Delete associated user
-    await User.findByIdAndDelete(student.userId);
+    const changeRequests = await AcademicChangeRequest.find({ studentId: id, status: 'pending' })
+      .sort({ createdAt: 1 });
 
     res.json({
       success: true,
-      message: 'Student deleted successfully'
+      data: {
+        ...formatAcademicRecord(student),
+        changeRequests: changeRequests.map(changeRequest => changeRequest.getFormattedData())
+      }
     });
   } catch (error) {
-    console.error('Delete student error:', error);
+    console.error('Get academic record error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting student'
+      message: 'Server error while fetching academic record'
     });
   }
 });
 
-// @route   POST /api/students/bulk-upload
-// @desc    Bulk upload students via CSV (admin only)
-// @access  Private (Admin only)
-router.post('/bulk-upload', protect, authorize('admin'), upload.single('file'), async (req, res) => {
+// @route   PUT /api/students/:id/academic-record
+// @desc    Replace parts of the academic record (tenth, twelfth, semesters, backlogs); CGPA and backlogs are recalculated
+// @access  Private (students:write, or own profile)
+router.put('/:id/academic-record', protect, [
+  ...academicRecordValidation(),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
   try {
-    if (!req.file) {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'No file uploaded'
+        message: 'Validation Error',
+        errors: errors.array()
       });
     }
 
-    // Check if file is CSV
-    if (!req.file.mimetype.includes('csv')) {
-      return res.status(400).json({
-        success: false,
-        message: 'Only CSV files are allowed for bulk upload'
-      });
-    }
-
-    const results = [];
-    const fileBuffer = req.file.buffer;
-    const readableStream = Readable.from(fileBuffer.toString());
-
-    readableStream
-      .pipe(csv())
-      .on('data', (data) => {
-        // Validate required fields
-        if (data.name && data.email && data.rollNumber && data.branch && data.cgpa && data.phone && data.batch) {
-          results.push({
-            name: data.name.trim(),
-            email: data.email.trim().toLowerCase(),
-            password: data.password || 'tempPassword123',
-            rollNumber: data.rollNumber.trim().toUpperCase(),
-            branch: data.branch.trim(),
-            cgpa: parseFloat(data.cgpa),
-            phone: data.phone.trim(),
-            batch: parseInt(data.batch),
-            skills: data.skills ? data.skills.split(',').map(s => s.trim()) : [],
-            backlogs: parseInt(data.backlogs) || 0
-          });
-        }
-      })
-      .on('end', async () => {
-        try {
-          const uploadResults = await Student.bulkUpload(results);
-
-          res.json({
-            success: true,
-            message: 'Bulk upload completed',
-            data: uploadResults
-          });
-        } catch (error) {
-          console.error('Bulk upload processing error:', error);
-          res.status(500).json({
-            success: false,
-            message: 'Error processing bulk upload'
-          });
-        }
-      })
-      .on('error', (error) => {
-        console.error('CSV parsing error:', error);
-        res.status(500).json({
-          success: false,
-          message: 'Error parsing CSV file'
-        });
-      });
-  } catch (error) {
-    console.error('Bulk upload error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during bulk upload'
-    });
-  }
-});
-
-// @route   POST /api/students/:id/upload-resume
-// @desc    Upload student resume
-// @access  Private
-router.post('/:id/upload-resume', protect, upload.single('resume'), async (req, res) => {
-  try {
     const { id } = req.params;
 
-    const student = await Student.findById(id).populate('userId');
+    const student = await Student.findById(id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -592,10 +1050,567 @@ router.post('/:id/upload-resume', protect, upload.single('resume'), async (req,
     }
 
     // Check permissions
-    const isOwnProfile = req.user.role === 'student' && student.userId._id.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
+    const isOwnProfile = req.user.role === 'student' && student.userId.toString() === req.user._id.toString();
+    const canManageStudents = hasPermission(await Role.getPermissionsForRole(req.user.role), 'students:write');
 
-    if (!isOwnProfile && !isAdmin) {
+    if (!isOwnProfile && !canManageStudents) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Each section sent replaces the stored one; null removes 10th/12th results.
+    // Staff changes are verified as they are made, students submit theirs for review
+    // and changes to sections that are already verified wait for approval.
+    const changeRequests = [];
+    for (const section of ACADEMIC_SECTIONS.filter(name => req.body[name] !== undefined)) {
+      const value = req.body[section];
+
+      if (!canManageStudents && student.getVerificationStatus(section) === 'verified') {
+        changeRequests.push(await queueAcademicChange(student, section, value, req));
+        continue;
+      }
+
+      student.academicRecord[section] = value === null ? undefined : value;
+      if (canManageStudents) {
+        student.reviewAcademicSection(section, 'verified', req.user._id);
+      } else {
+        student.submitAcademicSection(section);
+      }
+    }
+
+    await student.save();
+
+    res.json({
+      success: true,
+      message: changeRequests.length > 0
+        ? 'Changes to verified academic data have been sent for review'
+        : 'Academic record updated successfully',
+      data: {
+        ...formatAcademicRecord(student),
+        changeRequests: changeRequests.map(changeRequest => changeRequest.getFormattedData())
+      }
+    });
+  } catch (error) {
+    console.error('Update academic record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating academic record'
+    });
+  }
+});
+
+// @route   PUT /api/students/:id/academic-record/verification
+// @desc    Verify or reject a section of the academic record submitted by the student
+// @access  Private (students:verify)
+router.put('/:id/academic-record/verification', protect, requirePermission('students:verify'), [
+  body('section')
+    .isIn(ACADEMIC_SECTIONS)
+    .withMessage(`Section must be one of: ${ACADEMIC_SECTIONS.join(', ')}`),
+  ...reviewValidation(['verified', 'rejected'])
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { section, status, note } = req.body;
+
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (student.getVerificationStatus(section) === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing has been recorded for this section yet'
+      });
+    }
+
+    student.reviewAcademicSection(section, status, req.user._id, note);
+    await student.save();
+
+    res.json({
+      success: true,
+      message: `Academic record section ${status}`,
+      data: formatAcademicRecord(student)
+    });
+  } catch (error) {
+    console.error('Verify academic record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying academic record'
+    });
+  }
+});
+
+// @route   GET /api/students/:id/preferences
+// @desc    Get student's placement preferences and opt-out
+// @access  Private
+router.get('/:id/preferences', protect, studentAccess, async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id).select('placementPreferences placementOptOut');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        placementPreferences: student.placementPreferences,
+        placementOptOut: student.placementOptOut
+      }
+    });
+  } catch (error) {
+    console.error('Get placement preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching placement preferences'
+    });
+  }
+});
+
+// @route   PUT /api/students/:id/preferences
+// @desc    Update placement preferences (locations, industries, minimum package, role types)
+// @access  Private (students:write, or own profile)
+router.put('/:id/preferences', protect, [
+  body(['locations', 'industries', 'excludedIndustries', 'roleTypes'])
+    .optional()
+    .isArray()
+    .withMessage('Locations, industries and role types must be arrays'),
+  body('roleTypes.*')
+    .isIn(ROLE_TYPES)
+    .withMessage(`Role types must be one of: ${ROLE_TYPES.join(', ')}`),
+  body('minPackage')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum package must be a non-negative number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const student = await findEditableStudent(req, res);
+    if (!student) {
+      return;
+    }
+
+    ['locations', 'industries', 'excludedIndustries', 'roleTypes', 'minPackage']
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => student.set(`placementPreferences.${field}`, req.body[field]));
+
+    await student.save();
+
+    res.json({
+      success: true,
+      message: 'Placement preferences updated successfully',
+      data: { placementPreferences: student.placementPreferences }
+    });
+  } catch (error) {
+    console.error('Update placement preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating placement preferences'
+    });
+  }
+});
+
+// @route   PUT /api/students/:id/placement-opt-out
+// @desc    Opt out of (or back into) campus placement; opted-out students cannot apply
+// @access  Private (students:write, or own profile)
+router.put('/:id/placement-opt-out', protect, [
+  body('optedOut')
+    .isBoolean()
+    .withMessage('optedOut must be a boolean'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    // Check permissions
+    const isOwnProfile = req.user.role === 'student' && student.userId.toString() === req.user._id.toString();
+    const canManageStudents = hasPermission(await Role.getPermissionsForRole(req.user.role), 'students:write');
+
+    if (!isOwnProfile && !canManageStudents) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const optedOut = req.body.optedOut === true || req.body.optedOut === 'true';
+    student.placementOptOut = optedOut
+      ? { optedOut: true, reason: req.body.reason, optedOutAt: new Date() }
+      : { optedOut: false };
+
+    await student.save();
+
+    res.json({
+      success: true,
+      message: optedOut ? 'Opted out of campus placement' : 'Opted back into campus placement',
+      data: { placementOptOut: student.placementOptOut }
+    });
+  } catch (error) {
+    console.error('Update placement opt-out error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating placement opt-out'
+    });
+  }
+});
+
+// @route   GET /api/students/:id/portfolio
+// @desc    Get student's projects, internships and certifications
+// @access  Private
+router.get('/:id/portfolio', protect, studentAccess, async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id).select(PORTFOLIO_SECTIONS.join(' '));
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        portfolio: Object.fromEntries(PORTFOLIO_SECTIONS.map(section => [section, student[section]]))
+      }
+    });
+  } catch (error) {
+    console.error('Get portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching portfolio'
+    });
+  }
+});
+
+// @route   POST /api/students/:id/portfolio/:section
+// @desc    Add a project, internship or certification
+// @access  Private (students:write, or own profile)
+router.post('/:id/portfolio/:section', protect, portfolioItemValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const student = await findEditableStudent(req, res);
+    if (!student) {
+      return;
+    }
+
+    const { section } = req.params;
+    student[section].push(pickPortfolioFields(section, req.body));
+    const item = student[section][student[section].length - 1];
+
+    const validationErrors = await savePortfolio(student, section);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: validationErrors.join('; ')
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Portfolio item added successfully',
+      data: { item, profileCompleteness: student.profileCompleteness }
+    });
+  } catch (error) {
+    console.error('Add portfolio item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding portfolio item'
+    });
+  }
+});
+
+// @route   PUT /api/students/:id/portfolio/:section/:itemId
+// @desc    Update a project, internship or certification
+// @access  Private (students:write, or own profile)
+router.put('/:id/portfolio/:section/:itemId', protect, portfolioItemValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const student = await findEditableStudent(req, res);
+    if (!student) {
+      return;
+    }
+
+    const { section, itemId } = req.params;
+    const item = student[section].id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio item not found'
+      });
+    }
+
+    item.set(pickPortfolioFields(section, req.body));
+
+    const validationErrors = await savePortfolio(student, section);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: validationErrors.join('; ')
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Portfolio item updated successfully',
+      data: { item }
+    });
+  } catch (error) {
+    console.error('Update portfolio item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating portfolio item'
+    });
+  }
+});
+
+// @route   DELETE /api/students/:id/portfolio/:section/:itemId
+// @desc    Remove a project, internship or certification
+// @access  Private (students:write, or own profile)
+router.delete('/:id/portfolio/:section/:itemId', protect, [
+  param('section')
+    .isIn(PORTFOLIO_SECTIONS)
+    .withMessage(`Section must be one of: ${PORTFOLIO_SECTIONS.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const student = await findEditableStudent(req, res);
+    if (!student) {
+      return;
+    }
+
+    const { section, itemId } = req.params;
+    const item = student[section].id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio item not found'
+      });
+    }
+
+    item.deleteOne();
+    await student.save();
+
+    res.json({
+      success: true,
+      message: 'Portfolio item removed successfully',
+      data: { profileCompleteness: student.profileCompleteness }
+    });
+  } catch (error) {
+    console.error('Remove portfolio item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing portfolio item'
+    });
+  }
+});
+
+// @route   DELETE /api/students/:id
+// @desc    Delete student
+// @access  Private (students:delete)
+router.delete('/:id', protect, requirePermission('students:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const student = await Student.findById(id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    // Delete the student with their applications and user account
+    await Student.deleteWithAccount(student);
+
+    res.json({
+      success: true,
+      message: 'Student deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete student error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting student'
+    });
+  }
+});
+
+// @route   POST /api/students/bulk-upload
+// @desc    Bulk upload students from a CSV or XLSX file (dry run, upsert by roll number, error report)
+// @access  Private (students:import)
+router.post('/bulk-upload', protect, requirePermission('students:import'), preserveContext(importUpload.single('file')), [
+  body('mode')
+    .optional()
+    .isIn(['insert', 'upsert'])
+    .withMessage('Mode must be insert or upsert'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean'),
+  body('report')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Report format must be csv or xlsx')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const { mode = 'insert', report } = req.body;
+    // An error report only describes the rows, so it never saves anything
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true' || !!report;
+
+    let rows;
+    try {
+      rows = parseImportFile(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not read the file. Upload a CSV or XLSX file with a header row.'
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no student rows'
+      });
+    }
+
+    const uploadResults = await Student.bulkUpload(rows, { mode, dryRun, uploadedBy: req.user._id });
+    if (!dryRun) {
+      await sendAccountSetupLinks(uploadResults.rows);
+    }
+
+    if (report) {
+      res.setHeader('Content-Type', report === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="student_upload_errors.${report}"`);
+      return res.send(buildErrorReport(uploadResults.rows, report));
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Bulk upload preview generated' : 'Bulk upload completed',
+      data: uploadResults
+    });
+  } catch (error) {
+    console.error('Bulk upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during bulk upload'
+    });
+  }
+});
+
+// @route   POST /api/students/:id/upload-resume
+// @desc    Upload student resume
+// @access  Private
+router.post('/:id/upload-resume', protect, preserveContext(upload.single('resume')), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const student = await Student.findById(id).populate('userId');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    // Check permissions
+    const isOwnProfile = req.user.role === 'student' && student.userId._id.toString() === req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isOwnProfile && !isAdmin) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -635,9 +1650,9 @@ router.post('/:id/upload-resume', protect, upload.single('resume'), async (req,
 });
 
 // @route   GET /api/students/eligible/:companyId
-// @desc    Get eligible students for a company (admin only)
-// @access  Private (Admin only)
-router.get('/eligible/:companyId', protect, authorize('admin'), async (req, res) => {
+// @desc    Get eligible students for a company
+// @access  Private (students:read)
+router.get('/eligible/:companyId', protect, requirePermission('students:read'), async (req, res) => {
   try {
     const { companyId } = req.params;
     const { page = 1, limit = 20 } = req.query;
@@ -660,24 +1675,8 @@ router.get('/eligible/:companyId', protect, authorize('admin'), async (req, res)
       });
     }
 
-    // Build eligibility query
-    const query = { placed: false };
-
-    if (appWindow.minCGPA) {
-      query.cgpa = { $gte: appWindow.minCGPA };
-    }
-
-    if (appWindow.maxBacklogs !== undefined) {
-      query.backlogs = { $lte: appWindow.maxBacklogs };
-    }
-
-    if (appWindow.eligibleBranches && appWindow.eligibleBranches.length > 0) {
-      query.branch = { $in: appWindow.eligibleBranches };
-    }
-
-    if (appWindow.passingYear) {
-      query.batch = appWindow.passingYear;
-    }
+    // Build eligibility query, leaving out students blocked by the placement policy
+    const query = await appWindow.getEligibleStudentsQuery();
 
     // Get eligible students
     const skip = (page - 1) * limit;
@@ -688,7 +1687,6 @@ router.get('/eligible/:companyId', protect, authorize('admin'), async (req, res)
       .limit(parseInt(limit));
 
     const total = await Student.countDocuments(query);
-    const eligibleCount = await appWindow.getEligibleStudentsCount();
 
     res.json({
       success: true,
@@ -703,9 +1701,13 @@ router.get('/eligible/:companyId', protect, authorize('admin'), async (req, res)
         eligibilityCriteria: {
           minCGPA: appWindow.minCGPA,
           maxBacklogs: appWindow.maxBacklogs,
+          maxBacklogHistory: appWindow.maxBacklogHistory,
+          minTenthPercentage: appWindow.minTenthPercentage,
+          minTwelfthPercentage: appWindow.minTwelfthPercentage,
+          minProfileCompleteness: appWindow.minProfileCompleteness,
           eligibleBranches: appWindow.eligibleBranches,
           passingYear: appWindow.passingYear,
-          totalEligible: eligibleCount
+          totalEligible: total
         }
       }
     });
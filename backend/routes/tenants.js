@@ -0,0 +1,237 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Session = require('../models/Session');
+const { protect, requirePermission, requirePlatformUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Count users and students of every institution
+const getTenantCounts = async () => {
+  const [userCounts, studentCounts] = await Promise.all([
+    User.aggregate([
+      { $group: { _id: '$tenantId', count: { $sum: 1 } } }
+    ]),
+    Student.aggregate([
+      { $group: { _id: '$tenantId', count: { $sum: 1 } } }
+    ]).option({ acrossTenants: true })
+  ]);
+
+  const counts = {};
+  userCounts.forEach(item => {
+    counts[String(item._id)] = { ...counts[String(item._id)], userCount: item.count };
+  });
+  studentCounts.forEach(item => {
+    counts[String(item._id)] = { ...counts[String(item._id)], studentCount: item.count };
+  });
+  return counts;
+};
+
+// @route   GET /api/tenants
+// @desc    Get all institutions with their number of users and students
+// @access  Private (tenants:manage, platform administrators)
+router.get('/', protect, requirePermission('tenants:manage'), requirePlatformUser, async (req, res) => {
+  try {
+    const [tenants, counts] = await Promise.all([
+      Tenant.find().sort({ name: 1 }),
+      getTenantCounts()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        tenants: tenants.map(tenant => tenant.getFormattedData(counts[tenant._id.toString()]))
+      }
+    });
+  } catch (error) {
+    console.error('Get tenants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching institutions'
+    });
+  }
+});
+
+// @route   POST /api/tenants
+// @desc    Create an institution, optionally with its first administrator
+// @access  Private (tenants:manage, platform administrators)
+router.post('/', protect, requirePermission('tenants:manage'), requirePlatformUser, [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Institution name is required')
+    .isLength({ max: 200 })
+    .withMessage('Institution name cannot exceed 200 characters'),
+  body('code')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9-]{1,29}$/)
+    .withMessage('Code must start with a letter and contain only lowercase letters, numbers and hyphens'),
+  body('contactEmail')
+    .optional()
+    .isEmail()
+    .withMessage('Please enter a valid contact email')
+    .normalizeEmail(),
+  body('admin.name')
+    .if(body('admin').exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Administrator name is required'),
+  body('admin.email')
+    .if(body('admin').exists())
+    .isEmail()
+    .withMessage('Please enter a valid administrator email')
+    .normalizeEmail(),
+  body('admin.password')
+    .if(body('admin').exists())
+    .isLength({ min: 6 })
+    .withMessage('Administrator password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { name, code, contactEmail, admin } = req.body;
+
+    const existingTenant = await Tenant.findOne({ code });
+    if (existingTenant) {
+      return res.status(400).json({
+        success: false,
+        message: 'An institution with this code already exists'
+      });
+    }
+
+    if (admin) {
+      const existingUser = await User.findOne({ email: admin.email });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'User with this email already exists'
+        });
+      }
+    }
+
+    const tenant = await Tenant.create({
+      name,
+      code,
+      contactEmail,
+      createdBy: req.user._id
+    });
+
+    // The admin-chosen password is temporary
+    let tenantAdmin = null;
+    if (admin) {
+      tenantAdmin = await User.create({
+        name: admin.name,
+        email: admin.email,
+        password: admin.password,
+        role: 'admin',
+        tenantId: tenant._id,
+        mustChangePassword: true
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Institution created successfully',
+      data: {
+        tenant: tenant.getFormattedData({ userCount: tenantAdmin ? 1 : 0 }),
+        admin: tenantAdmin
+          ? { id: tenantAdmin._id, name: tenantAdmin.name, email: tenantAdmin.email, role: tenantAdmin.role }
+          : null
+      }
+    });
+  } catch (error) {
+    console.error('Create tenant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating institution'
+    });
+  }
+});
+
+// @route   PUT /api/tenants/:id
+// @desc    Update an institution; deactivating it signs out all of its users
+// @access  Private (tenants:manage, platform administrators)
+router.put('/:id', protect, requirePermission('tenants:manage'), requirePlatformUser, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid institution ID'),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Institution name cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Institution name cannot exceed 200 characters'),
+  body('contactEmail')
+    .optional()
+    .isEmail()
+    .withMessage('Please enter a valid contact email')
+    .normalizeEmail(),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const tenant = await Tenant.findById(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found'
+      });
+    }
+
+    const { name, contactEmail, isActive } = req.body;
+    const wasActive = tenant.isActive;
+
+    if (name !== undefined) tenant.name = name;
+    if (contactEmail !== undefined) tenant.contactEmail = contactEmail;
+    if (isActive !== undefined) tenant.isActive = isActive === true || isActive === 'true';
+    tenant.updatedBy = req.user._id;
+
+    await tenant.save();
+
+    // Members of a deactivated institution are signed out everywhere
+    if (wasActive && !tenant.isActive) {
+      await Session.updateMany(
+        { tenantId: tenant._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'admin_revoked' }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Institution updated successfully',
+      data: { tenant: tenant.getFormattedData() }
+    });
+  } catch (error) {
+    console.error('Update tenant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating institution'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { protect } = require('../middleware/auth');
+const { preserveContext } = require('../middleware/requestContext');
 
 const router = express.Router();
 
@@ -60,7 +61,7 @@ const upload = multer({
 // @route   POST /api/uploads/single
 // @desc    Upload a single file
 // @access  Private
-router.post('/single', protect, upload.single('file'), async (req, res) => {
+router.post('/single', protect, preserveContext(upload.single('file')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -95,7 +96,7 @@ router.post('/single', protect, upload.single('file'), async (req, res) => {
 // @route   POST /api/uploads/multiple
 // @desc    Upload multiple files
 // @access  Private
-router.post('/multiple', protect, upload.array('files', 10), async (req, res) => {
+router.post('/multiple', protect, preserveContext(upload.array('files', 10)), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
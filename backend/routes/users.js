@@ -1,14 +1,25 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const LoginAttempt = require('../models/LoginAttempt');
+const Role = require('../models/Role');
+const Impersonation = require('../models/Impersonation');
+const { protect, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { generateEmailVerificationToken, generateImpersonationToken } = require('../utils/jwt');
+const { getTenantFilter } = require('../utils/tenancy');
+const emailService = require('../utils/emailService');
 
 const router = express.Router();
 
+// Default and maximum lifetime of an impersonation token
+const IMPERSONATION_DEFAULT_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 15;
+const IMPERSONATION_MAX_MINUTES = 60;
+
 // @route   GET /api/users
-// @desc    Get all users (admin only)
-// @access  Private (Admin only)
-router.get('/', protect, authorize('admin'), [
+// @desc    Get all users
+// @access  Private (users:read)
+router.get('/', protect, requirePermission('users:read'), [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -19,12 +30,16 @@ router.get('/', protect, authorize('admin'), [
     .withMessage('Limit must be between 1 and 100'),
   query('role')
     .optional()
-    .isIn(['admin', 'recruiter', 'student'])
-    .withMessage('Role must be admin, recruiter, or student'),
+    .matches(/^[a-z][a-z0-9_-]*$/)
+    .withMessage('Invalid role name'),
   query('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .withMessage('isActive must be a boolean'),
+  query('emailVerified')
+    .optional()
+    .isBoolean()
+    .withMessage('emailVerified must be a boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -42,6 +57,7 @@ router.get('/', protect, authorize('admin'), [
       limit = 20,
       role,
       isActive,
+      emailVerified,
       search
     } = req.query;
 
@@ -49,6 +65,7 @@ router.get('/', protect, authorize('admin'), [
     const query = {};
     if (role) query.role = role;
     if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (emailVerified !== undefined) query.emailVerified = emailVerified === 'true' ? { $ne: false } : false;
     if (search) {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -59,8 +76,9 @@ router.get('/', protect, authorize('admin'), [
     // Calculate pagination
     const skip = (page - 1) * limit;
 
-    // Get users
+    // Get users of the current institution
     const users = await User.find(query)
+      .byTenant()
       .select('-password')
       .populate('companyId', 'name')
       .sort({ createdAt: -1 })
@@ -68,7 +86,7 @@ router.get('/', protect, authorize('admin'), [
       .limit(parseInt(limit));
 
     // Get total count
-    const total = await User.countDocuments(query);
+    const total = await User.countDocuments(query).byTenant();
 
     res.json({
       success: true,
@@ -91,6 +109,102 @@ router.get('/', protect, authorize('admin'), [
   }
 });
 
+// @route   GET /api/users/login-attempts
+// @desc    Get login attempt history of the current institution
+// @access  Private (users:security)
+router.get('/login-attempts', protect, requirePermission('users:security'), [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('success')
+    .optional()
+    .isBoolean()
+    .withMessage('success must be a boolean'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      userId,
+      email,
+      ipAddress,
+      success,
+      from,
+      to
+    } = req.query;
+
+    // Build query
+    const query = {};
+    if (userId) query.userId = userId;
+    if (email) query.email = email.toLowerCase();
+    if (ipAddress) query.ipAddress = ipAddress;
+    if (success !== undefined) query.success = success === 'true';
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const attempts = await LoginAttempt.find(query)
+      .byTenant()
+      .populate('userId', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await LoginAttempt.countDocuments(query).byTenant();
+
+    res.json({
+      success: true,
+      data: {
+        attempts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching login attempts'
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID
 // @access  Private
@@ -98,15 +212,16 @@ router.get('/:id', protect, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check if user is accessing their own profile or is admin
-    if (req.user.role !== 'admin' && req.user._id.toString() !== id) {
+    // Check if user is accessing their own profile or may view users
+    const permissions = await Role.getPermissionsForRole(req.user.role);
+    if (!hasPermission(permissions, 'users:read') && req.user._id.toString() !== id) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only access your own profile.'
       });
     }
 
-    const user = await User.findById(id).select('-password').populate('companyId', 'name');
+    const user = await User.findById(id).byTenant().select('-password').populate('companyId', 'name');
 
     if (!user) {
       return res.status(404).json({
@@ -129,7 +244,7 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // @route   PUT /api/users/:id
-// @desc    Update user (admin only or own profile)
+// @desc    Update user (own profile, or users:write; role and branch need roles:manage)
 // @access  Private
 router.put('/:id', protect, [
   body('name')
@@ -146,8 +261,15 @@ router.put('/:id', protect, [
     .normalizeEmail(),
   body('role')
     .optional()
-    .isIn(['admin', 'recruiter', 'student'])
-    .withMessage('Role must be admin, recruiter, or student'),
+    .custom(async (value) => {
+      if (!(await Role.roleExists(value))) {
+        throw new Error('Role does not exist');
+      }
+      return true;
+    }),
+  body('branch')
+    .optional()
+    .trim(),
   body('isActive')
     .optional()
     .isBoolean()
@@ -165,13 +287,15 @@ router.put('/:id', protect, [
     }
 
     const { id } = req.params;
-    const { name, email, role, companyId, isActive } = req.body;
+    const { name, email, role, branch, companyId, isActive } = req.body;
 
     // Check permissions
     const isOwnProfile = req.user._id.toString() === id;
-    const isAdmin = req.user.role === 'admin';
+    const permissions = await Role.getPermissionsForRole(req.user.role);
+    const canManageUsers = hasPermission(permissions, 'users:write');
+    const canAssignRoles = hasPermission(permissions, 'roles:manage');
 
-    if (!isOwnProfile && !isAdmin) {
+    if (!isOwnProfile && !canManageUsers) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only update your own profile.'
@@ -179,7 +303,7 @@ router.put('/:id', protect, [
     }
 
     // Find user
-    const user = await User.findById(id);
+    const user = await User.findById(id).byTenant();
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -200,11 +324,25 @@ router.put('/:id', protect, [
         });
       }
       updates.email = email;
+
+      // A self-changed address has to be verified again
+      if (!canManageUsers && email !== user.email) {
+        updates.emailVerified = false;
+      }
     }
 
-    // Only admins can update these fields
-    if (isAdmin) {
-      if (role !== undefined) updates.role = role;
+    // Role changes grant permissions, so they need roles:manage
+    if ((role !== undefined || branch !== undefined) && !canAssignRoles) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Requires permission roles:manage to assign roles.'
+      });
+    }
+    if (role !== undefined) updates.role = role;
+    if (branch !== undefined) updates.branch = branch;
+
+    // Only user managers can update these fields
+    if (canManageUsers) {
       if (isActive !== undefined) updates.isActive = isActive;
       if (companyId !== undefined) updates.companyId = companyId;
 
@@ -224,6 +362,14 @@ router.put('/:id', protect, [
       { new: true, runValidators: true }
     ).select('-password').populate('companyId', 'name');
 
+    if (updates.emailVerified === false) {
+      try {
+        await emailService.sendVerificationEmail(updatedUser, generateEmailVerificationToken(updatedUser));
+      } catch (error) {
+        console.error('Verification email error:', error);
+      }
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -239,9 +385,9 @@ router.put('/:id', protect, [
 });
 
 // @route   DELETE /api/users/:id
-// @desc    Delete user (admin only)
-// @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @desc    Delete user
+// @access  Private (users:delete)
+router.delete('/:id', protect, requirePermission('users:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -253,7 +399,7 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    const user = await User.findById(id);
+    const user = await User.findById(id).byTenant();
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -261,15 +407,15 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    // Delete associated student profile if exists
-    if (user.role === 'student') {
-      const Student = require('../models/Student');
-      await Student.findOneAndDelete({ userId: id });
+    // Delete the student profile and applications with the account
+    const Student = require('../models/Student');
+    const student = user.role === 'student' ? await Student.findOne({ userId: id }) : null;
+    if (student) {
+      await Student.deleteWithAccount(student);
+    } else {
+      await User.findByIdAndDelete(id);
     }
 
-    // Delete user
-    await User.findByIdAndDelete(id);
-
     res.json({
       success: true,
       message: 'User deleted successfully'
@@ -284,9 +430,9 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   POST /api/users/:id/deactivate
-// @desc    Deactivate user (admin only)
-// @access  Private (Admin only)
-router.post('/:id/deactivate', protect, authorize('admin'), async (req, res) => {
+// @desc    Deactivate user
+// @access  Private (users:delete)
+router.post('/:id/deactivate', protect, requirePermission('users:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -298,7 +444,7 @@ router.post('/:id/deactivate', protect, authorize('admin'), async (req, res) =>
       });
     }
 
-    const user = await User.findById(id);
+    const user = await User.findById(id).byTenant();
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -331,13 +477,13 @@ router.post('/:id/deactivate', protect, authorize('admin'), async (req, res) =>
 });
 
 // @route   POST /api/users/:id/activate
-// @desc    Activate user (admin only)
-// @access  Private (Admin only)
-router.post('/:id/activate', protect, authorize('admin'), async (req, res) => {
+// @desc    Activate user
+// @access  Private (users:delete)
+router.post('/:id/activate', protect, requirePermission('users:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const user = await User.findById(id);
+    const user = await User.findById(id).byTenant();
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -369,12 +515,228 @@ router.post('/:id/activate', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @route   POST /api/users/:id/unlock
+// @desc    Clear failed login attempts and lift a login lockout
+// @access  Private (users:security)
+router.post('/:id/unlock', protect, requirePermission('users:security'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).byTenant();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.failedLoginAttempts && !user.lockUntil) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not locked'
+      });
+    }
+
+    await user.unlockLogin();
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking user'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/verify-email
+// @desc    Mark user's email as verified without the emailed link
+// @access  Private (users:security)
+router.post('/:id/verify-email', protect, requirePermission('users:security'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).byTenant();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await user.markEmailVerified(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Email marked as verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify user email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying user email'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/reset-mfa
+// @desc    Remove a user's two-factor enrollment, e.g. after a lost device
+// @access  Private (users:security)
+router.post('/:id/reset-mfa', protect, requirePermission('users:security'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findByIdWithMfa(id).byTenant();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.mfaEnabled && !user.mfaPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    await user.disableMfa();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset user MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/impersonate
+// @desc    Issue a short-lived token to view the portal as this user (read-only unless readOnly is false)
+// @access  Private (users:impersonate; users:write as well for a writable token)
+router.post('/:id/impersonate', protect, requirePermission('users:impersonate'), [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('readOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('readOnly must be a boolean'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 1, max: IMPERSONATION_MAX_MINUTES })
+    .withMessage(`Duration must be between 1 and ${IMPERSONATION_MAX_MINUTES} minutes`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { reason, durationMinutes = IMPERSONATION_DEFAULT_MINUTES } = req.body;
+    const readOnly = req.body.readOnly === undefined || req.body.readOnly === true || req.body.readOnly === 'true';
+
+    if (req.impersonation) {
+      return res.status(403).json({
+        success: false,
+        code: 'IMPERSONATION_FORBIDDEN',
+        message: 'This action is not available while impersonating a user.'
+      });
+    }
+
+    if (!readOnly && !hasPermission(req.permissions, 'users:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Writable impersonation requires permission users:write.'
+      });
+    }
+
+    const user = await User.findById(id).byTenant();
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Impersonating another administrator would let one admin act with another's rights
+    if (user._id.equals(req.user._id) ||
+        hasPermission(await Role.getPermissionsForRole(user.role), 'users:impersonate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This user cannot be impersonated.'
+      });
+    }
+
+    const impersonation = await Impersonation.create({
+      impersonatorId: req.user._id,
+      impersonatorSessionId: req.sessionId || null,
+      userId: user._id,
+      reason,
+      readOnly,
+      expiresAt: new Date(Date.now() + parseInt(durationMinutes) * 60 * 1000),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    console.info(`[impersonation ${impersonation._id}] ${req.user.email} started impersonating ${user.email} (${readOnly ? 'read-only' : 'writable'}): ${reason}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Impersonation started',
+      data: {
+        accessToken: generateImpersonationToken(impersonation, user),
+        impersonation: impersonation.getFormattedData(),
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          companyId: user.companyId,
+          tenantId: user.tenantId
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting impersonation'
+    });
+  }
+});
+
 // @route   GET /api/users/stats
-// @desc    Get user statistics (admin only)
-// @access  Private (Admin only)
-router.get('/stats', protect, authorize('admin'), async (req, res) => {
+// @desc    Get user statistics
+// @access  Private (users:read)
+router.get('/stats', protect, requirePermission('users:read'), async (req, res) => {
   try {
     const stats = await User.aggregate([
+      { $match: getTenantFilter() },
       {
         $group: {
           _id: '$role',
@@ -384,8 +746,8 @@ router.get('/stats', protect, authorize('admin'), async (req, res) => {
       }
     ]);
 
-    const totalUsers = await User.countDocuments();
-    const activeUsers = await User.countDocuments({ isActive: true });
+    const totalUsers = await User.countDocuments().byTenant();
+    const activeUsers = await User.countDocuments({ isActive: true }).byTenant();
 
     // Format stats
     const formattedStats = {
@@ -7,8 +7,22 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 require('dotenv').config();
 
+// Record every create/update/delete made during an API request.
+// Must be registered before any model is compiled.
+mongoose.plugin(require('./utils/auditTrail'));
+
+const { requestContext } = require('./middleware/requestContext');
+const { resolveTenant } = require('./middleware/tenant');
+const { runAcrossTenants } = require('./utils/tenancy');
 const authRoutes = require('./routes/auth');
+const mfaRoutes = require('./routes/mfa');
 const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const tenantRoutes = require('./routes/tenants');
+const auditRoutes = require('./routes/audit');
+const placementPolicyRoutes = require('./routes/placementPolicies');
+const seasonRoutes = require('./routes/seasons');
+const consistencyRoutes = require('./routes/consistency');
 const studentRoutes = require('./routes/students');
 const companyRoutes = require('./routes/companies');
 const applicationRoutes = require('./routes/applications');
@@ -60,13 +74,20 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Request-Id', 'X-Impersonated-By']
 }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request id and audit context
+app.use(requestContext);
+
+// Institution named in the X-Tenant header (the primary institution if absent)
+app.use('/api/', resolveTenant);
+
 // Static files for uploads
 app.use('/uploads', express.static('uploads'));
 
@@ -178,14 +199,130 @@ const createDefaultAdmin = async () => {
   }
 };
 
-// Call the function after database connection
-mongoose.connection.once('open', () => {
-  createDefaultAdmin();
+// Create built-in roles (admin, coordinator, faculty, recruiter, student) if missing
+const createSystemRoles = async () => {
+  try {
+    const Role = require('./models/Role');
+    await Role.ensureSystemRoles();
+  } catch (error) {
+    console.error('Error creating system roles:', error);
+  }
+};
+
+// Roll numbers used to be unique across the deployment; they are now unique
+// per institution, so drop the old index if the database still has it
+const migrateTenantIndexes = async () => {
+  try {
+    const Student = require('./models/Student');
+    const indexExists = await Student.collection.indexExists('rollNumber_1');
+    if (indexExists) {
+      await Student.collection.dropIndex('rollNumber_1');
+      console.log('Dropped global roll number index in favour of per-institution index');
+    }
+  } catch (error) {
+    console.error('Error migrating tenant indexes:', error);
+  }
+};
+
+// Function to drop the index that allowed one application per company, which
+// keeps students from applying to a second job profile
+const migrateApplicationIndexes = async () => {
+  try {
+    const Application = require('./models/Application');
+    const indexExists = await Application.collection.indexExists('studentId_1_companyId_1');
+    if (indexExists) {
+      await Application.collection.dropIndex('studentId_1_companyId_1');
+      console.log('Dropped per-company application index in favour of per-profile index');
+    }
+  } catch (error) {
+    console.error('Error migrating application indexes:', error);
+  }
+};
+
+// Function to store the completeness of student profiles created before it was tracked
+const backfillProfileCompleteness = async () => {
+  try {
+    const Student = require('./models/Student');
+    const updated = await Student.backfillProfileCompleteness();
+    if (updated > 0) {
+      console.log(`Calculated profile completeness of ${updated} students`);
+    }
+  } catch (error) {
+    console.error('Error calculating profile completeness:', error);
+  }
+};
+
+// Function to parse the package, salary and stipend text saved before compensation was structured
+const backfillCompensation = async () => {
+  try {
+    const Company = require('./models/Company');
+    const Student = require('./models/Student');
+    const OffCampusOpportunity = require('./models/OffCampusOpportunity');
+    for (const Model of [Company, Student, OffCampusOpportunity]) {
+      const updated = await Model.backfillCompensation();
+      if (updated > 0) {
+        console.log(`Parsed the compensation of ${updated} ${Model.collection.name}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error parsing compensation:', error);
+  }
+};
+
+// Function to move companies saved before the approval workflow into the company lifecycle
+const backfillCompanyLifecycle = async () => {
+  try {
+    const Company = require('./models/Company');
+    const updated = await Company.backfillLifecycle();
+    if (updated > 0) {
+      console.log(`Moved ${updated} companies to the approval workflow`);
+    }
+  } catch (error) {
+    console.error('Error migrating company statuses:', error);
+  }
+};
+
+// Function to move rounds created through the former rounds API into recruitment rounds
+const migrateLegacyRounds = async () => {
+  try {
+    const RecruitmentRound = require('./models/RecruitmentRound');
+    const moved = await RecruitmentRound.migrateLegacyRounds();
+    if (moved > 0) {
+      console.log(`Moved ${moved} rounds into recruitment rounds`);
+    }
+  } catch (error) {
+    console.error('Error migrating rounds:', error);
+  }
+};
+
+// Run the startup tasks one after another once the database is connected;
+// they cover the data of every institution and each logs its own failure.
+// Resolves when they are done, so the server only takes requests afterwards.
+const startupTasks = new Promise((resolve) => {
+  mongoose.connection.once('open', () => runAcrossTenants(async () => {
+    await createDefaultAdmin();
+    await createSystemRoles();
+    await migrateTenantIndexes();
+    await migrateApplicationIndexes();
+    await backfillProfileCompleteness();
+    await backfillCompensation();
+    await backfillCompanyLifecycle();
+    await migrateLegacyRounds();
+  })
+    .catch(error => console.error('Startup tasks error:', error))
+    .then(resolve));
 });
 
 // Routes
+app.use('/api/auth/mfa', mfaRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/tenants', tenantRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/placement-policies', placementPolicyRoutes);
+app.use('/api/seasons', seasonRoutes);
+app.use('/api/consistency', consistencyRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/companies', companyRoutes);
 app.use('/api/applications', applicationRoutes);
@@ -262,10 +399,10 @@ const PORT = process.env.PORT || 5000;
 
 // Only start server if this file is run directly (not during tests)
 if (require.main === module) {
-  app.listen(PORT, () => {
+  startupTasks.then(() => app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV}`);
-  });
+  }));
 }
 
 module.exports = app;
@@ -21,11 +21,19 @@
  *           description: User's email address
  *         role:
  *           type: string
- *           enum: [admin, recruiter, student]
- *           description: User's role in the system
+ *           description: Name of the user's role (built-in admin, recruiter, student, coordinator, faculty or a custom role)
  *         companyId:
  *           type: string
  *           description: Company ID (for recruiters only)
+ *         isPrimaryContact:
+ *           type: boolean
+ *           description: Whether the recruiter is the company's primary contact
+ *         branch:
+ *           type: string
+ *           description: Branch used for branch-scoped permissions (e.g. faculty)
+ *         tenantId:
+ *           type: string
+ *           description: Institution the user belongs to (null for the primary institution, platform administrators and recruiters)
  *         isActive:
  *           type: boolean
  *           description: Whether the user account is active
@@ -285,7 +293,94 @@ module.exports = {
           backlogs: {
             type: 'integer',
             default: 0,
-            description: 'Number of backlogs'
+            description: 'Number of active backlogs (calculated from the academic record once it exists)'
+          },
+          totalBacklogs: {
+            type: 'integer',
+            default: 0,
+            description: 'Number of backlogs ever recorded, including cleared ones'
+          },
+          gapYears: {
+            type: 'integer',
+            default: 0,
+            description: 'Years of break in education'
+          },
+          projects: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string' },
+                description: { type: 'string' },
+                technologies: { type: 'array', items: { type: 'string' } },
+                duration: { type: 'string' },
+                url: { type: 'string' }
+              }
+            }
+          },
+          internships: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                company: { type: 'string' },
+                position: { type: 'string' },
+                startDate: { type: 'string', format: 'date' },
+                endDate: { type: 'string', format: 'date', description: 'Unset while ongoing' },
+                description: { type: 'string' }
+              }
+            }
+          },
+          certifications: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                issuer: { type: 'string' },
+                issuedOn: { type: 'string', format: 'date' },
+                credentialUrl: { type: 'string' }
+              }
+            }
+          },
+          profileCompleteness: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 100,
+            description: 'Percentage of the profile checklist completed (resume, skills, phone, academic history, projects)'
+          },
+          academicRecord: {
+            $ref: '#/components/schemas/AcademicRecord'
+          },
+          placementOptOut: {
+            type: 'object',
+            description: 'Students who opted out cannot apply to companies',
+            properties: {
+              optedOut: { type: 'boolean', default: false },
+              reason: { type: 'string' },
+              optedOutAt: { type: 'string', format: 'date-time' }
+            }
+          },
+          placementPreferences: {
+            type: 'object',
+            description: 'Ranks or filters the companies list and off-campus feed for the student',
+            properties: {
+              locations: { type: 'array', items: { type: 'string' }, description: '"Remote" matches remote work' },
+              industries: { type: 'array', items: { type: 'string' } },
+              excludedIndustries: { type: 'array', items: { type: 'string' } },
+              minPackage: { type: 'number', description: 'Lakhs per annum' },
+              roleTypes: { type: 'array', items: { type: 'string', enum: ['full-time', 'internship', 'part-time', 'freelance'] } }
+            }
+          },
+          academicVerification: {
+            type: 'object',
+            description: 'Review state of each academic record section; sections without one were entered by staff',
+            properties: {
+              tenth: { $ref: '#/components/schemas/AcademicVerification' },
+              twelfth: { $ref: '#/components/schemas/AcademicVerification' },
+              semesters: { $ref: '#/components/schemas/AcademicVerification' },
+              backlogs: { $ref: '#/components/schemas/AcademicVerification' }
+            }
           },
           phoneNumber: {
             type: 'string',
@@ -305,6 +400,9 @@ module.exports = {
             type: 'string',
             description: 'Company where student is placed'
           },
+          compensation: {
+            $ref: '#/components/schemas/Compensation'
+          },
           resumeLink: {
             type: 'string',
             description: 'Link to resume file'
@@ -338,6 +436,14 @@ module.exports = {
             type: 'string',
             description: 'Company ID'
           },
+          tenantId: {
+            type: 'string',
+            description: 'Institution that added the company (null for the primary institution)'
+          },
+          isShared: {
+            type: 'boolean',
+            description: 'Whether other institutions can see the company'
+          },
           name: {
             type: 'string',
             description: 'Company name'
@@ -428,12 +534,107 @@ module.exports = {
           },
           status: {
             type: 'string',
-            enum: ['active', 'inactive', 'blocked'],
-            default: 'active',
-            description: 'Company status'
+            enum: ['draft', 'pending-approval', 'approved', 'ppt-scheduled', 'drive-ongoing', 'results-declared', 'closed'],
+            default: 'draft',
+            description: 'Lifecycle status; students see companies once approved and may apply while approved, ppt-scheduled or drive-ongoing'
+          },
+          statusHistory: {
+            type: 'array',
+            description: 'Who moved the company from one status to another',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'string', nullable: true },
+                to: { type: 'string' },
+                changedBy: { type: 'string' },
+                changedAt: { type: 'string', format: 'date-time' },
+                note: { type: 'string' }
+              }
+            }
+          },
+          preplacementTalk: {
+            type: 'object',
+            properties: {
+              scheduledAt: { type: 'string', format: 'date-time' },
+              venue: { type: 'string' }
+            }
+          },
+          compensation: {
+            $ref: '#/components/schemas/Compensation'
+          },
+          jobProfiles: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/JobProfile' },
+            description: 'Roles hired for in the drive; students apply to one profile at a time'
+          },
+          maxProfilesPerStudent: {
+            type: 'integer',
+            minimum: 1,
+            default: 1,
+            description: 'How many of the job profiles one student may apply to'
+          },
+          seasonId: {
+            type: 'string',
+            nullable: true,
+            description: 'Placement season of the drive; defaults to the current season'
           }
         }
       },
+      Compensation: {
+        type: 'object',
+        description: 'Structured compensation. Yearly amounts (fixed, variable, joiningBonus, ctc) and monthly amounts (stipend, inHand) are in units of the currency. Parsed from the package, salary or stipend text when not given.',
+        properties: {
+          currency: { type: 'string', default: 'INR', description: 'ISO 4217 code' },
+          fixed: { type: 'number' },
+          variable: { type: 'number' },
+          joiningBonus: { type: 'number' },
+          stipend: { type: 'number', description: 'Per month' },
+          ctc: { type: 'number', description: 'Defaults to fixed + variable + joining bonus' },
+          inHand: { type: 'number', description: 'Per month; estimated from the fixed pay when not given' },
+          bondMonths: { type: 'number' }
+        }
+      },
+      PackageStats: {
+        type: 'object',
+        description: 'Packages of placed students as CTC in LPA (packages in other currencies are left out)',
+        properties: {
+          count: { type: 'integer' },
+          highest: { type: 'number' },
+          lowest: { type: 'number' },
+          average: { type: 'number' },
+          median: { type: 'number' },
+          percentiles: {
+            type: 'object',
+            properties: {
+              p25: { type: 'number' },
+              p75: { type: 'number' },
+              p90: { type: 'number' }
+            }
+          }
+        }
+      },
+      JobProfile: {
+        type: 'object',
+        required: ['title', 'packageOffered', 'totalPositions'],
+        properties: {
+          _id: { type: 'string' },
+          title: { type: 'string', description: 'e.g. SDE, Analyst, QA' },
+          jobDescription: { type: 'string' },
+          packageOffered: { type: 'string' },
+          compensation: { $ref: '#/components/schemas/Compensation' },
+          totalPositions: { type: 'integer', minimum: 1 },
+          eligibilityCriteria: {
+            type: 'object',
+            properties: {
+              minCGPA: { type: 'number' },
+              maxBacklogs: { type: 'integer' },
+              eligibleBranches: { type: 'array', items: { type: 'string' } },
+              passingYear: { type: 'integer' }
+            }
+          },
+          status: { type: 'string', enum: ['open', 'closed'], default: 'open' }
+        }
+      },
       Application: {
         type: 'object',
         required: ['studentId', 'companyId', 'status'],
@@ -450,6 +651,16 @@ module.exports = {
             type: 'string',
             description: 'Company ID'
           },
+          jobProfileId: {
+            type: 'string',
+            nullable: true,
+            description: 'Job profile applied for (required by companies with profiles)'
+          },
+          seasonId: {
+            type: 'string',
+            nullable: true,
+            description: 'Placement season, taken from the company'
+          },
           applicationWindowId: {
             type: 'string',
             description: 'Application window ID'
@@ -479,6 +690,117 @@ module.exports = {
           }
         }
       },
+      AcademicRecord: {
+        type: 'object',
+        description: 'Semester-wise results; CGPA is the credit-weighted average of the SGPAs',
+        properties: {
+          tenth: {
+            type: 'object',
+            properties: {
+              board: { type: 'string' },
+              percentage: { type: 'number', minimum: 0, maximum: 100 },
+              passingYear: { type: 'integer' }
+            }
+          },
+          twelfth: {
+            type: 'object',
+            properties: {
+              qualification: { type: 'string', enum: ['12th', 'diploma'], default: '12th' },
+              board: { type: 'string' },
+              percentage: { type: 'number', minimum: 0, maximum: 100 },
+              passingYear: { type: 'integer' }
+            }
+          },
+          semesters: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['semester', 'sgpa', 'credits'],
+              properties: {
+                semester: { type: 'integer', minimum: 1, maximum: 12 },
+                sgpa: { type: 'number', minimum: 0, maximum: 10 },
+                credits: { type: 'number', minimum: 1 },
+                resultDate: { type: 'string', format: 'date' }
+              }
+            }
+          },
+          backlogs: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['subjectName', 'semester'],
+              properties: {
+                subjectCode: { type: 'string' },
+                subjectName: { type: 'string' },
+                semester: { type: 'integer', minimum: 1, maximum: 12 },
+                status: { type: 'string', enum: ['active', 'cleared'], default: 'active' },
+                failedOn: { type: 'string', format: 'date' },
+                clearedOn: { type: 'string', format: 'date', description: 'Required once cleared' }
+              }
+            }
+          }
+        }
+      },
+      AcademicVerification: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['pending', 'verified', 'rejected'] },
+          submittedAt: { type: 'string', format: 'date-time' },
+          reviewedBy: { type: 'string', description: 'User who verified or rejected the section' },
+          reviewedAt: { type: 'string', format: 'date-time' },
+          note: { type: 'string', description: 'Reviewer note; required when rejecting' }
+        }
+      },
+      EligibilityRule: {
+        type: 'object',
+        nullable: true,
+        description: 'AND/OR group of conditions, or a single condition. Groups hold conditions or further groups (at most 5 levels, 50 conditions).',
+        properties: {
+          combinator: {
+            type: 'string',
+            enum: ['and', 'or'],
+            description: 'Groups only'
+          },
+          rules: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/EligibilityRule' },
+            description: 'Groups only'
+          },
+          field: {
+            type: 'string',
+            enum: ['cgpa', 'backlogs', 'totalBacklogs', 'tenthPercentage', 'twelfthPercentage', 'gapYears', 'batch', 'branch', 'skills', 'placed'],
+            description: 'Conditions only'
+          },
+          operator: {
+            type: 'string',
+            enum: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'contains', 'containsAll', 'containsAny', 'notContains'],
+            description: 'Conditions only; see GET /api/application-windows/eligibility-rule/fields for the operators of each field'
+          },
+          value: {
+            description: 'Conditions only; a list for in, notIn, containsAll and containsAny'
+          }
+        },
+        example: {
+          combinator: 'and',
+          rules: [
+            {
+              combinator: 'or',
+              rules: [
+                {
+                  combinator: 'and',
+                  rules: [
+                    { field: 'branch', operator: 'in', value: ['Computer Science', 'Information Technology'] },
+                    { field: 'cgpa', operator: 'gte', value: 7.5 }
+                  ]
+                },
+                { field: 'cgpa', operator: 'gte', value: 8.5 }
+              ]
+            },
+            { field: 'gapYears', operator: 'eq', value: 0 },
+            { field: 'twelfthPercentage', operator: 'gte', value: 70 }
+          ]
+        }
+      },
       ApplicationWindow: {
         type: 'object',
         required: ['companyId', 'startDate', 'endDate'],
@@ -491,6 +813,11 @@ module.exports = {
             type: 'string',
             description: 'Company ID'
           },
+          seasonId: {
+            type: 'string',
+            nullable: true,
+            description: 'Placement season, taken from the company'
+          },
           title: {
             type: 'string',
             description: 'Application window title'
@@ -515,6 +842,35 @@ module.exports = {
             default: 'active',
             description: 'Application window status'
           },
+          minCGPA: {
+            type: 'number',
+            description: 'Minimum CGPA'
+          },
+          maxBacklogs: {
+            type: 'integer',
+            description: 'Maximum active backlogs'
+          },
+          maxBacklogHistory: {
+            type: 'integer',
+            description: 'Maximum backlogs ever recorded, including cleared ones'
+          },
+          minTenthPercentage: {
+            type: 'number',
+            description: 'Minimum 10th percentage'
+          },
+          minTwelfthPercentage: {
+            type: 'number',
+            description: 'Minimum 12th or diploma percentage'
+          },
+          minProfileCompleteness: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 100,
+            description: 'Minimum profile completeness (percentage) required to apply'
+          },
+          eligibilityRule: {
+            $ref: '#/components/schemas/EligibilityRule'
+          },
           maxApplications: {
             type: 'integer',
             description: 'Maximum number of applications'
@@ -544,7 +900,7 @@ module.exports = {
           },
           type: {
             type: 'string',
-            enum: ['application_status', 'new_company', 'deadline_reminder', 'system_update'],
+            enum: ['application_status', 'new_company', 'company_status', 'deadline_reminder', 'system_update'],
             description: 'Type of notification'
           },
           message: {
@@ -569,7 +925,8 @@ module.exports = {
       },
       Round: {
         type: 'object',
-        required: ['companyId', 'name', 'type', 'sequence'],
+        description: 'Recruitment round. The same records are listed by /api/companies/{id}/rounds and hold the candidates of /api/applications.',
+        required: ['companyId', 'name', 'roundNumber'],
         properties: {
           id: {
             type: 'string',
@@ -579,6 +936,11 @@ module.exports = {
             type: 'string',
             description: 'Company ID'
           },
+          jobProfileId: {
+            type: 'string',
+            nullable: true,
+            description: 'Job profile the round belongs to; null for rounds common to every profile'
+          },
           name: {
             type: 'string',
             description: 'Name of the recruitment round'
@@ -592,13 +954,17 @@ module.exports = {
             type: 'string',
             description: 'Description of what this round involves'
           },
-          sequence: {
+          roundNumber: {
             type: 'integer',
-            description: 'Order in which this round occurs'
+            description: 'Order in which this round occurs; candidates move through rounds in this order'
+          },
+          status: {
+            type: 'string',
+            enum: ['upcoming', 'ongoing', 'completed', 'cancelled']
           },
           duration: {
-            type: 'integer',
-            description: 'Duration in minutes'
+            type: 'string',
+            description: 'Duration, e.g. "90 minutes"'
           },
           maxScore: {
             type: 'number',
@@ -615,16 +981,23 @@ module.exports = {
           },
           location: {
             type: 'string',
-            description: 'Location of the round (physical or online link)'
+            description: 'Location of the round'
+          },
+          isOnline: {
+            type: 'boolean'
+          },
+          meetingLink: {
+            type: 'string'
           },
           instructions: {
             type: 'string',
             description: 'Special instructions for candidates'
           },
-          isActive: {
-            type: 'boolean',
-            default: true,
-            description: 'Whether this round is currently active'
+          maxCandidates: {
+            type: 'integer'
+          },
+          currentCandidates: {
+            type: 'integer'
           },
           requiredDocuments: {
             type: 'array',
@@ -679,6 +1052,9 @@ module.exports = {
             type: 'string',
             description: 'Salary range'
           },
+          compensation: {
+            $ref: '#/components/schemas/Compensation'
+          },
           deadline: {
             type: 'string',
             format: 'date-time',
@@ -786,6 +1162,23 @@ module.exports = {
                   }
                 }
               },
+              rule: {
+                type: 'object',
+                description: 'Eligibility rule of the application window (if it has one)',
+                properties: {
+                  description: {
+                    type: 'string'
+                  },
+                  failures: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Clauses the student does not meet'
+                  },
+                  met: {
+                    type: 'boolean'
+                  }
+                }
+              },
               activeApplicationWindow: {
                 type: 'object',
                 properties: {
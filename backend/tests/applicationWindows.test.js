@@ -0,0 +1,123 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Company = require('../models/Company');
+const ApplicationWindow = require('../models/ApplicationWindow');
+
+describe('Application Window Eligibility Rules', () => {
+  let admin;
+  let adminToken;
+  let testCompany;
+
+  // CS/IT with CGPA >= 7.5, or any branch with >= 8.5; no gap year
+  const eligibilityRule = {
+    combinator: 'and',
+    rules: [
+      {
+        combinator: 'or',
+        rules: [
+          {
+            combinator: 'and',
+            rules: [
+              { field: 'branch', operator: 'in', value: ['Computer Science', 'Information Technology'] },
+              { field: 'cgpa', operator: 'gte', value: 7.5 }
+            ]
+          },
+          { field: 'cgpa', operator: 'gte', value: 8.5 }
+        ]
+      },
+      { field: 'gapYears', operator: 'eq', value: 0 }
+    ]
+  };
+
+  const windowData = (rule) => ({
+    companyId: testCompany._id,
+    startDate: new Date().toISOString(),
+    endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    startTime: '00:00',
+    endTime: '23:59',
+    eligibilityRule: rule
+  });
+
+  const createStudent = async (rollNumber, fields) => {
+    const user = await User.create({
+      name: `Student ${rollNumber}`,
+      email: `${rollNumber.toLowerCase()}@test.com`,
+      password: 'password123',
+      role: 'student'
+    });
+
+    return Student.create({
+      userId: user._id,
+      rollNumber,
+      phone: '9876543210',
+      batch: 2024,
+      ...fields
+    });
+  };
+
+  beforeEach(async () => {
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.accessToken;
+
+    testCompany = await Company.create({
+      name: 'Test Company',
+      description: 'Test Description',
+      industry: 'Information Technology',
+      location: 'Test Location',
+      packageOffered: '10 LPA',
+      totalPositions: 10,
+      applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      status: 'approved',
+      createdBy: admin._id
+    });
+  });
+
+  it('should reject an invalid eligibility rule', async () => {
+    const response = await request(app)
+      .post('/api/application-windows')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(windowData({
+        combinator: 'or',
+        rules: [{ field: 'cgpa', operator: 'contains', value: 'high' }]
+      }))
+      .expect(400);
+
+    expect(response.body.errors[0].msg).toContain('cgpa does not support the contains operator');
+    expect(await ApplicationWindow.countDocuments()).toBe(0);
+  });
+
+  it('should count students meeting the rule and explain failed clauses', async () => {
+    const response = await request(app)
+      .post('/api/application-windows')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(windowData(eligibilityRule))
+      .expect(201);
+
+    await createStudent('ST001', { branch: 'Computer Science', cgpa: 7.8 });
+    await createStudent('ST002', { branch: 'Mechanical Engineering', cgpa: 8.9 });
+    const gapYearStudent = await createStudent('ST003', { branch: 'Information Technology', cgpa: 9.1, gapYears: 1 });
+    const lowCgpaStudent = await createStudent('ST004', { branch: 'Mechanical Engineering', cgpa: 7.1 });
+
+    const window = await ApplicationWindow.findById(response.body.data.window._id);
+    expect(await window.getEligibleStudentsCount()).toBe(2);
+
+    const gapYear = await window.checkStudentEligibility(gapYearStudent._id);
+    expect(gapYear.eligible).toBe(false);
+    expect(gapYear.failedClauses).toEqual(['Gap years is 0 (is 1)']);
+
+    const lowCgpa = await window.checkStudentEligibility(lowCgpaStudent._id);
+    expect(lowCgpa.eligible).toBe(false);
+    expect(lowCgpa.reason).toContain('CGPA ≥ 8.5 (is 7.1)');
+  });
+});
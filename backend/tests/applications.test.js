@@ -64,6 +64,7 @@ describe('Application Routes', () => {
       packageOffered: '10 LPA',
       totalPositions: 10,
       applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      status: 'approved',
       createdBy: admin._id
     });
     await testCompany.save();
@@ -210,6 +211,7 @@ describe('Application Routes', () => {
         packageOffered: '12 LPA',
         totalPositions: 5,
         applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+        status: 'approved',
         createdBy: admin._id
       });
       await newCompany.save();
@@ -280,6 +282,73 @@ describe('Application Routes', () => {
     });
   });
 
+  describe('Job profiles', () => {
+    let driveCompany;
+
+    beforeEach(async () => {
+      driveCompany = await Company.create({
+        name: 'Drive Company',
+        description: 'Hires for several roles',
+        industry: 'Software Development',
+        location: 'Pune',
+        packageOffered: '8-14 LPA',
+        totalPositions: 6,
+        applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+        status: 'approved',
+        createdBy: testCompany.createdBy,
+        jobProfiles: [
+          { title: 'SDE', packageOffered: '14 LPA', totalPositions: 2, eligibilityCriteria: { minCGPA: 8 } },
+          { title: 'Analyst', packageOffered: '9 LPA', totalPositions: 2, eligibilityCriteria: { minCGPA: 9 } },
+          { title: 'QA', packageOffered: '8 LPA', totalPositions: 2 }
+        ]
+      });
+
+      await ApplicationWindow.create({
+        companyId: driveCompany._id,
+        startDate: new Date(),
+        endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        startTime: '09:00',
+        endTime: '17:00',
+        createdBy: testCompany.createdBy
+      });
+    });
+
+    const apply = (jobProfileId) => request(app)
+      .post('/api/applications')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ companyId: driveCompany._id, jobProfileId, formData: { additionalInfo: 'Interested' } });
+
+    it('should apply to a profile within its cut-offs and the profile limit', async () => {
+      const [sde, analyst, qa] = driveCompany.jobProfiles;
+
+      let response = await apply(undefined).expect(400);
+      expect(response.body.message).toContain('job profile');
+
+      response = await apply(analyst._id).expect(400);
+      expect(response.body.message).toContain('Minimum CGPA required for Analyst');
+
+      response = await apply(sde._id).expect(201);
+      expect(response.body.data.application.jobProfileId).toBe(sde._id.toString());
+
+      response = await apply(qa._id).expect(400);
+      expect(response.body.message).toContain('at most 1 profile');
+    });
+
+    it('should break application stats down per profile', async () => {
+      driveCompany.maxProfilesPerStudent = 2;
+      await driveCompany.save();
+
+      const [sde, , qa] = driveCompany.jobProfiles;
+      await apply(sde._id).expect(201);
+      await apply(qa._id).expect(201);
+
+      const stats = await driveCompany.getApplicationStats();
+      expect(stats.total).toBe(2);
+      expect(stats.byProfile.map(profile => profile.total)).toEqual([1, 0, 1]);
+      expect(stats.byProfile[0].title).toBe('SDE');
+    });
+  });
+
   describe('PUT /api/applications/:id/status', () => {
     it('should update application status for admin', async () => {
       const updateData = {
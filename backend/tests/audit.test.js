@@ -0,0 +1,240 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const AuditLog = require('../models/AuditLog');
+
+describe('Audit Log', () => {
+  let adminToken;
+  let testAdmin;
+  let testCompany;
+
+  beforeEach(async () => {
+    testAdmin = new User({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    await testAdmin.save();
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.accessToken;
+
+    testCompany = new Company({
+      name: 'Test Company',
+      description: 'Test Description',
+      industry: 'Information Technology',
+      location: 'Test Location',
+      packageOffered: '10 LPA',
+      totalPositions: 10,
+      applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      status: 'approved',
+      createdBy: testAdmin._id
+    });
+    await testCompany.save();
+  });
+
+  it('should not record changes made outside an API request', async () => {
+    const count = await AuditLog.countDocuments({ targetModel: 'Company' });
+    expect(count).toBe(0);
+  });
+
+  it('should record actor, request id and before/after values of an update', async () => {
+    const response = await request(app)
+      .put(`/api/companies/${testCompany._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('X-Request-Id', 'audit-test-1')
+      .send({ totalPositions: 20 })
+      .expect(200);
+
+    expect(response.headers['x-request-id']).toBe('audit-test-1');
+
+    const entry = await AuditLog.findOne({ targetModel: 'Company', targetId: testCompany._id, action: 'update' });
+    expect(entry).not.toBeNull();
+    expect(entry.actorId.toString()).toBe(testAdmin._id.toString());
+    expect(entry.requestId).toBe('audit-test-1');
+
+    const change = entry.changes.find(item => item.field === 'totalPositions');
+    expect(change.before).toBe(10);
+    expect(change.after).toBe(20);
+  });
+
+  it('should record deletions with the deleted values', async () => {
+    await request(app)
+      .delete(`/api/companies/${testCompany._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const entry = await AuditLog.findOne({ targetModel: 'Company', action: 'delete' });
+    expect(entry).not.toBeNull();
+    expect(entry.changes.find(item => item.field === 'name').before).toBe('Test Company');
+  });
+
+  it('should never store password values', async () => {
+    await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ currentPassword: 'password123', newPassword: 'newpassword123' })
+      .expect(200);
+
+    const entry = await AuditLog.findOne({ targetModel: 'User', 'changes.field': 'password' });
+    const change = entry.changes.find(item => item.field === 'password');
+    expect(change.after).toBe('[REDACTED]');
+  });
+
+  it('should reject modification of audit entries', async () => {
+    const entry = await AuditLog.create({
+      action: 'create',
+      targetModel: 'Company',
+      targetId: testCompany._id
+    });
+
+    await expect(AuditLog.deleteOne({ _id: entry._id })).rejects.toThrow();
+    await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'delete' })).rejects.toThrow();
+  });
+
+  describe('GET /api/audit', () => {
+    beforeEach(async () => {
+      await request(app)
+        .put(`/api/companies/${testCompany._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ totalPositions: 15 })
+        .expect(200);
+    });
+
+    it('should filter entries by target and changed field', async () => {
+      const response = await request(app)
+        .get(`/api/audit?targetModel=Company&targetId=${testCompany._id}&field=totalPositions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.entries).toHaveLength(1);
+      expect(response.body.data.entries[0].action).toBe('update');
+    });
+
+    it('should export entries as CSV', async () => {
+      const response = await request(app)
+        .get('/api/audit?format=csv&targetModel=Company')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.text).toContain('Target Model');
+      expect(response.text).toContain('totalPositions');
+    });
+
+    it('should require the audit:read permission', async () => {
+      await User.create({
+        name: 'Coordinator',
+        email: 'coordinator@test.com',
+        password: 'password123',
+        role: 'coordinator'
+      });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'coordinator@test.com', password: 'password123' });
+
+      await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${login.body.data.accessToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Impersonation', () => {
+    let testStudent;
+
+    const impersonate = (body = {}) => request(app)
+      .post(`/api/users/${testStudent._id}/impersonate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Student cannot see a company', ...body });
+
+    beforeEach(async () => {
+      testStudent = await User.create({
+        name: 'Student User',
+        email: 'student@test.com',
+        password: 'password123',
+        role: 'student'
+      });
+    });
+
+    it('should issue a read-only token carrying both identities', async () => {
+      const response = await impersonate().expect(201);
+      const token = response.body.data.accessToken;
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(profile.body.data.user.email).toBe('student@test.com');
+      expect(profile.body.data.impersonation.impersonator.email).toBe('admin@test.com');
+      expect(profile.headers['x-impersonated-by']).toBe(testAdmin._id.toString());
+
+      const update = await request(app)
+        .put('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Changed Name' })
+        .expect(403);
+
+      expect(update.body.code).toBe('IMPERSONATION_READ_ONLY');
+    });
+
+    it('should record changes made while impersonating against both users', async () => {
+      const response = await impersonate({ readOnly: false }).expect(201);
+
+      await request(app)
+        .put('/api/auth/profile')
+        .set('Authorization', `Bearer ${response.body.data.accessToken}`)
+        .send({ name: 'Changed Name' })
+        .expect(200);
+
+      const entry = await AuditLog.findOne({ targetModel: 'User', targetId: testStudent._id, 'changes.field': 'name' });
+      expect(entry.actorId.toString()).toBe(testStudent._id.toString());
+      expect(entry.impersonatorId.toString()).toBe(testAdmin._id.toString());
+
+      const list = await request(app)
+        .get('/api/audit/impersonations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(list.body.data.impersonations).toHaveLength(1);
+      expect(list.body.data.impersonations[0].requestCount).toBe(1);
+    });
+
+    it('should stop accepting the token once ended', async () => {
+      const response = await impersonate().expect(201);
+      const token = response.body.data.accessToken;
+
+      await request(app)
+        .post('/api/auth/impersonation/end')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(profile.body.code).toBe('IMPERSONATION_ENDED');
+    });
+
+    it('should not allow impersonating administrators', async () => {
+      const otherAdmin = await User.create({
+        name: 'Other Admin',
+        email: 'other.admin@test.com',
+        password: 'password123',
+        role: 'admin'
+      });
+
+      await request(app)
+        .post(`/api/users/${otherAdmin._id}/impersonate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Testing' })
+        .expect(403);
+    });
+  });
+});
@@ -45,24 +45,22 @@ describe('Authentication Routes', () => {
       expect(student.rollNumber).toBe(userData.studentData.rollNumber);
     });
 
-    it('should register a new admin successfully', async () => {
-      const userData = {
-        name: 'Test Admin',
-        email: 'admin@test.com',
-        password: 'password123',
-        role: 'admin'
-      };
-
+    it('should not register admins', async () => {
       const response = await request(app)
         .post('/api/auth/register')
-        .send(userData)
-        .expect(201);
+        .send({
+          name: 'Test Admin',
+          email: 'admin@test.com',
+          password: 'password123',
+          role: 'admin'
+        })
+        .expect(400);
 
-      expect(response.body.success).toBe(true);
-      expect(response.body.data.user.role).toBe('admin');
+      expect(response.body.success).toBe(false);
+      expect(await User.findOne({ email: 'admin@test.com' })).toBeNull();
     });
 
-    it('should register a new recruiter successfully', async () => {
+    it('should not register recruiters, who join by invitation', async () => {
       // First create a company to reference
       const Company = require('../models/Company');
       const company = new Company({
@@ -73,25 +71,24 @@ describe('Authentication Routes', () => {
         packageOffered: '10 LPA',
         totalPositions: 10,
         applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+        status: 'approved',
         createdBy: new mongoose.Types.ObjectId()
       });
       await company.save();
 
-      const userData = {
-        name: 'Test Recruiter',
-        email: 'recruiter@test.com',
-        password: 'password123',
-        role: 'recruiter',
-        companyId: company._id
-      };
-
       const response = await request(app)
         .post('/api/auth/register')
-        .send(userData)
-        .expect(201);
+        .send({
+          name: 'Test Recruiter',
+          email: 'recruiter@test.com',
+          password: 'password123',
+          role: 'recruiter',
+          companyId: company._id
+        })
+        .expect(400);
 
-      expect(response.body.success).toBe(true);
-      expect(response.body.data.user.role).toBe('recruiter');
+      expect(response.body.success).toBe(false);
+      expect(await User.findOne({ email: 'recruiter@test.com' })).toBeNull();
     });
 
     it('should return error for duplicate email', async () => {
@@ -273,6 +270,85 @@ describe('Authentication Routes', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('deactivated');
     });
+
+    it('should throttle further attempts after repeated failures', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'login@test.com', password: 'wrongpassword' })
+          .expect(401);
+      }
+
+      // Even the correct password is refused until the delay has passed
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'login@test.com', password: 'password123' })
+        .expect(429);
+
+      expect(response.body.retryAfter).toBeGreaterThan(0);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should refuse login while the account is locked', async () => {
+      testUser.failedLoginAttempts = 5;
+      testUser.lockUntil = new Date(Date.now() + 15 * 60 * 1000);
+      await testUser.save();
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'login@test.com', password: 'password123' })
+        .expect(423);
+
+      expect(response.body.message).toContain('locked');
+    });
+
+    it('should count failed attempts afresh once a lockout has expired', async () => {
+      testUser.failedLoginAttempts = 5;
+      testUser.lockUntil = new Date(Date.now() - 1000);
+      await testUser.save();
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'login@test.com', password: 'wrongpassword' })
+        .expect(401);
+
+      const user = await User.findById(testUser._id);
+      expect(user.failedLoginAttempts).toBe(1);
+      expect(user.getLoginLockStatus()).toBeNull();
+    });
+
+    it('should count every failed attempt made in parallel', async () => {
+      const copies = await Promise.all([1, 2, 3, 4, 5].map(() => User.findById(testUser._id)));
+      await Promise.all(copies.map(copy => copy.registerFailedLogin()));
+
+      const user = await User.findById(testUser._id);
+      expect(user.failedLoginAttempts).toBe(5);
+      expect(user.getLoginLockStatus().locked).toBe(true);
+    });
+
+    it('should record successful and failed login attempts', async () => {
+      const LoginAttempt = require('../models/LoginAttempt');
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'login@test.com', password: 'wrongpassword' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'login@test.com', password: 'password123' })
+        .expect(200);
+
+      const attempts = await LoginAttempt.find({ userId: testUser._id }).sort({ createdAt: 1 });
+      expect(attempts).toHaveLength(2);
+      expect(attempts[0].success).toBe(false);
+      expect(attempts[0].failureReason).toBe('invalid_password');
+      expect(attempts[1].success).toBe(true);
+
+      // A successful login clears the failure counter
+      const user = await User.findById(testUser._id);
+      expect(user.failedLoginAttempts).toBe(0);
+    });
   });
 
   describe('GET /api/auth/profile', () => {
@@ -360,6 +436,46 @@ describe('Authentication Routes', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.accessToken).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    });
+
+    it('should reject a refresh token that has already been rotated', async () => {
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should revoke the whole session when a rotated token is reused', async () => {
+      const rotateResponse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      // Replay the old token
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      // The legitimately rotated token is now dead too
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotateResponse.body.data.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${rotateResponse.body.data.accessToken}`)
+        .expect(401);
     });
 
     it('should return error with invalid refresh token', async () => {
@@ -436,4 +552,392 @@ describe('Authentication Routes', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
\ No newline at end of file
+  describe('Sessions and logout', () => {
+    let accessToken;
+    let refreshToken;
+
+    beforeEach(async () => {
+      const user = new User({
+        name: 'Session Test User',
+        email: 'session@test.com',
+        password: 'password123',
+        role: 'student'
+      });
+      await user.save();
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'session@test.com',
+          password: 'password123'
+        });
+
+      accessToken = loginResponse.body.data.accessToken;
+      refreshToken = loginResponse.body.data.refreshToken;
+    });
+
+    it('should revoke the current session on logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(401);
+    });
+
+    it('should list active sessions and revoke the other ones', async () => {
+      const secondLogin = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'session@test.com',
+          password: 'password123',
+          deviceName: 'Laptop'
+        });
+
+      const listResponse = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(listResponse.body.data.sessions).toHaveLength(2);
+      expect(listResponse.body.data.sessions.filter(s => s.current)).toHaveLength(1);
+
+      const revokeResponse = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(revokeResponse.body.data.revokedCount).toBe(1);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: secondLogin.body.data.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+    });
+  });
+  describe('Password reset and change', () => {
+    let testUser;
+
+    beforeEach(async () => {
+      testUser = new User({
+        name: 'Password Test User',
+        email: 'password@test.com',
+        password: 'password123',
+        role: 'student'
+      });
+      await testUser.save();
+    });
+
+    it('should respond the same way for unknown emails on forgot password', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@test.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    it('should reset password with a valid token only once', async () => {
+      const resetToken = testUser.createPasswordResetToken();
+      await testUser.save();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'password@test.com', password: 'newpassword123' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'anotherpassword' })
+        .expect(400);
+
+      expect(response.body.message).toContain('Invalid or expired');
+    });
+
+    it('should require the current password to change password', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'password@test.com', password: 'password123' });
+      const authToken = loginResponse.body.data.accessToken;
+
+      await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword123' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123' })
+        .expect(200);
+    });
+
+    it('should block other routes until a temporary password is changed', async () => {
+      testUser.mustChangePassword = true;
+      await testUser.save();
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'password@test.com', password: 'password123' });
+      const authToken = loginResponse.body.data.accessToken;
+
+      expect(loginResponse.body.data.user.mustChangePassword).toBe(true);
+
+      const blocked = await request(app)
+        .put('/api/auth/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'New Name' })
+        .expect(403);
+
+      expect(blocked.body.code).toBe('PASSWORD_CHANGE_REQUIRED');
+
+      await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .put('/api/auth/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'New Name' })
+        .expect(200);
+    });
+  });
+
+  describe('Email verification', () => {
+    const registerStudent = () => request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Unverified Student',
+        email: 'unverified@test.com',
+        password: 'password123',
+        role: 'student',
+        studentData: {
+          rollNumber: 'CS100',
+          branch: 'Computer Science',
+          cgpa: 8.0,
+          phone: '9876543299',
+          batch: 2024
+        }
+      });
+
+    it('should register self-registered accounts as unverified and restrict them to their profile', async () => {
+      const response = await registerStudent().expect(201);
+      const authToken = response.body.data.accessToken;
+
+      expect(response.body.data.user.emailVerified).toBe(false);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const blocked = await request(app)
+        .get('/api/applications/student/' + new mongoose.Types.ObjectId())
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      expect(blocked.body.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    it('should verify email with a valid token', async () => {
+      const { generateEmailVerificationToken } = require('../utils/jwt');
+      await registerStudent().expect(201);
+      const user = await User.findOne({ email: 'unverified@test.com' });
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: generateEmailVerificationToken(user) })
+        .expect(200);
+
+      const verifiedUser = await User.findById(user._id);
+      expect(verifiedUser.emailVerified).toBe(true);
+    });
+
+    it('should not accept a verification token as an access token', async () => {
+      const { generateEmailVerificationToken } = require('../utils/jwt');
+      await registerStudent().expect(201);
+      const user = await User.findOne({ email: 'unverified@test.com' });
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${generateEmailVerificationToken(user)}`)
+        .expect(401);
+    });
+
+    it('should reject a tampered verification token', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'invalidtoken' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const { generateTotp } = require('../utils/totp');
+    const SecurityPolicy = require('../models/SecurityPolicy');
+    let accessToken;
+    let secret;
+    let recoveryCodes;
+
+    beforeEach(async () => {
+      const user = new User({
+        name: 'MFA Recruiter',
+        email: 'mfa@test.com',
+        password: 'password123',
+        role: 'recruiter'
+      });
+      await user.save();
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'mfa@test.com',
+          password: 'password123'
+        });
+      accessToken = loginResponse.body.data.accessToken;
+
+      const setupResponse = await request(app)
+        .post('/api/auth/mfa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      secret = setupResponse.body.data.secret;
+
+      expect(setupResponse.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+      const enableResponse = await request(app)
+        .post('/api/auth/mfa/enable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: generateTotp(secret) })
+        .expect(200);
+      recoveryCodes = enableResponse.body.data.recoveryCodes;
+    });
+
+    const loginWithPassword = () => request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'mfa@test.com',
+        password: 'password123'
+      })
+      .expect(200);
+
+    it('should require a second factor after the password', async () => {
+      const response = await loginWithPassword();
+
+      expect(response.body.data.mfaRequired).toBe(true);
+      expect(response.body.data.mfaToken).toBeDefined();
+      expect(response.body.data.accessToken).toBeUndefined();
+
+      // The enrollment code's time step is spent, so use the next one
+      const verifyResponse = await request(app)
+        .post('/api/auth/login/mfa')
+        .send({
+          mfaToken: response.body.data.mfaToken,
+          code: generateTotp(secret, Date.now() + 30000)
+        })
+        .expect(200);
+
+      expect(verifyResponse.body.data.accessToken).toBeDefined();
+      expect(verifyResponse.body.data.user.mfaEnabled).toBe(true);
+    });
+
+    it('should not accept the pending token as an access token', async () => {
+      const response = await loginWithPassword();
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${response.body.data.mfaToken}`)
+        .expect(401);
+    });
+
+    it('should reject an invalid code', async () => {
+      const response = await loginWithPassword();
+
+      await request(app)
+        .post('/api/auth/login/mfa')
+        .send({
+          mfaToken: response.body.data.mfaToken,
+          code: '000000'
+        })
+        .expect(401);
+    });
+
+    it('should accept a recovery code only once', async () => {
+      const first = await loginWithPassword();
+
+      await request(app)
+        .post('/api/auth/login/mfa')
+        .send({
+          mfaToken: first.body.data.mfaToken,
+          recoveryCode: recoveryCodes[0]
+        })
+        .expect(200);
+
+      const second = await loginWithPassword();
+
+      await request(app)
+        .post('/api/auth/login/mfa')
+        .send({
+          mfaToken: second.body.data.mfaToken,
+          recoveryCode: recoveryCodes[0]
+        })
+        .expect(401);
+    });
+
+    it('should block users of a required role until they enroll', async () => {
+      await SecurityPolicy.getPolicy();
+      await SecurityPolicy.updateOne({ key: 'default' }, { mfaRequiredRoles: ['admin'] });
+
+      const admin = new User({
+        name: 'Admin Without MFA',
+        email: 'admin-nomfa@test.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      await admin.save();
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'admin-nomfa@test.com',
+          password: 'password123'
+        })
+        .expect(200);
+      const adminToken = loginResponse.body.data.accessToken;
+
+      const blocked = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+
+      expect(blocked.body.code).toBe('MFA_SETUP_REQUIRED');
+
+      await request(app)
+        .post('/api/auth/mfa/setup')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+  });
+});
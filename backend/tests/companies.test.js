@@ -2,7 +2,10 @@ const request = require('supertest');
 const app = require('../server');
 const User = require('../models/User');
 const Company = require('../models/Company');
+const Student = require('../models/Student');
 const RecruitmentRound = require('../models/RecruitmentRound');
+const RecruiterInvitation = require('../models/RecruiterInvitation');
+const Notification = require('../models/Notification');
 
 describe('Company Routes', () => {
   let adminToken;
@@ -35,6 +38,7 @@ describe('Company Routes', () => {
       packageOffered: '10 LPA',
       totalPositions: 10,
       applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      status: 'approved',
       createdBy: testAdmin._id
     });
     await testCompany.save();
@@ -68,7 +72,7 @@ describe('Company Routes', () => {
 
     it('should filter companies by status', async () => {
       const response = await request(app)
-        .get('/api/companies?status=active')
+        .get('/api/companies?status=approved')
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -107,6 +111,25 @@ describe('Company Routes', () => {
       expect(response.body.data.company.applicationStats).toBeDefined();
     });
 
+    it('should treat a logged out token as anonymous', async () => {
+      const authenticated = await request(app)
+        .get(`/api/companies/${testCompany._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(authenticated.body.data.company.applications).toBeDefined();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/companies/${testCompany._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(response.body.data.company.applications).toBeUndefined();
+    });
+
     it('should return error for non-existent company', async () => {
       const fakeId = '507f1f77bcf86cd799439011';
       const response = await request(app)
@@ -213,6 +236,24 @@ describe('Company Routes', () => {
       expect(response.body.success).toBe(true);
     });
 
+    it('should require approval rights to change the offer of an approved company', async () => {
+      await request(app)
+        .put(`/api/companies/${testCompany._id}`)
+        .set('Authorization', `Bearer ${recruiterToken}`)
+        .send({ packageOffered: '50 LPA', createdBy: testRecruiter._id })
+        .expect(403);
+
+      await request(app)
+        .put(`/api/companies/${testCompany._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ packageOffered: '12 LPA', createdBy: testRecruiter._id })
+        .expect(200);
+
+      const company = await Company.findById(testCompany._id);
+      expect(company.packageOffered).toBe('12 LPA');
+      expect(company.createdBy.toString()).toBe(testAdmin._id.toString());
+    });
+
     it('should return error for invalid company ID', async () => {
       const fakeId = '507f1f77bcf86cd799439011';
       const updateData = {
@@ -255,7 +296,7 @@ describe('Company Routes', () => {
         name: 'Technical Interview',
         description: 'Technical skills assessment',
         scheduledDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
-        roundNumber: 1,
+        roundNumber: 4, // After the default rounds
         duration: '1 hour',
         location: 'Online'
       };
@@ -275,7 +316,7 @@ describe('Company Routes', () => {
         name: 'HR Interview',
         description: 'Final interview round',
         scheduledDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(),
-        roundNumber: 2
+        roundNumber: 5
       };
 
       const response = await request(app)
@@ -366,4 +407,302 @@ describe('Company Routes', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Company lifecycle', () => {
+    const changeStatus = (companyId, token, body) => request(app)
+      .post(`/api/companies/${companyId}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    it('should keep new companies as drafts until an admin approves them', async () => {
+      const created = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Onboarded Company',
+          description: 'Onboarded through the form',
+          industry: 'Consulting',
+          location: 'Pune',
+          packageOffered: '7 LPA',
+          totalPositions: 4,
+          applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(201);
+
+      const company = created.body.data.company;
+      expect(company.status).toBe('draft');
+
+      // Drafts are hidden from students and visitors
+      await request(app).get(`/api/companies/${company._id}`).expect(404);
+      const list = await request(app).get('/api/companies').expect(200);
+      expect(list.body.data.companies.map(item => item.name)).not.toContain('Onboarded Company');
+
+      await User.create({
+        name: 'Onboarded Recruiter',
+        email: 'onboarded@test.com',
+        password: 'password123',
+        role: 'recruiter',
+        companyId: company._id
+      });
+      const onboardedToken = (await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'onboarded@test.com', password: 'password123' })).body.data.accessToken;
+
+      // Other companies' recruiters cannot touch it, and drafts are not approved directly
+      await changeStatus(company._id, recruiterToken, { status: 'pending-approval' }).expect(403);
+      await changeStatus(company._id, adminToken, { status: 'approved' }).expect(400);
+
+      await changeStatus(company._id, onboardedToken, { status: 'pending-approval' }).expect(200);
+      await changeStatus(company._id, onboardedToken, { status: 'approved' }).expect(403);
+
+      // Sending a company back takes a note
+      await changeStatus(company._id, adminToken, { status: 'draft' }).expect(400);
+      await changeStatus(company._id, adminToken, { status: 'draft', note: 'Add the job description' }).expect(200);
+      await changeStatus(company._id, onboardedToken, { status: 'pending-approval' }).expect(200);
+      await changeStatus(company._id, adminToken, { status: 'approved' }).expect(200);
+
+      await request(app).get(`/api/companies/${company._id}`).expect(200);
+
+      const history = await request(app)
+        .get(`/api/companies/${company._id}/status-history`)
+        .set('Authorization', `Bearer ${onboardedToken}`)
+        .expect(200);
+      expect(history.body.data.history.map(change => change.to)).toEqual([
+        'draft', 'pending-approval', 'draft', 'pending-approval', 'approved'
+      ]);
+      expect(history.body.data.history[2]).toMatchObject({
+        from: 'pending-approval',
+        note: 'Add the job description',
+        changedBy: { name: 'Admin User' }
+      });
+      expect(history.body.data.allowedTransitions).toEqual(['ppt-scheduled', 'drive-ongoing', 'closed']);
+
+      const notifications = await request(app)
+        .get('/api/notifications/me')
+        .set('Authorization', `Bearer ${onboardedToken}`)
+        .expect(200);
+      expect(notifications.body.data.notifications.map(item => item.metadata.newStatus).sort()).toEqual([
+        'approved', 'draft', 'pending-approval', 'pending-approval'
+      ]);
+    });
+
+    it('should run the drive and tell eligible students about the pre-placement talk', async () => {
+      const user = await User.create({
+        name: 'Student User',
+        email: 'student@test.com',
+        password: 'password123',
+        role: 'student'
+      });
+      const student = await Student.create({
+        userId: user._id,
+        rollNumber: 'LC001',
+        branch: 'Computer Science',
+        cgpa: 8,
+        phone: '9876543210',
+        batch: 2025
+      });
+
+      await changeStatus(testCompany._id, recruiterToken, { status: 'ppt-scheduled' }).expect(400);
+      await changeStatus(testCompany._id, recruiterToken, {
+        status: 'ppt-scheduled',
+        preplacementTalk: { scheduledAt: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(), venue: 'Main Auditorium' }
+      }).expect(200);
+
+      const notification = await Notification.findOne({ recipientId: student._id, type: 'company_status' });
+      expect(notification.message).toContain('Main Auditorium');
+
+      await changeStatus(testCompany._id, recruiterToken, { status: 'drive-ongoing' }).expect(200);
+      await changeStatus(testCompany._id, recruiterToken, { status: 'results-declared' }).expect(200);
+      await changeStatus(testCompany._id, adminToken, { status: 'closed', note: 'Drive complete' }).expect(200);
+
+      const closed = await Company.findById(testCompany._id);
+      expect(closed.isApplicationOpen()).toBe(false);
+      await changeStatus(testCompany._id, adminToken, { status: 'approved' }).expect(400);
+    });
+
+    it('should require a company permission to change the status', async () => {
+      await User.create({
+        name: 'Coordinator User',
+        email: 'coordinator@test.com',
+        password: 'password123',
+        role: 'coordinator'
+      });
+      const coordinatorToken = (await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'coordinator@test.com', password: 'password123' })).body.data.accessToken;
+
+      await changeStatus(testCompany._id, coordinatorToken, { status: 'drive-ongoing' }).expect(403);
+      await request(app)
+        .get(`/api/companies/${testCompany._id}/status-history`)
+        .set('Authorization', `Bearer ${coordinatorToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Compensation', () => {
+    it('should parse the package text or fill it in from compensation', async () => {
+      expect(testCompany.compensation.ctc).toBe(1000000);
+      expect(testCompany.getPackageValue()).toBe(10);
+
+      const response = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Structured Pay Ltd',
+          description: 'Pays in parts',
+          industry: 'Consulting',
+          location: 'Mumbai',
+          compensation: { fixed: 800000, variable: 100000, joiningBonus: 50000, bondMonths: 12 },
+          totalPositions: 3,
+          applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(201);
+
+      const { company } = response.body.data;
+      expect(company.compensation.ctc).toBe(950000);
+      expect(company.compensation.inHand).toBe(53333);
+      expect(company.packageOffered).toBe('9.5 LPA');
+    });
+
+    it('should report package statistics per branch and batch', async () => {
+      const placedStudent = async (rollNumber, branch, fields) => {
+        const user = await User.create({
+          name: rollNumber,
+          email: `${rollNumber.toLowerCase()}@test.com`,
+          password: 'password123',
+          role: 'student'
+        });
+        return Student.create({
+          userId: user._id,
+          rollNumber,
+          branch,
+          cgpa: 8,
+          phone: '9876543210',
+          batch: 2024,
+          placed: true,
+          placedCompany: testCompany._id,
+          ...fields
+        });
+      };
+
+      await placedStudent('PS001', 'Computer Science', { package: '20 LPA' });
+      await placedStudent('PS002', 'Computer Science', { compensation: { currency: 'USD', ctc: 90000 } });
+      await placedStudent('PS003', 'Information Technology', {});
+
+      const response = await request(app)
+        .get('/api/reports/placements')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { packageStats } = response.body.data;
+      // The USD package is left out; PS003 counts at the company's 10 LPA
+      expect(packageStats.overall).toMatchObject({ count: 2, highest: 20, median: 15, average: 15 });
+      expect(packageStats.byBranch.map(group => [group.branch, group.count])).toEqual([
+        ['Computer Science', 1],
+        ['Information Technology', 1]
+      ]);
+      expect(packageStats.byBatch[0]).toMatchObject({ batch: 2024, count: 2 });
+    });
+  });
+
+  describe('Recruiter invitations', () => {
+    it('should let an admin invite a recruiter', async () => {
+      const response = await request(app)
+        .post(`/api/companies/${testCompany._id}/recruiters/invitations`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'new.recruiter@test.com', name: 'New Recruiter' })
+        .expect(201);
+
+      expect(response.body.data.invitation.status).toBe('pending');
+      expect(await RecruiterInvitation.countDocuments({ companyId: testCompany._id })).toBe(1);
+    });
+
+    it('should not let recruiters invite other recruiters', async () => {
+      await request(app)
+        .post(`/api/companies/${testCompany._id}/recruiters/invitations`)
+        .set('Authorization', `Bearer ${recruiterToken}`)
+        .send({ email: 'new.recruiter@test.com' })
+        .expect(403);
+    });
+
+    it('should create a recruiter account once when the invitation is accepted', async () => {
+      const { token } = await RecruiterInvitation.issue({
+        email: 'new.recruiter@test.com',
+        companyId: testCompany._id,
+        isPrimaryContact: true,
+        invitedBy: testAdmin._id
+      });
+
+      const response = await request(app)
+        .post('/api/auth/accept-invitation')
+        .send({ token, name: 'New Recruiter', password: 'password123' })
+        .expect(201);
+
+      expect(response.body.data.accessToken).toBeDefined();
+      expect(response.body.data.user.role).toBe('recruiter');
+      expect(response.body.data.user.companyId).toBe(testCompany._id.toString());
+      expect(response.body.data.user.emailVerified).toBe(true);
+      expect(response.body.data.user.isPrimaryContact).toBe(true);
+
+      await request(app)
+        .post('/api/auth/accept-invitation')
+        .send({ token, name: 'New Recruiter', password: 'password123' })
+        .expect(400);
+    });
+
+    it('should reject revoked invitations', async () => {
+      const { invitation, token } = await RecruiterInvitation.issue({
+        email: 'new.recruiter@test.com',
+        companyId: testCompany._id,
+        invitedBy: testAdmin._id
+      });
+
+      await request(app)
+        .delete(`/api/companies/${testCompany._id}/recruiters/invitations/${invitation._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/accept-invitation')
+        .send({ token, name: 'New Recruiter', password: 'password123' })
+        .expect(400);
+    });
+
+    it('should keep a single primary contact per company', async () => {
+      const secondRecruiter = await User.create({
+        name: 'Second Recruiter',
+        email: 'second.recruiter@test.com',
+        password: 'password123',
+        role: 'recruiter',
+        companyId: testCompany._id,
+        isPrimaryContact: true
+      });
+
+      await request(app)
+        .put(`/api/companies/${testCompany._id}/recruiters/${testRecruiter._id}/primary-contact`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/companies/${testCompany._id}/recruiters`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.recruiters).toHaveLength(2);
+      expect(response.body.data.recruiters[0]._id).toBe(testRecruiter._id.toString());
+      expect((await User.findById(secondRecruiter._id)).isPrimaryContact).toBe(false);
+    });
+
+    it('should revoke recruiter access immediately', async () => {
+      await request(app)
+        .delete(`/api/companies/${testCompany._id}/recruiters/${testRecruiter._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/companies/${testCompany._id}/rounds`)
+        .set('Authorization', `Bearer ${recruiterToken}`)
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Student = require('../models/Student');
+
+describe('Consistency Check', () => {
+  let adminToken;
+  let orphanUser;
+
+  beforeEach(async () => {
+    const admin = new User({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    await admin.save();
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.accessToken;
+
+    // A student account whose profile was never created
+    orphanUser = new User({
+      name: 'Orphan Student',
+      email: 'orphan@test.com',
+      password: 'password123',
+      role: 'student'
+    });
+    await orphanUser.save();
+  });
+
+  it('should report student accounts without a profile', async () => {
+    const response = await request(app)
+      .get('/api/consistency')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.data.consistent).toBe(false);
+    const check = response.body.data.checks.studentUsersWithoutProfile;
+    expect(check.count).toBe(1);
+    expect(check.items[0]._id).toBe(orphanUser._id.toString());
+  });
+
+  it('should delete orphans and leave valid records alone', async () => {
+    const studentUser = new User({
+      name: 'Student User',
+      email: 'student@test.com',
+      password: 'password123',
+      role: 'student'
+    });
+    await studentUser.save();
+    await new Student({
+      userId: studentUser._id,
+      rollNumber: 'ST001',
+      branch: 'Computer Science',
+      cgpa: 8.5,
+      phone: '9876543210',
+      batch: 2024
+    }).save();
+
+    const response = await request(app)
+      .post('/api/consistency/repair')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.data.repaired.studentUsersWithoutProfile).toBe(1);
+    expect(await User.findById(orphanUser._id)).toBeNull();
+    expect(await User.findById(studentUser._id)).not.toBeNull();
+    expect(await Student.countDocuments()).toBe(1);
+  });
+});
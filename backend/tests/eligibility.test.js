@@ -0,0 +1,78 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const ApplicationWindow = require('../models/ApplicationWindow');
+
+describe('Eligibility Simulator', () => {
+  let adminToken;
+
+  const createStudent = async (rollNumber, fields) => {
+    const user = await User.create({
+      name: `Student ${rollNumber}`,
+      email: `${rollNumber.toLowerCase()}@test.com`,
+      password: 'password123',
+      role: 'student'
+    });
+
+    return Student.create({
+      userId: user._id,
+      rollNumber,
+      phone: '9876543210',
+      batch: 2024,
+      ...fields
+    });
+  };
+
+  const simulate = (criteria) => request(app)
+    .post('/api/eligibility/simulate')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(criteria);
+
+  beforeEach(async () => {
+    await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.accessToken;
+
+    await createStudent('ST001', { branch: 'Computer Science', cgpa: 8.6 });
+    await createStudent('ST002', { branch: 'Computer Science', cgpa: 7.2 });
+    await createStudent('ST003', { branch: 'Mechanical Engineering', cgpa: 7.8 });
+    await createStudent('ST004', { branch: 'Information Technology', cgpa: 9.1, backlogs: 1 });
+  });
+
+  it('should break down and sample the students draft criteria admit', async () => {
+    const response = await simulate({ minCGPA: 7.5, sampleSize: 1 }).expect(200);
+    const { data } = response.body;
+
+    expect(data.totalStudents).toBe(4);
+    expect(data.eligibleCount).toBe(2);
+    expect(data.breakdown.byBranch).toEqual(expect.arrayContaining([
+      { branch: 'Computer Science', count: 1 },
+      { branch: 'Mechanical Engineering', count: 1 }
+    ]));
+    expect(data.breakdown.byCgpaBand.find(band => band.band === '8-9').count).toBe(1);
+    expect(data.sample).toHaveLength(1);
+    expect(data.sample[0].rollNumber).toBe('ST001');
+
+    const relaxation = criterion => data.relaxations.find(item => item.criterion === criterion);
+    expect(relaxation('minCGPA')).toMatchObject({ relaxedTo: 7, additionalStudents: 1 });
+    expect(relaxation('maxBacklogs')).toMatchObject({ relaxedTo: 1, additionalStudents: 1 });
+
+    // Nothing is saved
+    expect(await ApplicationWindow.countDocuments()).toBe(0);
+  });
+
+  it('should reject invalid draft criteria', async () => {
+    const response = await simulate({ eligibleBranches: ['Astrology'] }).expect(400);
+
+    expect(response.body.errors[0].path).toBe('eligibleBranches.0');
+  });
+});
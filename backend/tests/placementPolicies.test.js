@@ -0,0 +1,178 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Company = require('../models/Company');
+const Application = require('../models/Application');
+const ApplicationWindow = require('../models/ApplicationWindow');
+
+describe('Placement Policies', () => {
+  let admin;
+  let adminToken;
+  let testStudent;
+  let serviceCompany;
+  let dreamCompany;
+  let dreamWindow;
+
+  const companyData = (name, packageOffered) => ({
+    name,
+    description: 'Test Description',
+    industry: 'Information Technology',
+    location: 'Test Location',
+    packageOffered,
+    totalPositions: 10,
+    applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    status: 'approved',
+    createdBy: admin._id
+  });
+
+  const openWindow = (companyId) => ApplicationWindow.create({
+    companyId,
+    startDate: new Date(),
+    endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    startTime: '00:00',
+    endTime: '23:59',
+    createdBy: admin._id
+  });
+
+  const createPolicy = (policy) => request(app)
+    .post('/api/placement-policies')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ batch: 2024, ...policy });
+
+  beforeEach(async () => {
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.accessToken;
+
+    const studentUser = await User.create({
+      name: 'Student User',
+      email: 'student@test.com',
+      password: 'password123',
+      role: 'student'
+    });
+
+    testStudent = await Student.create({
+      userId: studentUser._id,
+      rollNumber: 'ST001',
+      branch: 'Computer Science',
+      cgpa: 8.5,
+      phone: '9876543210',
+      batch: 2024
+    });
+
+    serviceCompany = await Company.create(companyData('Service Company', '5 LPA'));
+    dreamCompany = await Company.create(companyData('Dream Company', '15 LPA'));
+    await openWindow(serviceCompany._id);
+    dreamWindow = await openWindow(dreamCompany._id);
+
+    // The student holds an offer from the service company
+    await Application.create({
+      studentId: testStudent._id,
+      companyId: serviceCompany._id,
+      status: 'selected',
+      formData: {}
+    });
+  });
+
+  it('should allow one offer per student when the batch has no policy', async () => {
+    const eligibility = await dreamWindow.checkStudentEligibility(testStudent._id);
+
+    expect(eligibility.eligible).toBe(false);
+    expect(eligibility.policy).toBe('one-offer');
+    expect(await dreamWindow.getEligibleStudentsCount()).toBe(0);
+  });
+
+  it('should let placed students apply to a higher tier only', async () => {
+    await createPolicy({
+      tiers: [
+        { name: 'regular', minPackage: 0 },
+        { name: 'dream', minPackage: 10 }
+      ],
+      maxOffers: 2
+    }).expect(201);
+
+    const check = (companyId) => request(app)
+      .post('/api/eligibility/check')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ studentId: testStudent._id, companyId })
+      .expect(200);
+
+    const dream = await check(dreamCompany._id);
+    expect(dream.body.data.criteria.placementPolicy).toMatchObject({ tier: 'dream', offers: 1, met: true });
+    expect(dream.body.data.blockedBy).toBeUndefined();
+
+    const regularCompany = await Company.create(companyData('Regular Company', '6 LPA'));
+    const regular = await check(regularCompany._id);
+    expect(regular.body.data.blockedBy).toBe('tier-upgrade');
+    expect(regular.body.data.reason).toContain('regular tier');
+  });
+
+  it('should tier job profiles by their own package', async () => {
+    await createPolicy({
+      tiers: [{ name: 'regular', minPackage: 0 }, { name: 'dream', minPackage: 10 }],
+      maxOffers: 2
+    }).expect(201);
+
+    const driveCompany = await Company.create({
+      ...companyData('Drive Company', '15 LPA'),
+      jobProfiles: [
+        { title: 'SDE', packageOffered: '15 LPA', totalPositions: 1 },
+        { title: 'QA', packageOffered: '6 LPA', totalPositions: 1 }
+      ]
+    });
+    await openWindow(driveCompany._id);
+    const [sde, qa] = driveCompany.jobProfiles;
+
+    let eligibility = await testStudent.checkEligibility(driveCompany._id, qa._id);
+    expect(eligibility.policy).toBe('tier-upgrade');
+    eligibility = await testStudent.checkEligibility(driveCompany._id, sde._id);
+    expect(eligibility.policy).toBeUndefined();
+
+    // An offer for the QA profile is a regular offer, so dream companies are still open
+    await Application.deleteMany({});
+    await Application.create({
+      studentId: testStudent._id,
+      companyId: driveCompany._id,
+      jobProfileId: qa._id,
+      status: 'selected',
+      formData: {}
+    });
+
+    eligibility = await dreamWindow.checkStudentEligibility(testStudent._id);
+    expect(eligibility.policy).toBeUndefined();
+  });
+
+  it('should stop students who reached the offer limit or opted out', async () => {
+    await createPolicy({
+      tiers: [{ name: 'regular', minPackage: 0 }, { name: 'dream', minPackage: 10 }],
+      maxOffers: 1
+    }).expect(201);
+
+    let eligibility = await dreamWindow.checkStudentEligibility(testStudent._id);
+    expect(eligibility.policy).toBe('max-offers');
+
+    await Application.deleteMany({});
+    testStudent.placementOptOut = { optedOut: true, reason: 'Higher studies' };
+    await testStudent.save();
+
+    eligibility = await dreamWindow.checkStudentEligibility(testStudent._id);
+    expect(eligibility.policy).toBe('opt-out');
+  });
+
+  it('should reject duplicate tier names', async () => {
+    const response = await createPolicy({
+      tiers: [{ name: 'Dream', minPackage: 10 }, { name: 'dream', minPackage: 20 }]
+    }).expect(400);
+
+    expect(response.body.errors[0].msg).toBe('Tier names must be unique');
+  });
+});
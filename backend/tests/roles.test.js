@@ -0,0 +1,200 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Student = require('../models/Student');
+
+describe('Role and Permission Routes', () => {
+  let adminToken;
+
+  const createAndLogin = async (userData) => {
+    const user = new User({ password: 'password123', ...userData });
+    await user.save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: userData.email, password: 'password123' });
+
+    return { user, token: response.body.data.accessToken };
+  };
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await createAndLogin({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      role: 'admin'
+    }));
+  });
+
+  describe('Built-in roles', () => {
+    it('should let coordinators manage windows but not delete users', async () => {
+      const { token } = await createAndLogin({
+        name: 'Coordinator',
+        email: 'coordinator@test.com',
+        role: 'coordinator'
+      });
+      const { user: student } = await createAndLogin({
+        name: 'Student',
+        email: 'student@test.com',
+        role: 'student'
+      });
+
+      await request(app)
+        .get('/api/application-windows')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .delete(`/api/users/${student._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(response.body.message).toContain('users:delete');
+    });
+
+    it('should restrict faculty reports to their own branch', async () => {
+      const { token } = await createAndLogin({
+        name: 'Faculty',
+        email: 'faculty@test.com',
+        role: 'faculty',
+        branch: 'Mechanical Engineering'
+      });
+
+      for (const [index, branch] of ['Computer Science', 'Mechanical Engineering'].entries()) {
+        const user = await User.create({
+          name: `Student ${index}`,
+          email: `student${index}@test.com`,
+          password: 'password123',
+          role: 'student'
+        });
+        await Student.create({
+          userId: user._id,
+          rollNumber: `BR00${index}`,
+          branch,
+          cgpa: 8,
+          phone: `987654321${index}`,
+          batch: 2024
+        });
+      }
+
+      const response = await request(app)
+        .get('/api/reports/students?branch=Computer Science')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.students).toHaveLength(1);
+      expect(response.body.data.students[0].branch).toBe('Mechanical Engineering');
+
+      await request(app)
+        .get('/api/reports/company-performance')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/roles', () => {
+    it('should create a custom role that can be assigned to users', async () => {
+      const createResponse = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'placement-officer',
+          displayName: 'Placement Officer',
+          permissions: ['students:read', 'dashboard:read']
+        })
+        .expect(201);
+
+      expect(createResponse.body.data.role.isSystem).toBe(false);
+
+      const { user, token } = await createAndLogin({
+        name: 'Officer',
+        email: 'officer@test.com',
+        role: 'student'
+      });
+
+      await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'placement-officer' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/dashboard/admin')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+
+    it('should reject unknown permissions', async () => {
+      const response = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'broken',
+          displayName: 'Broken',
+          permissions: ['everything:forever']
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should not allow non-admins to manage roles', async () => {
+      const { token } = await createAndLogin({
+        name: 'Coordinator',
+        email: 'coordinator@test.com',
+        role: 'coordinator'
+      });
+
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'sneaky', displayName: 'Sneaky', permissions: ['*'] })
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/users/:id role assignment', () => {
+    it('should reject roles that do not exist', async () => {
+      const { user } = await createAndLogin({
+        name: 'Student',
+        email: 'student@test.com',
+        role: 'student'
+      });
+
+      await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'nonexistent' })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/roles/:id', () => {
+    it('should not delete built-in roles or roles in use', async () => {
+      await Role.ensureSystemRoles();
+      const coordinatorRole = await Role.findOne({ name: 'coordinator' });
+
+      await request(app)
+        .delete(`/api/roles/${coordinatorRole._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      const customRole = await Role.create({
+        name: 'viewer',
+        displayName: 'Viewer',
+        permissions: ['reports:read']
+      });
+      await createAndLogin({ name: 'Viewer', email: 'viewer@test.com', role: 'viewer' });
+
+      await request(app)
+        .delete(`/api/roles/${customRole._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+});
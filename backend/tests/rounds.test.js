@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Company = require('../models/Company');
+const Application = require('../models/Application');
+const ApplicationWindow = require('../models/ApplicationWindow');
+const RecruitmentRound = require('../models/RecruitmentRound');
+
+describe('Recruitment Rounds', () => {
+  let admin;
+  let adminToken;
+  let testStudent;
+  let testCompany;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.accessToken;
+
+    const studentUser = await User.create({
+      name: 'Student User',
+      email: 'student@test.com',
+      password: 'password123',
+      role: 'student'
+    });
+
+    testStudent = await Student.create({
+      userId: studentUser._id,
+      rollNumber: 'ST001',
+      branch: 'Computer Science',
+      cgpa: 8.5,
+      phone: '9876543210',
+      batch: 2024
+    });
+
+    // Saving the company also creates its three default rounds
+    testCompany = await Company.create({
+      name: 'Test Company',
+      description: 'Test Description',
+      industry: 'Information Technology',
+      location: 'Test Location',
+      packageOffered: '10 LPA',
+      totalPositions: 10,
+      applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      status: 'approved',
+      createdBy: admin._id
+    });
+  });
+
+  const createRound = (fields) => request(app)
+    .post('/api/rounds')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ companyId: testCompany._id, ...fields });
+
+  it('should move candidates into rounds created through the rounds API', async () => {
+    const created = await createRound({ name: 'Coding Challenge', type: 'coding_challenge', duration: 90 })
+      .expect(201);
+    expect(created.body.data.roundNumber).toBe(4);
+    expect(created.body.data.duration).toBe('90 minutes');
+
+    // The same round is listed with the company's rounds
+    const companyRounds = await request(app)
+      .get(`/api/companies/${testCompany._id}/rounds`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(companyRounds.body.data.rounds.map(round => round.name)).toEqual([
+      'Aptitude Test',
+      'Technical Interview',
+      'HR Interview',
+      'Coding Challenge'
+    ]);
+
+    await ApplicationWindow.create({
+      companyId: testCompany._id,
+      startDate: new Date(),
+      endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      startTime: '09:00',
+      endTime: '17:00',
+      createdBy: admin._id
+    });
+
+    const hrRound = await RecruitmentRound.findOne({ companyId: testCompany._id, roundNumber: 3 });
+    const application = await Application.create({
+      studentId: testStudent._id,
+      companyId: testCompany._id,
+      roundId: hrRound._id,
+      status: 'shortlisted',
+      formData: {
+        personalInfo: {
+          name: 'Student User',
+          email: 'student@test.com',
+          phone: '9876543210'
+        }
+      }
+    });
+
+    await request(app)
+      .put(`/api/rounds/${hrRound._id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'completed' })
+      .expect(200);
+
+    const candidates = await request(app)
+      .get(`/api/rounds/${created.body.data.id}/candidates`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(candidates.body.data.candidates).toHaveLength(1);
+    expect(candidates.body.data.candidates[0]).toMatchObject({
+      applicationId: application._id.toString(),
+      currentStatus: 'submitted'
+    });
+    expect(candidates.body.data.candidates[0].student.rollNumber).toBe('ST001');
+
+    // Candidates have moved on, so the completed round keeps its status
+    await request(app)
+      .put(`/api/rounds/${hrRound._id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'ongoing' })
+      .expect(400);
+  });
+
+  it('should keep round numbers unique and reorder rounds', async () => {
+    const duplicate = await createRound({ name: 'Group Discussion', type: 'group_discussion', sequence: 2 })
+      .expect(400);
+    expect(duplicate.body.message).toContain('already exists');
+
+    const created = await createRound({ name: 'Group Discussion', type: 'group_discussion' }).expect(201);
+
+    const response = await request(app)
+      .put(`/api/rounds/${created.body.data.id}/reorder`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ newRoundNumber: 1 })
+      .expect(200);
+    expect(response.body.data).toEqual({ oldRoundNumber: 4, newRoundNumber: 1 });
+
+    const rounds = await RecruitmentRound.getByCompany(testCompany._id);
+    expect(rounds.map(round => [round.roundNumber, round.name])).toEqual([
+      [1, 'Group Discussion'],
+      [2, 'Aptitude Test'],
+      [3, 'Technical Interview'],
+      [4, 'HR Interview']
+    ]);
+  });
+
+  it('should let recruiters manage only the rounds of their own company', async () => {
+    const otherCompany = await Company.create({
+      name: 'Other Company',
+      description: 'Other Description',
+      industry: 'Information Technology',
+      location: 'Other Location',
+      packageOffered: '8 LPA',
+      totalPositions: 5,
+      applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      status: 'approved',
+      createdBy: admin._id
+    });
+
+    await User.create({
+      name: 'Other Recruiter',
+      email: 'recruiter@other.com',
+      password: 'password123',
+      role: 'recruiter',
+      companyId: otherCompany._id
+    });
+    const recruiterLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'recruiter@other.com', password: 'password123' });
+    const recruiterToken = recruiterLogin.body.data.accessToken;
+
+    const studentLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'student@test.com', password: 'password123' });
+    const studentToken = studentLogin.body.data.accessToken;
+
+    const round = await RecruitmentRound.findOne({ companyId: testCompany._id, roundNumber: 1 });
+
+    await request(app)
+      .put(`/api/rounds/${round._id}/status`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .send({ status: 'completed' })
+      .expect(403);
+    expect((await RecruitmentRound.findById(round._id)).status).toBe('upcoming');
+
+    await request(app)
+      .post('/api/rounds')
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .send({ companyId: testCompany._id, name: 'Group Discussion', type: 'group_discussion' })
+      .expect(403);
+
+    await request(app)
+      .get(`/api/rounds/${round._id}/candidates`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .expect(403);
+
+    await request(app)
+      .get(`/api/rounds/${round._id}/candidates`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .expect(403);
+
+    // Their own company's rounds are theirs to manage
+    await request(app)
+      .post('/api/rounds')
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .send({ companyId: otherCompany._id, name: 'Group Discussion', type: 'group_discussion' })
+      .expect(201);
+  });
+
+  it('should migrate rounds of the former rounds collection', async () => {
+    const legacyRounds = mongoose.connection.db.collection('rounds');
+    const { insertedIds } = await legacyRounds.insertMany([
+      {
+        companyId: testCompany._id,
+        name: 'Case Study',
+        type: 'case_study',
+        sequence: 2,
+        duration: 60,
+        isActive: false,
+        createdBy: admin._id
+      },
+      {
+        companyId: testCompany._id,
+        name: 'Online Test',
+        type: 'online_test',
+        sequence: 1,
+        scheduledDate: new Date(Date.now() - 24 * 60 * 60 * 1000),
+        isActive: true,
+        evaluationCriteria: [{ name: 'Accuracy', weight: 100 }],
+        createdBy: admin._id
+      }
+    ]);
+
+    expect(await RecruitmentRound.migrateLegacyRounds()).toBe(2);
+    expect(await legacyRounds.countDocuments()).toBe(0);
+
+    // Merged with the default rounds by their old numbers, then by date
+    const rounds = await RecruitmentRound.getByCompany(testCompany._id);
+    expect(rounds.map(round => [round.roundNumber, round.name])).toEqual([
+      [1, 'Online Test'],
+      [2, 'Aptitude Test'],
+      [3, 'Technical Interview'],
+      [4, 'Case Study'],
+      [5, 'HR Interview']
+    ]);
+
+    // The past round was never run, so it is not completed
+    const onlineTest = await RecruitmentRound.findById(insertedIds[1]);
+    expect(onlineTest.toObject()).toMatchObject({ status: 'upcoming', type: 'online_test' });
+    expect(onlineTest.getFormattedInfo().evaluationCriteriaTotal).toBe(100);
+
+    const caseStudy = await RecruitmentRound.findById(insertedIds[0]);
+    expect(caseStudy.toObject()).toMatchObject({ status: 'cancelled', duration: '60 minutes' });
+
+    // Nothing is left to migrate
+    expect(await RecruitmentRound.migrateLegacyRounds()).toBe(0);
+  });
+});
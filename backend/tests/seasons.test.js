@@ -0,0 +1,170 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Company = require('../models/Company');
+const Season = require('../models/Season');
+
+describe('Placement Seasons', () => {
+  let admin;
+  let adminToken;
+
+  // Academic year running today, e.g. 2025-26 from July 2025 to June 2026
+  const now = new Date();
+  const startYear = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
+  const academicYear = (year) => `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+
+  const createCompany = (name) => Company.create({
+    name,
+    description: 'Test Description',
+    industry: 'Information Technology',
+    location: 'Test Location',
+    packageOffered: '10 LPA',
+    totalPositions: 5,
+    applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    status: 'approved',
+    createdBy: admin._id
+  });
+
+  const createSeason = (year) => request(app)
+    .post('/api/seasons')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ academicYear: academicYear(year), batch: year + 1 });
+
+  beforeEach(async () => {
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.accessToken;
+  });
+
+  it('should attach companies to the current season and scope lists by season', async () => {
+    const earlierCompany = await createCompany('Earlier Company');
+
+    const response = await createSeason(startYear).expect(201);
+    const { season, adopted } = response.body.data;
+    expect(season.name).toBe(`${academicYear(startYear)}, batch ${startYear + 1}`);
+    expect(season.isCurrent).toBe(true);
+    expect(adopted.Company).toBe(1);
+
+    const laterCompany = await createCompany('Later Company');
+    expect(laterCompany.seasonId.toString()).toBe(season.id);
+
+    // A company of last season is left out of the current season
+    const lastSeason = await Season.create({ academicYear: academicYear(startYear - 1), batch: startYear });
+    await Company.create({
+      name: 'Old Company',
+      description: 'Test Description',
+      industry: 'Information Technology',
+      location: 'Test Location',
+      packageOffered: '8 LPA',
+      totalPositions: 5,
+      applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      status: 'approved',
+      seasonId: lastSeason._id,
+      createdBy: admin._id
+    });
+
+    const current = await request(app)
+      .get('/api/companies?season=current')
+      .expect(200);
+    expect(current.body.data.companies.map(company => company.name).sort()).toEqual([
+      earlierCompany.name,
+      laterCompany.name
+    ]);
+
+    const dashboard = await request(app)
+      .get(`/api/dashboard/admin?season=${academicYear(startYear - 1)}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(dashboard.body.data.stats.overview.totalCompanies).toBe(1);
+    expect(dashboard.body.data.stats.season.academicYear).toBe(academicYear(startYear - 1));
+  });
+
+  it('should make a closed season read-only until it is reopened', async () => {
+    const { season } = (await createSeason(startYear).expect(201)).body.data;
+    const company = await createCompany('Seasonal Company');
+
+    await request(app)
+      .post(`/api/seasons/${season.id}/archive`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    await request(app)
+      .post(`/api/seasons/${season.id}/close`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const closed = await request(app)
+      .put(`/api/companies/${company._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ totalPositions: 10 })
+      .expect(403);
+    expect(closed.body.message).toContain('read-only');
+
+    // Closed seasons are still reported
+    const current = await request(app)
+      .get('/api/seasons')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(current.body.data.currentSeasonId).toBeNull();
+    expect(current.body.data.seasons[0].status).toBe('closed');
+
+    await request(app)
+      .post(`/api/seasons/${season.id}/reopen`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .put(`/api/companies/${company._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ totalPositions: 10 })
+      .expect(200);
+  });
+
+  it('should compare seasons year over year', async () => {
+    const createStudent = async (rollNumber, batch, fields = {}) => {
+      const user = await User.create({
+        name: rollNumber,
+        email: `${rollNumber.toLowerCase()}@test.com`,
+        password: 'password123',
+        role: 'student'
+      });
+      return Student.create({
+        userId: user._id,
+        rollNumber,
+        branch: 'Computer Science',
+        cgpa: 8,
+        phone: '9876543210',
+        batch,
+        ...fields
+      });
+    };
+
+    await createSeason(startYear - 1).expect(201);
+    await createSeason(startYear).expect(201);
+
+    await createStudent('OLD001', startYear, { placed: true, package: '10 LPA' });
+    await createStudent('NEW001', startYear + 1, { placed: true, package: '12 LPA' });
+    await createStudent('NEW002', startYear + 1);
+
+    const response = await request(app)
+      .get('/api/reports/seasons')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const [previous, current] = response.body.data.seasons;
+    expect(previous.season.academicYear).toBe(academicYear(startYear - 1));
+    expect(previous.statistics.students).toMatchObject({ total: 1, placed: 1, placementRate: 100 });
+    expect(previous.change).toBeNull();
+    expect(current.statistics.students).toMatchObject({ total: 2, placed: 1, placementRate: 50 });
+    expect(current.change).toMatchObject({ placementRate: -50, placedStudents: 0, averagePackage: 2 });
+  });
+});
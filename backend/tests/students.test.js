@@ -4,6 +4,7 @@ const User = require('../models/User');
 const Student = require('../models/Student');
 const Company = require('../models/Company');
 const ApplicationWindow = require('../models/ApplicationWindow');
+const Application = require('../models/Application');
 
 describe('Student Routes', () => {
   let adminToken;
@@ -61,6 +62,7 @@ describe('Student Routes', () => {
       packageOffered: '10 LPA',
       totalPositions: 10,
       applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      status: 'approved',
       createdBy: admin._id
     });
     await testCompany.save();
@@ -191,6 +193,181 @@ describe('Student Routes', () => {
     });
   });
 
+  describe('Profile completeness', () => {
+    it('should score the profile and list what is missing', async () => {
+      let response = await request(app)
+        .get(`/api/students/${testStudent._id}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.profileCompleteness.score).toBe(10);
+      expect(response.body.data.profileCompleteness.missing.map(entry => entry.item))
+        .toEqual(['resume', 'skills', 'academicHistory', 'projects']);
+
+      await request(app)
+        .put(`/api/students/${testStudent._id}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({
+          skills: ['JavaScript', 'React', 'Node.js'],
+          projects: [{ title: 'Placement Portal', technologies: ['React'] }]
+        })
+        .expect(200);
+
+      response = await request(app)
+        .get('/api/students?minCompleteness=40&sortBy=profileCompleteness')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.students).toHaveLength(1);
+      expect(response.body.data.students[0].profileCompleteness).toBe(45);
+    });
+
+    it('should keep students below the window minimum from applying', async () => {
+      testWindow.minProfileCompleteness = 50;
+      await testWindow.save();
+
+      const result = await testWindow.checkStudentEligibility(testStudent._id);
+      expect(result.eligible).toBe(false);
+      expect(result.reason).toContain('at least 50% complete (yours is 10%)');
+      expect(await testWindow.getEligibleStudentsCount()).toBe(0);
+    });
+  });
+
+  describe('Portfolio', () => {
+    it('should manage portfolio items and reject incomplete ones', async () => {
+      let response = await request(app)
+        .post(`/api/students/${testStudent._id}/portfolio/internships`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ company: 'Acme', startDate: '2024-06-01' })
+        .expect(400);
+
+      expect(response.body.message).toContain('Position is required');
+
+      response = await request(app)
+        .post(`/api/students/${testStudent._id}/portfolio/internships`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ company: 'Acme', position: 'Intern', startDate: '2024-06-01', endDate: '2024-08-01' })
+        .expect(201);
+
+      const itemId = response.body.data.item._id;
+
+      await request(app)
+        .put(`/api/students/${testStudent._id}/portfolio/internships/${itemId}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ position: 'Software Intern' })
+        .expect(200);
+
+      response = await request(app)
+        .get(`/api/students/${testStudent._id}/portfolio`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.portfolio.internships[0].position).toBe('Software Intern');
+
+      await request(app)
+        .delete(`/api/students/${testStudent._id}/portfolio/internships/${itemId}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      const student = await Student.findById(testStudent._id);
+      expect(student.internships).toHaveLength(0);
+    });
+
+    it('should snapshot the portfolio into submitted applications', async () => {
+      const response = await request(app)
+        .post(`/api/students/${testStudent._id}/portfolio/projects`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ title: 'Placement Portal', technologies: ['React', 'Node.js'] })
+        .expect(201);
+
+      await request(app)
+        .post('/api/applications')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({
+          companyId: testCompany._id,
+          formData: { projectDetails: [{ title: 'Typed into the form' }] }
+        })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/students/${testStudent._id}/portfolio/projects/${response.body.data.item._id}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ title: 'Renamed Project' })
+        .expect(200);
+
+      const application = await Application.findOne({ studentId: testStudent._id });
+      expect(application.formData.projectDetails).toHaveLength(1);
+      expect(application.formData.projectDetails[0].title).toBe('Placement Portal');
+      expect(application.formData.projectDetails[0].technologies).toEqual(['React', 'Node.js']);
+    });
+  });
+
+  describe('Placement preferences', () => {
+    it('should rank or filter the companies list by the student preferences', async () => {
+      await Company.create({
+        name: 'Remote Fintech',
+        description: 'Payments',
+        industry: 'Finance',
+        location: 'Remote',
+        packageOffered: '18 LPA',
+        totalPositions: 2,
+        applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+        status: 'approved',
+        createdBy: testCompany.createdBy
+      });
+
+      await request(app)
+        .put(`/api/students/${testStudent._id}/preferences`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ locations: ['Remote'], minPackage: 15 })
+        .expect(200);
+
+      let response = await request(app)
+        .get('/api/companies')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.companies.map(company => company.name)).toEqual(['Remote Fintech', 'Test Company']);
+      expect(response.body.data.companies[1].preferenceMatch.mismatches).toHaveLength(2);
+
+      response = await request(app)
+        .get('/api/companies?preferences=filter')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.companies).toHaveLength(1);
+      expect(response.body.data.companies[0].preferenceMatch.score).toBe(100);
+    });
+
+    it('should reject unknown role types and keep preferences that are not sent', async () => {
+      await request(app)
+        .put(`/api/students/${testStudent._id}/preferences`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ roleTypes: ['contract'] })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/students/${testStudent._id}/preferences`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ industries: ['Finance'], roleTypes: ['internship'] })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/students/${testStudent._id}/preferences`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ minPackage: 6 })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/students/${testStudent._id}/preferences`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.placementPreferences.industries).toEqual(['Finance']);
+      expect(response.body.data.placementPreferences.minPackage).toBe(6);
+    });
+  });
+
   describe('PUT /api/students/:id', () => {
     it('should update student for admin', async () => {
       const updateData = {
@@ -262,6 +439,216 @@ describe('Student Routes', () => {
     });
   });
 
+  describe('PUT /api/students/:id/academic-record', () => {
+    const academicRecord = {
+      tenth: { board: 'CBSE', percentage: 92, passingYear: 2018 },
+      twelfth: { qualification: 'diploma', percentage: 78, passingYear: 2020 },
+      semesters: [
+        { semester: 1, sgpa: 8, credits: 20 },
+        { semester: 2, sgpa: 9, credits: 20 }
+      ],
+      backlogs: [
+        { subjectName: 'Engineering Mathematics', semester: 1, status: 'cleared', clearedOn: '2021-06-01' },
+        { subjectName: 'Physics', semester: 2 }
+      ]
+    };
+
+    it('should calculate CGPA and backlog counts from the record', async () => {
+      const response = await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(academicRecord)
+        .expect(200);
+
+      expect(response.body.data.cgpa).toBe(8.5);
+      expect(response.body.data.activeBacklogs).toBe(1);
+      expect(response.body.data.totalBacklogs).toBe(2);
+    });
+
+    it('should not allow overwriting calculated fields directly', async () => {
+      await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(academicRecord)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/students/${testStudent._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ cgpa: 9.9 })
+        .expect(400);
+    });
+
+    it('should reject a cleared backlog without a cleared date', async () => {
+      await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ backlogs: [{ subjectName: 'Physics', semester: 2, status: 'cleared' }] })
+        .expect(400);
+    });
+
+    it('should apply backlog history and 10th/12th cut-offs to eligibility', async () => {
+      await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(academicRecord)
+        .expect(200);
+
+      testWindow.maxBacklogHistory = 1;
+      await testWindow.save();
+      let eligibility = await testWindow.checkStudentEligibility(testStudent._id);
+      expect(eligibility.eligible).toBe(false);
+      expect(eligibility.reason).toContain('including cleared');
+
+      testWindow.maxBacklogHistory = undefined;
+      testWindow.minTwelfthPercentage = 80;
+      await testWindow.save();
+      eligibility = await testWindow.checkStudentEligibility(testStudent._id);
+      expect(eligibility.eligible).toBe(false);
+      expect(eligibility.reason).toContain('12th/diploma');
+
+      testWindow.minTwelfthPercentage = 75;
+      testWindow.minTenthPercentage = 90;
+      await testWindow.save();
+      eligibility = await testWindow.checkStudentEligibility(testStudent._id);
+      expect(eligibility.eligible).toBe(true);
+      expect(await testWindow.getEligibleStudentsCount()).toBe(1);
+    });
+  });
+
+  describe('Academic verification', () => {
+    const semesters = [{ semester: 1, sgpa: 9, credits: 20 }];
+
+    it('should keep data submitted by a student pending until verified', async () => {
+      const response = await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ semesters })
+        .expect(200);
+
+      expect(response.body.data.verification.semesters.status).toBe('pending');
+
+      const queue = await request(app)
+        .get('/api/students/academic-verifications')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(queue.body.data.students[0].sections).toEqual(['semesters']);
+
+      await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record/verification`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ section: 'semesters', status: 'rejected' })
+        .expect(400);
+
+      const verified = await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record/verification`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ section: 'semesters', status: 'verified' })
+        .expect(200);
+      expect(verified.body.data.verification.semesters.status).toBe('verified');
+    });
+
+    it('should queue changes to verified data for review', async () => {
+      await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ semesters })
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ semesters: [{ semester: 1, sgpa: 9.5, credits: 20 }], reason: 'Revaluation result' })
+        .expect(200);
+
+      expect(response.body.data.cgpa).toBe(9);
+      expect(response.body.data.changeRequests).toHaveLength(1);
+
+      const approved = await request(app)
+        .put(`/api/students/academic-change-requests/${response.body.data.changeRequests[0].id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'approved' })
+        .expect(200);
+      expect(approved.body.data.changeRequest.status).toBe('approved');
+
+      const student = await Student.findById(testStudent._id);
+      expect(student.cgpa).toBe(9.5);
+      expect(student.getVerificationStatus('semesters')).toBe('verified');
+    });
+
+    it('should only count verified CGPA when asked to', async () => {
+      testCompany.eligibilityCriteria = { minCGPA: 7 };
+      await testCompany.save();
+
+      await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ semesters })
+        .expect(200);
+
+      const check = (verifiedOnly) => request(app)
+        .post('/api/eligibility/check')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ studentId: testStudent._id, companyId: testCompany._id, verifiedOnly })
+        .expect(200);
+
+      expect((await check(false)).body.data.criteria.minCGPA.met).toBe(true);
+
+      const response = await check(true);
+      expect(response.body.data.criteria.minCGPA.met).toBe(false);
+      expect(response.body.data.reason).toContain('not been verified');
+    });
+
+    it('should check eligibility rules against verified data when asked to', async () => {
+      testWindow.eligibilityRule = { field: 'cgpa', operator: 'gte', value: 7 };
+      await testWindow.save();
+
+      await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ semesters })
+        .expect(200);
+
+      const check = (verifiedOnly) => request(app)
+        .post('/api/eligibility/check')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ studentId: testStudent._id, companyId: testCompany._id, verifiedOnly })
+        .expect(200);
+
+      expect((await check(false)).body.data.criteria.rule.met).toBe(true);
+
+      const response = await check(true);
+      expect(response.body.data.criteria.rule.met).toBe(false);
+      expect(response.body.data.criteria.rule.failures[0]).toContain('not verified');
+    });
+
+    it('should not count a CGPA no one has reviewed as verified', async () => {
+      const student = await Student.findById(testStudent._id);
+      expect(student.getVerificationStatus('semesters')).toBe('unverified');
+      expect(student.getVerifiedAcademicData().cgpa).toBeNull();
+      expect(await Student.countDocuments(Student.getVerifiedFilter(['semesters']))).toBe(0);
+    });
+
+    it('should only recalculate CGPA from semesters once they are verified', async () => {
+      const response = await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ semesters })
+        .expect(200);
+      expect(response.body.data.cgpa).toBe(8.5);
+
+      await request(app)
+        .put(`/api/students/${testStudent._id}/academic-record/verification`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ section: 'semesters', status: 'verified' })
+        .expect(200);
+
+      const student = await Student.findById(testStudent._id);
+      expect(student.cgpa).toBe(9);
+      expect(student.getVerifiedAcademicData().cgpa).toBe(9);
+    });
+  });
+
   describe('POST /api/students/bulk-upload', () => {
     it('should handle bulk upload simulation', async () => {
       // Since we can't actually upload files in this test environment,
@@ -274,6 +661,61 @@ describe('Student Routes', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('No file uploaded');
     });
+
+    const csvFile = Buffer.from([
+      'Name,Roll Number,Email,Phone,Branch,CGPA,Batch,Backlogs',
+      'New Student,ST002,new@test.com,9876543211,Information Technology,7.9,2024,0',
+      'Student User,ST001,student@test.com,9876543210,Computer Science,8.8,2024,1',
+      'Bad Student,ST003,bad@test.com,12345,Astrology,7.0,2024,0'
+    ].join('\n'));
+
+    const upload = (fields) => {
+      const uploadRequest = request(app)
+        .post('/api/students/bulk-upload')
+        .set('Authorization', `Bearer ${adminToken}`);
+      Object.entries(fields).forEach(([name, value]) => uploadRequest.field(name, value));
+      return uploadRequest.attach('file', csvFile, 'students.csv');
+    };
+
+    it('should preview an upsert without saving', async () => {
+      const response = await upload({ mode: 'upsert', dryRun: 'true' }).expect(200);
+      const { summary, rows } = response.body.data;
+
+      expect(summary).toMatchObject({ total: 3, create: 1, update: 1, error: 1 });
+      expect(rows[1].changes).toEqual([
+        { field: 'cgpa', from: 8.5, to: 8.8 },
+        { field: 'backlogs', from: 0, to: 1 }
+      ]);
+      expect(rows[2].row).toBe(4);
+      expect(rows[2].errors.length).toBeGreaterThan(0);
+
+      expect(await Student.countDocuments()).toBe(1);
+      expect((await Student.findById(testStudent._id)).cgpa).toBe(8.5);
+    });
+
+    it('should insert new students and update existing ones by roll number', async () => {
+      const insert = await upload({}).expect(200);
+      expect(insert.body.data.summary).toMatchObject({ create: 1, skip: 1, error: 1 });
+
+      // Students uploaded without a password are sent a link to set one
+      expect(insert.body.data.rows[0].passwordSetup).toBe(true);
+      const newUser = await User.findOne({ email: 'new@test.com' }).select('+passwordResetExpires');
+      expect(newUser.passwordResetExpires.getTime()).toBeGreaterThan(Date.now() + 24 * 60 * 60 * 1000);
+
+      await upload({ mode: 'upsert' }).expect(200);
+      const updatedStudent = await Student.findById(testStudent._id);
+      expect(updatedStudent.cgpa).toBe(8.8);
+      expect(updatedStudent.totalBacklogs).toBe(1);
+      expect(await Student.countDocuments()).toBe(2);
+    });
+
+    it('should return an error report of the rows that cannot be imported', async () => {
+      const response = await upload({ report: 'csv' }).expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.text).toContain('ST003');
+      expect(response.text).not.toContain('ST002');
+    });
   });
 
   describe('DELETE /api/students/:id', () => {
@@ -0,0 +1,234 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Company = require('../models/Company');
+const Tenant = require('../models/Tenant');
+const { decodeToken } = require('../utils/jwt');
+
+describe('Multi-institution tenancy', () => {
+  let platformToken;
+  let campusToken;
+  let campus;
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return response.body.data.accessToken;
+  };
+
+  const studentData = (email) => ({
+    name: 'Test Student',
+    email,
+    password: 'password123',
+    rollNumber: 'ST001',
+    branch: 'Computer Science',
+    cgpa: 8.0,
+    phone: '9876543210',
+    batch: 2024
+  });
+
+  beforeEach(async () => {
+    // Users without an institution are platform administrators
+    await User.create({
+      name: 'Platform Admin',
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    platformToken = await login('admin@test.com');
+
+    campus = await Tenant.create({ name: 'North Campus', code: 'north' });
+    await User.create({
+      name: 'Campus Admin',
+      email: 'north.admin@test.com',
+      password: 'password123',
+      role: 'admin',
+      tenantId: campus._id
+    });
+    campusToken = await login('north.admin@test.com');
+  });
+
+  it('should carry the institution in the access token', async () => {
+    expect(decodeToken(campusToken).tid).toBe(campus._id.toString());
+    expect(decodeToken(platformToken).tid).toBeUndefined();
+  });
+
+  it('should keep students isolated and roll numbers unique per institution', async () => {
+    await request(app)
+      .post('/api/students')
+      .set('Authorization', `Bearer ${platformToken}`)
+      .send(studentData('primary.student@test.com'))
+      .expect(201);
+
+    // Same roll number in another institution
+    await request(app)
+      .post('/api/students')
+      .set('Authorization', `Bearer ${campusToken}`)
+      .send(studentData('north.student@test.com'))
+      .expect(201);
+
+    const campusList = await request(app)
+      .get('/api/students')
+      .set('Authorization', `Bearer ${campusToken}`)
+      .expect(200);
+
+    expect(campusList.body.data.students).toHaveLength(1);
+    expect(campusList.body.data.students[0].userId.email).toBe('north.student@test.com');
+
+    const student = await Student.findOne({ tenantId: campus._id });
+    expect(student).not.toBeNull();
+  });
+
+  it('should let platform administrators act on an institution with X-Tenant', async () => {
+    await request(app)
+      .post('/api/students')
+      .set('Authorization', `Bearer ${campusToken}`)
+      .send(studentData('north.student@test.com'))
+      .expect(201);
+
+    const primaryList = await request(app)
+      .get('/api/students')
+      .set('Authorization', `Bearer ${platformToken}`)
+      .expect(200);
+    expect(primaryList.body.data.students).toHaveLength(0);
+
+    const campusList = await request(app)
+      .get('/api/students')
+      .set('Authorization', `Bearer ${platformToken}`)
+      .set('X-Tenant', 'north')
+      .expect(200);
+    expect(campusList.body.data.students).toHaveLength(1);
+  });
+
+  it('should not let institution members act on another institution', async () => {
+    await Tenant.create({ name: 'South Campus', code: 'south' });
+
+    const response = await request(app)
+      .get('/api/students')
+      .set('Authorization', `Bearer ${campusToken}`)
+      .set('X-Tenant', 'south')
+      .expect(403);
+
+    expect(response.body.code).toBe('TENANT_MISMATCH');
+  });
+
+  it('should reject unknown institutions', async () => {
+    const response = await request(app)
+      .get('/api/companies')
+      .set('X-Tenant', 'unknown')
+      .expect(400);
+
+    expect(response.body.code).toBe('TENANT_NOT_FOUND');
+  });
+
+  it('should share companies unless they are kept private', async () => {
+    const companyData = {
+      description: 'Test Description',
+      industry: 'Information Technology',
+      location: 'Test Location',
+      packageOffered: '10 LPA',
+      totalPositions: 10,
+      applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+    };
+
+    await request(app)
+      .post('/api/companies')
+      .set('Authorization', `Bearer ${platformToken}`)
+      .send({ ...companyData, name: 'Shared Company' })
+      .expect(201);
+
+    await request(app)
+      .post('/api/companies')
+      .set('Authorization', `Bearer ${platformToken}`)
+      .send({ ...companyData, name: 'Private Company', isShared: false })
+      .expect(201);
+
+    const response = await request(app)
+      .get('/api/companies')
+      .set('Authorization', `Bearer ${campusToken}`)
+      .expect(200);
+
+    const names = response.body.data.companies.map(company => company.name);
+    expect(names).toContain('Shared Company');
+    expect(names).not.toContain('Private Company');
+    expect(await Company.countDocuments()).toBe(2);
+  });
+
+  describe('Institution management', () => {
+    it('should create an institution with its first administrator', async () => {
+      const response = await request(app)
+        .post('/api/tenants')
+        .set('Authorization', `Bearer ${platformToken}`)
+        .send({
+          name: 'South Campus',
+          code: 'south',
+          admin: { name: 'South Admin', email: 'south.admin@test.com', password: 'password123' }
+        })
+        .expect(201);
+
+      const admin = await User.findOne({ email: 'south.admin@test.com' });
+      expect(admin.tenantId.toString()).toBe(response.body.data.tenant.id);
+      expect(admin.mustChangePassword).toBe(true);
+    });
+
+    it('should not let institution administrators manage institutions', async () => {
+      await request(app)
+        .get('/api/tenants')
+        .set('Authorization', `Bearer ${campusToken}`)
+        .expect(403);
+    });
+
+    it('should sign out members of a deactivated institution', async () => {
+      await request(app)
+        .put(`/api/tenants/${campus._id}`)
+        .set('Authorization', `Bearer ${platformToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${campusToken}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'north.admin@test.com', password: 'password123' })
+        .expect(401);
+    });
+  });
+
+  describe('Deployment-wide settings', () => {
+    it('should leave roles and the two-factor policy to platform administrators', async () => {
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${campusToken}`)
+        .send({ name: 'placement-officer', displayName: 'Placement Officer', permissions: ['students:read'] })
+        .expect(403);
+
+      await request(app)
+        .put('/api/auth/mfa/policy')
+        .set('Authorization', `Bearer ${campusToken}`)
+        .send({ mfaRequiredRoles: ['student'] })
+        .expect(403);
+
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${platformToken}`)
+        .send({ name: 'placement-officer', displayName: 'Placement Officer', permissions: ['students:read'] })
+        .expect(201);
+    });
+
+    it('should only show an institution its own login attempts', async () => {
+      const response = await request(app)
+        .get('/api/users/login-attempts')
+        .set('Authorization', `Bearer ${campusToken}`)
+        .expect(200);
+
+      const emails = response.body.data.attempts.map(attempt => attempt.email);
+      expect(emails).toContain('north.admin@test.com');
+      expect(emails).not.toContain('admin@test.com');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const { getRequestContext } = require('../middleware/requestContext');
+
+// Models that are logs themselves or change on every request
+const EXCLUDED_MODELS = ['AuditLog', 'LoginAttempt', 'Session', 'Notification', 'ApplicationReviewHistory'];
+
+// Bookkeeping fields that are not worth an audit entry on their own
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'lastLogin', 'failedLoginAttempts', 'lockUntil', 'mfaLastUsedStep', 'requestCount', 'lastRequestAt'];
+
+// Secrets are recorded as changed, never with their values
+const REDACTED_FIELDS = ['password', 'passwordResetToken', 'passwordResetExpires', 'mfaSecret', 'mfaPendingSecret', 'mfaRecoveryCodes', 'refreshTokenHash', 'tokenHash'];
+const REDACTED = '[REDACTED]';
+
+const UPDATE_OPERATIONS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_OPERATIONS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const SINGLE_DOCUMENT_OPERATIONS = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'findOneAndDelete'];
+
+const isAudited = (modelName) => !!modelName && !EXCLUDED_MODELS.includes(modelName);
+
+// Normalize values so documents loaded differently (lean vs hydrated) compare equal
+const normalize = (value) => {
+  if (value && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = normalize(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const redact = (field, value) => (REDACTED_FIELDS.includes(field) && value !== undefined ? REDACTED : value);
+
+// Compare two plain objects field by field (top-level fields only)
+const diff = (before = {}, after = {}, fields = null) => {
+  const candidates = fields || [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return candidates
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => !isEqual(before[field], after[field]))
+    .map(field => ({
+      field,
+      before: redact(field, before[field]),
+      after: redact(field, after[field])
+    }));
+};
+
+// Entries are written in the session of the change, so they are committed or
+// rolled back with it
+const writeEntry = (context, action, targetModel, targetId, changes, session = null) => {
+  if (changes.length === 0) {
+    return null;
+  }
+
+  const { actor, impersonator } = context;
+  return mongoose.model('AuditLog').record({
+    actorId: actor ? actor._id : null,
+    actorEmail: actor ? actor.email : undefined,
+    actorRole: actor ? actor.role : undefined,
+    impersonatorId: impersonator ? impersonator._id : undefined,
+    impersonatorEmail: impersonator ? impersonator.email : undefined,
+    action,
+    targetModel,
+    targetId,
+    changes,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    requestId: context.requestId,
+    method: context.method,
+    path: context.path
+  }, session);
+};
+
+// Select fields hidden by default so before/after snapshots are comparable
+const getHiddenFieldSelection = (schema) => Object.keys(schema.paths)
+  .filter(path => schema.paths[path].options && schema.paths[path].options.select === false)
+  .map(path => `+${path}`)
+  .join(' ');
+
+// Mongoose plugin recording create/update/delete operations made while
+// handling an API request. Operations outside a request (startup, scripts)
+// are not recorded.
+const auditTrail = (schema) => {
+  const hiddenFields = getHiddenFieldSelection(schema);
+
+  const findSnapshots = (model, filter, options = {}, single = false) => {
+    let query = model.find(filter).select(hiddenFields).lean();
+    if (options.sort) query = query.sort(options.sort);
+    if (single) query = query.limit(1);
+    if (options.session) query = query.session(options.session);
+    return query;
+  };
+
+  // Document saves (create and save-based updates)
+  schema.pre('save', async function() {
+    const context = getRequestContext();
+    if (!context || this.$isSubdocument || !isAudited(this.constructor.modelName)) {
+      return;
+    }
+
+    if (this.isNew) {
+      this.$locals.audit = { context, action: 'create' };
+      return;
+    }
+
+    const fields = [...new Set(this.modifiedPaths().map(path => path.split('.')[0]))];
+    if (fields.length === 0) {
+      return;
+    }
+
+    const [before] = await findSnapshots(this.constructor, { _id: this._id }, { session: this.$session() }, true);
+    this.$locals.audit = { context, action: 'update', before, fields };
+  });
+
+  schema.post('save', async function() {
+    const audit = this.$locals.audit;
+    if (!audit) {
+      return;
+    }
+    delete this.$locals.audit;
+
+    const after = this.toObject({ depopulate: true });
+    const changes = audit.action === 'create'
+      ? diff({}, after)
+      : diff(audit.before, after, audit.fields);
+
+    await writeEntry(audit.context, audit.action, this.constructor.modelName, this._id, changes, this.$session());
+  });
+
+  // Query updates (updateOne, findByIdAndUpdate, updateMany, ...)
+  schema.pre(UPDATE_OPERATIONS, async function() {
+    const context = getRequestContext();
+    if (!context || !isAudited(this.model.modelName)) {
+      return;
+    }
+
+    const before = await findSnapshots(this.model, this.getFilter(), this.getOptions(), SINGLE_DOCUMENT_OPERATIONS.includes(this.op));
+    this._auditState = { context, before };
+  });
+
+  schema.post(UPDATE_OPERATIONS, async function(result) {
+    const audit = this._auditState;
+    if (!audit) {
+      return;
+    }
+    delete this._auditState;
+
+    const ids = audit.before.map(doc => doc._id);
+    const afterDocs = ids.length > 0
+      ? await findSnapshots(this.model, { _id: { $in: ids } }, { session: this.getOptions().session })
+      : [];
+    const afterById = new Map(afterDocs.map(doc => [doc._id.toString(), doc]));
+
+    for (const before of audit.before) {
+      await writeEntry(audit.context, 'update', this.model.modelName, before._id, diff(before, afterById.get(before._id.toString())), this.getOptions().session);
+    }
+
+    // Upserts that inserted a new document
+    const upsertedId = result && (result.upsertedId || (ids.length === 0 && result._id));
+    if (upsertedId) {
+      const [created] = await findSnapshots(this.model, { _id: upsertedId }, { session: this.getOptions().session }, true);
+      if (created) {
+        await writeEntry(audit.context, 'create', this.model.modelName, created._id, diff({}, created), this.getOptions().session);
+      }
+    }
+  });
+
+  // Query deletes (deleteOne, findByIdAndDelete, deleteMany)
+  schema.pre(DELETE_OPERATIONS, { query: true, document: false }, async function() {
+    const context = getRequestContext();
+    if (!context || !isAudited(this.model.modelName)) {
+      return;
+    }
+
+    const before = await findSnapshots(this.model, this.getFilter(), this.getOptions(), SINGLE_DOCUMENT_OPERATIONS.includes(this.op));
+    this._auditState = { context, before };
+  });
+
+  schema.post(DELETE_OPERATIONS, { query: true, document: false }, async function() {
+    const audit = this._auditState;
+    if (!audit) {
+      return;
+    }
+    delete this._auditState;
+
+    for (const before of audit.before) {
+      await writeEntry(audit.context, 'delete', this.model.modelName, before._id, diff(before, {}), this.getOptions().session);
+    }
+  });
+
+  // Document deletes (doc.deleteOne())
+  schema.pre('deleteOne', { document: true, query: false }, async function() {
+    const context = getRequestContext();
+    if (!context || this.$isSubdocument || !isAudited(this.constructor.modelName)) {
+      return;
+    }
+
+    const [before] = await findSnapshots(this.constructor, { _id: this._id }, { session: this.$session() }, true);
+    this.$locals.audit = { context, before };
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    const audit = this.$locals.audit;
+    if (!audit || !audit.before) {
+      return;
+    }
+    delete this.$locals.audit;
+
+    await writeEntry(audit.context, 'delete', this.constructor.modelName, this._id, diff(audit.before, {}), this.$session());
+  });
+
+  // Bulk inserts
+  schema.post('insertMany', async function(docs) {
+    const context = getRequestContext();
+    if (!context || !isAudited(this.modelName)) {
+      return;
+    }
+
+    for (const doc of docs) {
+      await writeEntry(context, 'create', this.modelName, doc._id, diff({}, doc.toObject({ depopulate: true })), doc.$session());
+    }
+  });
+};
+
+module.exports = auditTrail;
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+
+// Structured compensation of a job or placement. Yearly amounts (fixed,
+// variable, joining bonus, CTC) and monthly amounts (stipend, in-hand) are in
+// units of the currency, e.g. { currency: 'INR', fixed: 1000000, variable:
+// 150000, ctc: 1200000 }. Reports compare packages as CTC in lakhs per annum
+// (LPA); packages in other currencies are left out of them.
+
+const DEFAULT_CURRENCY = 'INR';
+const LAKH = 100000;
+
+// Share of the monthly fixed pay left after provident fund and taxes, used to
+// estimate the in-hand salary when it is not given
+const IN_HAND_RATIO = 0.8;
+
+const compensationSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code'],
+    default: DEFAULT_CURRENCY
+  },
+  fixed: {
+    type: Number,
+    min: [0, 'Fixed pay cannot be negative']
+  },
+  variable: {
+    type: Number,
+    min: [0, 'Variable pay cannot be negative']
+  },
+  joiningBonus: {
+    type: Number,
+    min: [0, 'Joining bonus cannot be negative']
+  },
+  // Per month
+  stipend: {
+    type: Number,
+    min: [0, 'Stipend cannot be negative']
+  },
+  ctc: {
+    type: Number,
+    min: [0, 'CTC cannot be negative']
+  },
+  // Per month; estimated from the fixed pay when not given
+  inHand: {
+    type: Number,
+    min: [0, 'In-hand salary cannot be negative']
+  },
+  bondMonths: {
+    type: Number,
+    min: [0, 'Bond duration cannot be negative']
+  }
+}, { _id: false });
+
+// CTC as given, or else fixed + variable + joining bonus; null without fixed pay
+const getCtc = (compensation) => {
+  if (typeof compensation.ctc === 'number') {
+    return compensation.ctc;
+  }
+  if (typeof compensation.fixed !== 'number') {
+    return null;
+  }
+  return compensation.fixed + (compensation.variable || 0) + (compensation.joiningBonus || 0);
+};
+
+compensationSchema.pre('validate', function(next) {
+  const ctc = getCtc(this);
+  if (ctc !== null) {
+    this.ctc = ctc;
+  }
+
+  if ((this.inHand === undefined || this.inHand === null) && typeof this.fixed === 'number') {
+    this.inHand = Math.round((this.fixed * IN_HAND_RATIO) / 12);
+  }
+
+  next();
+});
+
+const CURRENCIES = [
+  { code: 'USD', pattern: /\$|\busd\b/i },
+  { code: 'EUR', pattern: /€|\beur\b/i },
+  { code: 'GBP', pattern: /£|\bgbp\b/i },
+  { code: 'INR', pattern: /₹|\brs\.?|\binr\b/i }
+];
+
+const UNITS = { k: 1000, l: LAKH, lakh: LAKH, lakhs: LAKH, lpa: LAKH, cr: 100 * LAKH, crore: 100 * LAKH, crores: 100 * LAKH };
+
+// Read an amount from free text ("12 LPA", "₹8,00,000", "$120k", "50000/month").
+// Bare amounts below 1000 in rupees are taken as lakhs. Returns
+// { currency, amount, perMonth }, or null when there is no number.
+const parseAmount = (text) => {
+  const value = String(text || '').replace(/,/g, '');
+  const match = value.match(/(\d+(?:\.\d+)?)\s*(k|lakhs?|lpa|l|crores?|cr)?\b/i);
+  if (!match) {
+    return null;
+  }
+
+  const currency = (CURRENCIES.find(({ pattern }) => pattern.test(value)) || { code: DEFAULT_CURRENCY }).code;
+  const unit = (match[2] || '').toLowerCase();
+  let amount = parseFloat(match[1]);
+  if (unit) {
+    amount *= UNITS[unit];
+  } else if (currency === 'INR' && amount < 1000) {
+    amount *= LAKH;
+  }
+
+  return { currency, amount, perMonth: /month|\bpm\b|\/\s*m\b/i.test(value) };
+};
+
+// Parse a free-text package into compensation: a CTC by default, or a monthly
+// stipend. Returns null when the text has no amount.
+const parseCompensation = (text, kind = 'ctc') => {
+  const parsed = parseAmount(text);
+  if (!parsed) {
+    return null;
+  }
+
+  const { currency, amount, perMonth } = parsed;
+  if (kind === 'stipend') {
+    return { currency, stipend: Math.round(perMonth ? amount : amount / 12) };
+  }
+  return { currency, ctc: Math.round(perMonth ? amount * 12 : amount) };
+};
+
+// Package of a compensation as CTC in lakhs per annum; null when the CTC is
+// not known or not in rupees
+const toPackageValue = (compensation) => {
+  const ctc = compensation ? getCtc(compensation) : null;
+  if (ctc === null) {
+    return null;
+  }
+  return (compensation.currency || DEFAULT_CURRENCY) === DEFAULT_CURRENCY ? ctc / LAKH : null;
+};
+
+// Short text for a compensation, e.g. "12 LPA", "USD 120,000 per annum" or "25,000 per month stipend"
+const formatCompensation = (compensation) => {
+  if (!compensation) {
+    return null;
+  }
+
+  const currency = compensation.currency || DEFAULT_CURRENCY;
+  const ctc = getCtc(compensation);
+  if (ctc !== null) {
+    return currency === DEFAULT_CURRENCY
+      ? `${Number((ctc / LAKH).toFixed(2))} LPA`
+      : `${currency} ${ctc.toLocaleString('en-US')} per annum`;
+  }
+  if (typeof compensation.stipend === 'number') {
+    return `${currency === DEFAULT_CURRENCY ? '' : `${currency} `}${compensation.stipend.toLocaleString('en-IN')} per month stipend`;
+  }
+  return null;
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+// Value at a percentile of sorted values, interpolating between neighbours
+const percentile = (sorted, p) => {
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Summarize packages (in LPA): count, highest, lowest, average, median and the
+// 25th, 75th and 90th percentiles
+const summarizePackages = (values) => {
+  if (values.length === 0) {
+    return { count: 0, highest: null, lowest: null, average: null, median: null, percentiles: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    highest: round(sorted[sorted.length - 1]),
+    lowest: round(sorted[0]),
+    average: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    median: round(percentile(sorted, 50)),
+    percentiles: {
+      p25: round(percentile(sorted, 25)),
+      p75: round(percentile(sorted, 75)),
+      p90: round(percentile(sorted, 90))
+    }
+  };
+};
+
+// Summarize packages of entries ({ package, ...fields }) grouped by a field
+const summarizePackagesBy = (entries, field) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    if (!groups.has(entry[field])) {
+      groups.set(entry[field], []);
+    }
+    groups.get(entry[field]).push(entry.package);
+  });
+
+  return [...groups.entries()]
+    .map(([key, values]) => ({ [field]: key, ...summarizePackages(values) }))
+    .sort((a, b) => (a[field] > b[field] ? 1 : -1));
+};
+
+// Request validation for compensation given in a body field
+const compensationValidation = (path) => [
+  body(path)
+    .optional()
+    .isObject()
+    .withMessage('Compensation must be an object'),
+  body(`${path}.currency`)
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be an ISO 4217 code such as INR or USD'),
+  body(['fixed', 'variable', 'joiningBonus', 'stipend', 'ctc', 'inHand', 'bondMonths'].map(field => `${path}.${field}`))
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Compensation amounts must be non-negative numbers')
+];
+
+module.exports = {
+  compensationSchema,
+  compensationValidation,
+  parseCompensation,
+  toPackageValue,
+  formatCompensation,
+  summarizePackages,
+  summarizePackagesBy
+};
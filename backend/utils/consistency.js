@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { getTenantFilter } = require('./tenancy');
+
+// Consistency check for records that other records depend on. Finds, within
+// the current institution:
+//   studentUsersWithoutProfile - student accounts without a student profile
+//   studentsWithoutUser        - student profiles whose account is gone
+//   applicationsWithoutStudent - applications of students that no longer exist
+//   applicationsWithoutCompany - applications to companies that no longer exist
+
+// Upper bound on orphans listed per check
+const MAX_LISTED = 100;
+
+// Find documents of a model whose reference through localField does not resolve
+const findDangling = (model, localField, target, project, match = {}) => model.aggregate([
+  { $match: { ...match, [localField]: { $ne: null } } },
+  { $lookup: { from: target.collection.name, localField, foreignField: '_id', as: 'referenced' } },
+  { $match: { referenced: { $size: 0 } } },
+  { $project: project }
+]);
+
+const findOrphans = async () => {
+  const User = mongoose.model('User');
+  const Student = mongoose.model('Student');
+  const Company = mongoose.model('Company');
+  const Application = mongoose.model('Application');
+
+  const [studentUsersWithoutProfile, studentsWithoutUser, applicationsWithoutStudent, applicationsWithoutCompany] = await Promise.all([
+    // Users are not scoped automatically
+    User.aggregate([
+      { $match: { role: 'student', ...getTenantFilter() } },
+      { $lookup: { from: Student.collection.name, localField: '_id', foreignField: 'userId', as: 'profiles' } },
+      { $match: { profiles: { $size: 0 } } },
+      { $project: { name: 1, email: 1, createdAt: 1, lastLogin: 1 } }
+    ]),
+    findDangling(Student, 'userId', User, { rollNumber: 1, userId: 1, createdAt: 1 }),
+    findDangling(Application, 'studentId', Student, { studentId: 1, companyId: 1, status: 1 }),
+    findDangling(Application, 'companyId', Company, { studentId: 1, companyId: 1, status: 1 })
+  ]);
+
+  return {
+    studentUsersWithoutProfile,
+    studentsWithoutUser,
+    applicationsWithoutStudent,
+    applicationsWithoutCompany
+  };
+};
+
+// Summarize orphans for a report: counts and the first few of each
+const formatOrphans = (orphans) => Object.fromEntries(
+  Object.entries(orphans).map(([check, documents]) => [check, {
+    count: documents.length,
+    items: documents.slice(0, MAX_LISTED)
+  }])
+);
+
+// Delete the orphans found by findOrphans. Students whose account is gone are
+// deleted with their applications. Returns the number removed per check.
+const repairOrphans = async (orphans) => {
+  const User = mongoose.model('User');
+  const Student = mongoose.model('Student');
+  const Application = mongoose.model('Application');
+  const ids = documents => documents.map(document => document._id);
+
+  const repaired = {};
+
+  repaired.studentUsersWithoutProfile = (await User.deleteMany({
+    _id: { $in: ids(orphans.studentUsersWithoutProfile) },
+    role: 'student'
+  })).deletedCount;
+
+  for (const student of orphans.studentsWithoutUser) {
+    await Student.deleteWithAccount(student);
+  }
+  repaired.studentsWithoutUser = orphans.studentsWithoutUser.length;
+
+  for (const check of ['applicationsWithoutStudent', 'applicationsWithoutCompany']) {
+    repaired[check] = (await Application.deleteMany({ _id: { $in: ids(orphans[check]) } })).deletedCount;
+  }
+
+  return repaired;
+};
+
+module.exports = {
+  findOrphans,
+  formatOrphans,
+  repairOrphans
+};
@@ -0,0 +1,270 @@
+// Declarative eligibility rules for application windows. A rule is a tree of
+// groups and conditions over student fields:
+//   { combinator: 'and' | 'or', rules: [rule, ...] }
+//   { field: 'cgpa', operator: 'gte', value: 7.5 }
+// The same rule is validated on save, evaluated against a student (explaining
+// the clauses that failed) and turned into a MongoDB query for counts and lists.
+
+// Student fields a rule can use, with their type and path on the Student model.
+// Fields with a default count as that value on students created before they existed.
+// Academic fields name the section whose verification they depend on.
+const RULE_FIELDS = {
+  cgpa: { label: 'CGPA', type: 'number', path: 'cgpa', section: 'semesters' },
+  backlogs: { label: 'Active backlogs', type: 'number', path: 'backlogs', default: 0, section: 'backlogs' },
+  totalBacklogs: { label: 'Backlogs including cleared', type: 'number', path: 'totalBacklogs', default: 0, section: 'backlogs' },
+  tenthPercentage: { label: '10th percentage', type: 'number', path: 'academicRecord.tenth.percentage', section: 'tenth' },
+  twelfthPercentage: { label: '12th/diploma percentage', type: 'number', path: 'academicRecord.twelfth.percentage', section: 'twelfth' },
+  gapYears: { label: 'Gap years', type: 'number', path: 'gapYears', default: 0 },
+  batch: { label: 'Batch', type: 'number', path: 'batch' },
+  branch: { label: 'Branch', type: 'string', path: 'branch' },
+  skills: { label: 'Skills', type: 'list', path: 'skills' },
+  placed: { label: 'Placed', type: 'boolean', path: 'placed' }
+};
+
+// Operators allowed for each field type
+const RULE_OPERATORS = {
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'],
+  string: ['eq', 'ne', 'in', 'notIn'],
+  list: ['contains', 'containsAll', 'containsAny', 'notContains'],
+  boolean: ['eq']
+};
+
+const OPERATOR_LABELS = {
+  eq: 'is',
+  ne: 'is not',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤',
+  in: 'is one of',
+  notIn: 'is not one of',
+  contains: 'include',
+  containsAll: 'include all of',
+  containsAny: 'include any of',
+  notContains: 'do not include'
+};
+
+// Operators whose value is a list
+const LIST_VALUE_OPERATORS = ['in', 'notIn', 'containsAll', 'containsAny'];
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+const isGroup = rule => rule && typeof rule === 'object' && 'combinator' in rule;
+
+// Check that a rule is well formed. Returns a list of errors (empty when valid).
+const validateRule = (rule) => {
+  const errors = [];
+  let conditionCount = 0;
+
+  const validate = (node, path, depth) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      errors.push(`${path}: must be a group or a condition`);
+      return;
+    }
+
+    if (isGroup(node)) {
+      if (!['and', 'or'].includes(node.combinator)) {
+        errors.push(`${path}: combinator must be and or or`);
+      }
+      if (depth >= MAX_DEPTH) {
+        errors.push(`${path}: groups cannot be nested more than ${MAX_DEPTH} levels deep`);
+        return;
+      }
+      if (!Array.isArray(node.rules) || node.rules.length === 0) {
+        errors.push(`${path}: a group needs at least one rule`);
+        return;
+      }
+      node.rules.forEach((child, i) => validate(child, `${path}.rules[${i}]`, depth + 1));
+      return;
+    }
+
+    conditionCount++;
+    const field = RULE_FIELDS[node.field];
+    if (!field) {
+      errors.push(`${path}: unknown field ${node.field}`);
+      return;
+    }
+    if (!RULE_OPERATORS[field.type].includes(node.operator)) {
+      errors.push(`${path}: ${node.field} does not support the ${node.operator} operator`);
+      return;
+    }
+
+    const { value } = node;
+    const isValidScalar = {
+      number: item => typeof item === 'number' && Number.isFinite(item),
+      string: item => typeof item === 'string' && item.trim() !== '',
+      list: item => typeof item === 'string' && item.trim() !== '',
+      boolean: item => typeof item === 'boolean'
+    }[field.type];
+
+    const isValid = LIST_VALUE_OPERATORS.includes(node.operator)
+      ? Array.isArray(value) && value.length > 0 && value.every(isValidScalar)
+      : isValidScalar(value);
+    if (!isValid) {
+      errors.push(LIST_VALUE_OPERATORS.includes(node.operator)
+        ? `${path}: ${node.field} ${node.operator} needs a non-empty list of ${field.type === 'number' ? 'numbers' : 'values'}`
+        : `${path}: ${node.field} needs a ${field.type === 'list' ? 'string' : field.type} value`);
+    }
+  };
+
+  validate(rule, 'rule', 0);
+  if (conditionCount > MAX_CONDITIONS) {
+    errors.push(`rule: cannot have more than ${MAX_CONDITIONS} conditions`);
+  }
+  return errors;
+};
+
+// Read a field from a student (document or plain object). `values` replaces
+// fields by name, e.g. with the verified academic data (null when unverified).
+const getFieldValue = (student, name, values = {}) => {
+  if (values[name] !== undefined) {
+    return values[name];
+  }
+
+  const field = RULE_FIELDS[name];
+  const value = field.path.split('.')
+    .reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), student);
+  return value === undefined && field.default !== undefined ? field.default : value;
+};
+
+const formatValue = value => (Array.isArray(value) ? value.join(', ') : String(value));
+
+// Describe a rule in words, e.g. "(Branch is one of CS, IT and CGPA ≥ 7.5) or CGPA ≥ 8.5"
+const describeRule = (rule, nested = false) => {
+  if (isGroup(rule)) {
+    const description = rule.rules.map(child => describeRule(child, true)).join(` ${rule.combinator} `);
+    return nested && rule.rules.length > 1 ? `(${description})` : description;
+  }
+
+  const field = RULE_FIELDS[rule.field];
+  return `${field.label} ${OPERATOR_LABELS[rule.operator]} ${formatValue(rule.value)}`;
+};
+
+// Check a single condition. Missing values only meet negative conditions,
+// as in the MongoDB query built by buildRuleQuery.
+const testCondition = (condition, student, values = {}) => {
+  const field = RULE_FIELDS[condition.field];
+  const actual = getFieldValue(student, condition.field, values);
+  const { operator, value } = condition;
+
+  if (field.type === 'list') {
+    const items = Array.isArray(actual) ? Array.from(actual) : [];
+    switch (operator) {
+      case 'contains': return items.includes(value);
+      case 'containsAll': return value.every(item => items.includes(item));
+      case 'containsAny': return value.some(item => items.includes(item));
+      case 'notContains': return !items.includes(value);
+      default: return false;
+    }
+  }
+
+  if (field.type === 'boolean') {
+    return (actual === true) === value;
+  }
+
+  const isMissing = actual === null || actual === undefined;
+  switch (operator) {
+    case 'eq': return !isMissing && actual === value;
+    case 'ne': return isMissing || actual !== value;
+    case 'gt': return !isMissing && actual > value;
+    case 'gte': return !isMissing && actual >= value;
+    case 'lt': return !isMissing && actual < value;
+    case 'lte': return !isMissing && actual <= value;
+    case 'in': return !isMissing && value.includes(actual);
+    case 'notIn': return isMissing || !value.includes(actual);
+    default: return false;
+  }
+};
+
+// Evaluate a rule against a student, with `values` replacing some of the
+// student's fields. Returns whether it passed and, if not, an explanation of
+// each clause that failed.
+const evaluateRule = (rule, student, values = {}) => {
+  if (!isGroup(rule)) {
+    if (testCondition(rule, student, values)) {
+      return { passed: true, failures: [] };
+    }
+
+    const actual = getFieldValue(student, rule.field, values);
+    const hasValue = actual !== null && actual !== undefined && !(Array.isArray(actual) && actual.length === 0);
+    const ownValue = getFieldValue(student, rule.field);
+    const isUnverified = !hasValue && ownValue !== null && ownValue !== undefined;
+    return {
+      passed: false,
+      failures: [`${describeRule(rule)} (${hasValue ? `is ${formatValue(Array.isArray(actual) ? Array.from(actual) : actual)}` : isUnverified ? 'not verified' : 'not on record'})`]
+    };
+  }
+
+  const results = rule.rules.map(child => evaluateRule(child, student, values));
+
+  if (rule.combinator === 'and') {
+    const failures = results.flatMap(result => result.failures);
+    return { passed: failures.length === 0, failures };
+  }
+
+  if (results.some(result => result.passed)) {
+    return { passed: true, failures: [] };
+  }
+
+  // None of the alternatives was met: explain each of them
+  return {
+    passed: false,
+    failures: [`one of the following is required: ${results.map(result => result.failures.join(' and ')).join('; or ')}`]
+  };
+};
+
+// Build the MongoDB query matching students that meet a rule. With
+// `verifiedFilter` (section => filter matching students whose section is
+// verified), unverified academic values count as missing.
+const buildRuleQuery = (rule, verifiedFilter = null) => {
+  if (isGroup(rule)) {
+    return { [`$${rule.combinator}`]: rule.rules.map(child => buildRuleQuery(child, verifiedFilter)) };
+  }
+
+  const field = RULE_FIELDS[rule.field];
+  const { path, type } = field;
+  const { operator, value } = rule;
+
+  if (type === 'boolean') {
+    return { [path]: value ? true : { $ne: true } };
+  }
+
+  const conditions = {
+    eq: value,
+    ne: { $ne: value },
+    gt: { $gt: value },
+    gte: { $gte: value },
+    lt: { $lt: value },
+    lte: { $lte: value },
+    in: { $in: value },
+    notIn: { $nin: value },
+    contains: value,
+    containsAll: { $all: value },
+    containsAny: { $in: value },
+    notContains: { $ne: value }
+  };
+  let query = { [path]: conditions[operator] };
+
+  // Students without the field count as its default
+  if (field.default !== undefined && testCondition(rule, {})) {
+    query = { $or: [query, { [path]: { $exists: false } }] };
+  }
+
+  // Missing values only meet negative conditions
+  if (verifiedFilter && field.section) {
+    const verified = verifiedFilter(field.section);
+    const met = { $and: [verified, query] };
+    return testCondition(rule, {}, { [rule.field]: null }) ? { $or: [met, { $nor: [verified] }] } : met;
+  }
+  return query;
+};
+
+module.exports = {
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  validateRule,
+  describeRule,
+  evaluateRule,
+  buildRuleQuery
+};
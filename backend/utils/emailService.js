@@ -1,5 +1,14 @@
 const nodemailer = require('nodemailer');
 
+// Escape a value for HTML email bodies, so names and company details entered
+// by users cannot inject markup
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Email service utility for sending emails
  */
@@ -71,8 +80,8 @@ class EmailService {
               to: student.email,
               cc: student.personalEmail ? student.personalEmail : undefined,
               subject: emailOptions.subject || defaultSubject,
-              text: defaultTextTemplate.replace('{{studentName}}', student.name),
-              html: defaultHtmlTemplate.replace('{{studentName}}', student.name)
+              text: defaultTextTemplate.replace('{{studentName}}', () => student.name),
+              html: defaultHtmlTemplate.replace('{{studentName}}', () => escapeHtml(student.name))
             };
 
             const info = await this.transporter.sendMail(mailOptions);
@@ -134,7 +143,7 @@ class EmailService {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Career Opportunity at ${company.name}</title>
+    <title>Career Opportunity at ${escapeHtml(company.name)}</title>
     <style>
         body {
             font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
@@ -208,14 +217,14 @@ class EmailService {
 
         <p>Dear <strong>{{studentName}}</strong>,</p>
 
-        <p>Great news! We are excited to inform you that you are eligible for an excellent career opportunity at <strong>${company.name}</strong>.</p>
+        <p>Great news! We are excited to inform you that you are eligible for an excellent career opportunity at <strong>${escapeHtml(company.name)}</strong>.</p>
 
         <div class="company-info">
-            <h3>About ${company.name}</h3>
-            <p><strong>Industry:</strong> ${company.industry || 'Leading Technology'}</p>
-            <p><strong>Type:</strong> ${company.type || 'Product Company'}</p>
-            <p><strong>Location:</strong> ${company.location || 'Multiple Locations'}</p>
-            ${company.description ? `<p><strong>About:</strong> ${company.description}</p>` : ''}
+            <h3>About ${escapeHtml(company.name)}</h3>
+            <p><strong>Industry:</strong> ${escapeHtml(company.industry || 'Leading Technology')}</p>
+            <p><strong>Type:</strong> ${escapeHtml(company.type || 'Product Company')}</p>
+            <p><strong>Location:</strong> ${escapeHtml(company.location || 'Multiple Locations')}</p>
+            ${company.description ? `<p><strong>About:</strong> ${escapeHtml(company.description)}</p>` : ''}
         </div>
 
         <div class="opportunity-details">
@@ -231,12 +240,12 @@ class EmailService {
         ${customMessage ? `
         <div class="custom-message">
             <h3>Additional Information:</h3>
-            <p>${customMessage}</p>
+            <p>${escapeHtml(customMessage)}</p>
         </div>
         ` : ''}
 
         <div style="text-align: center;">
-            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/companies/${company._id}" class="cta-button">
+            <a href="${escapeHtml(`${process.env.FRONTEND_URL || 'http://localhost:5173'}/companies/${company._id}`)}" class="cta-button">
                 Apply Now
             </a>
         </div>
@@ -302,6 +311,158 @@ This is an automated message. Please do not reply to this email.
 `;
   }
 
+  /**
+   * Send a single transactional email
+   * @param {Object} options - Mail options (to, subject, html, text)
+   * @returns {Promise} - Nodemailer send result
+   */
+  async sendEmail({ to, subject, html, text }) {
+    return this.transporter.sendMail({
+      from: `"${process.env.EMAIL_FROM_NAME || 'Placement Cell'}" <${process.env.EMAIL_FROM_ADDRESS || 'placements@college.edu'}>`,
+      to,
+      subject,
+      text,
+      html
+    });
+  }
+
+  /**
+   * Send password reset link
+   * @param {Object} user - User requesting the reset
+   * @param {string} resetToken - Plain (unhashed) reset token
+   * @returns {Promise} - Nodemailer send result
+   */
+  async sendPasswordResetEmail(user, resetToken) {
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password?token=${resetToken}`;
+    const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: 'Reset your Placement Portal password',
+      html: `
+<p>Dear <strong>${escapeHtml(user.name)}</strong>,</p>
+<p>We received a request to reset the password for your Placement Portal account.</p>
+<p><a href="${escapeHtml(resetUrl)}">Reset your password</a></p>
+<p>This link can be used once and expires in ${escapeHtml(expiresInMinutes)} minutes. If you did not request a reset, you can ignore this email.</p>
+<p>Best regards,<br>Training and Placement Cell</p>`,
+      text: `
+Dear ${user.name},
+
+We received a request to reset the password for your Placement Portal account.
+
+Reset your password: ${resetUrl}
+
+This link can be used once and expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.
+
+Best regards,
+Training and Placement Cell
+`
+    });
+  }
+
+  /**
+   * Send the link to set the password of an account created for the user
+   * @param {Object} user - User whose account was created (e.g. by bulk upload)
+   * @param {string} setupToken - Plain (unhashed) password reset token
+   * @param {number} expiresInDays - Days until the link expires
+   * @returns {Promise} - Nodemailer send result
+   */
+  async sendAccountSetupEmail(user, setupToken, expiresInDays) {
+    const setupUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password?token=${setupToken}`;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: 'Set up your Placement Portal account',
+      html: `
+<p>Dear <strong>${escapeHtml(user.name)}</strong>,</p>
+<p>The Training and Placement Cell has created a Placement Portal account for you.</p>
+<p><a href="${escapeHtml(setupUrl)}">Set your password</a></p>
+<p>This link can be used once and expires in ${escapeHtml(expiresInDays)} days. After that, use "Forgot password" on the sign-in page.</p>
+<p>Best regards,<br>Training and Placement Cell</p>`,
+      text: `
+Dear ${user.name},
+
+The Training and Placement Cell has created a Placement Portal account for you.
+
+Set your password: ${setupUrl}
+
+This link can be used once and expires in ${expiresInDays} days. After that, use "Forgot password" on the sign-in page.
+
+Best regards,
+Training and Placement Cell
+`
+    });
+  }
+
+  /**
+   * Send email address verification link
+   * @param {Object} user - Newly registered user
+   * @param {string} verificationToken - Signed verification token
+   * @returns {Promise} - Nodemailer send result
+   */
+  async sendVerificationEmail(user, verificationToken) {
+    const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email?token=${verificationToken}`;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: 'Verify your Placement Portal email address',
+      html: `
+<p>Dear <strong>${escapeHtml(user.name)}</strong>,</p>
+<p>Please confirm that this is your email address to activate your Placement Portal account.</p>
+<p><a href="${escapeHtml(verifyUrl)}">Verify email address</a></p>
+<p>Until your email is verified you can only view and edit your profile.</p>
+<p>Best regards,<br>Training and Placement Cell</p>`,
+      text: `
+Dear ${user.name},
+
+Please confirm that this is your email address to activate your Placement Portal account.
+
+Verify email address: ${verifyUrl}
+
+Until your email is verified you can only view and edit your profile.
+
+Best regards,
+Training and Placement Cell
+`
+    });
+  }
+
+  /**
+   * Send recruiter invitation link
+   * @param {Object} invitation - Recruiter invitation
+   * @param {Object} company - Company the recruiter is invited to
+   * @param {string} invitationToken - Plain (unhashed) invitation token
+   * @returns {Promise} - Nodemailer send result
+   */
+  async sendRecruiterInvitationEmail(invitation, company, invitationToken) {
+    const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/accept-invitation?token=${invitationToken}`;
+    const greeting = invitation.name || 'there';
+    const expiresOn = invitation.expiresAt.toLocaleDateString();
+
+    return this.sendEmail({
+      to: invitation.email,
+      subject: `You have been invited to recruit for ${company.name} on the Placement Portal`,
+      html: `
+<p>Dear <strong>${escapeHtml(greeting)}</strong>,</p>
+<p>You have been invited to join the Placement Portal as a recruiter for <strong>${escapeHtml(company.name)}</strong>.</p>
+<p><a href="${escapeHtml(acceptUrl)}">Accept the invitation and set your password</a></p>
+<p>This link can be used once and expires on ${escapeHtml(expiresOn)}.</p>
+<p>Best regards,<br>Training and Placement Cell</p>`,
+      text: `
+Dear ${greeting},
+
+You have been invited to join the Placement Portal as a recruiter for ${company.name}.
+
+Accept the invitation and set your password: ${acceptUrl}
+
+This link can be used once and expires on ${expiresOn}.
+
+Best regards,
+Training and Placement Cell
+`
+    });
+  }
+
   /**
    * Test email configuration
    * @returns {Promise<boolean>} - Test result
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 // Check if JWT secrets are properly configured
 const checkJwtSecrets = () => {
@@ -32,6 +33,7 @@ const generateRefreshToken = (payload) => {
   try {
     return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
       expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
+      jwtid: crypto.randomBytes(16).toString('hex'), // Unique per token so rotated tokens never collide
       issuer: 'college-placement-system',
       audience: 'college-placement-users'
     });
@@ -41,13 +43,20 @@ const generateRefreshToken = (payload) => {
   }
 };
 
-// Verify JWT token
+// Verify JWT token. Tokens issued for a purpose (e.g. the pending second step
+// of a two-factor login) are never access tokens, whatever their audience.
 const verifyToken = (token) => {
   try {
-    return jwt.verify(token, process.env.JWT_SECRET, {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
       issuer: 'college-placement-system',
       audience: 'college-placement-users'
     });
+
+    if (decoded.purpose) {
+      throw new jwt.JsonWebTokenError('Invalid token purpose');
+    }
+
+    return decoded;
   } catch (error) {
     console.error('Error verifying access token:', error.message);
     throw error;
@@ -67,6 +76,84 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// Generate signed email verification token.
+// The email is embedded so the link stops working if the address changes.
+const generateEmailVerificationToken = (user) => {
+  try {
+    return jwt.sign({ id: user._id, email: user.email, purpose: 'email_verification' }, process.env.JWT_SECRET, {
+      expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h',
+      issuer: 'college-placement-system',
+      audience: 'college-placement-email-verification'
+    });
+  } catch (error) {
+    console.error('Error generating email verification token:', error);
+    throw new Error('Failed to generate email verification token');
+  }
+};
+
+// Verify email verification token
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+    issuer: 'college-placement-system',
+    audience: 'college-placement-email-verification'
+  });
+
+  if (decoded.purpose !== 'email_verification') {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
+// Generate short-lived token proving the password step of a two-factor login succeeded
+const generateMfaPendingToken = (user) => {
+  try {
+    return jwt.sign({ id: user._id, purpose: 'mfa_pending' }, process.env.JWT_SECRET, {
+      expiresIn: process.env.MFA_PENDING_EXPIRE || '5m',
+      issuer: 'college-placement-system',
+      audience: 'college-placement-mfa'
+    });
+  } catch (error) {
+    console.error('Error generating MFA pending token:', error);
+    throw new Error('Failed to generate MFA pending token');
+  }
+};
+
+// Verify MFA pending token
+const verifyMfaPendingToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+    issuer: 'college-placement-system',
+    audience: 'college-placement-mfa'
+  });
+
+  if (decoded.purpose !== 'mfa_pending') {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
+// Generate access token that acts as a user on behalf of an administrator.
+// It carries both identities (`id` impersonated, `act` real) and cannot be refreshed.
+const generateImpersonationToken = (impersonation, user) => {
+  try {
+    const expiresIn = Math.max(1, Math.floor((impersonation.expiresAt.getTime() - Date.now()) / 1000));
+    return jwt.sign({
+      id: user._id,
+      act: impersonation.impersonatorId,
+      imp: impersonation._id,
+      ...(user.tenantId && { tid: user.tenantId })
+    }, process.env.JWT_SECRET, {
+      expiresIn,
+      issuer: 'college-placement-system',
+      audience: 'college-placement-users'
+    });
+  } catch (error) {
+    console.error('Error generating impersonation token:', error);
+    throw new Error('Failed to generate impersonation token');
+  }
+};
+
 // Generate token pair (access + refresh)
 const generateTokenPair = (payload) => {
   const accessToken = generateToken(payload);
@@ -102,6 +189,11 @@ module.exports = {
   verifyToken,
   verifyRefreshToken,
   generateTokenPair,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateMfaPendingToken,
+  verifyMfaPendingToken,
+  generateImpersonationToken,
   decodeToken,
   isTokenExpiringSoon
 };
\ No newline at end of file
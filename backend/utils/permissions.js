@@ -0,0 +1,104 @@
+// Permissions are named `resource:action[:scope]`. A scoped permission such as
+// `reports:read:branch` only grants access to the user's own branch.
+const PERMISSIONS = {
+  'users:read': 'View user accounts',
+  'users:write': 'Update user accounts and assign roles',
+  'users:delete': 'Delete and deactivate user accounts',
+  'users:security': 'Unlock accounts, override email verification, reset two-factor and view login attempts',
+  'users:impersonate': 'View the portal as another user with a short-lived token (writable only with users:write as well)',
+  'roles:manage': 'Create, edit and delete roles',
+  'students:read': 'View student profiles',
+  'students:write': 'Create and update student profiles',
+  'students:delete': 'Delete student profiles',
+  'students:import': 'Bulk upload students',
+  'students:verify': 'Verify student-submitted academic data and review change requests',
+  'companies:write': 'Create and update companies',
+  'companies:write:company': 'Update the details, status and job profiles of own company only',
+  'companies:approve': 'Approve companies submitted for approval or send them back to draft',
+  'companies:delete': 'Delete companies',
+  'recruiters:manage': 'Invite recruiters, choose primary contacts and revoke recruiter access',
+  'windows:read': 'View application windows',
+  'windows:write': 'Create, update and deactivate application windows',
+  'windows:delete': 'Delete application windows',
+  'rounds:write': 'Create, update, reorder and delete recruitment rounds',
+  'rounds:write:company': 'Manage the recruitment rounds of own company only',
+  'policies:manage': 'Configure placement policies per batch (company tiers, offer limits, dream upgrades)',
+  'seasons:manage': 'Create placement seasons and close, reopen or archive them',
+  'reports:read': 'View all reports',
+  'reports:read:branch': 'View reports for own branch only',
+  'dashboard:read': 'View the admin dashboard and analytics',
+  'settings:manage': 'Manage security policy and system configuration',
+  'tenants:manage': 'Create, update and deactivate institutions (platform administrators only)',
+  'tenants:switch': 'Act on another institution by sending the X-Tenant header (users without an institution only)',
+  'audit:read': 'View and export the audit log'
+};
+
+// Built-in roles. They are created on first use and cannot be deleted;
+// `admin` always keeps every permission.
+const SYSTEM_ROLES = {
+  admin: {
+    displayName: 'Administrator',
+    description: 'Full access to the placement portal',
+    permissions: ['*']
+  },
+  coordinator: {
+    displayName: 'Placement Coordinator',
+    description: 'Manages application windows and recruitment rounds',
+    permissions: ['windows:read', 'windows:write', 'rounds:write', 'students:read', 'reports:read', 'dashboard:read']
+  },
+  faculty: {
+    displayName: 'Faculty',
+    description: 'Views reports for their own branch',
+    permissions: ['reports:read:branch']
+  },
+  recruiter: {
+    displayName: 'Recruiter',
+    description: 'Company representative',
+    permissions: ['companies:write:company', 'rounds:write:company', 'tenants:switch']
+  },
+  student: {
+    displayName: 'Student',
+    description: 'Student applying for placements',
+    permissions: []
+  }
+};
+
+// Check if granted permissions cover a permission. `*` grants everything,
+// `reports:*` grants every reports permission and `reports:read` also covers
+// the narrower `reports:read:branch`.
+const hasPermission = (granted = [], permission) => {
+  if (granted.includes('*')) {
+    return true;
+  }
+
+  const parts = permission.split(':');
+  for (let i = parts.length; i > 0; i--) {
+    const prefix = parts.slice(0, i).join(':');
+    if (granted.includes(prefix) || granted.includes(`${prefix}:*`)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Check if a permission name (or resource wildcard) is known
+const isValidPermission = (permission) => {
+  if (permission === '*' || PERMISSIONS[permission]) {
+    return true;
+  }
+
+  if (permission.endsWith(':*')) {
+    const resource = permission.slice(0, -2);
+    return Object.keys(PERMISSIONS).some(name => name.startsWith(`${resource}:`));
+  }
+
+  return false;
+};
+
+module.exports = {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  hasPermission,
+  isValidPermission
+};
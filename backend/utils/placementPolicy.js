@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Placement policy engine. Every eligibility check asks it whether the
+// placement policy of a student's batch lets them apply to a company.
+// Policies are checked in this order and the first that blocks is reported:
+//   opt-out      - the student opted out of campus placement
+//   max-offers   - the student holds the maximum number of offers
+//   one-offer    - the student is placed and the batch does not allow upgrades
+//   tier-upgrade - the company is not in a higher tier than the student's best offer
+// Offers and applications for a job profile are tiered by the profile's
+// package, falling back to the company's when the profile has none.
+
+// Get the package (CTC in LPA) of an offer by a company, or by one of its job profiles
+const getOfferPackageValue = (company, jobProfile = null) => {
+  const profilePackage = jobProfile ? jobProfile.getPackageValue() : null;
+  return profilePackage ?? company.getPackageValue();
+};
+
+// Load what the engine needs for each student: the batch policy, the number
+// of offers held and the tier of the best one. Returns a Map keyed by student ID.
+const loadPlacementContexts = async (students) => {
+  const Application = mongoose.model('Application');
+  const Company = mongoose.model('Company');
+  const PlacementPolicy = mongoose.model('PlacementPolicy');
+
+  const [policies, selectedApplications] = await Promise.all([
+    PlacementPolicy.getForBatches([...new Set(students.map(student => student.batch))]),
+    Application.find({
+      studentId: { $in: students.map(student => student._id) },
+      status: 'selected'
+    }).select('studentId companyId jobProfileId')
+  ]);
+
+  // Offers keyed by company and job profile. Companies a student was placed at
+  // by hand count as offers too, without a profile unless they had one.
+  const offers = new Map(students.map(student => [student._id.toString(), new Map()]));
+  selectedApplications.forEach(application => {
+    const companyId = application.companyId.toString();
+    const jobProfileId = application.jobProfileId ? application.jobProfileId.toString() : null;
+    offers.get(application.studentId.toString()).set(`${companyId}:${jobProfileId}`, { companyId, jobProfileId });
+  });
+  students.forEach(student => {
+    if (student.placedCompany) {
+      const companyId = (student.placedCompany._id || student.placedCompany).toString();
+      const studentOffers = offers.get(student._id.toString());
+      if (![...studentOffers.values()].some(offer => offer.companyId === companyId)) {
+        studentOffers.set(`${companyId}:null`, { companyId, jobProfileId: null });
+      }
+    }
+  });
+
+  const companyIds = [...new Set([...offers.values()].flatMap(studentOffers => [...studentOffers.values()].map(offer => offer.companyId)))];
+  const companies = await Company.find({ _id: { $in: companyIds } }).select('name packageOffered compensation jobProfiles');
+  const companyMap = new Map(companies.map(company => [company._id.toString(), company]));
+
+  return new Map(students.map(student => {
+    const policy = policies.get(student.batch);
+    const offerTiers = [...offers.get(student._id.toString()).values()]
+      .filter(offer => companyMap.has(offer.companyId))
+      .map(offer => {
+        const company = companyMap.get(offer.companyId);
+        const jobProfile = offer.jobProfileId ? company.jobProfiles.id(offer.jobProfileId) : null;
+        return policy.getTierIndex(getOfferPackageValue(company, jobProfile));
+      });
+
+    // Placed without a known company: one offer in the lowest tier
+    if (offerTiers.length === 0 && student.placed) {
+      offerTiers.push(policy.tiers.length > 0 ? 0 : -1);
+    }
+
+    return [student._id.toString(), {
+      policy,
+      offerCount: offerTiers.length,
+      bestTier: offerTiers.length > 0 ? Math.max(...offerTiers) : null
+    }];
+  }));
+};
+
+// Check a student against the placement policy for a company, or one of its
+// job profiles, using a context from loadPlacementContexts
+const evaluatePlacementPolicy = (context, student, company, jobProfile = null) => {
+  const { policy, offerCount, bestTier } = context;
+  const tierIndex = company ? policy.getTierIndex(getOfferPackageValue(company, jobProfile)) : -1;
+  const result = {
+    allowed: true,
+    policy: null,
+    reason: null,
+    tier: tierIndex >= 0 ? policy.tiers[tierIndex].name : null,
+    offers: offerCount
+  };
+  const block = (name, reason) => ({ ...result, allowed: false, policy: name, reason });
+
+  if (student.placementOptOut && student.placementOptOut.optedOut) {
+    return block('opt-out', 'Opted out of campus placement');
+  }
+
+  if (policy.maxOffers && offerCount >= policy.maxOffers) {
+    return block('max-offers', `Maximum number of offers (${policy.maxOffers}) already reached`);
+  }
+
+  if (offerCount > 0) {
+    if (!policy.allowUpgrades) {
+      return block('one-offer', 'Already placed. Placed students cannot apply to more companies');
+    }
+
+    if (tierIndex <= bestTier) {
+      return block('tier-upgrade', bestTier >= 0
+        ? `Already placed in the ${policy.tiers[bestTier].name} tier. Placed students can only apply to companies in a higher tier`
+        : 'Already placed. Placed students can only apply to companies in a higher tier');
+    }
+  }
+
+  return result;
+};
+
+// Check a single student against the placement policy for a company, or one
+// of its job profiles
+const checkPlacementPolicy = async (student, company, jobProfile = null) => {
+  const contexts = await loadPlacementContexts([student]);
+  return evaluatePlacementPolicy(contexts.get(student._id.toString()), student, company, jobProfile);
+};
+
+// Get the IDs of students matching a query whom the placement policy keeps
+// from applying to a company. Only students who opted out or hold an offer
+// can be blocked, so only those are loaded.
+const getPolicyBlockedStudentIds = async (query, company) => {
+  const Application = mongoose.model('Application');
+  const Student = mongoose.model('Student');
+
+  const offerHolderIds = await Application.distinct('studentId', { status: 'selected' });
+  const candidates = await Student.find({
+    $and: [
+      query,
+      { $or: [{ placed: true }, { 'placementOptOut.optedOut': true }, { _id: { $in: offerHolderIds } }] }
+    ]
+  });
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const contexts = await loadPlacementContexts(candidates);
+  return candidates
+    .filter(student => !evaluatePlacementPolicy(contexts.get(student._id.toString()), student, company).allowed)
+    .map(student => student._id);
+};
+
+module.exports = {
+  loadPlacementContexts,
+  evaluatePlacementPolicy,
+  checkPlacementPolicy,
+  getPolicyBlockedStudentIds
+};
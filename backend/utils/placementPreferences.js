@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { toPackageValue } = require('./compensation');
+
+// Placement preferences of a student: where, in which industries, from which
+// package and in which kinds of roles they want to work. Companies and
+// off-campus opportunities are described as { location, isRemote, industry,
+// packageValue, roleType } and matched against them; a value that is not
+// known (e.g. a package without an amount) never counts against a match.
+
+const ROLE_TYPES = ['full-time', 'internship', 'part-time', 'freelance'];
+
+// How the companies list and off-campus feed use a student's preferences
+const PREFERENCE_MODES = ['rank', 'filter', 'off'];
+
+// Location preference that matches remote work anywhere
+const REMOTE = 'remote';
+
+// Campus placement drives are for full-time roles
+const describeCompany = company => ({
+  location: company.location,
+  isRemote: /remote/i.test(company.location || ''),
+  industry: company.industry,
+  packageValue: company.getPackageValue(),
+  roleType: 'full-time'
+});
+
+// Internship stipends are not compared with the minimum package
+const describeOpportunity = opportunity => ({
+  location: opportunity.location,
+  isRemote: !!opportunity.isRemote || opportunity.type === REMOTE,
+  industry: opportunity.industry,
+  packageValue: opportunity.type === 'internship' ? null : toPackageValue(opportunity.compensation),
+  roleType: ROLE_TYPES.includes(opportunity.type) ? opportunity.type : null
+});
+
+const hasPreferences = (preferences) => !!preferences && (
+  (preferences.locations || []).length > 0 ||
+  (preferences.industries || []).length > 0 ||
+  (preferences.excludedIndustries || []).length > 0 ||
+  (preferences.roleTypes || []).length > 0 ||
+  !!preferences.minPackage
+);
+
+// Preferences of the student making a request; null for other users and for
+// students without preferences
+const getRequestPreferences = async (user) => {
+  if (!user || user.role !== 'student') {
+    return null;
+  }
+
+  const Student = mongoose.model('Student');
+  const student = await Student.findOne({ userId: user._id }).select('placementPreferences');
+  return student && hasPreferences(student.placementPreferences) ? student.placementPreferences : null;
+};
+
+const matchesLocation = (locations, { location, isRemote }) => locations.some(preferred => {
+  const wanted = preferred.trim().toLowerCase();
+  return wanted === REMOTE ? isRemote : (location || '').toLowerCase().includes(wanted);
+});
+
+// Match a described company or opportunity against preferences. Returns
+// { matches, score, mismatches } where score is the percentage of the set
+// preferences that are met and mismatches says which are not.
+const matchPreferences = (preferences, described) => {
+  const checks = [];
+  const lowerCase = values => (values || []).map(value => value.toLowerCase());
+  const industry = (described.industry || '').toLowerCase();
+
+  if ((preferences.locations || []).length > 0) {
+    checks.push({
+      met: matchesLocation(preferences.locations, described),
+      reason: `Not in ${preferences.locations.join(', ')}`
+    });
+  }
+
+  if ((preferences.industries || []).length > 0) {
+    checks.push({
+      met: lowerCase(preferences.industries).includes(industry),
+      reason: `Industry is not ${preferences.industries.join(', ')}`
+    });
+  }
+
+  if ((preferences.excludedIndustries || []).length > 0) {
+    checks.push({
+      met: !lowerCase(preferences.excludedIndustries).includes(industry),
+      reason: `Industry ${described.industry} is excluded`
+    });
+  }
+
+  if (preferences.minPackage) {
+    checks.push({
+      met: described.packageValue === null ? null : described.packageValue >= preferences.minPackage,
+      reason: `Package is below ${preferences.minPackage} LPA`
+    });
+  }
+
+  if ((preferences.roleTypes || []).length > 0) {
+    checks.push({
+      met: described.roleType === null ? null : preferences.roleTypes.includes(described.roleType),
+      reason: `Not a ${preferences.roleTypes.join('/')} role`
+    });
+  }
+
+  const mismatches = checks.filter(check => check.met === false).map(check => check.reason);
+  const met = checks.filter(check => check.met === true).length;
+
+  return {
+    matches: mismatches.length === 0,
+    score: checks.length > 0 ? Math.round((met / checks.length) * 100) : 100,
+    mismatches
+  };
+};
+
+// Rank items by how well they match (keeping the given order among equal
+// matches) or, in filter mode, leave out the ones that do not match. Each
+// item is returned as { item, match }.
+const applyPreferences = (items, preferences, describe, mode = 'rank') => {
+  const matched = items.map(item => ({ item, match: matchPreferences(preferences, describe(item)) }));
+
+  if (mode === 'filter') {
+    return matched.filter(({ match }) => match.matches);
+  }
+
+  // Array sort is stable, so equal matches stay in the given order
+  return matched.sort((a, b) => b.match.score - a.match.score);
+};
+
+module.exports = {
+  ROLE_TYPES,
+  PREFERENCE_MODES,
+  describeCompany,
+  describeOpportunity,
+  hasPreferences,
+  getRequestPreferences,
+  matchPreferences,
+  applyPreferences
+};
@@ -0,0 +1,112 @@
+const path = require('path');
+const XLSX = require('xlsx');
+
+// Student bulk import files: CSV or XLSX, one student per row with a header row.
+// Headers are matched without case, spaces or punctuation ("Roll Number" = rollNumber).
+
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+const IMPORT_COLUMNS = {
+  name: 'name',
+  email: 'email',
+  password: 'password',
+  rollnumber: 'rollNumber',
+  rollno: 'rollNumber',
+  branch: 'branch',
+  cgpa: 'cgpa',
+  phone: 'phone',
+  phonenumber: 'phone',
+  batch: 'batch',
+  skills: 'skills',
+  backlogs: 'backlogs',
+  gapyears: 'gapYears'
+};
+
+// Numeric columns and the values they accept
+const NUMBER_COLUMNS = {
+  cgpa: { label: 'CGPA', min: 0, max: 10 },
+  batch: { label: 'Batch', integer: true, min: 2000, max: 2030 },
+  backlogs: { label: 'Backlogs', integer: true, min: 0 },
+  gapYears: { label: 'Gap years', integer: true, min: 0 }
+};
+
+// Tell if an uploaded file can be imported
+const isImportFile = (file) => IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+
+// Read the rows of the first sheet. Returns [{ row, data, errors }] where row is
+// the spreadsheet row number and data holds the recognised columns, parsed.
+const parseImportFile = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return [];
+  }
+
+  return XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false, blankrows: false })
+    // __rowNum__ is the zero-based row in the sheet, so blank rows keep the numbering
+    .map(rawRow => ({ row: rawRow.__rowNum__ + 1, ...parseImportRow(rawRow) }));
+};
+
+// Turn a raw sheet row into student data, leaving out empty cells
+const parseImportRow = (rawRow) => {
+  const data = {};
+  const errors = [];
+
+  Object.entries(rawRow).forEach(([header, rawValue]) => {
+    const column = IMPORT_COLUMNS[header.toLowerCase().replace(/[^a-z]/g, '')];
+    const value = String(rawValue).trim();
+    if (!column || value === '') {
+      return;
+    }
+
+    if (NUMBER_COLUMNS[column]) {
+      const { label, integer, min, max } = NUMBER_COLUMNS[column];
+      const number = Number(value);
+      if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) ||
+          number < min || (max !== undefined && number > max)) {
+        errors.push(max !== undefined
+          ? `${label} must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${max}`
+          : `${label} must be a whole number of at least ${min}`);
+        return;
+      }
+      data[column] = number;
+    } else if (column === 'skills') {
+      data.skills = value.split(/[,;]/).map(skill => skill.trim()).filter(Boolean);
+    } else if (column === 'email') {
+      data.email = value.toLowerCase();
+    } else if (column === 'rollNumber') {
+      data.rollNumber = value.toUpperCase();
+    } else if (column === 'phone') {
+      // Spreadsheets often add spaces or a country code
+      data.phone = value.replace(/[\s-]/g, '').replace(/^\+91/, '');
+    } else {
+      data[column] = value;
+    }
+  });
+
+  return { data, errors };
+};
+
+// Build a report of the rows that were not imported, in the upload's format
+const buildErrorReport = (rows, bookType = 'xlsx') => {
+  const reportRows = rows
+    .filter(row => row.errors.length > 0)
+    .map(row => ({
+      Row: row.row,
+      'Roll Number': row.rollNumber || '',
+      Errors: row.errors.join('; ')
+    }));
+
+  const workbook = XLSX.utils.book_new();
+  const sheet = XLSX.utils.json_to_sheet(reportRows, { header: ['Row', 'Roll Number', 'Errors'] });
+  sheet['!cols'] = [{ width: 8 }, { width: 15 }, { width: 80 }];
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Errors');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType });
+};
+
+module.exports = {
+  isImportFile,
+  parseImportFile,
+  buildErrorReport
+};
@@ -0,0 +1,104 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const { getRequestContext } = require('../middleware/requestContext');
+
+const QUERY_OPERATIONS = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+];
+
+// Work that deliberately acts on the data of every institution
+const acrossTenantsStorage = new AsyncLocalStorage();
+
+// Run work (startup tasks, scripts) with nothing scoped to an institution.
+// Anything else outside a request only sees the primary institution.
+const runAcrossTenants = (work) => acrossTenantsStorage.run(true, work);
+
+// Institution the current request acts on. Data of the primary institution
+// carries no tenantId, so it is represented by null, as it is outside a
+// request. Returns undefined inside runAcrossTenants, where nothing is scoped.
+const getCurrentTenantId = () => {
+  if (acrossTenantsStorage.getStore()) {
+    return undefined;
+  }
+  const context = getRequestContext();
+  return context ? context.tenantId || null : null;
+};
+
+// Filter matching documents of the current institution
+const getTenantFilter = () => ({ tenantId: getCurrentTenantId() || null });
+
+// Filter for shared models: everything shared plus the institution's own documents
+const getSharedFilter = () => ({ $or: [{ isShared: { $ne: false } }, getTenantFilter()] });
+
+// Mongoose plugin scoping a model to the institution of the current request.
+// Options:
+//   shared       - documents are visible to every institution unless isShared is false
+//   scopeQueries - add the tenant filter to every query (off for global identities such as users)
+//   isTenantless - documents for which no tenant is recorded on creation
+const tenantScoped = (schema, options = {}) => {
+  const { shared = false, scopeQueries = true, isTenantless = () => false } = options;
+
+  schema.add({
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      immutable: true,
+      default: function() {
+        return isTenantless(this) ? null : getCurrentTenantId() || null;
+      }
+    }
+  });
+
+  if (shared) {
+    schema.add({
+      isShared: {
+        type: Boolean,
+        default: true
+      }
+    });
+  }
+
+  schema.index({ tenantId: 1 });
+
+  // Look up documents of every institution (e.g. login by email)
+  schema.query.acrossTenants = function() {
+    this._acrossTenants = true;
+    return this;
+  };
+
+  // Restrict a query to the current institution on models that are not scoped automatically
+  schema.query.byTenant = function() {
+    return getCurrentTenantId() === undefined ? this : this.where(getTenantFilter());
+  };
+
+  if (!scopeQueries) {
+    return;
+  }
+
+  schema.pre(QUERY_OPERATIONS, { query: true, document: false }, function() {
+    if (this._acrossTenants || getCurrentTenantId() === undefined || 'tenantId' in this.getFilter()) {
+      return;
+    }
+
+    if (shared) {
+      this.and([getSharedFilter()]);
+    } else {
+      this.where(getTenantFilter());
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.acrossTenants || getCurrentTenantId() === undefined) {
+      return;
+    }
+
+    this.pipeline().unshift({ $match: shared ? getSharedFilter() : getTenantFilter() });
+  });
+};
+
+module.exports = tenantScoped;
+module.exports.getCurrentTenantId = getCurrentTenantId;
+module.exports.runAcrossTenants = runAcrossTenants;
+module.exports.getTenantFilter = getTenantFilter;
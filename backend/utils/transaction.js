@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Multi-document writes. runInTransaction(work) calls work({ session, onRollback });
+// pass session to every read and write. On a replica set the writes run in a
+// MongoDB transaction and are rolled back together when work throws. A
+// standalone server (local development, tests) has no transactions, so work
+// registers compensating actions with onRollback; they run in reverse order
+// when work throws. Order writes so that the ones without a compensation
+// (deletions) come last.
+
+let transactionsSupported;
+
+// Tell if the connected server supports transactions (replica set or sharded cluster)
+const supportsTransactions = async () => {
+  if (transactionsSupported === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = !!hello.setName || hello.msg === 'isdbgrid';
+  }
+  return transactionsSupported;
+};
+
+const runInTransaction = async (work) => {
+  if (await supportsTransactions()) {
+    // Mongoose resets the state of saved documents if the transaction is retried
+    let result;
+    await mongoose.connection.transaction(async (session) => {
+      result = await work({ session, onRollback: () => {} });
+    });
+    return result;
+  }
+
+  const rollbacks = [];
+  try {
+    return await work({ session: null, onRollback: action => rollbacks.push(action) });
+  } catch (error) {
+    for (const rollback of rollbacks.reverse()) {
+      try {
+        await rollback();
+      } catch (rollbackError) {
+        console.error('Transaction rollback error:', rollbackError);
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  runInTransaction
+};
@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { ArrowLeft, Upload, X } from 'lucide-react';
-import { Company, ApplicationForm as ApplicationFormType } from '../types';
+import { Company, ApplicationForm as ApplicationFormType, StudentPortfolio } from '../types';
+import { studentsService } from '../services';
 
 interface ApplicationFormProps {
   company: Company;
@@ -20,9 +21,50 @@ const ApplicationForm: React.FC<ApplicationFormProps> = ({ company, onBack, onSu
     experience: '',
     whyCompany: '',
     resume: null,
+    jobProfileId: '',
   });
 
   const [errors, setErrors] = useState<Partial<ApplicationFormType>>({});
+  const [portfolio, setPortfolio] = useState<StudentPortfolio | null>(null);
+
+  // Pre-fill the form from the student's profile and show the portfolio that will be attached
+  useEffect(() => {
+    const loadProfile = async () => {
+      try {
+        const response = await studentsService.getMyProfile();
+        const student = response.data?.user?.profile;
+        if (!response.success || !student) return;
+
+        setFormData(prev => ({
+          ...prev,
+          studentName: prev.studentName || student.userId?.name || '',
+          rollNumber: prev.rollNumber || student.rollNumber || '',
+          email: prev.email || student.userId?.email || '',
+          phone: prev.phone || student.phone || '',
+          branch: prev.branch || student.branch || '',
+          cgpa: prev.cgpa || student.cgpa || 0,
+          skills: prev.skills || (student.skills || []).join(', '),
+        }));
+        setPortfolio({
+          projects: student.projects || [],
+          internships: student.internships || [],
+          certifications: student.certifications || [],
+        });
+      } catch (error) {
+        console.error('Error loading student profile:', error);
+      }
+    };
+
+    loadProfile();
+  }, []);
+
+  const formatMonth = (date: string) =>
+    new Date(date).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+
+  const openProfiles = (company.jobProfiles || []).filter(profile => profile.status === 'open');
+
+  const hasPortfolio = !!portfolio &&
+    (portfolio.projects.length > 0 || portfolio.internships.length > 0 || portfolio.certifications.length > 0);
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
@@ -61,6 +103,7 @@ const ApplicationForm: React.FC<ApplicationFormProps> = ({ company, onBack, onSu
     if (formData.cgpa <= 0) newErrors.cgpa = 'Valid CGPA is required';
     if (!formData.skills.trim()) newErrors.skills = 'Skills are required';
     if (!formData.whyCompany.trim()) newErrors.whyCompany = 'This field is required';
+    if (openProfiles.length > 0 && !formData.jobProfileId) newErrors.jobProfileId = 'Choose a job profile';
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -100,6 +143,35 @@ const ApplicationForm: React.FC<ApplicationFormProps> = ({ company, onBack, onSu
 
         <form onSubmit={handleSubmit} className="p-8">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:gap-6">
+            {openProfiles.length > 0 && (
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Job Profile *
+                </label>
+                <select
+                  name="jobProfileId"
+                  value={formData.jobProfileId}
+                  onChange={handleChange}
+                  className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.jobProfileId ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                >
+                  <option value="">Select the role you are applying for</option>
+                  {openProfiles.map(profile => (
+                    <option key={profile._id} value={profile._id}>
+                      {profile.title} ({profile.packageOffered}, {profile.totalPositions} positions)
+                    </option>
+                  ))}
+                </select>
+                {(company.maxProfilesPerStudent || 1) > 1 && (
+                  <p className="text-gray-500 text-sm mt-1">
+                    You can apply to up to {company.maxProfilesPerStudent} profiles of {company.name}, one application each.
+                  </p>
+                )}
+                {errors.jobProfileId && <p className="text-red-500 text-sm mt-1">{errors.jobProfileId}</p>}
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Full Name *
@@ -229,9 +301,61 @@ const ApplicationForm: React.FC<ApplicationFormProps> = ({ company, onBack, onSu
             {errors.skills && <p className="text-red-500 text-sm mt-1">{errors.skills}</p>}
           </div>
 
+          {hasPortfolio && portfolio && (
+            <div className="mt-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+              <h3 className="text-sm font-medium text-gray-700 mb-1">From your portfolio</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                These are attached to your application as they are now. Later changes to your portfolio will not change it.
+              </p>
+              {portfolio.projects.length > 0 && (
+                <div className="mb-3">
+                  <p className="text-xs font-semibold text-gray-600 uppercase mb-1">Projects</p>
+                  <ul className="space-y-1 text-sm text-gray-800">
+                    {portfolio.projects.map(project => (
+                      <li key={project._id}>
+                        {project.title}
+                        {project.technologies.length > 0 && (
+                          <span className="text-gray-500"> ({project.technologies.join(', ')})</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {portfolio.internships.length > 0 && (
+                <div className="mb-3">
+                  <p className="text-xs font-semibold text-gray-600 uppercase mb-1">Internships</p>
+                  <ul className="space-y-1 text-sm text-gray-800">
+                    {portfolio.internships.map(internship => (
+                      <li key={internship._id}>
+                        {internship.position} at {internship.company}
+                        <span className="text-gray-500">
+                          {' '}({formatMonth(internship.startDate)} - {internship.endDate ? formatMonth(internship.endDate) : 'Present'})
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {portfolio.certifications.length > 0 && (
+                <div>
+                  <p className="text-xs font-semibold text-gray-600 uppercase mb-1">Certifications</p>
+                  <ul className="space-y-1 text-sm text-gray-800">
+                    {portfolio.certifications.map(certification => (
+                      <li key={certification._id}>
+                        {certification.name}
+                        {certification.issuer && <span className="text-gray-500"> ({certification.issuer})</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="mt-6">
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Experience & Projects
+              {hasPortfolio ? 'Other Experience & Achievements' : 'Experience & Projects'}
             </label>
             <textarea
               name="experience"
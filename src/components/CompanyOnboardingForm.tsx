@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { X, Plus, Trash2, Building2, Mail, User } from 'lucide-react';
 import { CompanyOnboarding } from '../types';
+import { companiesService } from '../services/companies.service';
+import { handleApiError } from '../utils/api';
 
 interface CompanyOnboardingFormProps {
   onClose: () => void;
@@ -23,6 +25,10 @@ const CompanyOnboardingForm: React.FC<CompanyOnboardingFormProps> = ({ onClose }
   });
 
   const [errors, setErrors] = useState<Partial<CompanyOnboarding>>({});
+  // Onboarded companies are saved as drafts unless submitted for approval straight away
+  const [submitForApproval, setSubmitForApproval] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState('');
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
@@ -76,12 +82,40 @@ const CompanyOnboardingForm: React.FC<CompanyOnboardingFormProps> = ({ onClose }
     }));
   };
 
-  const handleSubmit = (e: React.FormEvent) => {
+  const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    // Validation and submission logic here
-    console.log('Company onboarding data:', formData);
-    alert('Company onboarded successfully! Recruiter credentials will be sent via email.');
-    onClose();
+    setIsSubmitting(true);
+    setSubmitError('');
+
+    try {
+      const { data } = await companiesService.createCompany({
+        name: formData.name,
+        description: formData.description,
+        industry: formData.industry,
+        location: formData.location,
+        packageOffered: formData.packageOffered,
+        totalPositions: Number(formData.totalPositions),
+        applicationDeadline: formData.applicationDeadline,
+        requirements: formData.requirements.filter(req => req.trim() !== ''),
+        submitForApproval,
+      });
+
+      // The recruiter sets their own password from the emailed invitation link
+      await companiesService.inviteRecruiter(data.company._id, {
+        email: formData.recruiterEmail,
+        name: formData.recruiterName,
+        isPrimaryContact: true,
+      });
+
+      alert(submitForApproval
+        ? 'Company submitted for approval. An invitation has been emailed to the recruiter.'
+        : 'Company saved as a draft. An invitation has been emailed to the recruiter, who can complete the details and submit it for approval.');
+      onClose();
+    } catch (error) {
+      setSubmitError(handleApiError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
   return (
@@ -127,13 +161,17 @@ const CompanyOnboardingForm: React.FC<CompanyOnboardingFormProps> = ({ onClose }
                 required
               >
                 <option value="">Select industry</option>
-                <option value="Technology">Technology</option>
-                <option value="Fintech">Fintech</option>
-                <option value="E-commerce">E-commerce</option>
-                <option value="Healthcare">Healthcare</option>
-                <option value="Finance">Finance</option>
+                <option value="Information Technology">Information Technology</option>
+                <option value="Software Development">Software Development</option>
                 <option value="Consulting">Consulting</option>
+                <option value="Banking and Finance">Banking and Finance</option>
                 <option value="Manufacturing">Manufacturing</option>
+                <option value="Healthcare">Healthcare</option>
+                <option value="Education">Education</option>
+                <option value="E-commerce">E-commerce</option>
+                <option value="Telecommunications">Telecommunications</option>
+                <option value="Automotive">Automotive</option>
+                <option value="Other">Other</option>
               </select>
             </div>
 
@@ -323,10 +361,28 @@ const CompanyOnboardingForm: React.FC<CompanyOnboardingFormProps> = ({ onClose }
             </div>
           </div>
           <p className="text-sm text-gray-500 mt-2">
-            Login credentials will be automatically generated and sent to the recruiter's email.
+            The recruiter will receive an invitation link to set their own password and will be the company's primary contact.
           </p>
         </div>
 
+        <label className="flex items-start space-x-3">
+          <input
+            type="checkbox"
+            checked={submitForApproval}
+            onChange={(e) => setSubmitForApproval(e.target.checked)}
+            className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          <span className="text-sm text-gray-700">
+            Submit for approval now. Otherwise the company is saved as a draft; students only see it once an admin approves it.
+          </span>
+        </label>
+
+        {submitError && (
+          <div className="bg-red-50 border border-red-200 text-red-700 p-3 rounded-lg text-sm">
+            {submitError}
+          </div>
+        )}
+
         {/* Submit Buttons */}
         <div className="flex space-x-4 pt-6 border-t border-gray-200">
           <button
@@ -338,9 +394,10 @@ const CompanyOnboardingForm: React.FC<CompanyOnboardingFormProps> = ({ onClose }
           </button>
           <button
             type="submit"
-            className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-3 px-6 rounded-lg font-medium transition-colors"
+            disabled={isSubmitting}
+            className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white py-3 px-6 rounded-lg font-medium transition-colors"
           >
-            Onboard Company
+            {isSubmitting ? 'Onboarding...' : submitForApproval ? 'Submit for Approval' : 'Save as Draft'}
           </button>
         </div>
       </form>
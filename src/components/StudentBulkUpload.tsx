@@ -1,43 +1,101 @@
 import React, { useState } from 'react';
 import { X, Upload, Download, FileText, AlertCircle, CheckCircle } from 'lucide-react';
+import { StudentImportResult, StudentImportRow } from '../types';
+import { studentsService } from '../services';
+import { handleApiError } from '../utils/api';
 
 interface StudentBulkUploadProps {
   onClose: () => void;
 }
 
+const actionLabels: Record<StudentImportRow['action'], { label: string; className: string }> = {
+  create: { label: 'New', className: 'bg-green-100 text-green-800' },
+  update: { label: 'Update', className: 'bg-blue-100 text-blue-800' },
+  unchanged: { label: 'Unchanged', className: 'bg-gray-100 text-gray-700' },
+  skip: { label: 'Skipped', className: 'bg-yellow-100 text-yellow-800' },
+  error: { label: 'Error', className: 'bg-red-100 text-red-800' },
+};
+
+const formatValue = (value: unknown) => (Array.isArray(value) ? value.join(', ') : String(value ?? '—'));
+
 const StudentBulkUpload: React.FC<StudentBulkUploadProps> = ({ onClose }) => {
   const [uploadStep, setUploadStep] = useState<'template' | 'upload' | 'preview' | 'success'>('template');
   const [file, setFile] = useState<File | null>(null);
-  const [uploadProgress, setUploadProgress] = useState(0);
+  const [mode, setMode] = useState<'insert' | 'upsert'>('insert');
+  const [preview, setPreview] = useState<StudentImportResult | null>(null);
+  const [result, setResult] = useState<StudentImportResult | null>(null);
+  const [uploadError, setUploadError] = useState('');
 
-  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+  const buildFormData = (selectedFile: File, options: Record<string, string> = {}) => {
+    const formData = new FormData();
+    formData.append('file', selectedFile);
+    formData.append('mode', mode);
+    Object.entries(options).forEach(([key, value]) => formData.append(key, value));
+    return formData;
+  };
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
     const selectedFile = e.target.files?.[0];
-    if (selectedFile) {
-      setFile(selectedFile);
+    e.target.value = '';
+    if (!selectedFile) {
+      return;
+    }
+
+    setFile(selectedFile);
+    setUploadError('');
+    setUploadStep('upload');
+    try {
+      // Validate the rows and compare them with existing records without saving
+      const response = await studentsService.bulkUpload(buildFormData(selectedFile, { dryRun: 'true' }));
+      setPreview(response.data);
       setUploadStep('preview');
+    } catch (error) {
+      setUploadError(handleApiError(error));
+      setUploadStep('template');
     }
   };
 
-  const handleUpload = () => {
+  const handleUpload = async () => {
+    if (!file) {
+      return;
+    }
+
+    setUploadError('');
     setUploadStep('upload');
-    // Simulate upload progress
-    let progress = 0;
-    const interval = setInterval(() => {
-      progress += 10;
-      setUploadProgress(progress);
-      if (progress >= 100) {
-        clearInterval(interval);
-        setTimeout(() => setUploadStep('success'), 500);
-      }
-    }, 200);
+    try {
+      const response = await studentsService.bulkUpload(buildFormData(file));
+      setResult(response.data);
+      setUploadStep('success');
+    } catch (error) {
+      setUploadError(handleApiError(error));
+      setUploadStep('preview');
+    }
+  };
+
+  const downloadErrorReport = async () => {
+    if (!file) {
+      return;
+    }
+
+    try {
+      const report = await studentsService.downloadBulkUploadReport(buildFormData(file, { report: 'xlsx' }));
+      const url = window.URL.createObjectURL(report);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'student_upload_errors.xlsx';
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      setUploadError(handleApiError(error));
+    }
   };
 
   const downloadTemplate = () => {
     // Create CSV template
-    const csvContent = `Name,Roll Number,Email,Phone,Branch,CGPA,Skills
-John Doe,21BCE001,john.doe@college.edu,+91 98765 43210,Computer Science,8.5,"React,Node.js,Python"
-Jane Smith,21BCE002,jane.smith@college.edu,+91 98765 43211,Information Technology,9.2,"Java,Spring Boot,MySQL"`;
-    
+    const csvContent = `Name,Roll Number,Email,Phone,Branch,CGPA,Batch,Backlogs,Gap Years,Skills
+John Doe,21BCE001,john.doe@college.edu,9876543210,Computer Science,8.5,2025,0,0,"React,Node.js,Python"
+Jane Smith,21BCE002,jane.smith@college.edu,9876543211,Information Technology,9.2,2025,0,0,"Java,Spring Boot,MySQL"`;
+
     const blob = new Blob([csvContent], { type: 'text/csv' });
     const url = window.URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -47,6 +105,8 @@ Jane Smith,21BCE002,jane.smith@college.edu,+91 98765 43211,Information Technolog
     window.URL.revokeObjectURL(url);
   };
 
+  const importCount = preview ? preview.summary.create + preview.summary.update : 0;
+
   return (
     <div className="bg-white border border-gray-200 rounded-lg">
       <div className="flex items-center justify-between p-6 border-b border-gray-200">
@@ -63,6 +123,12 @@ Jane Smith,21BCE002,jane.smith@college.edu,+91 98765 43211,Information Technolog
       </div>
 
       <div className="p-6">
+        {uploadError && (
+          <div className="bg-red-50 border border-red-200 text-red-700 p-3 rounded-lg text-sm mb-6">
+            {uploadError}
+          </div>
+        )}
+
         {uploadStep === 'template' && (
           <div className="text-center space-y-6">
             <div className="bg-blue-50 p-6 rounded-lg">
@@ -86,18 +152,46 @@ Jane Smith,21BCE002,jane.smith@college.edu,+91 98765 43211,Information Technolog
                 <li>• Name (Full name of the student)</li>
                 <li>• Roll Number (Unique identifier)</li>
                 <li>• Email (College email address)</li>
-                <li>• Phone (Contact number with country code)</li>
+                <li>• Phone (10-digit contact number)</li>
                 <li>• Branch (Department/Branch of study)</li>
                 <li>• CGPA (Current CGPA out of 10)</li>
+                <li>• Batch (Passing year)</li>
+              </ul>
+              <h4 className="font-medium text-gray-900 mt-4 mb-2">Optional Fields:</h4>
+              <ul className="text-sm text-gray-600 space-y-1">
+                <li>• Backlogs (Active backlogs)</li>
+                <li>• Gap Years (Years of break in education)</li>
                 <li>• Skills (Comma-separated list of technical skills)</li>
               </ul>
             </div>
 
+            <div className="text-left space-y-2">
+              <h4 className="font-medium text-gray-900">Existing Roll Numbers:</h4>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="mode"
+                  checked={mode === 'insert'}
+                  onChange={() => setMode('insert')}
+                />
+                <span>Skip students that already exist</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="mode"
+                  checked={mode === 'upsert'}
+                  onChange={() => setMode('upsert')}
+                />
+                <span>Update existing students (e.g. CGPA and backlogs after a semester)</span>
+              </label>
+            </div>
+
             <div className="border-2 border-dashed border-gray-300 rounded-lg p-8">
               <Upload className="h-12 w-12 text-gray-400 mx-auto mb-4" />
               <div className="text-center">
                 <label className="cursor-pointer">
-                  <span className="text-blue-600 hover:text-blue-800 font-medium">Click to upload your CSV file</span>
+                  <span className="text-blue-600 hover:text-blue-800 font-medium">Click to upload your CSV or XLSX file</span>
                   <input
                     type="file"
                     accept=".csv,.xlsx,.xls"
@@ -105,14 +199,13 @@ Jane Smith,21BCE002,jane.smith@college.edu,+91 98765 43211,Information Technolog
                     className="hidden"
                   />
                 </label>
-                <p className="text-gray-500 text-sm mt-2">or drag and drop</p>
                 <p className="text-gray-400 text-xs mt-1">CSV, XLSX files up to 10MB</p>
               </div>
             </div>
           </div>
         )}
 
-        {uploadStep === 'preview' && file && (
+        {uploadStep === 'preview' && file && preview && (
           <div className="space-y-6">
             <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
               <div className="flex items-center space-x-2">
@@ -120,7 +213,7 @@ Jane Smith,21BCE002,jane.smith@college.edu,+91 98765 43211,Information Technolog
                 <h3 className="font-medium text-yellow-800">File Preview</h3>
               </div>
               <p className="text-yellow-700 text-sm mt-1">
-                Please review the file details before uploading.
+                Nothing has been saved yet. Review the changes before uploading; rows with errors will not be imported.
               </p>
             </div>
 
@@ -131,38 +224,77 @@ Jane Smith,21BCE002,jane.smith@college.edu,+91 98765 43211,Information Technolog
                   <span className="ml-2 font-medium">{file.name}</span>
                 </div>
                 <div>
-                  <span className="text-gray-600">File Size:</span>
-                  <span className="ml-2 font-medium">{(file.size / 1024).toFixed(2)} KB</span>
+                  <span className="text-gray-600">Rows:</span>
+                  <span className="ml-2 font-medium">{preview.summary.total}</span>
                 </div>
                 <div>
-                  <span className="text-gray-600">File Type:</span>
-                  <span className="ml-2 font-medium">{file.type || 'CSV'}</span>
+                  <span className="text-gray-600">New Students:</span>
+                  <span className="ml-2 font-medium">{preview.summary.create}</span>
                 </div>
                 <div>
-                  <span className="text-gray-600">Estimated Records:</span>
-                  <span className="ml-2 font-medium">~45 students</span>
-                </div>
-              </div>
-            </div>
-
-            <div className="bg-gray-50 p-4 rounded-lg">
-              <h4 className="font-medium text-gray-900 mb-2">Validation Results:</h4>
-              <div className="space-y-2 text-sm">
-                <div className="flex items-center space-x-2 text-green-600">
-                  <CheckCircle className="h-4 w-4" />
-                  <span>All required fields present</span>
+                  <span className="text-gray-600">Updates:</span>
+                  <span className="ml-2 font-medium">{preview.summary.update}</span>
                 </div>
-                <div className="flex items-center space-x-2 text-green-600">
-                  <CheckCircle className="h-4 w-4" />
-                  <span>No duplicate roll numbers found</span>
+                <div>
+                  <span className="text-gray-600">Unchanged / Skipped:</span>
+                  <span className="ml-2 font-medium">{preview.summary.unchanged + preview.summary.skip}</span>
                 </div>
-                <div className="flex items-center space-x-2 text-green-600">
-                  <CheckCircle className="h-4 w-4" />
-                  <span>Email format validation passed</span>
+                <div>
+                  <span className="text-gray-600">Errors:</span>
+                  <span className={`ml-2 font-medium ${preview.summary.error > 0 ? 'text-red-600' : ''}`}>
+                    {preview.summary.error}
+                  </span>
                 </div>
               </div>
             </div>
 
+            <div className="border border-gray-200 rounded-lg max-h-80 overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Row</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Roll Number</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Status</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Details</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {preview.rows.map((row) => (
+                    <tr key={row.row}>
+                      <td className="px-4 py-2 text-gray-500">{row.row}</td>
+                      <td className="px-4 py-2 font-medium">{row.rollNumber || '—'}</td>
+                      <td className="px-4 py-2">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${actionLabels[row.action].className}`}>
+                          {actionLabels[row.action].label}
+                        </span>
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {row.errors.length > 0 && (
+                          <span className="text-red-600">{row.errors.join('; ')}</span>
+                        )}
+                        {row.errors.length === 0 && row.reason}
+                        {row.errors.length === 0 && row.action === 'update' && row.changes.map((change) => (
+                          <div key={change.field}>
+                            {change.field}: {formatValue(change.from)} → {formatValue(change.to)}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {preview.summary.error > 0 && (
+              <button
+                onClick={downloadErrorReport}
+                className="text-red-600 hover:text-red-800 text-sm font-medium flex items-center space-x-2"
+              >
+                <Download className="h-4 w-4" />
+                <span>Download error report</span>
+              </button>
+            )}
+
             <div className="flex space-x-4">
               <button
                 onClick={() => setUploadStep('template')}
@@ -172,9 +304,10 @@ Jane Smith,21BCE002,jane.smith@college.edu,+91 98765 43211,Information Technolog
               </button>
               <button
                 onClick={handleUpload}
-                className="flex-1 bg-green-600 hover:bg-green-700 text-white py-3 px-6 rounded-lg font-medium transition-colors"
+                disabled={importCount === 0}
+                className="flex-1 bg-green-600 hover:bg-green-700 disabled:bg-gray-300 text-white py-3 px-6 rounded-lg font-medium transition-colors"
               >
-                Upload Students
+                Upload {importCount} Students
               </button>
             </div>
           </div>
@@ -183,39 +316,43 @@ Jane Smith,21BCE002,jane.smith@college.edu,+91 98765 43211,Information Technolog
         {uploadStep === 'upload' && (
           <div className="text-center space-y-6">
             <div className="bg-blue-50 p-8 rounded-lg">
-              <Upload className="h-16 w-16 text-blue-600 mx-auto mb-4" />
-              <h3 className="text-lg font-semibold text-blue-900 mb-2">Uploading Students...</h3>
-              <p className="text-blue-700 mb-4">Please wait while we process your file.</p>
-              
-              <div className="w-full bg-blue-200 rounded-full h-3 mb-2">
-                <div 
-                  className="bg-blue-600 h-3 rounded-full transition-all duration-300"
-                  style={{ width: `${uploadProgress}%` }}
-                ></div>
-              </div>
-              <p className="text-blue-600 text-sm">{uploadProgress}% complete</p>
+              <Upload className="h-16 w-16 text-blue-600 mx-auto mb-4 animate-pulse" />
+              <h3 className="text-lg font-semibold text-blue-900 mb-2">Processing Students...</h3>
+              <p className="text-blue-700">Please wait while we process your file.</p>
             </div>
           </div>
         )}
 
-        {uploadStep === 'success' && (
+        {uploadStep === 'success' && result && (
           <div className="text-center space-y-6">
             <div className="bg-green-50 p-8 rounded-lg">
               <CheckCircle className="h-16 w-16 text-green-600 mx-auto mb-4" />
-              <h3 className="text-lg font-semibold text-green-900 mb-2">Upload Successful!</h3>
-              <p className="text-green-700 mb-4">45 students have been successfully added to the system.</p>
-              
+              <h3 className="text-lg font-semibold text-green-900 mb-2">Upload Complete</h3>
+              <p className="text-green-700 mb-4">
+                {result.summary.create + result.summary.update} students have been added or updated.
+              </p>
+
               <div className="bg-white border border-green-200 rounded-lg p-4 text-left">
                 <h4 className="font-medium text-green-900 mb-2">Summary:</h4>
                 <div className="text-sm text-green-700 space-y-1">
-                  <div>• 45 students added</div>
-                  <div>• 0 duplicates skipped</div>
-                  <div>• 0 validation errors</div>
-                  <div>• All students are now eligible for applications</div>
+                  <div>• {result.summary.create} students added</div>
+                  <div>• {result.summary.update} students updated</div>
+                  <div>• {result.summary.unchanged + result.summary.skip} rows unchanged or skipped</div>
+                  <div>• {result.summary.error} rows with errors not imported</div>
                 </div>
               </div>
             </div>
 
+            {result.summary.error > 0 && (
+              <button
+                onClick={downloadErrorReport}
+                className="text-red-600 hover:text-red-800 text-sm font-medium flex items-center space-x-2 mx-auto"
+              >
+                <Download className="h-4 w-4" />
+                <span>Download error report</span>
+              </button>
+            )}
+
             <button
               onClick={onClose}
               className="bg-green-600 hover:bg-green-700 text-white py-3 px-8 rounded-lg font-medium transition-colors"
@@ -229,4 +366,4 @@ Jane Smith,21BCE002,jane.smith@college.edu,+91 98765 43211,Information Technolog
   );
 };
 
-export default StudentBulkUpload;
\ No newline at end of file
+export default StudentBulkUpload;
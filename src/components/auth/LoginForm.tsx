@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { User, Mail, Lock, Eye, EyeOff, AlertCircle, Shield, GraduationCap } from 'lucide-react';
+import { User, Mail, Lock, Eye, EyeOff, AlertCircle, Shield, GraduationCap, KeyRound } from 'lucide-react';
 import { useAuthStore } from '../../store/authStore';
 
 interface LoginFormData {
@@ -16,7 +16,7 @@ interface LoginFormProps {
 }
 
 export const LoginForm: React.FC<LoginFormProps> = ({ onSuccess, onClose, fixedEmail, role }) => {
-  const { login, isLoading, error, clearError } = useAuthStore();
+  const { login, verifyMfa, cancelMfa, mfaToken, isLoading, error, clearError } = useAuthStore();
   const [formData, setFormData] = useState<LoginFormData>({
     email: fixedEmail || '',
     password: '',
@@ -24,6 +24,8 @@ export const LoginForm: React.FC<LoginFormProps> = ({ onSuccess, onClose, fixedE
   });
   const [showPassword, setShowPassword] = useState(false);
   const [errors, setErrors] = useState<Partial<LoginFormData>>({});
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const validateForm = (): boolean => {
     const newErrors: Partial<LoginFormData> = {};
@@ -55,11 +57,39 @@ export const LoginForm: React.FC<LoginFormProps> = ({ onSuccess, onClose, fixedE
     }
 
     await login(formData.email, formData.password);
+
+    // Accounts with two-factor enabled continue with the code step below
+    if (useAuthStore.getState().mfaToken) {
+      return;
+    }
+
     if (onSuccess) {
       onSuccess();
     }
   };
 
+  const handleMfaSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    clearError();
+
+    if (!mfaCode.trim()) {
+      return;
+    }
+
+    await verifyMfa(mfaCode.trim(), useRecoveryCode);
+    setMfaCode('');
+    if (!useAuthStore.getState().mfaToken && onSuccess) {
+      onSuccess();
+    }
+  };
+
+  const handleMfaCancel = () => {
+    cancelMfa();
+    setMfaCode('');
+    setUseRecoveryCode(false);
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
   const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
@@ -140,134 +170,198 @@ export const LoginForm: React.FC<LoginFormProps> = ({ onSuccess, onClose, fixedE
           )}
 
           {/* Form */}
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Email Field */}
-            <div className="space-y-2">
-              <label htmlFor="email" className="block text-sm font-semibold text-gray-700">
-                Email Address
-              </label>
-              <div className="relative group">
-                <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
-                  <Mail className="h-5 w-5 text-gray-400 group-focus-within:text-blue-500 transition-colors" />
+          {mfaToken ? (
+            <form onSubmit={handleMfaSubmit} className="space-y-6">
+              <div className="space-y-2">
+                <label htmlFor="mfaCode" className="block text-sm font-semibold text-gray-700">
+                  {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                </label>
+                <div className="relative group">
+                  <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                    <KeyRound className="h-5 w-5 text-gray-400 group-focus-within:text-blue-500 transition-colors" />
+                  </div>
+                  <input
+                    id="mfaCode"
+                    name="mfaCode"
+                    type="text"
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    autoComplete="one-time-code"
+                    autoFocus
+                    value={mfaCode}
+                    onChange={(e) => setMfaCode(e.target.value)}
+                    className="block w-full pl-12 pr-4 py-4 bg-white/50 backdrop-blur-sm border border-gray-200 hover:border-gray-300 rounded-xl shadow-sm transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 focus:bg-white/80 tracking-widest"
+                    placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '6-digit code from your authenticator app'}
+                  />
                 </div>
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  value={formData.email}
-                  onChange={handleChange}
-                  readOnly={!!fixedEmail}
-                  disabled={!!fixedEmail}
-                  className={`block w-full pl-12 pr-4 py-4 bg-white/50 backdrop-blur-sm border rounded-xl shadow-sm transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 focus:bg-white/80 ${
-                    errors.email 
-                      ? 'border-red-300 focus:border-red-500 focus:ring-red-500/20' 
-                      : 'border-gray-200 hover:border-gray-300'
-                  } ${fixedEmail ? 'bg-gray-50/50 cursor-not-allowed' : ''}`}
-                  placeholder={fixedEmail ? "Administrator email (secured)" : "Enter your institutional email"}
-                />
               </div>
-              {errors.email && (
-                <p className="text-red-600 text-sm flex items-center space-x-1">
-                  <AlertCircle className="w-4 h-4" />
-                  <span>{errors.email}</span>
-                </p>
-              )}
-              {fixedEmail && (
-                <p className="text-blue-600 text-sm flex items-center space-x-1">
-                  <Shield className="w-4 h-4" />
-                  <span>Administrator email is secured for your protection</span>
-                </p>
-              )}
-            </div>
 
-            {/* Password Field */}
-            <div className="space-y-2">
-              <label htmlFor="password" className="block text-sm font-semibold text-gray-700">
-                Password
-              </label>
-              <div className="relative group">
-                <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
-                  <Lock className="h-5 w-5 text-gray-400 group-focus-within:text-blue-500 transition-colors" />
-                </div>
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  className={`block w-full pl-12 pr-12 py-4 bg-white/50 backdrop-blur-sm border rounded-xl shadow-sm transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 focus:bg-white/80 ${
-                    errors.password 
-                      ? 'border-red-300 focus:border-red-500 focus:ring-red-500/20' 
-                      : 'border-gray-200 hover:border-gray-300'
-                  }`}
-                  placeholder="Enter your secure password"
-                />
+              <div className="flex items-center justify-between">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setMfaCode('');
+                  }}
+                  className="text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
+                >
+                  {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                </button>
                 <button
                   type="button"
-                  className="absolute inset-y-0 right-0 pr-4 flex items-center text-gray-400 hover:text-gray-600 transition-colors"
-                  onClick={() => setShowPassword(!showPassword)}
+                  onClick={handleMfaCancel}
+                  className="text-sm font-medium text-gray-600 hover:text-gray-500 transition-colors"
+                >
+                  Back to sign in
+                </button>
+              </div>
+
+              <div className="pt-2">
+                <button
+                  type="submit"
+                  disabled={isLoading || !mfaCode.trim()}
+                  className={`w-full flex justify-center items-center py-4 px-6 border border-transparent rounded-xl shadow-lg text-base font-semibold text-white bg-gradient-to-r ${config.gradient} hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-60 disabled:cursor-not-allowed transition-all duration-200`}
                 >
-                  {showPassword ? (
-                    <EyeOff className="h-5 w-5" />
+                  {isLoading ? (
+                    <div className="flex items-center space-x-3">
+                      <div className="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
+                      <span>Verifying...</span>
+                    </div>
                   ) : (
-                    <Eye className="h-5 w-5" />
+                    <span>Verify</span>
                   )}
                 </button>
               </div>
-              {errors.password && (
-                <p className="text-red-600 text-sm flex items-center space-x-1">
-                  <AlertCircle className="w-4 h-4" />
-                  <span>{errors.password}</span>
-                </p>
-              )}
-            </div>
-
-            {/* Remember Me */}
-            <div className="flex items-center justify-between">
-              <div className="flex items-center">
-                <input
-                  id="rememberMe"
-                  name="rememberMe"
-                  type="checkbox"
-                  checked={formData.rememberMe}
-                  onChange={handleChange}
-                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded transition-colors"
-                />
-                <label htmlFor="rememberMe" className="ml-3 block text-sm font-medium text-gray-700">
-                  Keep me signed in
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Email Field */}
+              <div className="space-y-2">
+                <label htmlFor="email" className="block text-sm font-semibold text-gray-700">
+                  Email Address
                 </label>
-              </div>
-              <button
-                type="button"
-                className="text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
-              >
-                Forgot password?
-              </button>
-            </div>
-
-            {/* Submit Button */}
-            <div className="pt-2">
-              <button
-                type="submit"
-                disabled={isLoading}
-                className={`w-full flex justify-center items-center py-4 px-6 border border-transparent rounded-xl shadow-lg text-base font-semibold text-white bg-gradient-to-r ${config.gradient} hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-60 disabled:cursor-not-allowed transition-all duration-200 transform hover:scale-[1.02] active:scale-[0.98]`}
-              >
-                {isLoading ? (
-                  <div className="flex items-center space-x-3">
-                    <div className="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
-                    <span>Authenticating...</span>
+                <div className="relative group">
+                  <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-gray-400 group-focus-within:text-blue-500 transition-colors" />
                   </div>
-                ) : (
-                  <div className="flex items-center space-x-2">
-                    <span>Sign In Securely</span>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    readOnly={!!fixedEmail}
+                    disabled={!!fixedEmail}
+                    className={`block w-full pl-12 pr-4 py-4 bg-white/50 backdrop-blur-sm border rounded-xl shadow-sm transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 focus:bg-white/80 ${
+                      errors.email 
+                        ? 'border-red-300 focus:border-red-500 focus:ring-red-500/20' 
+                        : 'border-gray-200 hover:border-gray-300'
+                    } ${fixedEmail ? 'bg-gray-50/50 cursor-not-allowed' : ''}`}
+                    placeholder={fixedEmail ? "Administrator email (secured)" : "Enter your institutional email"}
+                  />
+                </div>
+                {errors.email && (
+                  <p className="text-red-600 text-sm flex items-center space-x-1">
+                    <AlertCircle className="w-4 h-4" />
+                    <span>{errors.email}</span>
+                  </p>
+                )}
+                {fixedEmail && (
+                  <p className="text-blue-600 text-sm flex items-center space-x-1">
                     <Shield className="w-4 h-4" />
+                    <span>Administrator email is secured for your protection</span>
+                  </p>
+                )}
+              </div>
+
+              {/* Password Field */}
+              <div className="space-y-2">
+                <label htmlFor="password" className="block text-sm font-semibold text-gray-700">
+                  Password
+                </label>
+                <div className="relative group">
+                  <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400 group-focus-within:text-blue-500 transition-colors" />
                   </div>
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className={`block w-full pl-12 pr-12 py-4 bg-white/50 backdrop-blur-sm border rounded-xl shadow-sm transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 focus:bg-white/80 ${
+                      errors.password 
+                        ? 'border-red-300 focus:border-red-500 focus:ring-red-500/20' 
+                        : 'border-gray-200 hover:border-gray-300'
+                    }`}
+                    placeholder="Enter your secure password"
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-4 flex items-center text-gray-400 hover:text-gray-600 transition-colors"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-5 w-5" />
+                    ) : (
+                      <Eye className="h-5 w-5" />
+                    )}
+                  </button>
+                </div>
+                {errors.password && (
+                  <p className="text-red-600 text-sm flex items-center space-x-1">
+                    <AlertCircle className="w-4 h-4" />
+                    <span>{errors.password}</span>
+                  </p>
                 )}
-              </button>
-            </div>
-          </form>
+              </div>
+
+              {/* Remember Me */}
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <input
+                    id="rememberMe"
+                    name="rememberMe"
+                    type="checkbox"
+                    checked={formData.rememberMe}
+                    onChange={handleChange}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded transition-colors"
+                  />
+                  <label htmlFor="rememberMe" className="ml-3 block text-sm font-medium text-gray-700">
+                    Keep me signed in
+                  </label>
+                </div>
+                <button
+                  type="button"
+                  className="text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
+                >
+                  Forgot password?
+                </button>
+              </div>
+
+              {/* Submit Button */}
+              <div className="pt-2">
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className={`w-full flex justify-center items-center py-4 px-6 border border-transparent rounded-xl shadow-lg text-base font-semibold text-white bg-gradient-to-r ${config.gradient} hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-60 disabled:cursor-not-allowed transition-all duration-200 transform hover:scale-[1.02] active:scale-[0.98]`}
+                >
+                  {isLoading ? (
+                    <div className="flex items-center space-x-3">
+                      <div className="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
+                      <span>Authenticating...</span>
+                    </div>
+                  ) : (
+                    <div className="flex items-center space-x-2">
+                      <span>Sign In Securely</span>
+                      <Shield className="w-4 h-4" />
+                    </div>
+                  )}
+                </button>
+              </div>
+            </form>
+          )}
 
           {/* Footer */}
           <div className="text-center mt-8 pt-6 border-t border-gray-200/50">
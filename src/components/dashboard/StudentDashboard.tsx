@@ -1,7 +1,8 @@
 import React, { useEffect, useState } from 'react';
-import { User, Building2, FileText, LogOut, Search, BookOpen } from 'lucide-react';
+import { User, Building2, FileText, LogOut, Search, BookOpen, CheckCircle, Circle } from 'lucide-react';
 import { useAuthStore } from '../../store/authStore';
 import { dashboardService, applicationsService, studentsService } from '../../services';
+import { ProfileCompleteness } from '../../types';
 
 export const StudentDashboard: React.FC = () => {
   const { user, logout } = useAuthStore();
@@ -12,6 +13,7 @@ export const StudentDashboard: React.FC = () => {
     cgpa: 0,
   });
   const [studentProfile, setStudentProfile] = useState<any>(null);
+  const [profileCompleteness, setProfileCompleteness] = useState<ProfileCompleteness | null>(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -40,6 +42,7 @@ export const StudentDashboard: React.FC = () => {
             underReview: dashboardStats.applicationsInReview || 0,
             cgpa: student.academics?.cgpa || 0,
           });
+          setProfileCompleteness(dashboardStats.student?.profileCompleteness || null);
         }
       }
     } catch (error) {
@@ -141,6 +144,35 @@ export const StudentDashboard: React.FC = () => {
           </div>
         </div>
 
+        {/* Profile Checklist */}
+        {profileCompleteness && (
+          <div className="bg-white rounded-lg shadow p-6 mb-6">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-lg font-semibold text-gray-900">Profile Checklist</h3>
+              <span className="text-sm font-medium text-gray-700">{profileCompleteness.score}% complete</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
+              <div
+                className="bg-blue-600 h-2 rounded-full"
+                style={{ width: `${profileCompleteness.score}%` }}
+              />
+            </div>
+            <ul className="space-y-2">
+              {profileCompleteness.checklist.map(entry => (
+                <li key={entry.item} className="flex items-center text-sm">
+                  {entry.complete ? (
+                    <CheckCircle className="w-4 h-4 text-green-600 mr-2" />
+                  ) : (
+                    <Circle className="w-4 h-4 text-gray-400 mr-2" />
+                  )}
+                  <span className={entry.complete ? 'text-gray-500 line-through' : 'text-gray-900'}>{entry.label}</span>
+                  <span className="ml-auto text-gray-400">+{entry.weight}%</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Quick Actions */}
         <div className="bg-white rounded-lg shadow p-6 mb-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h3>
@@ -1,6 +1,8 @@
 import React from 'react';
-import { useLocation } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Eye } from 'lucide-react';
 import Header from '../Header';
+import { useAuthStore } from '../../store/authStore';
 
 interface LayoutWithHeaderProps {
   children: React.ReactNode;
@@ -8,6 +10,8 @@ interface LayoutWithHeaderProps {
 
 export const LayoutWithHeader: React.FC<LayoutWithHeaderProps> = ({ children }) => {
   const location = useLocation();
+  const navigate = useNavigate();
+  const { user, impersonation, stopImpersonation } = useAuthStore();
 
   // Determine the current view from the pathname
   const getCurrentView = () => {
@@ -32,8 +36,33 @@ export const LayoutWithHeader: React.FC<LayoutWithHeaderProps> = ({ children })
     console.log('View change requested:', view);
   };
 
+  const handleStopImpersonation = async () => {
+    await stopImpersonation();
+    navigate('/admin');
+  };
+
   return (
     <>
+      {impersonation && user && (
+        <div className="bg-amber-100 border-b border-amber-300 text-amber-900">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center justify-between gap-2 text-sm">
+            <div className="flex items-center space-x-2">
+              <Eye className="h-4 w-4" />
+              <span>
+                Viewing as <strong>{user.name}</strong> ({user.email})
+                {impersonation.readOnly ? ' in read-only mode' : ''} on behalf of {impersonation.impersonator.name}.
+                Ends at {new Date(impersonation.expiresAt).toLocaleTimeString()}.
+              </span>
+            </div>
+            <button
+              onClick={handleStopImpersonation}
+              className="px-3 py-1 rounded-md bg-amber-600 text-white font-medium hover:bg-amber-700 transition-colors"
+            >
+              Stop impersonating
+            </button>
+          </div>
+        </div>
+      )}
       <Header
         currentView={getCurrentView()}
         onViewChange={handleViewChange}
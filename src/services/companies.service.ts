@@ -1,4 +1,5 @@
 import api from '../utils/api';
+import { CompanyLifecycleStatus } from '../types';
 
 export const companiesService = {
   getCompanies: async (params?: any) => {
@@ -31,6 +32,23 @@ export const companiesService = {
     return response.data;
   },
 
+  changeStatus: async (
+    id: string,
+    statusData: {
+      status: CompanyLifecycleStatus;
+      note?: string;
+      preplacementTalk?: { scheduledAt: string; venue?: string };
+    }
+  ) => {
+    const response = await api.post(`/companies/${id}/status`, statusData);
+    return response.data;
+  },
+
+  getStatusHistory: async (id: string) => {
+    const response = await api.get(`/companies/${id}/status-history`);
+    return response.data;
+  },
+
   createRound: async (id: string, roundData: any) => {
     const response = await api.post(`/companies/${id}/rounds`, roundData);
     return response.data;
@@ -41,6 +59,36 @@ export const companiesService = {
     return response.data;
   },
 
+  getRecruiters: async (id: string) => {
+    const response = await api.get(`/companies/${id}/recruiters`);
+    return response.data;
+  },
+
+  inviteRecruiter: async (id: string, invitationData: { email: string; name?: string; isPrimaryContact?: boolean }) => {
+    const response = await api.post(`/companies/${id}/recruiters/invitations`, invitationData);
+    return response.data;
+  },
+
+  resendInvitation: async (id: string, invitationId: string) => {
+    const response = await api.post(`/companies/${id}/recruiters/invitations/${invitationId}/resend`);
+    return response.data;
+  },
+
+  revokeInvitation: async (id: string, invitationId: string) => {
+    const response = await api.delete(`/companies/${id}/recruiters/invitations/${invitationId}`);
+    return response.data;
+  },
+
+  setPrimaryContact: async (id: string, userId: string) => {
+    const response = await api.put(`/companies/${id}/recruiters/${userId}/primary-contact`);
+    return response.data;
+  },
+
+  revokeRecruiter: async (id: string, userId: string) => {
+    const response = await api.delete(`/companies/${id}/recruiters/${userId}`);
+    return response.data;
+  },
+
   searchCompanies: async (params?: any) => {
     const response = await api.get('/companies/search', { params });
     return response.data;
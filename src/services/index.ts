@@ -1,4 +1,5 @@
 import api from '../utils/api';
+import { StudentPortfolio } from '../types';
 
 // ============================================================================
 // STUDENTS SERVICE
@@ -36,6 +37,40 @@ export const studentsService = {
     return response.data;
   },
 
+  getMyProfile: async () => {
+    const response = await api.get('/auth/profile');
+    return response.data;
+  },
+
+  getPortfolio: async (id: string) => {
+    const response = await api.get(`/students/${id}/portfolio`);
+    return response.data;
+  },
+
+  addPortfolioItem: async <S extends keyof StudentPortfolio>(
+    id: string,
+    section: S,
+    item: Omit<StudentPortfolio[S][number], '_id'>
+  ) => {
+    const response = await api.post(`/students/${id}/portfolio/${section}`, item);
+    return response.data;
+  },
+
+  updatePortfolioItem: async <S extends keyof StudentPortfolio>(
+    id: string,
+    section: S,
+    itemId: string,
+    item: Partial<Omit<StudentPortfolio[S][number], '_id'>>
+  ) => {
+    const response = await api.put(`/students/${id}/portfolio/${section}/${itemId}`, item);
+    return response.data;
+  },
+
+  deletePortfolioItem: async (id: string, section: keyof StudentPortfolio, itemId: string) => {
+    const response = await api.delete(`/students/${id}/portfolio/${section}/${itemId}`);
+    return response.data;
+  },
+
   getEligibleStudents: async (companyId: string, params?: any) => {
     const response = await api.get(`/students/eligible/${companyId}`, { params });
     return response.data;
@@ -47,6 +82,14 @@ export const studentsService = {
     });
     return response.data;
   },
+
+  downloadBulkUploadReport: async (formData: FormData) => {
+    const response = await api.post('/students/bulk-upload', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      responseType: 'blob',
+    });
+    return response.data as Blob;
+  },
 };
 
 // ============================================================================
@@ -1,5 +1,6 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { refreshAccessToken as refreshSharedAccessToken } from '../utils/api';
 
 // API base URL - can be configured via environment variable
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
@@ -41,21 +42,49 @@ export interface User {
   companyId?: string;
   isActive: boolean;
   lastLogin?: string;
+  emailVerified?: boolean;
+  mustChangePassword?: boolean;
+  mfaEnabled?: boolean;
   profile?: any;
 }
 
+export interface Impersonation {
+  id: string;
+  impersonator: {
+    id: string;
+    name: string;
+    email: string;
+  };
+  readOnly: boolean;
+  expiresAt: string;
+}
+
+// The administrator's own login, kept aside while they view the portal as someone else
+export interface ImpersonatorSession {
+  user: User;
+  accessToken: string;
+  refreshToken: string;
+}
+
 export interface AuthState {
   user: User | null;
   accessToken: string | null;
   refreshToken: string | null;
+  mfaToken: string | null;
+  impersonation: Impersonation | null;
+  impersonatorSession: ImpersonatorSession | null;
   isLoading: boolean;
   error: string | null;
 }
 
 export interface AuthActions {
   login: (email: string, password: string) => Promise<void>;
+  verifyMfa: (code: string, useRecoveryCode?: boolean) => Promise<void>;
+  cancelMfa: () => void;
   register: (userData: any) => Promise<void>;
   logout: () => void;
+  startImpersonation: (userId: string, reason: string, readOnly?: boolean) => Promise<void>;
+  stopImpersonation: () => Promise<void>;
   refreshAccessToken: () => Promise<void>;
   updateProfile: (profileData: any) => Promise<void>;
   clearError: () => void;
@@ -70,12 +99,15 @@ export const useAuthStore = create<AuthStore>()(
       user: null,
       accessToken: null,
       refreshToken: null,
+      mfaToken: null,
+      impersonation: null,
+      impersonatorSession: null,
       isLoading: false,
       error: null,
 
       // Actions
       login: async (email: string, password: string) => {
-        set({ isLoading: true, error: null });
+        set({ isLoading: true, error: null, mfaToken: null });
 
         try {
           const response = await apiRequest('/api/auth/login', {
@@ -100,6 +132,16 @@ export const useAuthStore = create<AuthStore>()(
             throw new Error('Invalid response from server');
           }
 
+          // Password accepted, but the account needs a second factor first
+          if (data.data.mfaRequired) {
+            set({
+              mfaToken: data.data.mfaToken,
+              isLoading: false,
+              error: null,
+            });
+            return;
+          }
+
           const { user, accessToken, refreshToken } = data.data;
 
           // Validate required fields
@@ -129,6 +171,77 @@ export const useAuthStore = create<AuthStore>()(
         }
       },
 
+      verifyMfa: async (code: string, useRecoveryCode = false) => {
+        const { mfaToken } = get();
+
+        if (!mfaToken) {
+          set({ error: 'Two-factor session expired. Please log in again.' });
+          return;
+        }
+
+        set({ isLoading: true, error: null });
+
+        try {
+          const response = await apiRequest('/api/auth/login/mfa', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(useRecoveryCode ? { mfaToken, recoveryCode: code } : { mfaToken, code }),
+          });
+
+          if (!response.ok) {
+            const errorData = await response.json();
+            const errorMessage = errorData.message || 'Verification failed';
+            console.error('Two-factor error:', errorMessage);
+            // An expired challenge cannot be retried, so send the user back to the password step
+            if (response.status === 401 && errorMessage.includes('expired')) {
+              set({ mfaToken: null });
+            }
+            throw new Error(errorMessage);
+          }
+
+          const data = await response.json();
+
+          // Validate response structure
+          if (!data.success || !data.data) {
+            throw new Error('Invalid response from server');
+          }
+
+          const { user, accessToken, refreshToken } = data.data;
+
+          // Validate required fields
+          if (!user || !accessToken || !refreshToken) {
+            throw new Error('Missing required authentication data');
+          }
+
+          set({
+            user,
+            accessToken,
+            refreshToken,
+            mfaToken: null,
+            isLoading: false,
+            error: null,
+          });
+
+          // Store tokens in localStorage for persistence
+          localStorage.setItem('accessToken', accessToken);
+          localStorage.setItem('refreshToken', refreshToken);
+
+          console.log('Login successful for user:', user.email);
+        } catch (error) {
+          console.error('Two-factor error:', error);
+          set({
+            isLoading: false,
+            error: error instanceof Error ? error.message : 'Verification failed',
+          });
+        }
+      },
+
+      cancelMfa: () => {
+        set({ mfaToken: null, error: null });
+      },
+
       register: async (userData: any) => {
         set({ isLoading: true, error: null });
 
@@ -185,11 +298,36 @@ export const useAuthStore = create<AuthStore>()(
       },
 
       logout: () => {
+        const { accessToken, impersonatorSession } = get();
+
+        // Logging out while impersonating signs the administrator out as well
+        if (impersonatorSession) {
+          apiRequest('/api/auth/logout', {
+            method: 'POST',
+            headers: {
+              'Authorization': `Bearer ${impersonatorSession.accessToken}`,
+            },
+          }).catch((error) => console.error('Logout error:', error));
+        }
+
+        // Revoke the server-side session; the local state is cleared regardless
+        if (accessToken) {
+          apiRequest('/api/auth/logout', {
+            method: 'POST',
+            headers: {
+              'Authorization': `Bearer ${accessToken}`,
+            },
+          }).catch((error) => console.error('Logout error:', error));
+        }
+
         // Clear auth state
         set({
           user: null,
           accessToken: null,
           refreshToken: null,
+          mfaToken: null,
+          impersonation: null,
+          impersonatorSession: null,
           isLoading: false,
           error: null,
         });
@@ -199,32 +337,100 @@ export const useAuthStore = create<AuthStore>()(
         localStorage.removeItem('refreshToken');
       },
 
-      refreshAccessToken: async () => {
-        const { refreshToken } = get();
+      startImpersonation: async (userId: string, reason: string, readOnly = true) => {
+        const { user, accessToken, refreshToken, impersonatorSession } = get();
 
-        if (!refreshToken) {
-          set({ error: 'No refresh token available' });
+        if (!user || !accessToken || !refreshToken || impersonatorSession) {
+          set({ error: 'Cannot start impersonation' });
           return;
         }
 
+        set({ isLoading: true, error: null });
+
         try {
-          const response = await apiRequest('/api/auth/refresh', {
+          const response = await apiRequest(`/api/users/${userId}/impersonate`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
+              'Authorization': `Bearer ${accessToken}`,
             },
-            body: JSON.stringify({ refreshToken }),
+            body: JSON.stringify({ reason, readOnly }),
           });
 
           if (!response.ok) {
-            throw new Error('Token refresh failed');
+            const errorData = await response.json();
+            throw new Error(errorData.message || 'Impersonation failed');
           }
 
           const data = await response.json();
-          const { accessToken } = data.data;
+          const { accessToken: impersonationToken, impersonation, user: impersonatedUser } = data.data;
 
-          set({ accessToken });
-          localStorage.setItem('accessToken', accessToken);
+          set({
+            user: impersonatedUser,
+            accessToken: impersonationToken,
+            refreshToken: null,
+            impersonation: {
+              id: impersonation.id,
+              impersonator: impersonation.impersonator,
+              readOnly: impersonation.readOnly,
+              expiresAt: impersonation.expiresAt,
+            },
+            impersonatorSession: { user, accessToken, refreshToken },
+            isLoading: false,
+          });
+
+          // Impersonation tokens cannot be refreshed
+          localStorage.setItem('accessToken', impersonationToken);
+          localStorage.removeItem('refreshToken');
+        } catch (error) {
+          console.error('Impersonation error:', error);
+          set({
+            isLoading: false,
+            error: error instanceof Error ? error.message : 'Impersonation failed',
+          });
+        }
+      },
+
+      stopImpersonation: async () => {
+        const { accessToken, impersonatorSession } = get();
+
+        if (!impersonatorSession) {
+          return;
+        }
+
+        // End it on the server so the token stops working; the admin is restored regardless
+        if (accessToken) {
+          await apiRequest('/api/auth/impersonation/end', {
+            method: 'POST',
+            headers: {
+              'Authorization': `Bearer ${accessToken}`,
+            },
+          }).catch((error) => console.error('End impersonation error:', error));
+        }
+
+        set({
+          user: impersonatorSession.user,
+          accessToken: impersonatorSession.accessToken,
+          refreshToken: impersonatorSession.refreshToken,
+          impersonation: null,
+          impersonatorSession: null,
+        });
+
+        localStorage.setItem('accessToken', impersonatorSession.accessToken);
+        localStorage.setItem('refreshToken', impersonatorSession.refreshToken);
+      },
+
+      refreshAccessToken: async () => {
+        const { refreshToken } = get();
+
+        if (!refreshToken) {
+          set({ error: 'No refresh token available' });
+          return;
+        }
+
+        try {
+          // Shares the refresh in flight with the API client, which stores the rotated tokens
+          await refreshSharedAccessToken();
         } catch (error) {
           set({ error: 'Token refresh failed' });
           // If refresh fails, log out the user
@@ -274,6 +480,8 @@ export const useAuthStore = create<AuthStore>()(
         user: state.user,
         accessToken: state.accessToken,
         refreshToken: state.refreshToken,
+        impersonation: state.impersonation,
+        impersonatorSession: state.impersonatorSession,
       }),
     }
   )
@@ -319,48 +527,23 @@ export const initializeAuth = async () => {
           refreshToken,
         });
       } else {
-        // Token is invalid, try to refresh
-        const refreshResponse = await fetch('http://localhost:5000/api/auth/refresh', {
-          method: 'POST',
+        // Token is invalid, try to refresh. The refresh is shared with the API
+        // client and stores the rotated tokens; if it fails, they are cleared below.
+        const newAccessToken = await refreshSharedAccessToken();
+
+        // Try again with new token
+        const profileResponse = await fetch('http://localhost:5000/api/auth/profile', {
+          method: 'GET',
           headers: {
             'Content-Type': 'application/json',
+            'Authorization': `Bearer ${newAccessToken}`,
           },
-          body: JSON.stringify({ refreshToken }),
         });
 
-        if (refreshResponse.ok) {
-          const refreshData = await refreshResponse.json();
-          const { accessToken: newAccessToken } = refreshData.data;
-          
-          localStorage.setItem('accessToken', newAccessToken);
-          
-          // Try again with new token
-          const profileResponse = await fetch('http://localhost:5000/api/auth/profile', {
-            method: 'GET',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${newAccessToken}`,
-            },
-          });
-
-          if (profileResponse.ok) {
-            const profileData = await profileResponse.json();
-            const { user } = profileData.data;
-            useAuthStore.setState({
-              user,
-              accessToken: newAccessToken,
-              refreshToken,
-            });
-          }
-        } else {
-          // Refresh failed, clear tokens
-          localStorage.removeItem('accessToken');
-          localStorage.removeItem('refreshToken');
-          useAuthStore.setState({
-            user: null,
-            accessToken: null,
-            refreshToken: null,
-          });
+        if (profileResponse.ok) {
+          const profileData = await profileResponse.json();
+          const { user } = profileData.data;
+          useAuthStore.setState({ user });
         }
       }
     } catch (error) {
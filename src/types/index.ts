@@ -34,6 +34,66 @@ export interface Company {
   rounds: Round[];
   totalPositions: number;
   applicationLink?: string;
+  jobProfiles?: JobProfile[];
+  maxProfilesPerStudent?: number;
+  compensation?: Compensation;
+  seasonId?: string | null;
+}
+
+// Lifecycle of a company visit as stored by the API; students see companies
+// once they are approved
+export type CompanyLifecycleStatus =
+  | 'draft'
+  | 'pending-approval'
+  | 'approved'
+  | 'ppt-scheduled'
+  | 'drive-ongoing'
+  | 'results-declared'
+  | 'closed';
+
+export interface CompanyStatusChange {
+  from: CompanyLifecycleStatus | null;
+  to: CompanyLifecycleStatus;
+  changedBy?: { _id: string; name: string; email: string; role: string };
+  changedAt: string;
+  note?: string;
+}
+
+// Placement season of an academic year; closed and archived seasons are read-only
+export interface Season {
+  id: string;
+  name: string;
+  academicYear: string;
+  batch: number;
+  startDate: string;
+  endDate: string;
+  status: 'open' | 'closed' | 'archived';
+  isCurrent: boolean;
+  closedAt?: string;
+}
+
+// Yearly amounts (fixed, variable, joiningBonus, ctc) and monthly amounts
+// (stipend, inHand) in units of the currency
+export interface Compensation {
+  currency: string;
+  fixed?: number;
+  variable?: number;
+  joiningBonus?: number;
+  stipend?: number;
+  ctc?: number;
+  inHand?: number;
+  bondMonths?: number;
+}
+
+// A role hired for in a company's drive; students apply to one profile at a time
+export interface JobProfile {
+  _id: string;
+  title: string;
+  jobDescription?: string;
+  packageOffered: string;
+  compensation?: Compensation;
+  totalPositions: number;
+  status: 'open' | 'closed';
 }
 
 export interface ApplicationForm {
@@ -47,6 +107,7 @@ export interface ApplicationForm {
   experience: string;
   whyCompany: string;
   resume: File | null;
+  jobProfileId?: string;
 }
 
 export interface OffCampusOpportunity {
@@ -83,6 +144,7 @@ export interface Application {
   studentId: string;
   companyId: string;
   roundId?: string;
+  seasonId?: string | null;
   status: 'submitted' | 'under-review' | 'shortlisted' | 'rejected' | 'selected';
   submittedAt: string;
   score?: number;
@@ -107,4 +169,78 @@ export interface CompanyOnboarding {
   }[];
   recruiterEmail: string;
   recruiterName: string;
-}
\ No newline at end of file
+}
+
+export interface StudentImportRow {
+  row: number;
+  rollNumber?: string;
+  action: 'create' | 'update' | 'unchanged' | 'skip' | 'error';
+  reason?: string;
+  changes: {
+    field: string;
+    from: unknown;
+    to: unknown;
+  }[];
+  errors: string[];
+  studentId?: string;
+}
+
+export interface StudentImportResult {
+  dryRun: boolean;
+  mode: 'insert' | 'upsert';
+  summary: {
+    total: number;
+    create: number;
+    update: number;
+    unchanged: number;
+    skip: number;
+    error: number;
+  };
+  rows: StudentImportRow[];
+}
+
+export interface ProfileCompleteness {
+  score: number;
+  checklist: {
+    item: string;
+    label: string;
+    weight: number;
+    complete: boolean;
+  }[];
+  missing: {
+    item: string;
+    label: string;
+  }[];
+}
+
+export interface PortfolioProject {
+  _id: string;
+  title: string;
+  description?: string;
+  technologies: string[];
+  duration?: string;
+  url?: string;
+}
+
+export interface PortfolioInternship {
+  _id: string;
+  company: string;
+  position: string;
+  startDate: string;
+  endDate?: string;
+  description?: string;
+}
+
+export interface PortfolioCertification {
+  _id: string;
+  name: string;
+  issuer?: string;
+  issuedOn?: string;
+  credentialUrl?: string;
+}
+
+export interface StudentPortfolio {
+  projects: PortfolioProject[];
+  internships: PortfolioInternship[];
+  certifications: PortfolioCertification[];
+}
@@ -1,4 +1,5 @@
 import axios, { AxiosError } from 'axios';
+import { useAuthStore } from '../store/authStore';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -13,7 +14,7 @@ const api = axios.create({
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('accessToken');
+    const token = useAuthStore.getState().accessToken;
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -24,33 +25,68 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh in flight, shared by every request that gets a 401 meanwhile and
+// by the auth store. A refresh token is rotated on use, so refreshing twice
+// with the same token would look like token reuse and end the session.
+let refreshPromise: Promise<string> | null = null;
+
+export const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const { refreshToken } = useAuthStore.getState();
+      if (!refreshToken) {
+        throw new Error('No refresh token available');
+      }
+
+      const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
+        refreshToken,
+      });
+
+      // The store holds the tokens impersonation saves and restores, so the
+      // rotated ones go there as well as to localStorage
+      const { accessToken, refreshToken: newRefreshToken } = response.data.data;
+      useAuthStore.setState({ accessToken, refreshToken: newRefreshToken });
+      localStorage.setItem('accessToken', accessToken);
+      localStorage.setItem('refreshToken', newRefreshToken);
+      return accessToken as string;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor to handle token refresh
 api.interceptors.response.use(
   (response) => response,
   async (error: AxiosError) => {
     const originalRequest = error.config as any;
 
+    // An expired or ended impersonation returns the administrator to their own login
+    if (error.response?.status === 401 && useAuthStore.getState().impersonation) {
+      await useAuthStore.getState().stopImpersonation();
+      window.location.href = '/admin';
+      return Promise.reject(error);
+    }
+
     if (error.response?.status === 401 && !originalRequest._retry) {
       originalRequest._retry = true;
 
       try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (!refreshToken) {
-          throw new Error('No refresh token available');
-        }
-
-        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
-          refreshToken,
-        });
-
-        const { accessToken } = response.data.data;
-        localStorage.setItem('accessToken', accessToken);
+        // A request sent before the last refresh finished only needs the new token
+        const sentToken = String(originalRequest.headers?.Authorization || '').replace('Bearer ', '');
+        const currentToken = useAuthStore.getState().accessToken;
+        const accessToken = currentToken && currentToken !== sentToken
+          ? currentToken
+          : await refreshAccessToken();
 
         // Retry the original request
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         return api(originalRequest);
       } catch (refreshError) {
         // Refresh failed, logout user
+        useAuthStore.setState({ user: null, accessToken: null, refreshToken: null });
         localStorage.removeItem('accessToken');
         localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');